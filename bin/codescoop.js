@@ -9,17 +9,44 @@ const { program } = require('commander');
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs');
-const { runAnalysis } = require('../src/index');
+const { globSync, hasMagic } = require('glob');
+const { runAnalysis, runBatchAnalysis, runComponentDiff, runCrossPageAnalysis, runInventory } = require('../src/index');
 const { runInteractiveMode } = require('../src/cli/interactive');
+const { runWatchMode } = require('../src/cli/watch');
+const { runServeMode, DEFAULT_PORT } = require('../src/cli/serve');
+const { runMcpServer } = require('../src/cli/mcp');
+const { runLspServer } = require('../src/cli/lsp');
 const {
   validateHTMLFile,
   validateOutputPath,
   validateProjectDir,
   sanitizeSelector,
+  sanitizeTargetQuery,
+  parseFileSize,
+  validateTargetsManifest,
+  validateConfig,
   formatError
 } = require('../src/utils/validation');
+const { findConfigFile, loadConfigFile, mergeConfigIntoOptions } = require('../src/utils/config-loader');
+const { CACHE_DIR_NAME } = require('../src/utils/parse-cache');
+const { defaultConcurrency } = require('../src/utils/worker-pool');
+const { resolveCIThresholds } = require('../src/utils/ci-checks');
+const {
+  INDEX_FILE_NAME,
+  buildSelectorIndex,
+  loadSelectorIndex,
+  parseLookupQuery,
+  findSelectorReferences
+} = require('../src/utils/selector-index');
+const { scanProject } = require('../src/utils/project-scanner');
 const { fetchURL, isURL } = require('../src/utils/url-fetcher');
 const { isTemplateFile, parseTemplateFile } = require('../src/utils/template-parser');
+const { parseHTML } = require('../src/parsers/html-parser');
+const { describeTarget } = require('../src/utils/target-locator');
+const { detectComponents } = require('../src/utils/component-detector');
+
+// Collect repeated option values (e.g. -s header -s footer)
+const collect = (value, previous) => previous.concat([value]);
 
 // ASCII Art Banner
 const banner = `
@@ -28,15 +55,197 @@ ${chalk.magenta('║')}  ${chalk.bold.white('🍒 CodeScoop')} ${chalk.gray('- S
 ${chalk.magenta('╚═══════════════════════════════════════════╝')}
 `;
 
+/**
+ * Load the nearest project config (or --config) and merge it under the CLI flags
+ * @param {string} startDir - Directory to start the config search from
+ * @param {Object} options - Parsed command options (mutated)
+ * @param {Command} command - Command the options belong to
+ */
+function applyProjectConfig(startDir, options, command) {
+  if (options.config === false) return;
+
+  const configPath = options.config ? path.resolve(options.config) : findConfigFile(startDir);
+  if (!configPath) return;
+
+  const loaded = loadConfigFile(configPath);
+  if (loaded.error) {
+    console.error(chalk.red(`✖  ${loaded.error}`));
+    process.exit(1);
+  }
+
+  const configValidation = validateConfig(loaded.config, configPath);
+  configValidation.warnings.forEach(w => console.warn(chalk.yellow(`⚠️  ${w}`)));
+
+  if (!configValidation.valid) {
+    configValidation.errors.forEach(e => console.error(chalk.red(`✖  ${e}`)));
+    process.exit(1);
+  }
+
+  mergeConfigIntoOptions(options, configValidation.config, key => command.getOptionValueSource(key));
+  console.log(chalk.gray(`Using config: ${configPath}`));
+}
+
+/**
+ * Parse --concurrency (default: one worker per core, minus one)
+ */
+function parseConcurrency(value) {
+  const concurrency = value === undefined ? defaultConcurrency() : parseInt(value, 10);
+  if (isNaN(concurrency) || concurrency < 1) {
+    console.error(chalk.red(`✖  Invalid concurrency: "${value}". Must be a positive number.`));
+    process.exit(1);
+  }
+  return concurrency;
+}
+
+/**
+ * Validate --text, --xpath and --role (at most one of them) and store the
+ * trimmed value back on options
+ * @returns {Object|null} { type, value }, or null when none was given
+ */
+function resolveTargetQuery(options) {
+  const given = ['text', 'xpath', 'role'].filter(type => options[type] !== undefined);
+  if (given.length > 1) {
+    console.error(chalk.red(`✖  Use only one of ${given.map(type => `--${type}`).join(', ')}`));
+    process.exit(1);
+  }
+  if (given.length === 0) return null;
+
+  const [type] = given;
+  const validation = sanitizeTargetQuery(type, options[type]);
+  if (!validation.valid) {
+    console.error(chalk.red(`✖  Invalid --${type}: ${validation.error}`));
+    process.exit(1);
+  }
+  options[type] = validation.value;
+  return { type, value: validation.value };
+}
+
+/**
+ * Resolve the parse cache directory (null when --no-cache)
+ */
+function resolveCacheDir(options, projectDir) {
+  if (options.cache === false) return null;
+  if (options.cacheDir) return path.resolve(options.cacheDir);
+  return projectDir ? path.join(projectDir, CACHE_DIR_NAME) : null;
+}
+
+/**
+ * Collect the scanner's file filter from --include, --exclude, --max-file-size,
+ * --no-ignore-files and the config file (whose `ignore` patterns add to --exclude)
+ */
+function resolveFileFilter(options) {
+  let maxFileSize;
+  if (options.maxFileSize !== undefined) {
+    const size = parseFileSize(options.maxFileSize);
+    if (!size.valid) {
+      console.error(chalk.red(`✖  Invalid --max-file-size: ${size.error}`));
+      process.exit(1);
+    }
+    maxFileSize = size.bytes;
+  }
+
+  return {
+    ignore: [...(options.ignore || []), ...(options.exclude || [])],
+    include: options.include || [],
+    ignoreFiles: options.ignoreFiles !== false,
+    maxFileSize
+  };
+}
+
+/**
+ * Expand glob patterns among the analyze sources (sorted, duplicates removed);
+ * URLs and plain paths are kept as given
+ */
+function expandSources(sources) {
+  const expanded = [];
+
+  for (const source of sources) {
+    if (isURL(source) || !hasMagic(source)) {
+      expanded.push(source);
+      continue;
+    }
+
+    const matches = globSync(source, { nodir: true, absolute: true }).sort();
+    if (matches.length === 0) {
+      console.error(chalk.red(`✖  No files match "${source}"`));
+      process.exit(1);
+    }
+    expanded.push(...matches);
+  }
+
+  return [...new Set(expanded)];
+}
+
+/**
+ * Deepest directory containing every file
+ */
+function commonDirectory(filePaths) {
+  return filePaths.map(filePath => path.dirname(filePath)).reduce((common, dir) => {
+    while (path.relative(common, dir).startsWith('..')) {
+      common = path.dirname(common);
+    }
+    return common;
+  });
+}
+
+/**
+ * Parse a --max-* CI threshold (undefined when the flag is not given)
+ */
+function parseThreshold(value, flag) {
+  if (value === undefined) return undefined;
+  const limit = parseInt(value, 10);
+  if (isNaN(limit) || limit < 0 || String(limit) !== String(value).trim()) {
+    console.error(chalk.red(`✖  Invalid ${flag}: "${value}". Must be a non-negative number.`));
+    process.exit(1);
+  }
+  return limit;
+}
+
+/**
+ * Print CI threshold violations and exit with code 2 if there are any
+ * @param {Array<Object>} results - [{ name, ci }] for each analyzed component
+ */
+function reportCIResults(results) {
+  const failing = results.filter(r => r.ci && !r.ci.passed);
+
+  if (failing.length === 0) {
+    console.log(chalk.green('\n✓ CI checks passed'));
+    return;
+  }
+
+  const count = failing.reduce((sum, r) => sum + r.ci.violations.length, 0);
+  console.error(chalk.red(`\n✖  CI checks failed: ${count} violation(s)`));
+
+  failing.forEach(r => {
+    if (results.length > 1) console.error(chalk.white(`  ${r.name}`));
+    r.ci.violations.forEach(v => {
+      const shown = v.items.slice(0, 5).join(', ');
+      const more = v.items.length > 5 ? ` ... and ${v.items.length - 5} more` : '';
+      console.error(chalk.red(`  - ${v.message}: `) + chalk.gray(`${shown}${more}`));
+    });
+  });
+
+  process.exit(2);
+}
+
 program
   .name('codescoop')
   .description('Scoop out component dependencies for AI-powered conversion')
-  .version('1.0.0')
-  .argument('<source>', 'HTML file, URL, or template (.php, .blade.php, etc.)')
-  .option('-s, --selector <selector>', 'CSS selector to target (e.g., ".navbar", "#header")')
+  .version('1.0.0');
+
+program
+  .command('analyze', { isDefault: true })
+  .description('Analyze a component and write its report (default command)')
+  .argument('<source...>', 'HTML file, URL, or template (.php, .blade.php, etc.); several files or a glob analyze one component across pages')
+  .option('-s, --selector <selector>', 'CSS selector to target (e.g., ".navbar", "#header"). Repeat for batch mode', collect, [])
   .option('-l, --lines <range>', 'Line range to target (e.g., "45-80")')
-  .option('-o, --output <path>', 'Output file path (default: <component>-analysis.md)')
-  .option('-d, --dir <path>', 'Project directory to scan (default: directory containing file)')
+  .option('--text <text>', 'Target the component containing this visible text (e.g., "Free Shipping")')
+  .option('--xpath <expression>', 'Target the component an XPath points to (e.g., "//nav[@id=\'main\']")')
+  .option('--role <role>', 'Target the component with this ARIA role, explicit or implicit (e.g., navigation)')
+  .option('-t, --targets <file>', 'JSON manifest of targets to analyze in one batch run')
+  .option('-o, --output <path>', 'Output file path (default: <component>-analysis.md or .json; index file in batch mode)')
+  .option('-f, --format <type>', 'Report format: markdown or json', 'markdown')
+  .option('-d, --dir <path>', 'Project directory to scan (default: directory containing the file(s))')
   .option('-m, --match-index <n>', 'Which match to use if multiple elements found (0-based)', '0')
   .option('-c, --compact', 'Compact mode: limit output size for LLM consumption')
   .option('--for-conversion', 'Generate React/Next.js conversion context for LLMs')
@@ -44,22 +253,69 @@ program
   .option('--max-js <n>', 'Max JS references per file (default: 10 in compact mode)', '10')
   .option('--summary-only', 'Only show summary and file list, no code blocks')
   .option('--skip-minified', 'Skip minified files (*.min.css, *.min.js)')
-  .option('--no-interactive', 'Skip interactive mode, require --selector or --lines')
+  .option('--per-element', 'Add a per-element breakdown: the component tree with the rules, winning declarations and JS references of each element')
+  .option('--no-interactive', 'Skip interactive mode, require --selector, --text, --xpath, --role or --lines')
   .option('--include-inline', 'Include inline <style> and <script> blocks (default: true)', true)
   .option('--verbose', 'Show detailed logging')
-  .action(async (source, options) => {
+  .option('--cache-dir <path>', 'Parse cache directory (default: <project>/.codescoop-cache)')
+  .option('--no-cache', 'Do not read or write the on-disk parse cache')
+  .option('--no-index', 'Ignore the selector index built by `codescoop index`')
+  .option('--concurrency <n>', 'Worker threads used to parse CSS/JS files (default: CPU cores - 1)')
+  .option('--include <glob>', 'Only scan CSS/JS files matching this glob (repeatable; rooted globs like "dist/**" also override the built-in ignores)', collect, [])
+  .option('--exclude <glob>', 'Skip CSS/JS files matching this glob (repeatable)', collect, [])
+  .option('--max-file-size <size>', 'Skip CSS/JS files larger than this, e.g. 500kb or 2mb (default: no limit)')
+  .option('--no-ignore-files', 'Scan files listed in .gitignore / .codescoopignore too')
+  .option('-w, --watch', 'Re-run the analysis whenever the source or a project CSS/JS file changes')
+  .option('--ci', 'CI mode: exit with code 2 when the component breaks a threshold (implies --no-interactive)')
+  .option('--max-ghost-classes <n>', 'CI: allowed ghost classes (default: 0)')
+  .option('--max-missing-assets <n>', 'CI: allowed missing local assets (default: 0)')
+  .option('--max-unlinked-files <n>', 'CI: allowed CSS/JS files that style the component but are not linked (default: 0)')
+  .option('--max-important-winners <n>', 'CI: allowed properties won by an !important declaration (default: no limit)')
+  .option('--config <path>', 'Config file to use (default: nearest .codescooprc or codescoop.config.js)')
+  .option('--no-config', 'Ignore project config files')
+  .action(async (sources, options, command) => {
     console.log(banner);
 
+    const pages = expandSources(sources);
+    const source = pages[0];
+    let crossPages = null;
     let htmlPath;
     let htmlContent = null;
     let projectDir;
     let sourceType = 'file'; // file, url, or template
 
     try {
+      // ============================================
+      // STEP 0: Load project config (CLI flags win)
+      // ============================================
+
+      applyProjectConfig(isURL(source) ? process.cwd() : path.dirname(path.resolve(source)), options, command);
+
       // ============================================
       // STEP 1: Detect source type and get HTML
       // ============================================
 
+      // Cross-page mode: the same component on several local pages
+      if (pages.length > 1) {
+        if (pages.some(isURL)) {
+          console.error(chalk.red('✖  Cross-page analysis works on local files and templates, not URLs'));
+          process.exit(1);
+        }
+
+        crossPages = pages.map(page => path.resolve(page));
+        const missing = crossPages.filter(page => !fs.existsSync(page));
+        if (missing.length > 0) {
+          missing.forEach(page => console.error(chalk.red(`✖  File not found: ${page}`)));
+          process.exit(1);
+        }
+        console.log(chalk.cyan(`📚 Cross-page analysis of ${crossPages.length} pages`));
+      }
+
+      if (options.watch && isURL(source) && !options.dir) {
+        console.error(chalk.red('✖  --watch needs --dir for a URL: a fetched page cannot be watched, only the project files'));
+        process.exit(1);
+      }
+
       if (isURL(source)) {
         // URL Mode - fetch live page
         sourceType = 'url';
@@ -124,7 +380,9 @@ program
         }
 
         // Set project directory
-        projectDir = options.dir ? path.resolve(options.dir) : path.dirname(htmlPath);
+        projectDir = options.dir
+          ? path.resolve(options.dir)
+          : (crossPages ? commonDirectory(crossPages) : path.dirname(htmlPath));
 
         // Validate project directory
         const dirValidation = validateProjectDir(projectDir);
@@ -151,23 +409,88 @@ program
         }
       }
 
-      // Validate selector if provided
-      if (options.selector) {
-        const selectorValidation = sanitizeSelector(options.selector);
+      // Validate report format
+      if (!['markdown', 'json'].includes(options.format)) {
+        console.error(chalk.red(`✖  Invalid format: "${options.format}". Use "markdown" or "json".`));
+        process.exit(1);
+      }
+
+      // Validate selectors if provided
+      const selectors = options.selector.map(selector => {
+        const selectorValidation = sanitizeSelector(selector);
         if (!selectorValidation.valid) {
           console.error(chalk.red(`✖  Invalid selector: ${selectorValidation.error}`));
           process.exit(1);
         }
-        options.selector = selectorValidation.selector;
-      }
+        return selectorValidation.selector;
+      });
+      options.selector = selectors[0];
+      const targetQuery = resolveTargetQuery(options);
 
       // Validate match index
-      const matchIndex = parseInt(options.matchIndex, 10);
+      let matchIndex = parseInt(options.matchIndex, 10);
       if (isNaN(matchIndex) || matchIndex < 0) {
         console.error(chalk.red(`✖  Invalid match-index: "${options.matchIndex}". Must be a non-negative number.`));
         process.exit(1);
       }
 
+      // Validate concurrency
+      const concurrency = parseConcurrency(options.concurrency);
+
+      // CI thresholds: flags override the config file's "thresholds"
+      let ciThresholds = null;
+      if (options.ci) {
+        if (options.watch) {
+          console.error(chalk.red('✖  --ci cannot be combined with --watch'));
+          process.exit(1);
+        }
+        options.interactive = false;
+        ciThresholds = resolveCIThresholds(options.thresholds, {
+          maxGhostClasses: parseThreshold(options.maxGhostClasses, '--max-ghost-classes'),
+          maxMissingAssets: parseThreshold(options.maxMissingAssets, '--max-missing-assets'),
+          maxUnlinkedFiles: parseThreshold(options.maxUnlinkedFiles, '--max-unlinked-files'),
+          maxImportantWinners: parseThreshold(options.maxImportantWinners, '--max-important-winners')
+        });
+      }
+
+      // Collect batch targets: repeated --selector and/or a --targets manifest
+      let batchTargets = null;
+      if (selectors.length > 1 || options.targets) {
+        batchTargets = selectors.map(selector => ({ selector }));
+
+        if (targetQuery) {
+          batchTargets.push({ [targetQuery.type]: targetQuery.value });
+        }
+        if (options.lines) {
+          batchTargets.push({ lineRange: options.lines });
+        }
+
+        if (options.targets) {
+          const manifest = validateTargetsManifest(path.resolve(options.targets));
+          manifest.warnings.forEach(w => console.warn(chalk.yellow(`⚠️  ${w}`)));
+
+          if (!manifest.valid) {
+            manifest.errors.forEach(e => console.error(chalk.red(`✖  ${e}`)));
+            process.exit(1);
+          }
+          batchTargets.push(...manifest.targets);
+        }
+      }
+
+      if (!batchTargets && targetQuery && (options.selector || options.lines)) {
+        console.error(chalk.red(`✖  --${targetQuery.type} cannot be combined with ${options.selector ? '--selector' : '--lines'} (repeat --selector or use --targets to analyze several components)`));
+        process.exit(1);
+      }
+
+      if (crossPages && (batchTargets || options.lines)) {
+        console.error(chalk.red('✖  Cross-page analysis takes a single --selector, --text, --xpath or --role (no --lines, --targets or repeated --selector)'));
+        process.exit(1);
+      }
+      if (crossPages && options.watch) {
+        console.error(chalk.red('✖  --watch cannot be combined with several pages'));
+        process.exit(1);
+      }
+
       // Verbose logging
       if (options.verbose) {
         console.log(chalk.gray(`Source type: ${sourceType}`));
@@ -179,45 +502,71 @@ program
       // STEP 3: Interactive mode if needed
       // ============================================
 
-      if (!options.selector && !options.lines) {
+      if (!options.selector && !targetQuery && !options.lines && !batchTargets) {
         if (options.interactive === false) {
-          console.error(chalk.red('Error: --selector or --lines required when --no-interactive is set'));
+          console.error(chalk.red('Error: --selector, --text, --xpath, --role or --lines required when --no-interactive is set'));
           console.log(chalk.gray('\nExamples:'));
           console.log(chalk.gray('  codescoop page.html -s ".navbar"'));
+          console.log(chalk.gray('  codescoop page.html --text "Free Shipping"'));
           console.log(chalk.gray('  codescoop https://site.com --selector "header" --dir ./theme'));
           console.log(chalk.gray('  codescoop template.php -s ".content"'));
           process.exit(1);
         }
 
-        // Interactive mode only works for local files
-        if (sourceType === 'url') {
-          console.error(chalk.red('Error: Interactive mode not available for URLs. Use --selector.'));
-          process.exit(1);
-        }
-
         console.log(chalk.yellow('No selector specified. Launching interactive mode...\n'));
-        const selection = await runInteractiveMode(htmlPath);
+
+        // Work from the resolved HTML: the fetched page or the template stripped to HTML
+        const selection = await runInteractiveMode(htmlPath, {
+          htmlContent,
+          projectDir,
+          analysisOptions: {
+            ...resolveFileFilter(options),
+            libraries: options.libraries,
+            includeInline: options.includeInline,
+            cacheDir: resolveCacheDir(options, projectDir),
+            concurrency,
+            sourceType
+          }
+        });
 
         if (!selection) {
           console.log(chalk.gray('No selection made. Exiting.'));
           process.exit(0);
         }
 
-        options.selector = selection.selector;
+        if (selection.targets && selection.targets.length > 1) {
+          if (crossPages) {
+            console.error(chalk.red('✖  Cross-page analysis takes a single component; pick one'));
+            process.exit(1);
+          }
+          batchTargets = selection.targets;
+          console.log(chalk.cyan(`Analyzing ${batchTargets.length} components...`));
+        } else {
+          options.selector = selection.selector;
+          if (selection.matchIndex !== undefined) {
+            matchIndex = selection.matchIndex;
+          }
+        }
       }
 
       // ============================================
       // STEP 4: Run analysis
       // ============================================
 
-      const result = await runAnalysis({
+      const cacheDir = resolveCacheDir(options, projectDir);
+
+      const analysisOptions = {
         htmlPath,
         htmlContent, // Pass pre-fetched content for URL/template modes
         projectDir,
         selector: options.selector,
+        text: options.text,
+        xpath: options.xpath,
+        role: options.role,
         lineRange: options.lines,
         matchIndex: matchIndex,
         outputPath: options.output,
+        format: options.format,
         includeInline: options.includeInline,
         verbose: options.verbose,
         sourceType,
@@ -227,8 +576,86 @@ program
         maxRulesPerFile: parseInt(options.maxRules, 10) || 20,
         maxJsPerFile: parseInt(options.maxJs, 10) || 10,
         summaryOnly: options.summaryOnly,
-        skipMinified: options.skipMinified
-      });
+        skipMinified: options.skipMinified,
+        perElement: options.perElement,
+        ciThresholds,
+        concurrency,
+        cacheDir,
+        selectorIndex: cacheDir && options.index !== false
+          ? loadSelectorIndex(path.join(cacheDir, INDEX_FILE_NAME))
+          : null,
+        ...resolveFileFilter(options),
+        // Project config only
+        outputDir: options.outputDir,
+        libraries: options.libraries
+      };
+
+      const batchOptions = batchTargets && {
+        ...analysisOptions,
+        outputPath: undefined,
+        indexPath: options.output ? path.resolve(options.output) : undefined,
+        targets: batchTargets
+      };
+
+      if (crossPages) {
+        const crossPage = await runCrossPageAnalysis({ ...analysisOptions, htmlContent: null, pages: crossPages });
+        const { variance } = crossPage;
+
+        console.log(chalk.green(`\n✓ Cross-page analysis complete! Component found on ${variance.foundCount}/${variance.pageCount} pages`));
+        console.log(chalk.white(`  Output: ${crossPage.outputPath}`));
+        console.log(chalk.gray(`  Found ${crossPage.cssMatches} CSS rules, ${crossPage.jsMatches} JS references`));
+        console.log(variance.identical
+          ? chalk.gray('  The component is identical on every page')
+          : chalk.cyan(`  ${variance.varying.length} classes, attributes or child elements vary between pages`));
+
+        const notFound = variance.pages.filter(page => !page.found);
+        if (notFound.length > 0) {
+          console.log(chalk.yellow(`\n⚠ Not found on ${notFound.length} page(s):`));
+          notFound.forEach(page => console.log(chalk.yellow(`  - ${page.page}`)));
+        }
+
+        if (ciThresholds) reportCIResults([{ name: path.basename(crossPage.outputPath), ci: crossPage.ci }]);
+        return;
+      }
+
+      if (options.watch) {
+        const watcher = await runWatchMode({
+          analysisOptions: batchOptions || analysisOptions,
+          batchTargets,
+          sourcePath: sourceType === 'url' ? null : htmlPath,
+          reloadSource: sourceType === 'template' ? () => parseTemplateFile(htmlPath).html : null
+        });
+
+        process.on('SIGINT', async () => {
+          await watcher.close();
+          console.log(chalk.gray('\nStopped watching.'));
+          process.exit(0);
+        });
+        return;
+      }
+
+      if (batchTargets) {
+        const batch = await runBatchAnalysis(batchOptions);
+
+        console.log(chalk.green(`\n✓ Batch analysis complete! ${batch.results.length}/${batchTargets.length} components analyzed`));
+        console.log(chalk.white(`  Index: ${batch.indexPath}`));
+        batch.results.forEach(r => {
+          console.log(chalk.gray(`  - ${r.name}: ${r.cssMatches} CSS rules, ${r.jsMatches} JS references → ${path.basename(r.outputPath)}`));
+        });
+
+        if (batch.failures.length > 0) {
+          console.log(chalk.yellow(`\n⚠ ${batch.failures.length} target(s) failed:`));
+          batch.failures.forEach(f => {
+            console.log(chalk.yellow(`  - ${f.name}: ${f.error.split('\n')[0]}`));
+          });
+          process.exit(1);
+        }
+
+        if (ciThresholds) reportCIResults(batch.results);
+        return;
+      }
+
+      const result = await runAnalysis(analysisOptions);
 
       // ============================================
       // STEP 5: Output results
@@ -252,6 +679,8 @@ program
         }
       }
 
+      if (ciThresholds) reportCIResults([{ name: path.basename(result.outputPath), ci: result.ci }]);
+
     } catch (error) {
       console.error(chalk.red(`\n✖  ${formatError(error, options.verbose)}`));
       if (options.verbose) {
@@ -261,6 +690,445 @@ program
     }
   });
 
+program
+  .command('diff')
+  .description('Compare what applies to a component between two git revisions')
+  .argument('<ref1>', 'Base revision (branch, tag, commit...)')
+  .argument('<ref2>', 'Revision to compare against the base')
+  .argument('<source>', 'HTML file or template, as found in the repository')
+  .option('-s, --selector <selector>', 'CSS selector to target (e.g., ".navbar", "#header")')
+  .option('-l, --lines <range>', 'Line range to target (e.g., "45-80")')
+  .option('--text <text>', 'Target the component containing this visible text')
+  .option('--xpath <expression>', 'Target the component an XPath points to')
+  .option('--role <role>', 'Target the component with this ARIA role, explicit or implicit')
+  .option('-m, --match-index <n>', 'Which match to use if multiple elements found (0-based)', '0')
+  .option('-d, --dir <path>', 'Project directory to compare (default: directory containing file)')
+  .option('-o, --output <path>', 'Output file path (default: <component>-diff.md or .json)')
+  .option('-f, --format <type>', 'Report format: markdown or json', 'markdown')
+  .option('--cache-dir <path>', 'Parse cache directory (default: <project>/.codescoop-cache)')
+  .option('--no-cache', 'Do not read or write the on-disk parse cache')
+  .option('--concurrency <n>', 'Worker threads used to parse CSS/JS files (default: CPU cores - 1)')
+  .option('--include <glob>', 'Only scan CSS/JS files matching this glob (repeatable; rooted globs like "dist/**" also override the built-in ignores)', collect, [])
+  .option('--exclude <glob>', 'Skip CSS/JS files matching this glob (repeatable)', collect, [])
+  .option('--verbose', 'Show detailed logging')
+  .option('--config <path>', 'Config file to use (default: nearest .codescooprc or codescoop.config.js)')
+  .option('--no-config', 'Ignore project config files')
+  .action(async (ref1, ref2, source, options, command) => {
+    try {
+      const htmlPath = path.resolve(source);
+      applyProjectConfig(path.dirname(htmlPath), options, command);
+
+      const targetQuery = resolveTargetQuery(options);
+      if (!options.selector && !targetQuery && !options.lines) {
+        console.error(chalk.red('✖  --selector, --text, --xpath, --role or --lines is required'));
+        process.exit(1);
+      }
+      if (targetQuery && (options.selector || options.lines)) {
+        console.error(chalk.red(`✖  --${targetQuery.type} cannot be combined with ${options.selector ? '--selector' : '--lines'}`));
+        process.exit(1);
+      }
+
+      let selector = options.selector;
+      if (selector) {
+        const selectorValidation = sanitizeSelector(selector);
+        if (!selectorValidation.valid) {
+          console.error(chalk.red(`✖  Invalid selector: ${selectorValidation.error}`));
+          process.exit(1);
+        }
+        selector = selectorValidation.selector;
+      }
+
+      const matchIndex = parseInt(options.matchIndex, 10);
+      if (isNaN(matchIndex) || matchIndex < 0) {
+        console.error(chalk.red(`✖  Invalid match-index: "${options.matchIndex}". Must be a non-negative number.`));
+        process.exit(1);
+      }
+
+      if (!['markdown', 'json'].includes(options.format)) {
+        console.error(chalk.red(`✖  Invalid format: "${options.format}". Use "markdown" or "json".`));
+        process.exit(1);
+      }
+
+      const projectDir = options.dir ? path.resolve(options.dir) : path.dirname(htmlPath);
+      console.log(chalk.cyan(`🔀 Comparing ${describeTarget({ ...options, selector, lineRange: options.lines })} in ${path.basename(htmlPath)}: ${ref1} → ${ref2}`));
+
+      const result = await runComponentDiff({
+        fromRef: ref1,
+        toRef: ref2,
+        htmlPath,
+        projectDir,
+        selector,
+        text: options.text,
+        xpath: options.xpath,
+        role: options.role,
+        lineRange: options.lines,
+        matchIndex,
+        outputPath: options.output ? path.resolve(options.output) : undefined,
+        format: options.format,
+        verbose: options.verbose,
+        concurrency: parseConcurrency(options.concurrency),
+        cacheDir: resolveCacheDir(options, projectDir),
+        outputDir: options.outputDir,
+        ...resolveFileFilter(options),
+        libraries: options.libraries
+      });
+
+      const { css, js, winners, ghostClasses } = result.diff;
+      console.log(chalk.green(`\n✓ Diff complete!`));
+      console.log(chalk.white(`  Output: ${result.outputPath}`));
+      console.log(chalk.gray(`  CSS rules: +${css.added.length} -${css.removed.length} ~${css.modified.length}`));
+      console.log(chalk.gray(`  JS references: +${js.added.length} -${js.removed.length} ~${js.modified.length}`));
+
+      if (winners.length > 0) {
+        console.log(chalk.yellow(`  ${winners.length} propert${winners.length === 1 ? 'y has' : 'ies have'} a new winning rule: ${winners.map(w => w.property).join(', ')}`));
+      }
+      if (ghostClasses.added.length > 0) {
+        console.log(chalk.yellow(`  New ghost classes: ${ghostClasses.added.join(', ')}`));
+      }
+      if (!result.diff.hasChanges) {
+        console.log(chalk.green('  No changes affect this component'));
+      }
+
+    } catch (error) {
+      console.error(chalk.red(`\n✖  ${formatError(error, options.verbose)}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('inventory')
+  .description('Find every component on a page and write one analysis per component plus a summary table')
+  .argument('<source>', 'HTML file or template (.php, .blade.php, etc.)')
+  .option('-d, --dir <path>', 'Project directory to scan (default: directory containing file)')
+  .option('-o, --output <dir>', 'Directory for the reports (default: <page>-inventory/ next to the source)')
+  .option('-f, --format <type>', 'Report format: markdown or json', 'markdown')
+  .option('--list', 'Only list the detected components, without analyzing them')
+  .option('--cache-dir <path>', 'Parse cache directory (default: <project>/.codescoop-cache)')
+  .option('--no-cache', 'Do not read or write the on-disk parse cache')
+  .option('--no-index', 'Ignore the selector index built by `codescoop index`')
+  .option('--concurrency <n>', 'Worker threads used to parse CSS/JS files (default: CPU cores - 1)')
+  .option('--include <glob>', 'Only scan CSS/JS files matching this glob (repeatable; rooted globs like "dist/**" also override the built-in ignores)', collect, [])
+  .option('--exclude <glob>', 'Skip CSS/JS files matching this glob (repeatable)', collect, [])
+  .option('--max-file-size <size>', 'Skip CSS/JS files larger than this, e.g. 500kb or 2mb (default: no limit)')
+  .option('--no-ignore-files', 'Scan files listed in .gitignore / .codescoopignore too')
+  .option('--verbose', 'Show detailed logging')
+  .option('--config <path>', 'Config file to use (default: nearest .codescooprc or codescoop.config.js)')
+  .option('--no-config', 'Ignore project config files')
+  .action(async (source, options, command) => {
+    try {
+      if (isURL(source)) {
+        console.error(chalk.red('✖  inventory works on local files and templates, not URLs'));
+        process.exit(1);
+      }
+
+      const htmlPath = path.resolve(source);
+      applyProjectConfig(path.dirname(htmlPath), options, command);
+
+      if (!fs.existsSync(htmlPath)) {
+        console.error(chalk.red(`✖  File not found: ${htmlPath}`));
+        process.exit(1);
+      }
+      if (!['markdown', 'json'].includes(options.format)) {
+        console.error(chalk.red(`✖  Invalid format: "${options.format}". Use "markdown" or "json".`));
+        process.exit(1);
+      }
+
+      const htmlContent = isTemplateFile(htmlPath) ? parseTemplateFile(htmlPath).html : fs.readFileSync(htmlPath, 'utf-8');
+
+      if (options.list) {
+        const components = detectComponents(parseHTML(htmlContent));
+        console.log(chalk.cyan(`🗂️  ${components.length} components in ${path.basename(htmlPath)}\n`));
+        components.forEach(component => {
+          const selector = component.matchIndex > 0 ? `${component.selector} (match ${component.matchIndex})` : component.selector;
+          console.log(`${'  '.repeat(component.depth)}${chalk.white(component.name)} ${chalk.gray(`${selector} — ${component.reasons.join(', ')}`)}`);
+        });
+        return;
+      }
+
+      const projectDir = options.dir ? path.resolve(options.dir) : path.dirname(htmlPath);
+      const cacheDir = resolveCacheDir(options, projectDir);
+      console.log(chalk.cyan(`🗂️  Building the component inventory of ${path.basename(htmlPath)}`));
+
+      const inventory = await runInventory({
+        htmlPath,
+        htmlContent,
+        projectDir,
+        outputPath: options.output,
+        format: options.format,
+        verbose: options.verbose,
+        concurrency: parseConcurrency(options.concurrency),
+        cacheDir,
+        selectorIndex: cacheDir && options.index !== false
+          ? loadSelectorIndex(path.join(cacheDir, INDEX_FILE_NAME))
+          : null,
+        ...resolveFileFilter(options),
+        outputDir: options.outputDir,
+        libraries: options.libraries
+      });
+
+      console.log(chalk.green(`\n✓ Inventory complete! ${inventory.results.length}/${inventory.components.length} components analyzed`));
+      console.log(chalk.white(`  Summary: ${inventory.summaryPath}`));
+
+      if (inventory.failures.length > 0) {
+        console.log(chalk.yellow(`\n⚠ ${inventory.failures.length} component(s) failed:`));
+        inventory.failures.forEach(f => {
+          console.log(chalk.yellow(`  - ${f.name}: ${f.error.split('\n')[0]}`));
+        });
+        process.exit(1);
+      }
+
+    } catch (error) {
+      console.error(chalk.red(`\n✖  ${formatError(error, options.verbose)}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('index')
+  .description('Build the selector index used to speed up analyses, or look up a selector in it')
+  .argument('[dir]', 'Project directory to index (default: current directory)')
+  .option('--find <selector>', 'List the CSS rules and JS references that mention a class, id, attribute or tag (e.g. ".btn")')
+  .option('--rebuild', 'Rebuild the index even if one exists (with --find)')
+  .option('--cache-dir <path>', 'Parse cache and index directory (default: <project>/.codescoop-cache)')
+  .option('--concurrency <n>', 'Worker threads used to parse CSS/JS files (default: CPU cores - 1)')
+  .option('--include <glob>', 'Only scan CSS/JS files matching this glob (repeatable; rooted globs like "dist/**" also override the built-in ignores)', collect, [])
+  .option('--exclude <glob>', 'Skip CSS/JS files matching this glob (repeatable)', collect, [])
+  .option('--max-file-size <size>', 'Skip CSS/JS files larger than this, e.g. 500kb or 2mb (default: no limit)')
+  .option('--no-ignore-files', 'Scan files listed in .gitignore / .codescoopignore too')
+  .option('--verbose', 'Show detailed logging')
+  .option('--config <path>', 'Config file to use (default: nearest .codescooprc or codescoop.config.js)')
+  .option('--no-config', 'Ignore project config files')
+  .action(async (dir, options, command) => {
+    try {
+      applyProjectConfig(dir ? path.resolve(dir) : process.cwd(), options, command);
+
+      const projectDir = dir ? path.resolve(dir) : (options.dir || process.cwd());
+      const dirValidation = validateProjectDir(projectDir);
+      if (!dirValidation.valid) {
+        dirValidation.errors.forEach(e => console.error(chalk.red(`✖  ${e}`)));
+        process.exit(1);
+      }
+
+      const cacheDir = resolveCacheDir({ cacheDir: options.cacheDir }, projectDir);
+      const indexPath = path.join(cacheDir, INDEX_FILE_NAME);
+      const scanOptions = {
+        ...resolveFileFilter(options),
+        cacheDir,
+        concurrency: parseConcurrency(options.concurrency),
+        log: options.verbose ? console.log : () => { }
+      };
+
+      if (options.find) {
+        const query = parseLookupQuery(options.find).targetInfo;
+        if (query.classes.length + query.ids.length + query.dataAttributes.length === 0) {
+          console.error(chalk.red('✖  --find needs a class, id or attribute (e.g. .btn, #header, [data-toggle], nav.menu)'));
+          process.exit(1);
+        }
+      }
+
+      let index = options.find && !options.rebuild ? loadSelectorIndex(indexPath) : null;
+
+      if (!index) {
+        const startedAt = Date.now();
+        console.log(chalk.cyan(`🔎 Indexing ${projectDir}...`));
+
+        const built = await buildSelectorIndex(projectDir, { ...scanOptions, indexPath });
+        console.log(chalk.green(`✓ Indexed ${built.fileCount} files (${built.tokenCount} identifiers) in ${Date.now() - startedAt}ms`));
+        console.log(chalk.white(`  Index: ${built.indexPath}`));
+        if (options.verbose) {
+          built.skipped.forEach(({ path: skippedPath, reason }) => console.log(chalk.gray(`  Skipped ${skippedPath}: ${reason}`)));
+        }
+
+        index = loadSelectorIndex(indexPath);
+      }
+
+      if (!options.find) return;
+
+      const scan = await scanProject(projectDir, scanOptions);
+      const hits = await findSelectorReferences(scan, options.find, index);
+      await scan.close();
+
+      if (hits.length === 0) {
+        console.log(chalk.yellow(`\nNothing in ${path.basename(projectDir)} mentions ${options.find}`));
+        return;
+      }
+
+      console.log(chalk.white(`\n${options.find} is mentioned ${hits.length} time(s):`));
+      hits.forEach(hit => {
+        const label = hit.kind === 'js' ? `${hit.label} (${hit.type})` : hit.label;
+        console.log(`  ${chalk.cyan(`${path.relative(projectDir, hit.filePath)}:${hit.line}`)}  ${chalk.gray(label)}`);
+      });
+
+    } catch (error) {
+      console.error(chalk.red(`\n✖  ${formatError(error, options.verbose)}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('serve')
+  .description('Serve analyses over a local HTTP API, keeping the project scan warm between requests')
+  .argument('[dir]', 'Project directory to serve (default: current directory)')
+  .option('-p, --port <n>', 'Port to listen on (127.0.0.1 only)', String(DEFAULT_PORT))
+  .option('--cache-dir <path>', 'Parse cache directory (default: <project>/.codescoop-cache)')
+  .option('--no-cache', 'Do not read or write the on-disk parse cache')
+  .option('--concurrency <n>', 'Worker threads used to parse CSS/JS files (default: CPU cores - 1)')
+  .option('--include <glob>', 'Only scan CSS/JS files matching this glob (repeatable; rooted globs like "dist/**" also override the built-in ignores)', collect, [])
+  .option('--exclude <glob>', 'Skip CSS/JS files matching this glob (repeatable)', collect, [])
+  .option('--max-file-size <size>', 'Skip CSS/JS files larger than this, e.g. 500kb or 2mb (default: no limit)')
+  .option('--no-ignore-files', 'Scan files listed in .gitignore / .codescoopignore too')
+  .option('--verbose', 'Log every request')
+  .option('--config <path>', 'Config file to use (default: nearest .codescooprc or codescoop.config.js)')
+  .option('--no-config', 'Ignore project config files')
+  .action(async (dir, options, command) => {
+    try {
+      applyProjectConfig(dir ? path.resolve(dir) : process.cwd(), options, command);
+
+      const projectDir = dir ? path.resolve(dir) : (options.dir || process.cwd());
+      const dirValidation = validateProjectDir(projectDir);
+      if (!dirValidation.valid) {
+        dirValidation.errors.forEach(e => console.error(chalk.red(`✖  ${e}`)));
+        process.exit(1);
+      }
+
+      const port = parseInt(options.port, 10);
+      if (isNaN(port) || port < 0 || port > 65535) {
+        console.error(chalk.red(`✖  Invalid port: "${options.port}"`));
+        process.exit(1);
+      }
+
+      const cacheDir = resolveCacheDir(options, projectDir);
+      const serving = await runServeMode({
+        projectDir,
+        port,
+        verbose: options.verbose,
+        analysisOptions: {
+          cacheDir,
+          concurrency: parseConcurrency(options.concurrency),
+          ...resolveFileFilter(options),
+          libraries: options.libraries,
+          skipMinified: options.skipMinified,
+          includeInline: options.includeInline,
+          selectorIndex: cacheDir ? loadSelectorIndex(path.join(cacheDir, INDEX_FILE_NAME)) : null
+        }
+      });
+
+      console.log(chalk.green(`✓ Serving ${projectDir}`));
+      console.log(chalk.white(`  ${serving.url}  (Ctrl+C to stop)`));
+      console.log(chalk.gray(`  GET /health · GET /components?page= · GET|POST /analyze · GET /ghosts · POST /rescan`));
+
+      process.on('SIGINT', async () => {
+        await serving.close();
+        console.log(chalk.gray('\nServer stopped.'));
+        process.exit(0);
+      });
+
+    } catch (error) {
+      const message = error.code === 'EADDRINUSE'
+        ? `Port ${options.port} is already in use. Pick another one with --port.`
+        : formatError(error, options.verbose);
+      console.error(chalk.red(`\n✖  ${message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('mcp')
+  .description('Run a Model Context Protocol server over stdio so coding agents can query components')
+  .argument('[dir]', 'Project directory to serve (default: current directory)')
+  .option('--cache-dir <path>', 'Parse cache directory (default: <project>/.codescoop-cache)')
+  .option('--no-cache', 'Do not read or write the on-disk parse cache')
+  .option('--concurrency <n>', 'Worker threads used to parse CSS/JS files (default: CPU cores - 1)')
+  .option('--include <glob>', 'Only scan CSS/JS files matching this glob (repeatable; rooted globs like "dist/**" also override the built-in ignores)', collect, [])
+  .option('--exclude <glob>', 'Skip CSS/JS files matching this glob (repeatable)', collect, [])
+  .option('--max-file-size <size>', 'Skip CSS/JS files larger than this, e.g. 500kb or 2mb (default: no limit)')
+  .option('--no-ignore-files', 'Scan files listed in .gitignore / .codescoopignore too')
+  .option('--config <path>', 'Config file to use (default: nearest .codescooprc or codescoop.config.js)')
+  .option('--no-config', 'Ignore project config files')
+  .action(async (dir, options, command) => {
+    // stdout carries the protocol; anything else goes to stderr
+    console.log = console.error;
+
+    try {
+      applyProjectConfig(dir ? path.resolve(dir) : process.cwd(), options, command);
+
+      const projectDir = dir ? path.resolve(dir) : (options.dir || process.cwd());
+      const dirValidation = validateProjectDir(projectDir);
+      if (!dirValidation.valid) {
+        dirValidation.errors.forEach(e => console.error(chalk.red(`✖  ${e}`)));
+        process.exit(1);
+      }
+
+      const cacheDir = resolveCacheDir(options, projectDir);
+      await runMcpServer({
+        projectDir,
+        analysisOptions: {
+          cacheDir,
+          concurrency: parseConcurrency(options.concurrency),
+          ...resolveFileFilter(options),
+          libraries: options.libraries,
+          skipMinified: options.skipMinified,
+          includeInline: options.includeInline,
+          selectorIndex: cacheDir ? loadSelectorIndex(path.join(cacheDir, INDEX_FILE_NAME)) : null
+        }
+      });
+      process.exit(0);
+
+    } catch (error) {
+      console.error(chalk.red(`✖  ${formatError(error, false)}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('lsp')
+  .description('Run a Language Server over stdio: hover and go-to-definition for classes in HTML and templates')
+  .argument('[dir]', 'Project directory to scan (default: the editor workspace)')
+  .option('--stdio', 'Talk over stdin/stdout (the default; accepted for editor clients that pass it)')
+  .option('--cache-dir <path>', 'Parse cache directory (default: <project>/.codescoop-cache)')
+  .option('--no-cache', 'Do not read or write the on-disk parse cache')
+  .option('--concurrency <n>', 'Worker threads used to parse CSS/JS files (default: CPU cores - 1)')
+  .option('--include <glob>', 'Only scan CSS/JS files matching this glob (repeatable; rooted globs like "dist/**" also override the built-in ignores)', collect, [])
+  .option('--exclude <glob>', 'Skip CSS/JS files matching this glob (repeatable)', collect, [])
+  .option('--max-file-size <size>', 'Skip CSS/JS files larger than this, e.g. 500kb or 2mb (default: no limit)')
+  .option('--no-ignore-files', 'Scan files listed in .gitignore / .codescoopignore too')
+  .option('--config <path>', 'Config file to use (default: nearest .codescooprc or codescoop.config.js)')
+  .option('--no-config', 'Ignore project config files')
+  .action(async (dir, options, command) => {
+    // stdout carries the protocol; anything else goes to stderr
+    console.log = console.error;
+
+    try {
+      applyProjectConfig(dir ? path.resolve(dir) : process.cwd(), options, command);
+
+      const projectDir = dir ? path.resolve(dir) : options.dir;
+      if (projectDir) {
+        const dirValidation = validateProjectDir(projectDir);
+        if (!dirValidation.valid) {
+          dirValidation.errors.forEach(e => console.error(chalk.red(`✖  ${e}`)));
+          process.exit(1);
+        }
+      }
+
+      // Without a directory, the project (and its cache) is the workspace the editor opens
+      const exitCode = await runLspServer({
+        projectDir,
+        analysisOptions: {
+          cache: options.cache,
+          cacheDir: options.cacheDir ? path.resolve(options.cacheDir) : null,
+          concurrency: parseConcurrency(options.concurrency),
+          ...resolveFileFilter(options),
+          libraries: options.libraries
+        }
+      });
+      process.exit(exitCode);
+
+    } catch (error) {
+      console.error(chalk.red(`✖  ${formatError(error, false)}`));
+      process.exit(1);
+    }
+  });
+
 // Handle uncaught errors gracefully
 process.on('uncaughtException', (error) => {
   console.error(chalk.red(`\n✖  Unexpected error: ${error.message}`));
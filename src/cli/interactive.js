@@ -7,17 +7,37 @@ const inquirer = require('inquirer');
 const chalk = require('chalk');
 const fs = require('fs');
 const { parseHTML, getHTMLStructure } = require('../parsers/html-parser');
+const { buildComponentTree } = require('../utils/component-tree');
+const { scanProject } = require('../utils/project-scanner');
+const { analyzeComponent } = require('../index');
+const { runTreeNavigator } = require('./tree-navigator');
 
 /**
  * Run interactive mode to select a component
- * @param {string} htmlPath - Path to HTML file
- * @returns {Object|null} Selected component info or null if cancelled
+ * On a terminal this opens the tree navigator; otherwise it falls back to a
+ * checklist of the top-level elements. Both can pick several components at once.
+ * @param {string} htmlPath - Path to HTML file, or the URL the page was fetched from
+ * @param {Object} options
+ * @param {string|null} options.htmlContent - Already resolved HTML (fetched page, template stripped
+ *   to HTML); htmlPath is read when omitted
+ * @param {string|null} options.projectDir - Project to compute quick stats against (none when null)
+ * @param {Object} options.analysisOptions - File filter, libraries, cache and concurrency options for the stats
+ * @param {stream.Readable} options.input - Key input (default: process.stdin)
+ * @param {stream.Writable} options.output - Screen output (default: process.stdout)
+ * @returns {Object|null} Selected component info ({ selector, matchIndex, mode, targets }, targets
+ *   listing every picked component as batch targets) or null if cancelled
  */
-async function runInteractiveMode(htmlPath) {
+async function runInteractiveMode(htmlPath, options = {}) {
+    const { projectDir = null, analysisOptions = {}, input = process.stdin, output = process.stdout } = options;
+
     // Parse HTML file
-    const htmlContent = fs.readFileSync(htmlPath, 'utf-8');
+    const htmlContent = options.htmlContent || fs.readFileSync(htmlPath, 'utf-8');
     const $ = parseHTML(htmlContent);
 
+    if (input.isTTY && input.setRawMode) {
+        return runTreeSelection($, { htmlPath, htmlContent, projectDir, analysisOptions, input, output });
+    }
+
     // Get structure
     const structure = getHTMLStructure($);
 
@@ -55,56 +75,128 @@ async function runInteractiveMode(htmlPath) {
         name: chalk.yellow('Enter custom selector...'),
         value: '__custom__'
     });
-    choices.push({
-        name: chalk.gray('Cancel'),
-        value: '__cancel__'
-    });
 
     // Prompt for selection
     const { selection } = await inquirer.prompt([
         {
-            type: 'list',
+            type: 'checkbox',
             name: 'selection',
-            message: 'Select a component to analyze:',
+            message: 'Select components to analyze (none to cancel):',
             choices,
             pageSize: 15
         }
     ]);
 
-    if (selection === '__cancel__') {
+    if (selection.includes('__custom__')) {
+        return promptCustomSelector($);
+    }
+
+    const selectors = [...new Set(selection)];
+    if (selectors.length === 0) {
         return null;
     }
 
-    if (selection === '__custom__') {
-        const { customSelector } = await inquirer.prompt([
-            {
-                type: 'input',
-                name: 'customSelector',
-                message: 'Enter CSS selector:',
-                validate: (input) => {
-                    if (!input.trim()) {
-                        return 'Please enter a valid CSS selector';
-                    }
-                    // Basic validation - try to use it
-                    try {
-                        $(input);
-                        return true;
-                    } catch (e) {
-                        return 'Invalid CSS selector';
-                    }
-                }
-            }
-        ]);
+    return {
+        selector: selectors[0],
+        mode: 'selected',
+        targets: selectors.map(selector => ({ selector }))
+    };
+}
+
+/**
+ * Pick an element in the tree navigator, with quick stats from one shared project scan
+ */
+async function runTreeSelection($, { htmlPath, htmlContent, projectDir, analysisOptions, input, output }) {
+    const tree = buildComponentTree($);
+    if (tree.length === 0) {
+        console.log(chalk.yellow('No significant HTML elements found in the file.'));
+        return null;
+    }
+
+    const stats = projectDir ? await createStatsProvider({ htmlPath, htmlContent, projectDir, analysisOptions }) : null;
+    try {
+        const result = await runTreeNavigator({ $, tree, getStats: stats && stats.getStats, input, output });
 
+        if (!result) {
+            return null;
+        }
+        if (result.custom) {
+            return promptCustomSelector($);
+        }
         return {
-            selector: customSelector,
-            mode: 'custom'
+            selector: result.node.selector,
+            matchIndex: result.node.matchIndex,
+            mode: 'selected',
+            // Names keep reports of elements sharing a selector apart
+            targets: result.nodes.map(node => ({
+                selector: node.selector,
+                matchIndex: node.matchIndex,
+                ...(node.matchIndex > 0 && { name: `${node.selector.replace(/^[.#]/, '')}-${node.matchIndex + 1}` })
+            }))
         };
+    } finally {
+        if (stats) await stats.close();
     }
+}
+
+/**
+ * Quick stats for the navigator's side panel: the element is analyzed like
+ * a normal run, against a project scan shared by all elements
+ * @returns {Promise<Object>} { getStats(node), close() }
+ */
+async function createStatsProvider({ htmlPath, htmlContent, projectDir, analysisOptions }) {
+    const { ignore = [], include = [], ignoreFiles = true, maxFileSize, libraries = {}, cacheDir = null, concurrency = 1 } = analysisOptions;
+    const projectScan = await scanProject(projectDir, { ignore, include, ignoreFiles, maxFileSize, libraries, cacheDir, concurrency, log: () => { } });
+
+    return {
+        async getStats(node) {
+            const analysis = await analyzeComponent({
+                ...analysisOptions,
+                htmlPath,
+                htmlContent,
+                projectDir,
+                selector: node.selector,
+                matchIndex: node.matchIndex,
+                perElement: false,
+                projectScan
+            });
+            return {
+                cssMatches: analysis.cssResults.reduce((sum, r) => sum + r.matches.length, 0),
+                jsMatches: analysis.jsResults.reduce((sum, r) => sum + r.matches.length, 0),
+                ghostClasses: analysis.ghostData.ghostClasses
+            };
+        },
+        close: () => projectScan.close()
+    };
+}
+
+/**
+ * Ask for a CSS selector instead of picking an element
+ */
+async function promptCustomSelector($) {
+    const { customSelector } = await inquirer.prompt([
+        {
+            type: 'input',
+            name: 'customSelector',
+            message: 'Enter CSS selector:',
+            validate: (input) => {
+                if (!input.trim()) {
+                    return 'Please enter a valid CSS selector';
+                }
+                // Basic validation - try to use it
+                try {
+                    $(input);
+                    return true;
+                } catch (e) {
+                    return 'Invalid CSS selector';
+                }
+            }
+        }
+    ]);
 
     return {
-        selector: selection,
-        mode: 'selected'
+        selector: customSelector,
+        mode: 'custom'
     };
 }
 
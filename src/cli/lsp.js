@@ -0,0 +1,415 @@
+/**
+ * Language Server
+ * LSP server over stdio for HTML and template files: hovering a class shows
+ * the CSS rules that match it (with specificity and the winning
+ * declarations), and go-to-definition jumps to those rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { version } = require('../../package.json');
+const { scanProject } = require('../utils/project-scanner');
+const { parseHTML } = require('../parsers/html-parser');
+const { getLinkedFiles, classifyProjectFiles } = require('../utils/file-scanner');
+const { CACHE_DIR_NAME } = require('../utils/parse-cache');
+const { INDEX_FILE_NAME, findSelectorReferences, loadSelectorIndex } = require('../utils/selector-index');
+const { calculateSpecificity, formatSpecificity, explainProperties } = require('../utils/specificity-calculator');
+const { isTemplateFile, parseTemplateContent } = require('../utils/template-parser');
+
+// Rule code blocks shown in one hover
+const MAX_HOVER_RULES = 8;
+
+// JSON-RPC / LSP error codes
+const METHOD_NOT_FOUND = -32601;
+const SERVER_NOT_INITIALIZED = -32002;
+
+// TextDocumentSyncKind.Full: clients send the whole document on every change
+const SYNC_FULL = 1;
+
+// Template expressions inside a class attribute are not class names
+const TEMPLATE_EXPRESSION = /<\?[\s\S]*?(?:\?>|$)|\{\{[\s\S]*?(?:\}\}|$)|\{!![\s\S]*?(?:!!\}|$)|\{%[\s\S]*?(?:%\}|$)|<%[\s\S]*?(?:%>|$)/g;
+
+/**
+ * Create the LSP request handler
+ * @param {Object} options
+ * @param {string} options.projectDir - Project to scan (default: the client's workspace root)
+ * @param {Object} options.analysisOptions - Scan options (cache, cacheDir, concurrency, ignore, include, libraries, ...)
+ * @param {Function} options.onExit - Called with the exit code when the client sends `exit`
+ * @param {Function} options.log - Called with a line for each failed notification (default: stderr)
+ * @returns {Object} { handleMessage(message), close() }
+ */
+function createLspServer(options = {}) {
+    const {
+        analysisOptions = {},
+        onExit = () => { },
+        log = (line) => process.stderr.write(`${line}\n`)
+    } = options;
+    const documents = new Map();
+    let projectDir = options.projectDir || null;
+    let projectScan = null;
+    let scanOptions = null;
+    let selectorIndex = null;
+    let shutdownRequested = false;
+
+    const rescan = async () => {
+        const previous = projectScan;
+        projectScan = await scanProject(projectDir, scanOptions);
+        if (previous) await previous.close();
+    };
+
+    /**
+     * Find the class under the cursor and the CSS rules that mention it
+     */
+    const lookup = async ({ textDocument, position }) => {
+        if (!textDocument.uri.startsWith('file:')) return null;
+
+        const filePath = fileURLToPath(textDocument.uri);
+        const text = documents.has(textDocument.uri)
+            ? documents.get(textDocument.uri)
+            : fs.readFileSync(filePath, 'utf-8');
+
+        const found = findClassAtPosition(text, position);
+        if (!found) return null;
+
+        // Stylesheets edited since they were parsed are re-parsed here
+        projectScan.refresh();
+
+        const hits = await findSelectorReferences(projectScan, `.${found.className}`, selectorIndex, { includeJS: false });
+        const applying = hits.filter(hit => targetsClass(hit.label, found.className));
+
+        return { ...found, filePath, text, hits, applying };
+    };
+
+    const methods = {
+        initialize: async (params = {}) => {
+            if (!projectDir) {
+                const rootUri = params.workspaceFolders?.[0]?.uri || params.rootUri;
+                projectDir = rootUri ? fileURLToPath(rootUri) : (params.rootPath || process.cwd());
+            }
+
+            const cacheDir = analysisOptions.cache === false
+                ? null
+                : (analysisOptions.cacheDir || path.join(projectDir, CACHE_DIR_NAME));
+            scanOptions = {
+                ignore: analysisOptions.ignore || [],
+                include: analysisOptions.include || [],
+                ignoreFiles: analysisOptions.ignoreFiles !== false,
+                maxFileSize: analysisOptions.maxFileSize,
+                libraries: analysisOptions.libraries || {},
+                cacheDir,
+                concurrency: analysisOptions.concurrency || 1
+            };
+            selectorIndex = cacheDir ? loadSelectorIndex(path.join(cacheDir, INDEX_FILE_NAME)) : null;
+            await rescan();
+
+            return {
+                capabilities: {
+                    textDocumentSync: { openClose: true, change: SYNC_FULL, save: true },
+                    hoverProvider: true,
+                    definitionProvider: true
+                },
+                serverInfo: { name: 'codescoop', version }
+            };
+        },
+
+        shutdown: () => {
+            shutdownRequested = true;
+            return null;
+        },
+
+        'textDocument/hover': async (params) => {
+            const result = await lookup(params);
+            if (!result || result.hits.length === 0) return null;
+
+            const linkedFiles = getLinkedFiles(parseHTML(extractHTML(result.text, result.filePath)), result.filePath, projectScan.exists);
+
+            return {
+                contents: { kind: 'markdown', value: formatHover(result, linkedFiles, projectDir) },
+                range: result.range
+            };
+        },
+
+        'textDocument/definition': async (params) => {
+            const result = await lookup(params);
+            if (!result) return null;
+
+            // Rules that only use the class as context (".card .title") are a fallback
+            const targets = result.applying.length > 0 ? result.applying : result.hits;
+            return targets.map(hit => ({
+                uri: pathToFileURL(hit.filePath).href,
+                range: {
+                    start: { line: hit.line - 1, character: 0 },
+                    end: { line: (hit.endLine || hit.line) - 1, character: 0 }
+                }
+            }));
+        }
+    };
+
+    const notifications = {
+        'textDocument/didOpen': ({ textDocument }) => {
+            documents.set(textDocument.uri, textDocument.text);
+        },
+
+        'textDocument/didChange': ({ textDocument, contentChanges }) => {
+            const last = contentChanges[contentChanges.length - 1];
+            if (last) documents.set(textDocument.uri, last.text);
+        },
+
+        'textDocument/didClose': ({ textDocument }) => {
+            documents.delete(textDocument.uri);
+        },
+
+        // Saving a new stylesheet adds it to the project
+        'textDocument/didSave': async ({ textDocument }) => {
+            if (!textDocument.uri.startsWith('file:')) return;
+            const relative = path.relative(projectDir, fileURLToPath(textDocument.uri));
+            if (relative.startsWith('..') || path.isAbsolute(relative)) return;
+
+            const { css } = classifyProjectFiles([relative.split(path.sep).join('/')], scanOptions);
+            if (css.length > 0 && !projectScan.files.css.includes(path.join(projectDir, relative))) {
+                await rescan();
+            }
+        },
+
+        exit: () => {
+            onExit(shutdownRequested ? 0 : 1);
+        }
+    };
+
+    return {
+        /**
+         * Handle one JSON-RPC message
+         * @param {Object} message - Parsed request or notification
+         * @returns {Promise<Object|null>} Response, or null for notifications
+         */
+        async handleMessage(message) {
+            const isNotification = message.id === undefined;
+
+            if (isNotification) {
+                const notification = notifications[message.method];
+                if (notification && (projectScan || message.method === 'exit')) {
+                    // Notifications have no response to carry an error: log it and keep serving
+                    try {
+                        await notification(message.params || {});
+                    } catch (error) {
+                        log(`codescoop lsp: ${message.method} failed: ${error.message}`);
+                    }
+                }
+                return null;
+            }
+
+            const method = methods[message.method];
+            if (!method) {
+                return errorResponse(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+            }
+            if (!projectScan && message.method !== 'initialize') {
+                return errorResponse(message.id, SERVER_NOT_INITIALIZED, 'Server not initialized');
+            }
+
+            try {
+                return { jsonrpc: '2.0', id: message.id, result: await method(message.params) };
+            } catch (error) {
+                return errorResponse(message.id, -32603, error.message);
+            }
+        },
+
+        async close() {
+            if (projectScan) await projectScan.close();
+        }
+    };
+}
+
+/**
+ * Serve LSP over stdin/stdout (Content-Length framed messages)
+ * @param {Object} options - Same options as createLspServer(), without onExit
+ * @returns {Promise<number>} Exit code, once the client sends `exit` or closes stdin
+ */
+function runLspServer(options) {
+    return new Promise(resolve => {
+        let buffer = Buffer.alloc(0);
+        let queue = Promise.resolve();
+        let finished = false;
+
+        const finish = (code) => {
+            if (finished) return;
+            finished = true;
+            queue.then(() => server.close()).then(() => resolve(code));
+        };
+
+        const server = createLspServer({ ...options, onExit: finish });
+
+        const send = (message) => {
+            const body = Buffer.from(JSON.stringify(message), 'utf-8');
+            process.stdout.write(`Content-Length: ${body.length}\r\n\r\n`);
+            process.stdout.write(body);
+        };
+
+        process.stdin.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            for (; ;) {
+                const headerEnd = buffer.indexOf('\r\n\r\n');
+                if (headerEnd === -1) break;
+
+                const header = buffer.slice(0, headerEnd).toString('ascii');
+                const lengthMatch = header.match(/Content-Length:\s*(\d+)/i);
+                if (!lengthMatch) {
+                    // Unreadable header: drop it and resynchronize on the next one
+                    buffer = buffer.slice(headerEnd + 4);
+                    continue;
+                }
+
+                const length = parseInt(lengthMatch[1], 10);
+                if (buffer.length < headerEnd + 4 + length) break;
+
+                const body = buffer.slice(headerEnd + 4, headerEnd + 4 + length).toString('utf-8');
+                buffer = buffer.slice(headerEnd + 4 + length);
+
+                let message;
+                try {
+                    message = JSON.parse(body);
+                } catch (error) {
+                    send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+                    continue;
+                }
+
+                // Handle messages in order, so didChange always lands before the next hover
+                queue = queue
+                    .then(() => server.handleMessage(message))
+                    .then(response => {
+                        if (response) send(response);
+                    })
+                    // One bad message must not wedge the queue for every later one
+                    .catch(error => process.stderr.write(`codescoop lsp: ${error.message}\n`));
+            }
+        });
+
+        process.stdin.on('end', () => finish(1));
+    });
+}
+
+/**
+ * Find the class name under the cursor, if the cursor is inside a class attribute
+ * @param {string} text - Document text
+ * @param {Object} position - LSP position ({ line, character }, both 0-based)
+ * @returns {Object|null} { className, range }
+ */
+function findClassAtPosition(text, position) {
+    const offset = offsetAt(text, position);
+    const attributePattern = /(?<![\w:@.-])class\s*=\s*(["'])([\s\S]*?)\1/gi;
+
+    for (const match of text.matchAll(attributePattern)) {
+        const valueStart = match.index + match[0].length - match[2].length - 1;
+        const valueEnd = valueStart + match[2].length;
+        if (offset < valueStart || offset > valueEnd) continue;
+
+        // Blank out template expressions, keeping offsets intact
+        const value = match[2].replace(TEMPLATE_EXPRESSION, expression => ' '.repeat(expression.length));
+
+        for (const token of value.matchAll(/[^\s]+/g)) {
+            const start = valueStart + token.index;
+            const end = start + token[0].length;
+            if (offset < start || offset > end || !/^-?[_a-zA-Z][\w-]*$/.test(token[0])) continue;
+
+            return {
+                className: token[0],
+                range: { start: positionAt(text, start), end: positionAt(text, end) }
+            };
+        }
+        return null;
+    }
+
+    return null;
+}
+
+/**
+ * Whether a selector styles elements carrying the class (rather than using it as context)
+ */
+function targetsClass(selector, className) {
+    const classPattern = new RegExp(`\\.${className.replace(/[-]/g, '\\-')}(?![\\w-])`);
+
+    return selector.split(',').some(part => {
+        const compounds = part.replace(/::?[\w-]+(\([^)]*\))?$/, '').trim().split(/\s*[>+~]\s*|\s+/);
+        return classPattern.test(compounds[compounds.length - 1]);
+    });
+}
+
+/**
+ * Hover markdown: winning declarations, then the rules themselves
+ */
+function formatHover({ className, applying, hits }, linkedFiles, projectDir) {
+    const location = (hit) => `${path.relative(projectDir, hit.filePath).split(path.sep).join('/')}:${hit.line}`;
+    const files = new Set(hits.map(hit => hit.filePath));
+    let md = `**\`.${className}\`** — ${hits.length} rule(s) in ${files.size} file(s)\n\n`;
+
+    if (applying.length > 0) {
+        const cssResults = [...new Set(applying.map(hit => hit.filePath))].map(filePath => ({
+            filePath,
+            matches: applying
+                .filter(hit => hit.filePath === filePath)
+                .map(hit => ({ selector: hit.label, content: hit.content, startLine: hit.line, endLine: hit.endLine }))
+        }));
+
+        md += `| Property | Winning value | From |\n`;
+        md += `|----------|---------------|------|\n`;
+        explainProperties(cssResults, linkedFiles).forEach(({ property, winner, declarations }) => {
+            const overridden = declarations.length > 1 ? ` (overrides ${declarations.length - 1})` : '';
+            md += `| \`${property}\` | \`${winner.value.replace(/\|/g, '\\|')}\`${overridden} | \`${winner.selector}\` ${location({ filePath: winner.file, line: winner.startLine })} |\n`;
+        });
+        md += '\n';
+    }
+
+    const shown = [...applying, ...hits.filter(hit => !applying.includes(hit))].slice(0, MAX_HOVER_RULES);
+    shown.forEach(hit => {
+        const context = applying.includes(hit) ? '' : ' · context only';
+        md += `---\n\n\`${hit.label}\` ${formatSpecificity(calculateSpecificity(hit.label))} — ${location(hit)}${context}\n\n`;
+        md += `\`\`\`css\n${hit.content}\n\`\`\`\n\n`;
+    });
+
+    if (hits.length > shown.length) {
+        md += `_... and ${hits.length - shown.length} more_\n`;
+    }
+
+    return md.trimEnd();
+}
+
+/**
+ * The HTML of a document, with template syntax removed
+ */
+function extractHTML(text, filePath) {
+    return isTemplateFile(filePath) ? parseTemplateContent(text, filePath).html : text;
+}
+
+/**
+ * Convert an LSP position (UTF-16 code units, like JS strings) to a string offset
+ */
+function offsetAt(text, { line, character }) {
+    let offset = 0;
+    for (let i = 0; i < line; i++) {
+        const next = text.indexOf('\n', offset);
+        if (next === -1) return text.length;
+        offset = next + 1;
+    }
+    return Math.min(offset + character, text.length);
+}
+
+/**
+ * Convert a string offset to an LSP position
+ */
+function positionAt(text, offset) {
+    const before = text.slice(0, offset);
+    const line = (before.match(/\n/g) || []).length;
+    return { line, character: offset - (before.lastIndexOf('\n') + 1) };
+}
+
+function errorResponse(id, code, message) {
+    return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+module.exports = {
+    createLspServer,
+    runLspServer,
+    findClassAtPosition,
+    targetsClass
+};
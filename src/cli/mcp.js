@@ -0,0 +1,357 @@
+/**
+ * MCP Server
+ * Model Context Protocol server over stdio, so coding agents can query a
+ * project's components directly. Speaks newline-delimited JSON-RPC 2.0 on
+ * stdin/stdout; stdout carries protocol messages only.
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { version } = require('../../package.json');
+const { scoop } = require('../index');
+const { scanProject } = require('../utils/project-scanner');
+const { parseHTML, getHTMLStructure } = require('../parsers/html-parser');
+const { resolvePage, readPage, parseTarget } = require('./page-target');
+const { findSelectorReferences } = require('../utils/selector-index');
+const { explainProperty, formatSpecificity } = require('../utils/specificity-calculator');
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Keep tool results within what an agent can usefully read
+const MAX_REFERENCES = 50;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const pageParam = {
+    type: 'string',
+    description: 'HTML file or template, relative to the project directory'
+};
+const targetParams = {
+    page: pageParam,
+    selector: { type: 'string', description: 'CSS selector of the component, e.g. ".navbar" or "#header"' },
+    text: { type: 'string', description: 'Visible text inside the component instead of a selector, e.g. "Free Shipping"' },
+    xpath: { type: 'string', description: 'XPath of the component instead of a selector, e.g. "//nav[@id=\'main\']"' },
+    role: { type: 'string', description: 'ARIA role of the component (explicit or implicit) instead of a selector, e.g. "navigation"' },
+    lines: { type: 'string', description: 'Line range of the component instead of a selector, e.g. "45-80"' },
+    matchIndex: { type: 'integer', minimum: 0, description: 'Which match to use when the selector matches several elements (default: 0)' }
+};
+
+const TOOLS = [
+    {
+        name: 'analyze_component',
+        description: 'Full CodeScoop analysis of one component: its HTML, the CSS rules and JS references that apply to it (linked or not), variables, assets, specificity conflicts and ghost classes.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...targetParams,
+                format: { type: 'string', enum: ['markdown', 'json'], description: 'Report format (default: markdown)' },
+                compact: { type: 'boolean', description: 'Limit code blocks per file' },
+                forConversion: { type: 'boolean', description: 'Add React/Next.js conversion hints' }
+            },
+            required: ['page']
+        }
+    },
+    {
+        name: 'list_components',
+        description: 'List the top-level components of a page with a selector for each, to pick targets for the other tools.',
+        inputSchema: {
+            type: 'object',
+            properties: { page: pageParam },
+            required: ['page']
+        }
+    },
+    {
+        name: 'find_rules_for_class',
+        description: 'Find every CSS rule and JS reference in the project that mentions a class (or an id/attribute), with file, line and code.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                className: { type: 'string', description: 'Class name ("btn-primary" or ".btn-primary"); "#id" and "[data-attr]" also work' }
+            },
+            required: ['className']
+        }
+    },
+    {
+        name: 'explain_property',
+        description: 'Explain which declaration of a CSS property wins on a component and why every other one loses (!important, specificity, source order).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                ...targetParams,
+                property: { type: 'string', description: 'CSS property, e.g. "color" or "margin-top"' }
+            },
+            required: ['page', 'property']
+        }
+    },
+    {
+        name: 'list_ghost_classes',
+        description: 'List the classes on a component that no CSS in the project (or its libraries) defines.',
+        inputSchema: {
+            type: 'object',
+            properties: targetParams,
+            required: ['page']
+        }
+    }
+];
+
+// Tool argument errors are reported to the agent as tool errors
+class ToolError extends Error { }
+
+const toToolError = (message) => new ToolError(message);
+
+/**
+ * Create the MCP request handler
+ * @param {Object} options
+ * @param {string} options.projectDir - Project to serve
+ * @param {Object} options.analysisOptions - Defaults for analyses (cacheDir, concurrency, ignore, libraries, ...)
+ * @returns {Promise<Object>} { handleMessage(message), close() }
+ */
+async function createMcpServer(options) {
+    const { projectDir, analysisOptions = {} } = options;
+    const projectScan = await scanProject(projectDir, {
+        ignore: analysisOptions.ignore || [],
+        include: analysisOptions.include || [],
+        ignoreFiles: analysisOptions.ignoreFiles !== false,
+        maxFileSize: analysisOptions.maxFileSize,
+        libraries: analysisOptions.libraries || {},
+        cacheDir: analysisOptions.cacheDir || null,
+        concurrency: analysisOptions.concurrency || 1
+    });
+
+    const analyze = async (args, formats = []) => {
+        const { htmlPath } = resolvePage(projectDir, args.page, toToolError);
+        const target = parseTarget(args, toToolError);
+
+        // Files edited since they were parsed are re-parsed on this call
+        projectScan.refresh();
+
+        try {
+            return await scoop({
+                ...analysisOptions,
+                ...target,
+                html: readPage(htmlPath),
+                htmlPath,
+                projectDir,
+                projectScan,
+                compact: !!args.compact,
+                forConversion: !!args.forConversion,
+                formats
+            });
+        } catch (error) {
+            throw new ToolError(error.message);
+        }
+    };
+
+    const tools = {
+        async analyze_component(args) {
+            const format = args.format || 'markdown';
+            if (!['markdown', 'json'].includes(format)) {
+                throw new ToolError(`Invalid format: "${format}". Use "markdown" or "json".`);
+            }
+            const { outputs } = await analyze(args, [format]);
+            return outputs[format];
+        },
+
+        async list_components(args) {
+            const { htmlPath } = resolvePage(projectDir, args.page, toToolError);
+            const structure = getHTMLStructure(parseHTML(readPage(htmlPath)));
+
+            if (structure.length === 0) {
+                return `No components found in ${args.page}.`;
+            }
+            return structure
+                .map(item => `${item.isChild ? '  - ' : '- '}\`${item.selector}\` ${item.display.replace(/^\s*└── /, '')}`)
+                .join('\n');
+        },
+
+        async find_rules_for_class(args) {
+            const name = String(args.className || '').trim();
+            if (!name) {
+                throw new ToolError('Pass a "className"');
+            }
+            const query = /^[.#[]/.test(name) ? name : `.${name}`;
+
+            projectScan.refresh();
+
+            let hits;
+            try {
+                hits = await findSelectorReferences(projectScan, query, analysisOptions.selectorIndex || null);
+            } catch (error) {
+                throw new ToolError(error.message);
+            }
+
+            if (hits.length === 0) {
+                return `Nothing in the project mentions \`${query}\`.`;
+            }
+
+            let text = `\`${query}\` is mentioned ${hits.length} time(s)`;
+            text += hits.length > MAX_REFERENCES ? ` (showing the first ${MAX_REFERENCES}):\n\n` : ':\n\n';
+            hits.slice(0, MAX_REFERENCES).forEach(hit => {
+                const location = `${path.relative(projectDir, hit.filePath)}:${hit.line}`;
+                text += `### ${location} — \`${hit.label}\`${hit.kind === 'js' ? ` (${hit.type})` : ''}\n\n`;
+                text += `\`\`\`${hit.kind === 'css' ? 'css' : 'javascript'}\n${hit.content}\n\`\`\`\n\n`;
+            });
+            return text.trimEnd();
+        },
+
+        async explain_property(args) {
+            if (!args.property) {
+                throw new ToolError('Pass a "property"');
+            }
+            const { analysis } = await analyze(args);
+            const { winner, declarations } = explainProperty(analysis.cssResults, analysis.linkedFiles, args.property);
+
+            const target = analysis.targetInfo.summary;
+            if (!winner) {
+                return `No matched CSS rule sets \`${args.property}\` on \`${target}\`.`;
+            }
+
+            const describe = (rule) => `\`${rule.selector}\` ${formatSpecificity(rule.specificity)} → \`${rule.value}\` (${path.relative(projectDir, rule.file)}:${rule.startLine})`;
+
+            let text = `\`${args.property}\` on \`${target}\` renders from ${describe(winner)}.\n`;
+            if (declarations.length > 1) {
+                text += '\nOverridden declarations:\n';
+                declarations.slice(1).forEach(rule => {
+                    text += `- ${describe(rule)}: ${rule.reason}\n`;
+                });
+            }
+            text += '\nOnly rules from project stylesheets are ranked; inline styles and libraries are not included.';
+            return text;
+        },
+
+        async list_ghost_classes(args) {
+            const { analysis } = await analyze(args);
+            const { ghostClasses, totalClasses } = analysis.ghostData;
+
+            if (ghostClasses.length === 0) {
+                return `No ghost classes: all ${totalClasses} classes on \`${analysis.targetInfo.summary}\` have CSS (or are known utility classes).`;
+            }
+            return `${ghostClasses.length} of ${totalClasses} classes have no CSS anywhere in the project:\n`
+                + ghostClasses.map(cls => `- \`${cls}\``).join('\n');
+        }
+    };
+
+    const methods = {
+        initialize: (params = {}) => ({
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+                ? params.protocolVersion
+                : SUPPORTED_PROTOCOL_VERSIONS[0],
+            capabilities: { tools: {} },
+            serverInfo: { name: 'codescoop', version },
+            instructions: `Component analysis for the project at ${projectDir}. Start with list_components on a page, then analyze_component or the narrower tools.`
+        }),
+
+        ping: () => ({}),
+
+        'tools/list': () => ({ tools: TOOLS }),
+
+        'tools/call': async (params = {}) => {
+            const tool = tools[params.name];
+            if (!tool) {
+                throw rpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+            }
+
+            try {
+                const text = await tool(params.arguments || {});
+                return { content: [{ type: 'text', text }] };
+            } catch (error) {
+                if (!(error instanceof ToolError)) throw error;
+                return { content: [{ type: 'text', text: error.message }], isError: true };
+            }
+        }
+    };
+
+    return {
+        /**
+         * Handle one JSON-RPC message
+         * @param {Object} message - Parsed request or notification
+         * @returns {Promise<Object|null>} Response, or null for notifications
+         */
+        async handleMessage(message) {
+            if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+                return errorResponse(message?.id ?? null, rpcError(INVALID_REQUEST, 'Invalid JSON-RPC request'));
+            }
+
+            const isNotification = message.id === undefined;
+            const method = methods[message.method];
+
+            if (isNotification) {
+                return null;
+            }
+            if (!method) {
+                return errorResponse(message.id, rpcError(METHOD_NOT_FOUND, `Method not found: ${message.method}`));
+            }
+
+            try {
+                return { jsonrpc: '2.0', id: message.id, result: await method(message.params) };
+            } catch (error) {
+                return errorResponse(message.id, error);
+            }
+        },
+
+        async close() {
+            await projectScan.close();
+        }
+    };
+}
+
+/**
+ * Serve MCP over stdin/stdout until stdin closes
+ * @param {Object} options - Same options as createMcpServer()
+ * @returns {Promise<void>} Resolves when the client disconnects
+ */
+async function runMcpServer(options) {
+    const server = await createMcpServer(options);
+    const input = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+    const send = (message) => process.stdout.write(`${JSON.stringify(message)}\n`);
+    const pending = new Set();
+
+    input.on('line', (line) => {
+        if (!line.trim()) return;
+
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            send(errorResponse(null, rpcError(PARSE_ERROR, 'Parse error')));
+            return;
+        }
+
+        const messages = Array.isArray(message) ? message : [message];
+        const handled = Promise.all(messages.map(m => server.handleMessage(m))).then(responses => {
+            const replies = responses.filter(Boolean);
+            if (replies.length > 0) {
+                send(Array.isArray(message) ? replies : replies[0]);
+            }
+        });
+
+        pending.add(handled);
+        handled.finally(() => pending.delete(handled));
+    });
+
+    await new Promise(resolve => input.once('close', resolve));
+    await Promise.all(pending);
+    await server.close();
+}
+
+function rpcError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+function errorResponse(id, error) {
+    return {
+        jsonrpc: '2.0',
+        id,
+        error: { code: Number.isInteger(error.code) ? error.code : -32603, message: error.message }
+    };
+}
+
+module.exports = {
+    TOOLS,
+    createMcpServer,
+    runMcpServer
+};
@@ -0,0 +1,95 @@
+/**
+ * Page Targets
+ * Request parameters shared by the HTTP and MCP servers: the `page` to
+ * analyze (a file inside the project) and the component to target in it.
+ * Each server passes an error factory so failures surface as its own error
+ * type (an HTTP status, a tool error).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sanitizeSelector, sanitizeTargetQuery } = require('../utils/validation');
+const { isTemplateFile, parseTemplateFile } = require('../utils/template-parser');
+
+/**
+ * Resolve a page parameter to a file inside the project
+ * @param {string} projectDir - Project root
+ * @param {string} page - Page path, relative to the project
+ * @param {Function} createError - (message, kind) => Error; kind is 'invalid' or 'not-found'
+ * @returns {Object} { htmlPath, page } - page: the project-relative path with forward slashes
+ */
+function resolvePage(projectDir, page, createError) {
+    if (!page || typeof page !== 'string') {
+        throw createError('Missing "page" (HTML file or template, relative to the project)', 'invalid');
+    }
+
+    const htmlPath = path.resolve(projectDir, page);
+    const relative = path.relative(projectDir, htmlPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw createError(`Page must be inside the project: ${page}`, 'invalid');
+    }
+    if (!fs.existsSync(htmlPath) || !fs.statSync(htmlPath).isFile()) {
+        throw createError(`Page not found: ${page}`, 'not-found');
+    }
+
+    return { htmlPath, page: relative.split(path.sep).join('/') };
+}
+
+/**
+ * Read a page, extracting the HTML from templates
+ * @param {string} htmlPath - Resolved page path
+ * @returns {string} HTML
+ */
+function readPage(htmlPath) {
+    return isTemplateFile(htmlPath)
+        ? parseTemplateFile(htmlPath).html
+        : fs.readFileSync(htmlPath, 'utf-8');
+}
+
+/**
+ * Validate the selector / text / xpath / role / lines / matchIndex parameters
+ * @param {Object} params - Request parameters or tool arguments
+ * @param {Function} createError - (message, kind) => Error; kind is always 'invalid' here
+ * @returns {Object} { selector, text, xpath, role, lineRange, matchIndex } as runAnalysis() takes them
+ */
+function parseTarget(params, createError) {
+    const queryTypes = ['text', 'xpath', 'role'].filter(type => params[type] !== undefined);
+    if (!params.selector && queryTypes.length === 0 && !params.lines) {
+        throw createError('Missing "selector", "text", "xpath", "role" or "lines"', 'invalid');
+    }
+    if (queryTypes.length > 1) {
+        throw createError(`Pass only one of ${queryTypes.map(type => `"${type}"`).join(', ')}`, 'invalid');
+    }
+
+    let selector;
+    if (params.selector) {
+        const validation = sanitizeSelector(String(params.selector));
+        if (!validation.valid) {
+            throw createError(`Invalid selector: ${validation.error}`, 'invalid');
+        }
+        selector = validation.selector;
+    }
+
+    const matchIndex = parseInt(params.matchIndex ?? 0, 10);
+    if (isNaN(matchIndex) || matchIndex < 0) {
+        throw createError(`Invalid matchIndex: "${params.matchIndex}". Must be a non-negative number.`, 'invalid');
+    }
+
+    const query = {};
+    if (!selector && queryTypes.length === 1) {
+        const [type] = queryTypes;
+        const validation = sanitizeTargetQuery(type, String(params[type]));
+        if (!validation.valid) {
+            throw createError(`Invalid ${type}: ${validation.error}`, 'invalid');
+        }
+        query[type] = validation.value;
+    }
+
+    return { selector, ...query, lineRange: params.lines, matchIndex };
+}
+
+module.exports = {
+    resolvePage,
+    readPage,
+    parseTarget
+};
@@ -0,0 +1,323 @@
+/**
+ * Serve Mode
+ * Local HTTP server that keeps one warm project scan (and parse cache) in
+ * memory and answers analysis requests over a small JSON REST API.
+ * Only listens on the loopback interface.
+ */
+
+const http = require('http');
+const path = require('path');
+const chalk = require('chalk');
+const { version } = require('../../package.json');
+const { runAnalysis } = require('../index');
+const { scanProject } = require('../utils/project-scanner');
+const { parseHTML, getHTMLStructure } = require('../parsers/html-parser');
+const { describeTarget } = require('../utils/target-locator');
+const { resolvePage, readPage, parseTarget } = require('./page-target');
+
+const HOST = '127.0.0.1';
+const DEFAULT_PORT = 4580;
+
+// Request bodies are small JSON documents
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Error with an HTTP status, thrown from request handlers
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const toHttpError = (message, kind) => new HttpError(kind === 'not-found' ? 404 : 400, message);
+
+/**
+ * Start the server
+ * @param {Object} options
+ * @param {string} options.projectDir - Project to serve; pages and CSS/JS files are resolved inside it
+ * @param {number} options.port - Port to listen on (0 picks a free one)
+ * @param {Object} options.analysisOptions - Defaults for runAnalysis() (cacheDir, concurrency, ignore, libraries, ...)
+ * @param {boolean} options.verbose - Log every request
+ * @returns {Promise<Object>} { server, url, close() }
+ */
+async function runServeMode(options) {
+    const {
+        projectDir,
+        port = DEFAULT_PORT,
+        analysisOptions = {},
+        verbose = false
+    } = options;
+
+    const scanOptions = {
+        ignore: analysisOptions.ignore || [],
+        include: analysisOptions.include || [],
+        ignoreFiles: analysisOptions.ignoreFiles !== false,
+        maxFileSize: analysisOptions.maxFileSize,
+        libraries: analysisOptions.libraries || {},
+        cacheDir: analysisOptions.cacheDir || null,
+        concurrency: analysisOptions.concurrency || 1
+    };
+
+    let projectScan = await scanProject(projectDir, scanOptions);
+
+    // Analyses still running on each scan, so a rescan can let them finish before closing it
+    const inFlight = new Map();
+    const withScan = async (task) => {
+        const scan = projectScan;
+        const running = task(scan);
+        if (!inFlight.has(scan)) inFlight.set(scan, new Set());
+        inFlight.get(scan).add(running);
+        try {
+            return await running;
+        } finally {
+            inFlight.get(scan).delete(running);
+            if (inFlight.get(scan).size === 0) inFlight.delete(scan);
+        }
+    };
+
+    const routes = {
+        'GET /health': () => ({
+            status: 'ok',
+            version,
+            projectDir,
+            files: { css: projectScan.files.css.length, js: projectScan.files.js.length }
+        }),
+
+        'GET /components': (params) => {
+            const { htmlPath } = resolvePage(projectDir, params.page, toHttpError);
+            const $ = parseHTML(readPage(htmlPath));
+            return {
+                page: params.page,
+                components: getHTMLStructure($).map(item => ({
+                    selector: item.selector,
+                    tagName: item.tagName,
+                    display: item.display.replace(/^\s*└── /, ''),
+                    isChild: !!item.isChild
+                }))
+            };
+        },
+
+        'GET /analyze': (params) => analyze(params),
+        'POST /analyze': (params) => analyze(params),
+
+        'GET /ghosts': async (params) => {
+            const result = await analyze({ ...params, format: 'json' });
+            return {
+                page: result.page,
+                target: result.target,
+                ghostClasses: result.ghostClasses,
+                warnings: result.warnings
+            };
+        },
+
+        // Pick up added or deleted files (changed files are noticed automatically)
+        'POST /rescan': async () => {
+            const previous = projectScan;
+            projectScan = await scanProject(projectDir, scanOptions);
+
+            // New requests already use the new scan; running ones finish on the old one
+            await Promise.allSettled([...(inFlight.get(previous) || [])]);
+            await previous.close();
+            return { files: { css: projectScan.files.css.length, js: projectScan.files.js.length } };
+        }
+    };
+
+    const analyze = async (params) => {
+        const { htmlPath, page } = resolvePage(projectDir, params.page, toHttpError);
+        const target = parseTarget(params, toHttpError);
+        const format = params.format || 'json';
+
+        if (!['markdown', 'json'].includes(format)) {
+            throw new HttpError(400, `Invalid format: "${format}". Use "markdown" or "json".`);
+        }
+
+        // Warnings belong to the request, not to the server console
+        const warnings = [];
+        const onProgress = ({ level, message }) => {
+            if (level === 'warning' || level === 'notice') warnings.push(message);
+        };
+
+        let result;
+        try {
+            result = await withScan(scan => {
+                // Files edited since they were parsed are re-parsed on this request
+                scan.refresh();
+                return runAnalysis({
+                    ...analysisOptions,
+                    ...pickReportOptions(params),
+                    ...target,
+                    htmlPath,
+                    htmlContent: readPage(htmlPath),
+                    projectDir,
+                    format,
+                    projectScan: scan,
+                    writeReport: false,
+                    verbose: false,
+                    onProgress
+                });
+            });
+        } catch (error) {
+            throw new HttpError(422, error.message);
+        }
+
+        if (format === 'markdown') {
+            // The body is the report itself: warnings travel in a header
+            return {
+                contentType: 'text/markdown; charset=utf-8',
+                body: result.report,
+                headers: { 'X-CodeScoop-Warnings': toHeaderJSON(warnings) }
+            };
+        }
+
+        return {
+            page,
+            target: describeTarget(target),
+            cssMatches: result.cssMatches,
+            jsMatches: result.jsMatches,
+            missingImports: result.missingImports.map(f => path.relative(projectDir, f)),
+            ghostClasses: result.ghostClasses,
+            warnings,
+            report: JSON.parse(result.report)
+        };
+    };
+
+    const server = http.createServer((req, res) => {
+        const startedAt = Date.now();
+
+        handleRequest(req, routes)
+            .then(response => send(res, 200, response))
+            .catch(error => {
+                const status = error.status || 500;
+                send(res, status, { error: error.message });
+                if (status === 500) {
+                    console.error(chalk.red(`✖  ${req.method} ${req.url}: ${error.stack}`));
+                }
+            })
+            .finally(() => {
+                if (verbose) {
+                    console.log(chalk.gray(`${req.method} ${req.url} → ${res.statusCode} (${Date.now() - startedAt}ms)`));
+                }
+            });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, HOST, resolve);
+    });
+
+    return {
+        server,
+        url: `http://${HOST}:${server.address().port}`,
+        async close() {
+            await new Promise(resolve => server.close(resolve));
+            await projectScan.close();
+        }
+    };
+}
+
+/**
+ * Route a request and collect its parameters (query string, plus JSON body for POST)
+ */
+async function handleRequest(req, routes) {
+    // Browsers can be tricked into calling localhost from another site (DNS rebinding)
+    const host = (req.headers.host || '').replace(/:\d+$/, '');
+    if (!['127.0.0.1', 'localhost'].includes(host)) {
+        throw new HttpError(403, `Host not allowed: ${host}`);
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const route = routes[`${req.method} ${url.pathname}`];
+
+    if (!route) {
+        const allowed = Object.keys(routes).filter(key => key.endsWith(` ${url.pathname}`));
+        throw allowed.length > 0
+            ? new HttpError(405, `Use ${allowed.map(key => key.split(' ')[0]).join(' or ')} for ${url.pathname}`)
+            : new HttpError(404, `Unknown endpoint: ${url.pathname}`);
+    }
+
+    const params = Object.fromEntries(url.searchParams);
+    if (req.method === 'POST') {
+        Object.assign(params, await readJSONBody(req));
+    }
+
+    return route(params);
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJSONBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf-8').trim();
+            if (!text) return resolve({});
+            try {
+                const body = JSON.parse(text);
+                if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('not an object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, 'Request body must be a JSON object'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Send a JSON object, or a { contentType, body } text response
+ */
+function send(res, status, response) {
+    const isText = response && typeof response.body === 'string' && response.contentType;
+    const body = isText ? response.body : JSON.stringify(response, null, 2);
+
+    res.writeHead(status, {
+        ...(isText && response.headers),
+        'Content-Type': isText ? response.contentType : 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+}
+
+/**
+ * JSON for a header value: headers are ASCII, so the rest is \u-escaped (JSON.parse restores it)
+ */
+function toHeaderJSON(value) {
+    return JSON.stringify(value).replace(/[\u007f-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Markdown report options that may be set per request
+ */
+function pickReportOptions(params) {
+    const flag = (value) => value === true || value === 'true' || value === '1';
+    const options = {};
+
+    ['compact', 'summaryOnly', 'forConversion', 'skipMinified', 'perElement'].forEach(key => {
+        if (params[key] !== undefined) options[key] = flag(params[key]);
+    });
+    if (params.maxRules !== undefined) options.maxRulesPerFile = parseInt(params.maxRules, 10) || 20;
+    if (params.maxJs !== undefined) options.maxJsPerFile = parseInt(params.maxJs, 10) || 10;
+
+    return options;
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    runServeMode
+};
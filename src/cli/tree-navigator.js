@@ -0,0 +1,257 @@
+/**
+ * Tree Navigator
+ * Full-screen, keyboard-driven picker over the whole element tree of a page.
+ * The left pane is the tree (expand/collapse at any depth, fuzzy search by
+ * class, id or text, several elements can be marked); the right pane shows
+ * the highlighted element's quick stats (matching CSS rules, JS references,
+ * ghost classes) and an HTML preview.
+ */
+
+const readline = require('readline');
+const chalk = require('chalk');
+const beautifyHTML = require('js-beautify').html;
+const { createTreeNavigator } = require('../utils/component-tree');
+
+// Wait this long on a node before computing its stats, so scrolling stays responsive
+const STATS_DELAY_MS = 250;
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+const HELP = {
+    browse: '↑↓ move  ←→ collapse/expand  space mark  / search  enter analyze  c custom selector  q quit',
+    search: 'type to search class, id or text  ↑↓ move  enter done  esc clear'
+};
+
+/**
+ * Run the navigator until an element is picked or the user quits
+ * @param {Object} options
+ * @param {CheerioAPI} options.$ - Parsed page
+ * @param {Array<Object>} options.tree - buildComponentTree() result
+ * @param {Function} options.getStats - async (node) => { cssMatches, jsMatches, ghostClasses } (optional)
+ * @param {stream.Readable} options.input - Key input (default: process.stdin)
+ * @param {stream.Writable} options.output - Screen output (default: process.stdout)
+ * @returns {Promise<Object|null>} { node, nodes } when elements are picked (the marked ones, or
+ *   the highlighted one when none is marked; node is the first), { custom: true } to type a
+ *   selector instead, or null when cancelled
+ */
+function runTreeNavigator(options) {
+    const {
+        $,
+        tree,
+        getStats = null,
+        input = process.stdin,
+        output = process.stdout
+    } = options;
+
+    const navigator = createTreeNavigator(tree);
+    const stats = new Map();
+    const previews = new Map();
+    let mode = 'browse';
+    let scroll = 0;
+    let statsTimer = null;
+    let closed = false;
+
+    const isTTY = !!output.isTTY;
+    const write = (text) => output.write(text);
+
+    const previewOf = (node) => {
+        if (!previews.has(node.key)) {
+            const html = beautifyHTML($.html(node.element), { indent_size: 2, wrap_line_length: 0, unformatted: ['svg'] });
+            previews.set(node.key, html.split('\n'));
+        }
+        return previews.get(node.key);
+    };
+
+    // Stats are computed once per node, after the cursor rests on it
+    const scheduleStats = () => {
+        const node = navigator.current();
+        clearTimeout(statsTimer);
+        if (!getStats || !node || stats.has(node.key)) return;
+
+        statsTimer = setTimeout(() => {
+            stats.set(node.key, { pending: true });
+            render();
+            Promise.resolve()
+                .then(() => getStats(node))
+                .then(result => stats.set(node.key, result))
+                .catch(error => stats.set(node.key, { error: error.message.split('\n')[0] }))
+                .then(() => render());
+        }, STATS_DELAY_MS);
+    };
+
+    const render = () => {
+        if (closed) return;
+        const width = Math.max(40, output.columns || 100);
+        const height = Math.max(10, output.rows || 30);
+        const bodyHeight = height - 4;
+        const leftWidth = Math.floor(width * 0.55);
+        const rightWidth = width - leftWidth - 3;
+
+        // Keep the cursor inside the visible window
+        if (navigator.cursor < scroll) scroll = navigator.cursor;
+        if (navigator.cursor >= scroll + bodyHeight) scroll = navigator.cursor - bodyHeight + 1;
+
+        const left = navigator.rows.slice(scroll, scroll + bodyHeight)
+            .map((row, offset) => renderRow(row, scroll + offset === navigator.cursor, leftWidth));
+        const right = renderPanel(navigator.current(), rightWidth, bodyHeight);
+
+        const title = mode === 'search' || navigator.query
+            ? `Search: ${navigator.query}${mode === 'search' ? '█' : ''}  ${chalk.gray(`(${navigator.rows.filter(row => row.match !== null).length} matches)`)}`
+            : `Select a component  ${chalk.gray(`(${navigator.rows.length} shown)`)}`;
+        const markedCount = navigator.marked().length;
+        const status = markedCount > 0 ? chalk.green(`  ${markedCount} marked`) : '';
+
+        const lines = [chalk.bold.cyan(fit(title, width - 12)) + status, chalk.cyan('─'.repeat(width))];
+        for (let i = 0; i < bodyHeight; i++) {
+            lines.push(`${pad(left[i] || '', leftWidth)} ${chalk.cyan('│')} ${right[i] || ''}`);
+        }
+        lines.push(chalk.cyan('─'.repeat(width)));
+        lines.push(chalk.gray(fit(HELP[mode], width)));
+
+        write(`${isTTY ? '\x1b[H\x1b[2J' : ''}${lines.join('\n')}\n`);
+    };
+
+    const renderPanel = (node, panelWidth, panelHeight) => {
+        if (!node) return [chalk.gray('No elements match')];
+
+        const lines = [
+            chalk.bold.white(fit(node.label, panelWidth)),
+            chalk.gray(fit(`${node.selector}${node.matchIndex > 0 ? ` (match ${node.matchIndex})` : ''}${node.line ? `  ·  line ${node.line}` : ''}`, panelWidth)),
+            ''
+        ];
+
+        const entry = stats.get(node.key);
+        if (!getStats) {
+            lines.push(chalk.gray(fit('No project directory: stats unavailable', panelWidth)));
+        } else if (!entry || entry.pending) {
+            lines.push(chalk.gray('Computing stats…'));
+        } else if (entry.error) {
+            lines.push(chalk.red(fit(`Stats failed: ${entry.error}`, panelWidth)));
+        } else {
+            lines.push(fit(`CSS rules: ${entry.cssMatches}   JS refs: ${entry.jsMatches}   Ghost classes: ${entry.ghostClasses.length}`, panelWidth));
+            if (entry.ghostClasses.length > 0) {
+                lines.push(chalk.yellow(fit(`  ${entry.ghostClasses.map(cls => `.${cls}`).join(' ')}`, panelWidth)));
+            }
+        }
+
+        lines.push('', chalk.cyan('Preview'));
+        const room = panelHeight - lines.length;
+        const preview = previewOf(node);
+        preview.slice(0, room).forEach(line => lines.push(chalk.gray(fit(line, panelWidth))));
+        if (preview.length > room && room > 0) {
+            lines[lines.length - 1] = chalk.gray(fit(`… ${preview.length - room + 1} more lines`, panelWidth));
+        }
+        return lines;
+    };
+
+    return new Promise(resolve => {
+        const wasRaw = !!input.isRaw;
+
+        const finish = (result) => {
+            closed = true;
+            clearTimeout(statsTimer);
+            input.removeListener('keypress', onKeypress);
+            if (input.setRawMode) input.setRawMode(wasRaw);
+            input.pause();
+            if (isTTY) write('\x1b[?25h\x1b[?1049l');
+            resolve(result);
+        };
+
+        const onKeypress = (str, key = {}) => {
+            if (key.ctrl && key.name === 'c') return finish(null);
+
+            if (mode === 'search') {
+                if (key.name === 'escape') {
+                    navigator.setQuery('');
+                    mode = 'browse';
+                } else if (key.name === 'return' || key.name === 'enter' || key.name === 'tab') {
+                    mode = 'browse';
+                } else if (key.name === 'backspace') {
+                    navigator.setQuery(navigator.query.slice(0, -1));
+                } else if (key.name === 'up' || key.name === 'down') {
+                    navigator.move(key.name === 'up' ? -1 : 1);
+                } else if (str && !key.ctrl && !key.meta && str.length === 1 && str >= ' ') {
+                    navigator.setQuery(navigator.query + str);
+                }
+            } else {
+                switch (key.name || str) {
+                    case 'up': case 'k': navigator.move(-1); break;
+                    case 'down': case 'j': navigator.move(1); break;
+                    case 'pageup': navigator.move(-10); break;
+                    case 'pagedown': navigator.move(10); break;
+                    case 'home': navigator.moveTo(0); break;
+                    case 'end': navigator.moveTo(navigator.rows.length - 1); break;
+                    case 'right': case 'l': navigator.expand(); break;
+                    case 'left': case 'h': navigator.collapse(); break;
+                    case 'space': navigator.toggleMark(); break;
+                    case 'c': return finish({ custom: true });
+                    case 'q': return finish(null);
+                    case 'escape':
+                        if (!navigator.query) return finish(null);
+                        navigator.setQuery('');
+                        break;
+                    case 'return':
+                    case 'enter': {
+                        const marked = navigator.marked();
+                        const nodes = marked.length > 0 ? marked : [navigator.current()].filter(Boolean);
+                        if (nodes.length > 0) return finish({ node: nodes[0], nodes });
+                        break;
+                    }
+                    default:
+                        if (str === '/') mode = 'search';
+                }
+            }
+
+            render();
+            scheduleStats();
+        };
+
+        readline.emitKeypressEvents(input);
+        if (input.setRawMode) input.setRawMode(true);
+        input.on('keypress', onKeypress);
+        input.resume();
+
+        if (isTTY) write('\x1b[?1049h\x1b[?25l');
+        render();
+        scheduleStats();
+    });
+}
+
+/**
+ * One tree line: indent, expand marker, label and text
+ */
+function renderRow(row, selected, width) {
+    const { node } = row;
+    const check = row.marked ? '✔ ' : '  ';
+    const marker = row.hasChildren ? (row.expanded ? '▾ ' : '▸ ') : '  ';
+    const indent = '  '.repeat(row.depth);
+    const text = node.text ? ` ${node.text}` : '';
+    const plain = fit(`${check}${indent}${marker}${node.label}${text}`, width);
+
+    if (selected) {
+        return chalk.inverse(pad(plain, width));
+    }
+    const labelStart = check.length;
+    const labelEnd = check.length + indent.length + marker.length + node.label.length;
+    const color = row.match === null ? chalk.gray : chalk.white;
+    return chalk.green(plain.slice(0, labelStart)) + color(plain.slice(labelStart, labelEnd)) + chalk.gray(plain.slice(labelEnd));
+}
+
+/**
+ * Cut plain text to a width, marking the cut with an ellipsis
+ */
+function fit(text, width) {
+    const plain = String(text).replace(/\t/g, '  ');
+    const visible = plain.replace(ANSI_PATTERN, '');
+    if (visible.length <= width) return plain;
+    return `${visible.slice(0, Math.max(0, width - 1))}…`;
+}
+
+function pad(text, width) {
+    const length = text.replace(ANSI_PATTERN, '').length;
+    return length >= width ? text : text + ' '.repeat(width - length);
+}
+
+module.exports = {
+    runTreeNavigator
+};
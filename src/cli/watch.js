@@ -0,0 +1,169 @@
+/**
+ * Watch Mode
+ * Keeps the process alive and re-runs the analysis whenever the source
+ * or one of the scanned CSS/JS files changes. The file list is taken once,
+ * at startup: CSS/JS files added later are not watched until a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { runAnalysis, runBatchAnalysis } = require('../index');
+const { scanProject } = require('../utils/project-scanner');
+
+const DEBOUNCE_MS = 150;
+
+/**
+ * Start watch mode
+ * @param {Object} options
+ * @param {Object} options.analysisOptions - Options for runAnalysis() / runBatchAnalysis()
+ * @param {Array<Object>|null} options.batchTargets - Batch targets, or null for a single analysis
+ * @param {string|null} options.sourcePath - Local HTML/template file to watch (null for URLs)
+ * @param {Function} options.reloadSource - Returns fresh pre-loaded HTML after the source changed (optional)
+ * @returns {Promise<Object>} Watcher handle with close(), which resolves once the project scan is closed
+ * @throws {Error} When there is nothing to watch (a URL source and no project files)
+ */
+async function runWatchMode(options) {
+    const {
+        analysisOptions,
+        batchTargets = null,
+        sourcePath = null,
+        reloadSource = null
+    } = options;
+
+    const { projectDir, verbose = false, ignore = [], include = [], ignoreFiles = true, maxFileSize, libraries = {}, cacheDir = null, concurrency = 1 } = analysisOptions;
+
+    const projectScan = await scanProject(projectDir, { verbose, ignore, include, ignoreFiles, maxFileSize, libraries, cacheDir, concurrency });
+    let htmlContent = analysisOptions.htmlContent;
+
+    const watchedFiles = [
+        ...(sourcePath ? [sourcePath] : []),
+        ...projectScan.files.css,
+        ...projectScan.files.js
+    ];
+
+    if (watchedFiles.length === 0) {
+        await projectScan.close();
+        throw new Error('Nothing to watch: no local source file and no CSS/JS files in the project');
+    }
+
+    const watchers = new Map();
+    const pending = new Set();
+    const reattachTimers = new Set();
+    let timer = null;
+    let running = null;
+    let closed = false;
+
+    const analyze = async () => {
+        const startedAt = Date.now();
+        try {
+            if (batchTargets) {
+                const batch = await runBatchAnalysis({
+                    ...analysisOptions,
+                    htmlContent,
+                    targets: batchTargets,
+                    projectScan
+                });
+                console.log(chalk.green(`✓ ${batch.results.length}/${batchTargets.length} components analyzed in ${Date.now() - startedAt}ms`));
+                console.log(chalk.white(`  Index: ${batch.indexPath}`));
+                batch.failures.forEach(f => {
+                    console.log(chalk.yellow(`  ⚠ ${f.name}: ${f.error.split('\n')[0]}`));
+                });
+            } else {
+                const result = await runAnalysis({ ...analysisOptions, htmlContent, projectScan });
+                console.log(chalk.green(`✓ Report updated in ${Date.now() - startedAt}ms`));
+                console.log(chalk.white(`  Output: ${result.outputPath}`));
+                console.log(chalk.gray(`  Found ${result.cssMatches} CSS rules, ${result.jsMatches} JS references`));
+            }
+        } catch (error) {
+            // Keep watching: the next save will probably fix it
+            console.error(chalk.red(`✖  ${error.message}`));
+        }
+    };
+
+    const flush = async () => {
+        timer = null;
+        if (running) {
+            // A run is in progress; pick up these changes when it finishes
+            await running;
+            if (!timer && pending.size > 0) flush();
+            return;
+        }
+
+        const changed = [...pending];
+        pending.clear();
+
+        console.log(chalk.cyan(`\n↻ Changed: ${changed.map(f => path.relative(projectDir || process.cwd(), f)).join(', ')}`));
+
+        for (const filePath of changed) {
+            if (filePath === sourcePath) {
+                if (reloadSource) {
+                    try {
+                        htmlContent = await reloadSource();
+                    } catch (error) {
+                        console.error(chalk.red(`✖  Cannot reload source: ${error.message}`));
+                    }
+                }
+            } else {
+                projectScan.invalidate(filePath);
+            }
+        }
+
+        running = analyze();
+        await running;
+        running = null;
+    };
+
+    const onChange = (filePath) => {
+        pending.add(filePath);
+        if (timer) clearTimeout(timer);
+        timer = setTimeout(flush, DEBOUNCE_MS);
+    };
+
+    const watchFile = (filePath) => {
+        try {
+            const watcher = fs.watch(filePath, (eventType) => {
+                onChange(filePath);
+
+                // Editors that save by replacing the file break the watch; re-attach
+                if (eventType === 'rename') {
+                    watcher.close();
+                    watchers.delete(filePath);
+                    const reattach = setTimeout(() => {
+                        reattachTimers.delete(reattach);
+                        if (!closed && fs.existsSync(filePath)) watchFile(filePath);
+                    }, DEBOUNCE_MS);
+                    reattachTimers.add(reattach);
+                }
+            });
+            watchers.set(filePath, watcher);
+        } catch (error) {
+            if (verbose) {
+                console.warn(chalk.yellow(`⚠️  Cannot watch ${filePath}: ${error.message}`));
+            }
+        }
+    };
+
+    await analyze();
+
+    watchedFiles.forEach(watchFile);
+    console.log(chalk.cyan(`\n👀 Watching ${watchers.size} files for changes (Ctrl+C to stop)`));
+    console.log(chalk.gray('   CSS/JS files added from now on are not watched; restart to pick them up.'));
+
+    return {
+        watchedFiles,
+        close() {
+            closed = true;
+            if (timer) clearTimeout(timer);
+            reattachTimers.forEach(clearTimeout);
+            reattachTimers.clear();
+            watchers.forEach(watcher => watcher.close());
+            watchers.clear();
+            return projectScan.close();
+        }
+    };
+}
+
+module.exports = {
+    runWatchMode
+};
@@ -4,40 +4,80 @@
 
 const fs = require('fs');
 const path = require('path');
-const { parseHTML, extractTargetElement } = require('./parsers/html-parser');
-const { analyzeCSS } = require('./parsers/css-analyzer');
-const { analyzeJS } = require('./parsers/js-analyzer');
-const { findProjectFiles, getLinkedFiles } = require('./utils/file-scanner');
+const { parseHTML, extractTargetElement, findTargetElement } = require('./parsers/html-parser');
+const { matchCSSRules } = require('./parsers/css-analyzer');
+const { matchJSReferences, findCustomElementDefinitions } = require('./parsers/js-analyzer');
+const { getLinkedFiles, classifyProjectFiles } = require('./utils/file-scanner');
+const { scanProject } = require('./utils/project-scanner');
+const { selectCandidateFiles } = require('./utils/selector-index');
+const { createSelectorEvaluator, evaluateMatches } = require('./utils/selector-evaluator');
+const { buildElementBreakdown } = require('./utils/element-breakdown');
+const { auditAccessibility } = require('./utils/a11y-auditor');
+const { describeTarget } = require('./utils/target-locator');
+const { evaluateCIThresholds } = require('./utils/ci-checks');
+const { getRepoRoot, resolveCommit, listFilesAtCommit, readFilesAtCommit } = require('./utils/git-reader');
+const { diffReports } = require('./utils/component-diff');
+const { compareComponentVariants, mergeTargetInfos } = require('./utils/component-variance');
+const { detectComponents } = require('./utils/component-detector');
+const { parseTemplateContent } = require('./utils/template-parser');
 const { generateMarkdown } = require('./output/markdown');
+const { generateJSON, buildJSONReport } = require('./output/json');
+const { generateBatchIndex } = require('./output/batch-index');
+const { generateDiffReport } = require('./output/diff-report');
+const { generateVarianceReport } = require('./output/variance-report');
+const { generateInventoryReport } = require('./output/inventory-report');
+const { toPosixPath } = require('./output/report-helpers');
 const {
-    detectLibrariesFromPaths,
     detectLibrariesFromHTML,
     detectLibrariesFromClasses,
     isLibraryFile
 } = require('./utils/library-detector');
 const { extractVariablesFromMatches } = require('./utils/variable-extractor');
+const { detectGhostClasses } = require('./utils/ghost-detector');
+const { analyzeConflicts } = require('./utils/specificity-calculator');
 
 /**
- * Run the full analysis
+ * Run the analysis for one component and return the structured result
+ * Pure library code: nothing is written to disk or the console. Progress,
+ * warnings and parser messages are reported through options.onProgress.
  * @param {Object} options
- * @param {string} options.htmlPath - Path to HTML file
+ * @param {string} options.htmlPath - Path to HTML file (also used to resolve linked files)
  * @param {string} options.projectDir - Project directory to scan
  * @param {string} options.selector - CSS selector to target
+ * @param {string} options.text - Target the component containing this visible text
+ * @param {string} options.xpath - Target the component an XPath points to
+ * @param {string} options.role - Target the component with this ARIA role
  * @param {string} options.lineRange - Line range (e.g., "45-80")
- * @param {string} options.outputPath - Output file path
  * @param {boolean} options.includeInline - Include inline styles/scripts
- * @param {boolean} options.verbose - Verbose logging
+ * @param {string[]} options.ignore - Extra glob patterns to skip when scanning the project
+ * @param {string[]} options.include - Only scan project files matching these globs
+ * @param {boolean} options.ignoreFiles - Respect .gitignore and .codescoopignore (default: true)
+ * @param {number} options.maxFileSize - Skip larger project files, in bytes (default: 0, no limit)
+ * @param {Object} options.libraries - Project-defined libraries, merged with the built-in list
+ * @param {Object} options.files - In-memory project files { path: content }
+ * @param {boolean} options.scanDisk - Look for project files on disk (default: true)
+ * @param {Function} options.fileExists - (absolutePath) => boolean, replaces the disk when checking
+ *   linked files and assets (e.g. the files of a git revision)
+ * @param {string|null} options.cacheDir - Persistent parse cache directory (default: disabled)
+ * @param {number} options.concurrency - Worker threads used to parse files (default: 1, in-process)
+ * @param {Object} options.selectorIndex - Loaded selector index; only files it lists as possible matches are analyzed
+ * @param {Object} options.projectScan - Shared result of scanProject() (scanned on demand if omitted)
+ * @param {Object} options.targetInfo - Already extracted target; skips the selector lookup
+ * @param {boolean} options.perElement - Add the per-element breakdown (not for line ranges)
+ * @param {Function} options.onProgress - Receives { stage, level, message } events
+ * @returns {Promise<Object>} Analysis (the object passed to the report generators)
  */
-async function runAnalysis(options) {
+async function analyzeComponent(options) {
     const {
         htmlPath,
         projectDir,
         selector,
+        text,
+        xpath,
+        role,
         lineRange,
         matchIndex = 0,
-        outputPath,
         includeInline = true,
-        verbose = false,
         // Compact mode options
         compact = false,
         forConversion = false,
@@ -45,12 +85,35 @@ async function runAnalysis(options) {
         maxJsPerFile = 10,
         summaryOnly = false,
         skipMinified = false,
-        // URL/Template mode support
+        perElement = false,
+        // URL/Template/in-memory mode support
         htmlContent: preloadedContent = null,
-        sourceType = 'file'
+        sourceType = 'file',
+        // Project config (.codescooprc)
+        ignore = [],
+        include = [],
+        ignoreFiles = true,
+        maxFileSize,
+        libraries = {},
+        // Programmatic API
+        files = {},
+        scanDisk = true,
+        fileExists = null,
+        cacheDir = null,
+        concurrency = 1,
+        selectorIndex = null,
+        onProgress = null,
+        // Batch mode: reuse one project scan across targets
+        projectScan = null,
+        // Cross-page mode: component already extracted (and merged) by the caller
+        targetInfo: presetTarget = null
     } = options;
 
-    const log = verbose ? console.log : () => { };
+    const emit = (stage, message, level = 'progress') => {
+        if (onProgress) onProgress({ stage, level, message });
+    };
+    let stage = 'html';
+    const log = (message) => emit(stage, message);
 
     // Step 1: Parse HTML and extract target element
     log('Parsing HTML file...');
@@ -66,34 +129,63 @@ async function runAnalysis(options) {
 
     const parsedHTML = parseHTML(htmlContent);
 
-    const targetInfo = extractTargetElement(parsedHTML, htmlContent, {
+    const targetInfo = presetTarget || extractTargetElement(parsedHTML, htmlContent, {
         selector,
+        text,
+        xpath,
+        role,
         lineRange,
         matchIndex
     });
 
+    targetInfo.warnings.forEach(warning => emit('html', warning, 'warning'));
+    targetInfo.notices.forEach(notice => emit('html', notice, 'notice'));
+
     log(`Target element: ${targetInfo.summary}`);
     log(`Classes: ${targetInfo.classes.join(', ') || 'none'}`);
     log(`IDs: ${targetInfo.ids.join(', ') || 'none'}`);
 
-    // Step 2: Find all CSS/JS files in project (skip if no projectDir for URL mode)
-    log('\nScanning project for CSS/JS files...');
-    let projectFiles = { css: [], js: [] };
-    if (projectDir) {
-        projectFiles = await findProjectFiles(projectDir);
+    // Step 2: Find all CSS/JS files in project (empty if no projectDir for URL mode)
+    stage = 'scan';
+    let scan = projectScan;
+    if (!scan) {
+        log('Scanning project for CSS/JS files...');
+        scan = await scanProject(projectDir, {
+            log: message => emit('parse', message.trim(), 'debug'),
+            ignore,
+            include,
+            ignoreFiles,
+            maxFileSize,
+            libraries,
+            files,
+            scanDisk,
+            cacheDir,
+            concurrency
+        });
     }
+    const projectFiles = scan.files;
     log(`Found ${projectFiles.css.length} CSS files, ${projectFiles.js.length} JS files`);
+    if (!projectScan) {
+        scan.skipped.forEach(({ path: skippedPath, reason }) => emit('scan', `Skipped ${skippedPath}: ${reason}`, 'debug'));
+    }
+
+    // Use the selector index to skip files that cannot mention the target
+    let candidateFiles = projectFiles;
+    if (selectorIndex) {
+        candidateFiles = selectCandidateFiles(selectorIndex, projectFiles, targetInfo, scan.isInMemory);
+        log(`Selector index: ${candidateFiles.css.length} CSS, ${candidateFiles.js.length} JS files can match`);
+    }
 
     // Step 3: Get files that are actually linked in HTML
-    const linkedFiles = getLinkedFiles(parsedHTML, htmlPath);
+    const linkedFiles = getLinkedFiles(parsedHTML, htmlPath, fileExists || scan.exists);
     log(`Linked in HTML: ${linkedFiles.css.length} CSS, ${linkedFiles.js.length} JS`);
 
     // Step 4: Detect libraries
-    log('\nDetecting libraries...');
-    const allFiles = [...projectFiles.css, ...projectFiles.js];
-    const librariesFromFiles = detectLibrariesFromPaths(allFiles);
-    const librariesFromCDN = detectLibrariesFromHTML(parsedHTML);
-    const librariesFromClasses = detectLibrariesFromClasses(targetInfo.classes);
+    stage = 'libraries';
+    log('Detecting libraries...');
+    const librariesFromFiles = scan.librariesFromFiles;
+    const librariesFromCDN = detectLibrariesFromHTML(parsedHTML, scan.libraries);
+    const librariesFromClasses = detectLibrariesFromClasses(targetInfo.classes, scan.libraries);
 
     // Combine library info
     const detectedLibraries = {
@@ -105,13 +197,32 @@ async function runAnalysis(options) {
     log(`Detected ${librariesFromCDN.length} libraries from CDN`);
 
     // Step 5: Analyze all CSS files (separating libraries from custom code)
-    log('\nAnalyzing CSS files...');
+    stage = 'css';
+    log('Analyzing CSS files...');
     const cssResults = [];
     const cssLibraryResults = [];
+    const cssMentions = [];
+
+    // Token matches are checked against the page so only rules whose selector
+    // really applies are kept. Line ranges and merged cross-page targets have
+    // no single element to check against and keep every token match.
+    const targetElement = !presetTarget && !lineRange ? findTargetElement(parsedHTML, { selector, text, xpath, role }, matchIndex) : null;
+    const evaluator = targetElement ? createSelectorEvaluator(parsedHTML, targetElement) : null;
 
-    for (const cssFile of projectFiles.css) {
-        const libInfo = isLibraryFile(cssFile);
-        const result = await analyzeCSS(cssFile, targetInfo, { verbose });
+    // Parse concurrently (worker pool), then match in file order so reports are stable
+    const parsedCSSFiles = await Promise.all(candidateFiles.css.map(cssFile => scan.getParsedCSS(cssFile)));
+
+    for (const [index, cssFile] of candidateFiles.css.entries()) {
+        const libInfo = isLibraryFile(cssFile, scan.libraries);
+        const result = matchCSSRules(parsedCSSFiles[index], targetInfo);
+
+        if (evaluator) {
+            const { matches, mentions } = evaluateMatches(result.matches, evaluator);
+            result.matches = matches;
+            if (mentions.length > 0) {
+                cssMentions.push({ filePath: cssFile, libraryName: libInfo?.name || null, mentions });
+            }
+        }
 
         if (result.matches.length > 0) {
             result.isLinked = linkedFiles.css.some(f =>
@@ -128,6 +239,11 @@ async function runAnalysis(options) {
         }
     }
 
+    if (cssMentions.length > 0) {
+        const mentionCount = cssMentions.reduce((sum, file) => sum + file.mentions.length, 0);
+        log(`${mentionCount} rule(s) mention the component but do not apply to it`);
+    }
+
     // Step 6: Analyze inline styles if requested
     let inlineStyles = [];
     if (includeInline) {
@@ -136,13 +252,26 @@ async function runAnalysis(options) {
     }
 
     // Step 7: Analyze all JS files (separating libraries from custom code)
-    log('\nAnalyzing JavaScript files...');
+    stage = 'js';
+    log('Analyzing JavaScript files...');
     const jsResults = [];
     const jsLibraryResults = [];
 
-    for (const jsFile of projectFiles.js) {
-        const libInfo = isLibraryFile(jsFile);
-        const result = await analyzeJS(jsFile, targetInfo, { verbose });
+    const parsedJSFiles = await Promise.all(candidateFiles.js.map(jsFile => scan.getParsedJS(jsFile)));
+
+    // Custom elements in the component, mapped to the customElements.define() call registering them
+    const customTags = [...new Set((targetInfo.webComponents || [])
+        .filter(component => component.isCustomElement)
+        .map(component => component.tagName))];
+    const customElementDefinitions = [];
+
+    for (const [index, jsFile] of candidateFiles.js.entries()) {
+        const libInfo = isLibraryFile(jsFile, scan.libraries);
+        const result = matchJSReferences(parsedJSFiles[index], targetInfo);
+
+        findCustomElementDefinitions(parsedJSFiles[index], customTags).forEach(definition => {
+            customElementDefinitions.push({ ...definition, libraryName: libInfo?.name || null });
+        });
 
         if (result.matches.length > 0) {
             result.isLinked = linkedFiles.js.some(f =>
@@ -159,6 +288,20 @@ async function runAnalysis(options) {
         }
     }
 
+    if (customTags.length > 0) {
+        log(`Custom elements: ${customElementDefinitions.length} of ${customTags.length} defined in project JS`);
+    }
+
+    if (scan.parseCache) {
+        const cacheStats = scan.parseCache.stats();
+        log(`Parse cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses`);
+    }
+
+    // Free the parse workers of a scan we created ourselves
+    if (!projectScan) {
+        await scan.close();
+    }
+
     // Step 8: Analyze inline scripts if requested
     let inlineScripts = [];
     if (includeInline) {
@@ -173,17 +316,21 @@ async function runAnalysis(options) {
     ];
 
     // Step 10: Extract CSS/SCSS variable definitions
+    stage = 'variables';
     log('Extracting variable definitions...');
     const allCSSMatches = [
         ...cssResults.flatMap(r => r.matches || []),
         ...inlineStyles.map(s => ({ content: s.content }))
     ];
     const allCSSFiles = [...projectFiles.css];
-    const variableData = await extractVariablesFromMatches(allCSSMatches, allCSSFiles, projectDir);
+    const variableData = await extractVariablesFromMatches(allCSSMatches, allCSSFiles, projectDir, {
+        readFile: scan.readFile
+    });
     log(`Found ${variableData.usedVariables.length} variables used`);
 
     // Step 11: Extract and check assets
-    log('\nExtracting assets...');
+    stage = 'assets';
+    log('Extracting assets...');
     const { extractCSSAssets } = require('./parsers/css-analyzer');
     const { checkAssetAvailability } = require('./utils/asset-checker');
 
@@ -207,20 +354,50 @@ async function runAnalysis(options) {
         allAssets,
         projectDir || process.cwd(),
         htmlPath,
-        { checkRemote: false } // Can be controlled by CLI flag later
+        { checkRemote: false, exists: fileExists } // checkRemote can be controlled by CLI flag later
     );
 
     log(`Assets: ${assetStatus.total} total, ${assetStatus.available} available, ${assetStatus.missing} missing`);
 
-    // Step 12: Generate markdown output
-    log('\nGenerating markdown report...');
-    const analysis = {
+    // Step 12: Specificity conflicts and ghost classes
+    const conflicts = analyzeConflicts(cssResults, linkedFiles);
+    const ghostData = detectGhostClasses(targetInfo, cssResults, cssLibraryResults, inlineStyles);
+
+    // Step 13: Per-element breakdown (needs the component's element in the page)
+    let elementTree = null;
+    if (perElement) {
+        if (evaluator) {
+            elementTree = buildElementBreakdown(evaluator, { cssResults, cssLibraryResults, jsResults, linkedFiles });
+        } else {
+            emit('html', '⚠️  The per-element breakdown needs a selector, text, xpath or role target; skipped.', 'warning');
+        }
+    }
+
+    // Step 14: Accessibility audit, on the page when the component was found as
+    // an element, otherwise on its own markup
+    let accessibility;
+    if (targetElement) {
+        accessibility = auditAccessibility(parsedHTML, targetElement, { cssResults, cssLibraryResults, jsResults });
+    } else {
+        const $component = parseHTML(targetInfo.html);
+        accessibility = auditAccessibility($component, $component('body').get(0), {
+            cssResults, cssLibraryResults, jsResults,
+            lineOffset: !presetTarget && targetInfo.startLine ? targetInfo.startLine - 1 : null
+        });
+    }
+    if (accessibility.issues.length > 0) {
+        log(`Accessibility: ${accessibility.errors} error(s), ${accessibility.warnings} warning(s)`);
+    }
+
+    return {
         targetInfo,
         htmlPath,
         projectDir,
+        sourceType,
         cssResults,
         jsResults,
         cssLibraryResults,
+        cssMentions,
         jsLibraryResults,
         detectedLibraries,
         inlineStyles,
@@ -229,6 +406,12 @@ async function runAnalysis(options) {
         variableData,
         htmlAssets,
         assetStatus,
+        linkedFiles,
+        conflicts,
+        ghostData,
+        elementTree,
+        customElementDefinitions,
+        accessibility,
         generatedAt: new Date().toISOString(),
         // Output options
         outputOptions: {
@@ -240,19 +423,546 @@ async function runAnalysis(options) {
             skipMinified
         }
     };
+}
 
-    const markdown = generateMarkdown(analysis);
+
+/**
+ * Run the full analysis and write the report (CLI entry point)
+ * @param {Object} options - Same options as analyzeComponent(), plus:
+ * @param {string} options.outputPath - Output file path
+ * @param {string} options.format - Output format: 'markdown' (default) or 'json'
+ * @param {string} options.outputDir - Directory for default report paths (default: next to the source)
+ * @param {boolean} options.verbose - Verbose logging
+ * @param {Object} options.ciThresholds - Check the analysis against CI thresholds (see ci-checks.js)
+ * @param {boolean} options.writeReport - Write the report to disk (default: true). When false,
+ *   nothing is written and the rendered report is returned as `report` (outputPath is null)
+ * @param {Function} options.onProgress - Receives { stage, level, message } events (default: console output)
+ * @returns {Promise<Object>} Summary of the written report (plus `ci` results when ciThresholds is set)
+ */
+async function runAnalysis(options) {
+    const {
+        outputPath,
+        format = 'markdown',
+        outputDir = null,
+        verbose = false,
+        ciThresholds = null,
+        writeReport = true,
+        onProgress = createConsoleReporter(verbose)
+    } = options;
+
+    const analysis = await analyzeComponent({
+        ...options,
+        onProgress
+    });
+
+    if (verbose) console.log(`\nGenerating ${format} report...`);
+    const report = renderReport(analysis, format);
+
+    const summary = {
+        format,
+        ...summarizeAnalysis(analysis),
+        ...(ciThresholds && { ci: evaluateCIThresholds(analysis, ciThresholds) })
+    };
+
+    if (!writeReport) {
+        return { outputPath: null, report, ...summary };
+    }
 
     // Determine output path
-    const finalOutputPath = outputPath || generateOutputPath(targetInfo, htmlPath, projectDir);
-    fs.writeFileSync(finalOutputPath, markdown, 'utf-8');
+    const finalOutputPath = outputPath || generateOutputPath(analysis.targetInfo, analysis.htmlPath, analysis.projectDir, format, outputDir);
+    fs.writeFileSync(finalOutputPath, report, 'utf-8');
 
     return {
         outputPath: finalOutputPath,
+        ...summary
+    };
+}
+
+/**
+ * Programmatic API: analyze a component and return results in memory
+ * Never writes files, logs to the console or exits the process.
+ * @param {Object} options - Same options as analyzeComponent(), plus:
+ * @param {string} options.html - HTML content (alternative to reading htmlPath)
+ * @param {string} options.htmlPath - HTML file to read, or the path `html` should be treated as living at
+ * @param {string} options.projectDir - Project directory; disk is only scanned when this is set
+ * @param {Object} options.files - In-memory CSS/JS files { path: content }, relative to projectDir
+ * @param {string[]} options.formats - Reports to render: 'markdown' and/or 'json' (default: both)
+ * @param {Function} options.onProgress - Receives { stage, level, message } events
+ * @returns {Promise<Object>} { analysis, report, outputs, summary, warnings }
+ */
+async function scoop(options = {}) {
+    const {
+        html,
+        htmlPath,
+        projectDir,
+        formats = ['markdown', 'json'],
+        ...rest
+    } = options;
+
+    if (typeof html !== 'string' && !htmlPath) {
+        throw new Error('scoop() needs either `html` or `htmlPath`');
+    }
+    if (!rest.selector && !rest.text && !rest.xpath && !rest.role && !rest.lineRange) {
+        throw new Error('scoop() needs either `selector`, `text`, `xpath`, `role` or `lineRange`');
+    }
+
+    const rootDir = projectDir
+        ? path.resolve(projectDir)
+        : (htmlPath ? path.dirname(path.resolve(htmlPath)) : process.cwd());
+    const sourcePath = htmlPath ? path.resolve(htmlPath) : path.join(rootDir, 'index.html');
+
+    const analysis = await analyzeComponent({
+        ...rest,
+        htmlPath: sourcePath,
+        htmlContent: typeof html === 'string' ? html : fs.readFileSync(sourcePath, 'utf-8'),
+        projectDir: rootDir,
+        scanDisk: !!projectDir
+    });
+
+    const outputs = {};
+    formats.forEach(format => {
+        outputs[format] = renderReport(analysis, format);
+    });
+
+    return {
+        analysis,
+        report: buildJSONReport(analysis),
+        outputs,
+        summary: summarizeAnalysis(analysis),
+        warnings: analysis.targetInfo.warnings
+    };
+}
+
+/**
+ * Render an analysis in the requested format
+ */
+function renderReport(analysis, format) {
+    if (format === 'json') return generateJSON(analysis);
+    if (format === 'markdown') return generateMarkdown(analysis);
+    throw new Error(`Unknown report format: "${format}". Use "markdown" or "json".`);
+}
+
+/**
+ * Headline numbers for an analysis
+ */
+function summarizeAnalysis(analysis) {
+    const { targetInfo, cssResults, jsResults, missingImports, ghostData, detectedLibraries } = analysis;
+
+    return {
+        targetInfo,
         cssMatches: cssResults.reduce((sum, r) => sum + r.matches.length, 0),
         jsMatches: jsResults.reduce((sum, r) => sum + r.matches.length, 0),
         missingImports,
-        libraryCount: Object.keys(librariesFromFiles).length + librariesFromCDN.length
+        ghostClasses: ghostData.ghostClasses,
+        libraryCount: Object.keys(detectedLibraries.fromFiles).length + detectedLibraries.fromCDN.length
+    };
+}
+
+/**
+ * Progress handler for CLI runs: warnings and notices are always shown,
+ * step-by-step progress only in verbose mode
+ */
+function createConsoleReporter(verbose) {
+    return ({ level, message }) => {
+        if (level === 'warning') {
+            console.warn('\x1b[33m%s\x1b[0m', message);
+        } else if (level === 'notice') {
+            console.log('\x1b[36m%s\x1b[0m', message);
+        } else if (verbose) {
+            console.log(level === 'debug' ? `  ${message}` : message);
+        }
+    };
+}
+
+/**
+ * Analyze several components of the same page in one run
+ * The project is scanned and every CSS/JS file parsed once, then each target
+ * is matched against the shared scan. Writes one report per target plus an index.
+ * @param {Object} options - Same options as runAnalysis(), plus:
+ * @param {Array<Object>} options.targets - [{ selector | text | xpath | role | lineRange, matchIndex, name, outputPath }]
+ * @param {string} options.indexPath - Index file path (default: codescoop-index.md/.json next to the source)
+ * @param {boolean} options.writeIndex - Write the index file (default: true); reports still go next to indexPath
+ * @param {Object} options.projectScan - Shared result of scanProject() (scanned on demand if omitted)
+ * @returns {Promise<Object>} { indexPath, results, failures }
+ */
+async function runBatchAnalysis(options) {
+    const {
+        htmlPath,
+        projectDir,
+        targets = [],
+        indexPath,
+        writeIndex = true,
+        format = 'markdown',
+        verbose = false,
+        outputDir: configuredOutputDir = null,
+        ignore = [],
+        include = [],
+        ignoreFiles = true,
+        maxFileSize,
+        libraries = {},
+        cacheDir = null,
+        concurrency = 1,
+        htmlContent: preloadedContent = null,
+        projectScan: sharedScan = null
+    } = options;
+
+    const log = verbose ? console.log : () => { };
+
+    if (targets.length === 0) {
+        throw new Error('Batch analysis requires at least one target');
+    }
+
+    const htmlContent = preloadedContent || fs.readFileSync(htmlPath, 'utf-8');
+
+    let projectScan = sharedScan;
+    if (!projectScan) {
+        log('Scanning project for CSS/JS files...');
+        projectScan = await scanProject(projectDir, { verbose, ignore, include, ignoreFiles, maxFileSize, libraries, cacheDir, concurrency });
+        projectScan.skipped.forEach(({ path: skippedPath, reason }) => log(`  Skipped ${skippedPath}: ${reason}`));
+    }
+    log(`Found ${projectScan.files.css.length} CSS files, ${projectScan.files.js.length} JS files`);
+
+    const finalIndexPath = indexPath
+        || path.join(getOutputDir(htmlPath, projectDir, configuredOutputDir), `codescoop-index.${format === 'json' ? 'json' : 'md'}`);
+    const outputDir = path.dirname(finalIndexPath);
+
+    const results = [];
+    const failures = [];
+    const extension = format === 'json' ? 'json' : 'md';
+    // Every report path, explicit, named or generated, is checked against the others and the index
+    const usedPaths = new Set([path.resolve(finalIndexPath)]);
+
+    for (const target of targets) {
+        const label = target.name || describeTarget(target);
+        log(`\nAnalyzing ${label}...`);
+
+        try {
+            const baseName = target.name ? cleanFileName(target.name) : (cleanFileName(label.replace(/^[.#]/, '')) || 'component');
+            const targetOutputPath = uniqueOutputPath(target.outputPath || path.join(outputDir, `${baseName}-analysis.${extension}`), usedPaths);
+
+            const result = await runAnalysis({
+                ...options,
+                htmlContent,
+                selector: target.selector,
+                text: target.text,
+                xpath: target.xpath,
+                role: target.role,
+                lineRange: target.lineRange,
+                matchIndex: target.matchIndex ?? options.matchIndex ?? 0,
+                outputPath: targetOutputPath,
+                projectScan
+            });
+
+            results.push({ ...result, name: label });
+        } catch (error) {
+            failures.push({ name: label, target, error: error.message });
+        }
+    }
+
+    if (!sharedScan) {
+        await projectScan.close();
+    }
+
+    if (!writeIndex) {
+        return { indexPath: null, results, failures };
+    }
+
+    const index = generateBatchIndex({
+        htmlPath,
+        format,
+        indexPath: finalIndexPath,
+        results,
+        failures,
+        generatedAt: new Date().toISOString()
+    });
+    fs.writeFileSync(finalIndexPath, index, 'utf-8');
+
+    return {
+        indexPath: finalIndexPath,
+        results,
+        failures
+    };
+}
+
+/**
+ * Find every component on a page and analyze each of them
+ * Components are detected across the whole DOM tree (semantic tags, BEM
+ * blocks, ids, repeated structures), analyzed as one batch against a shared
+ * project scan, and summarized in an inventory table.
+ * @param {Object} options - Same options as runAnalysis(), plus:
+ * @param {string} options.outputPath - Directory for the reports (default: <page>-inventory/ next to the source)
+ * @returns {Promise<Object>} { outputDir, summaryPath, components, results, failures }
+ */
+async function runInventory(options) {
+    const {
+        htmlPath,
+        projectDir,
+        outputPath,
+        format = 'markdown',
+        outputDir: configuredOutputDir = null,
+        verbose = false,
+        htmlContent: preloadedContent = null
+    } = options;
+
+    const log = verbose ? console.log : () => { };
+    const htmlContent = preloadedContent || fs.readFileSync(htmlPath, 'utf-8');
+
+    const components = detectComponents(parseHTML(htmlContent));
+    if (components.length === 0) {
+        throw new Error(`No components detected in ${htmlPath}`);
+    }
+    log(`Detected ${components.length} components`);
+
+    const sourceName = path.basename(htmlPath).replace(/\..*$/, '') || 'page';
+    const outputDir = outputPath
+        ? path.resolve(outputPath)
+        : path.join(getOutputDir(htmlPath, projectDir, configuredOutputDir), `${cleanFileName(sourceName)}-inventory`);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const summaryPath = path.join(outputDir, `inventory.${format === 'json' ? 'json' : 'md'}`);
+    const batch = await runBatchAnalysis({
+        ...options,
+        htmlContent,
+        targets: components.map(({ name, selector, matchIndex }) => ({ name, selector, matchIndex })),
+        indexPath: summaryPath,
+        writeIndex: false
+    });
+
+    const summary = generateInventoryReport({
+        htmlPath,
+        format,
+        summaryPath,
+        components,
+        results: batch.results,
+        failures: batch.failures,
+        generatedAt: new Date().toISOString()
+    });
+    fs.writeFileSync(summaryPath, summary, 'utf-8');
+
+    return {
+        outputDir,
+        summaryPath,
+        components,
+        results: batch.results,
+        failures: batch.failures
+    };
+}
+
+/**
+ * Compare a component between two git revisions
+ * Both revisions are read from the git object database (nothing is checked
+ * out) and analyzed in memory; the report lists matching CSS rules and JS
+ * references that were added, removed or modified, changed specificity
+ * winners and new ghost classes.
+ * @param {Object} options - Same options as analyzeComponent(), plus:
+ * @param {string} options.fromRef - Base revision (branch, tag, SHA...)
+ * @param {string} options.toRef - Revision to compare against the base
+ * @param {string} options.outputPath - Output file path
+ * @param {string} options.format - Output format: 'markdown' (default) or 'json'
+ * @param {string} options.outputDir - Directory for the default report path
+ * @param {boolean} options.verbose - Verbose logging
+ * @returns {Promise<Object>} { outputPath, format, diff, before, after }
+ */
+async function runComponentDiff(options) {
+    const {
+        fromRef,
+        toRef,
+        htmlPath,
+        projectDir,
+        outputPath,
+        format = 'markdown',
+        outputDir = null,
+        verbose = false,
+        ignore = [],
+        include = []
+    } = options;
+
+    const log = verbose ? console.log : () => { };
+    const repoRoot = getRepoRoot(projectDir);
+    const snapshots = [];
+
+    for (const ref of [fromRef, toRef]) {
+        const sources = readRevisionSources(repoRoot, ref, htmlPath, projectDir, { ignore, include });
+        log(`\n${ref} (${sources.commit.slice(0, 7)}): ${Object.keys(sources.files).length} CSS/JS files`);
+
+        const analysis = await analyzeComponent({
+            ...options,
+            htmlContent: sources.html,
+            files: sources.files,
+            fileExists: sources.exists,
+            scanDisk: false,
+            selectorIndex: null,
+            onProgress: createConsoleReporter(verbose)
+        });
+
+        snapshots.push({ ref, commit: sources.commit, report: buildJSONReport(analysis) });
+    }
+
+    const [before, after] = snapshots;
+    const comparison = {
+        diff: diffReports(before.report, after.report),
+        before,
+        after,
+        source: toPosixPath(path.relative(repoRoot, htmlPath)),
+        generatedAt: new Date().toISOString()
+    };
+
+    const finalOutputPath = outputPath || path.join(
+        getOutputDir(htmlPath, projectDir, outputDir),
+        path.basename(generateOutputPath(after.report.targetInfo, htmlPath, projectDir, format)).replace('-analysis.', '-diff.')
+    );
+    fs.writeFileSync(finalOutputPath, generateDiffReport(comparison, format), 'utf-8');
+
+    return {
+        outputPath: finalOutputPath,
+        format,
+        ...comparison
+    };
+}
+
+/**
+ * Analyze one component across several pages
+ * The component is extracted from every page and compared (classes,
+ * attributes and child elements that vary between pages), then the union of
+ * all variants is analyzed once against the project. The first page that
+ * contains the component provides linked files, inline blocks and the HTML
+ * shown in the consolidated report.
+ * @param {Object} options - Same options as runAnalysis(), plus:
+ * @param {string[]} options.pages - HTML files or templates containing the component
+ * @param {string} options.selector - CSS selector of the component on every page
+ *   (or options.text, options.xpath, options.role)
+ * @returns {Promise<Object>} { outputPath, format, variance, ...summary }
+ */
+async function runCrossPageAnalysis(options) {
+    const {
+        pages = [],
+        projectDir,
+        selector,
+        text,
+        xpath,
+        role,
+        matchIndex = 0,
+        outputPath,
+        format = 'markdown',
+        outputDir = null,
+        verbose = false,
+        ciThresholds = null
+    } = options;
+
+    const log = verbose ? console.log : () => { };
+
+    if (pages.length === 0) {
+        throw new Error('Cross-page analysis requires at least one page');
+    }
+    if (!selector && !text && !xpath && !role) {
+        throw new Error('Cross-page analysis requires a selector, text, xpath or role');
+    }
+    const label = describeTarget({ selector, text, xpath, role });
+
+    const relative = (page) => toPosixPath(path.relative(projectDir, page));
+
+    const variants = pages.map(page => {
+        const html = parseTemplateContent(fs.readFileSync(page, 'utf-8'), page).html;
+        try {
+            const targetInfo = extractTargetElement(parseHTML(html), html, { selector, text, xpath, role, matchIndex });
+            log(`${relative(page)}: ${targetInfo.summary}`);
+            return { page, html, targetInfo };
+        } catch (error) {
+            log(`${relative(page)}: ${error.message.split('\n')[0]}`);
+            return { page, html, targetInfo: null, error: error.message.split('\n')[0] };
+        }
+    });
+
+    const found = variants.filter(v => v.targetInfo);
+    if (found.length === 0) {
+        throw new Error(`No element found matching ${selector ? `selector "${selector}"` : label} in any of the ${pages.length} pages`);
+    }
+
+    const variance = compareComponentVariants(variants.map(v => ({
+        page: relative(v.page),
+        html: v.targetInfo ? v.targetInfo.html : null,
+        error: v.error
+    })));
+
+    const [representative] = found;
+    log(`\nAnalyzing the component from ${found.length} pages (linked files from ${relative(representative.page)})...`);
+
+    const analysis = await analyzeComponent({
+        ...options,
+        htmlPath: representative.page,
+        htmlContent: representative.html,
+        targetInfo: mergeTargetInfos(found.map(v => v.targetInfo)),
+        onProgress: createConsoleReporter(verbose)
+    });
+
+    const crossPage = {
+        selector: label,
+        representative: relative(representative.page),
+        variance,
+        analysis,
+        generatedAt: analysis.generatedAt
+    };
+
+    const finalOutputPath = outputPath || path.join(
+        getOutputDir(representative.page, projectDir, outputDir),
+        path.basename(generateOutputPath(representative.targetInfo, representative.page, projectDir, format)).replace('-analysis.', '-pages.')
+    );
+    fs.writeFileSync(finalOutputPath, generateVarianceReport(crossPage, format), 'utf-8');
+
+    return {
+        outputPath: finalOutputPath,
+        format,
+        variance,
+        ...summarizeAnalysis(analysis),
+        ...(ciThresholds && { ci: evaluateCIThresholds(analysis, ciThresholds) })
+    };
+}
+
+/**
+ * Read the source page and the project's CSS/JS files at a revision
+ * @returns {Object} { commit, html, files: { projectRelativePath: content }, exists(absolutePath) }
+ *   exists tells whether a file is in the repository at that revision
+ */
+function readRevisionSources(repoRoot, ref, htmlPath, projectDir, fileFilter) {
+    const commit = resolveCommit(repoRoot, ref);
+    const projectPath = toPosixPath(path.relative(repoRoot, projectDir));
+    const sourcePath = toPosixPath(path.relative(repoRoot, htmlPath));
+
+    if (projectPath.startsWith('..') || sourcePath.startsWith('..')) {
+        throw new Error(`${htmlPath} is not inside the git repository at ${repoRoot}`);
+    }
+
+    const repoFiles = listFilesAtCommit(repoRoot, commit);
+    const inProject = projectPath
+        ? repoFiles.filter(filePath => filePath.startsWith(`${projectPath}/`))
+        : repoFiles;
+    const projectFiles = classifyProjectFiles(
+        inProject.map(filePath => path.posix.relative(projectPath, filePath)),
+        fileFilter
+    );
+    const repoFileSet = new Set(repoFiles);
+    const toRepoPath = (filePath) => projectPath ? `${projectPath}/${filePath}` : filePath;
+    const projectRelative = [...projectFiles.css, ...projectFiles.js];
+
+    const contents = readFilesAtCommit(repoRoot, commit, [sourcePath, ...projectRelative.map(toRepoPath)]);
+
+    if (!contents.has(sourcePath)) {
+        throw new Error(`${sourcePath} does not exist at ${ref}`);
+    }
+
+    const files = {};
+    projectRelative.forEach(filePath => {
+        const content = contents.get(toRepoPath(filePath));
+        if (content !== undefined) {
+            files[filePath] = content;
+        }
+    });
+
+    return {
+        commit,
+        html: parseTemplateContent(contents.get(sourcePath), htmlPath).html,
+        files,
+        exists: (filePath) => repoFileSet.has(toPosixPath(path.relative(repoRoot, filePath)))
     };
 }
 
@@ -313,14 +1023,8 @@ function extractInlineScripts(parsedHTML, targetInfo) {
 /**
  * Generate output path based on target info
  */
-function generateOutputPath(targetInfo, htmlPath, projectDir = null) {
-    // For URLs, use projectDir or current working directory
-    let outputDir;
-    if (htmlPath.startsWith('http://') || htmlPath.startsWith('https://')) {
-        outputDir = projectDir || process.cwd();
-    } else {
-        outputDir = path.dirname(htmlPath);
-    }
+function generateOutputPath(targetInfo, htmlPath, projectDir = null, format = 'markdown', configuredOutputDir = null) {
+    const outputDir = getOutputDir(htmlPath, projectDir, configuredOutputDir);
 
     const baseName = targetInfo.ids[0]
         || targetInfo.classes[0]
@@ -328,8 +1032,52 @@ function generateOutputPath(targetInfo, htmlPath, projectDir = null) {
         || 'component';
 
     // Clean up the name for use as filename
-    const cleanName = baseName.replace(/[^a-zA-Z0-9-_]/g, '-');
-    return path.join(outputDir, `${cleanName}-analysis.md`);
+    const cleanName = cleanFileName(baseName);
+    const extension = format === 'json' ? 'json' : 'md';
+    return path.join(outputDir, `${cleanName}-analysis.${extension}`);
+}
+
+/**
+ * Default directory for reports
+ */
+function getOutputDir(htmlPath, projectDir = null, configuredOutputDir = null) {
+    if (configuredOutputDir) {
+        fs.mkdirSync(configuredOutputDir, { recursive: true });
+        return configuredOutputDir;
+    }
+    // For URLs, use projectDir or current working directory
+    if (htmlPath.startsWith('http://') || htmlPath.startsWith('https://')) {
+        return projectDir || process.cwd();
+    }
+    return path.dirname(htmlPath);
+}
+
+/**
+ * Reserve a report path for a batch target that no earlier target has used
+ * A taken path gets a counter: a-analysis.md becomes a-2-analysis.md, page.md becomes page-2.md.
+ * @param {string} desiredPath - Path the target asks for
+ * @param {Set<string>} usedPaths - Resolved paths already reserved (updated)
+ * @returns {string} Resolved, unused path
+ */
+function uniqueOutputPath(desiredPath, usedPaths) {
+    const resolved = path.resolve(desiredPath);
+    const extension = path.extname(resolved);
+    const [, stem, suffix] = resolved.slice(0, resolved.length - extension.length).match(/^(.*?)(-analysis)?$/);
+
+    let candidate = resolved;
+    let counter = 2;
+    while (usedPaths.has(candidate)) {
+        candidate = `${stem}-${counter++}${suffix || ''}${extension}`;
+    }
+    usedPaths.add(candidate);
+    return candidate;
+}
+
+/**
+ * Clean up a name for use as filename
+ */
+function cleanFileName(name) {
+    return name.replace(/[^a-zA-Z0-9-_]/g, '-');
 }
 
-module.exports = { runAnalysis };
+module.exports = { scoop, analyzeComponent, runAnalysis, runBatchAnalysis, runComponentDiff, runCrossPageAnalysis, runInventory };
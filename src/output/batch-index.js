@@ -0,0 +1,88 @@
+/**
+ * Batch Index Generator
+ * Generates the index file that links every report written by a batch run
+ */
+
+const path = require('path');
+const { JSON_SCHEMA_VERSION } = require('./json');
+const { toPosixPath, escapeCell } = require('./report-helpers');
+
+/**
+ * Generate the batch index
+ * @param {Object} batch
+ * @param {string} batch.htmlPath - Analyzed source
+ * @param {string} batch.format - 'markdown' or 'json'
+ * @param {string} batch.indexPath - Where the index will be written (links are relative to it)
+ * @param {Array} batch.results - runAnalysis() results, each with a `name`
+ * @param {Array} batch.failures - [{ name, error }]
+ * @param {string} batch.generatedAt - ISO timestamp
+ * @returns {string} Index content
+ */
+function generateBatchIndex(batch) {
+    return batch.format === 'json'
+        ? generateBatchIndexJSON(batch)
+        : generateBatchIndexMarkdown(batch);
+}
+
+/**
+ * Markdown index: one table row per component
+ */
+function generateBatchIndexMarkdown({ htmlPath, indexPath, results, failures, generatedAt }) {
+    const indexDir = path.dirname(indexPath);
+    const date = new Date(generatedAt).toLocaleString();
+
+    let md = `# Component Index: ${path.basename(htmlPath)}\n\n`;
+    md += `> Generated by **CodeScoop** on ${date}\n`;
+    md += `> \n`;
+    md += `> ${results.length} component(s) analyzed${failures.length > 0 ? `, ${failures.length} failed` : ''}\n\n`;
+
+    if (results.length > 0) {
+        md += `| Component | Element | CSS Rules | JS Refs | Missing Imports | Ghost Classes | Report |\n`;
+        md += `|-----------|---------|-----------|---------|-----------------|---------------|--------|\n`;
+
+        results.forEach(result => {
+            const link = toPosixPath(path.relative(indexDir, result.outputPath));
+            const ghostCount = result.ghostClasses?.length || 0;
+            md += `| **${escapeCell(result.name)}** | \`${escapeCell(result.targetInfo.summary)}\` | ${result.cssMatches} | ${result.jsMatches} | ${result.missingImports.length} | ${ghostCount} | [${path.basename(result.outputPath)}](${link}) |\n`;
+        });
+        md += '\n';
+    }
+
+    if (failures.length > 0) {
+        md += `## ⚠️ Failed Targets\n\n`;
+        failures.forEach(failure => {
+            md += `- **${failure.name}**: ${failure.error.split('\n')[0]}\n`;
+        });
+        md += '\n';
+    }
+
+    return md;
+}
+
+/**
+ * JSON index: same data, with report paths relative to the index
+ */
+function generateBatchIndexJSON({ htmlPath, indexPath, results, failures, generatedAt }) {
+    const indexDir = path.dirname(indexPath);
+
+    return JSON.stringify({
+        schemaVersion: JSON_SCHEMA_VERSION,
+        generatedAt,
+        source: htmlPath,
+        components: results.map(result => ({
+            name: result.name,
+            selector: result.targetInfo.selector,
+            summary: result.targetInfo.summary,
+            report: toPosixPath(path.relative(indexDir, result.outputPath)),
+            cssMatches: result.cssMatches,
+            jsMatches: result.jsMatches,
+            missingImports: result.missingImports.length,
+            ghostClasses: result.ghostClasses || []
+        })),
+        failures: failures.map(f => ({ name: f.name, error: f.error }))
+    }, null, 2);
+}
+
+module.exports = {
+    generateBatchIndex
+};
@@ -282,6 +282,22 @@ function cleanHTMLForReact(html) {
     return { cleaned, notes };
 }
 
+/**
+ * Turn a repeated item template ({slot} placeholders) into the JSX of one
+ * `.map()` iteration, reading each slot from `item`
+ * @param {string} template - Item template from detectRepeatedStructures()
+ * @returns {string} JSX
+ */
+function toJSXItemTemplate(template) {
+    return cleanHTMLForReact(template).cleaned
+        // Attributes that are only a slot: src="{imageSrc}" -> src={item.imageSrc}
+        .replace(/="\{(\w+)\}"/g, '={item.$1}')
+        // Attributes mixing text and a slot: className="card {variant}" -> className={`card ${item.variant}`}
+        .replace(/="([^"]*)\{(\w+)\}([^"]*)"/g, '={`$1${item.$2}$3`}')
+        // Text slots
+        .replace(/>([^<]*?)\{(\w+)\}/g, '>$1{item.$2}');
+}
+
 /**
  * Generate the conversion context markdown
  * @param {Object} analysis - Full analysis object
@@ -334,6 +350,24 @@ function generateConversionContext(analysis) {
         md += `\`\`\`\n\n`;
     }
 
+    // Props inferred from repeated structures
+    const repeatedStructures = targetInfo.repeatedStructures || [];
+    if (repeatedStructures.length > 0) {
+        md += `## 🧩 Inferred Props\n\n`;
+        md += `These lists repeat the same markup with different content. Pass the content in as props and render each list with \`.map()\`:\n\n`;
+        md += `\`\`\`typescript\n`;
+        md += `interface ComponentProps {\n`;
+        repeatedStructures.forEach(structure => {
+            md += `  ${structure.name}: { ${structure.slots.map(slot => `${slot.name}: string`).join('; ')} }[]; // ${structure.count} × ${structure.itemSelector}\n`;
+        });
+        md += `}\n\`\`\`\n\n`;
+
+        repeatedStructures.forEach(structure => {
+            md += `**\`${structure.name}\`** item (give each one a \`key\`):\n\n`;
+            md += `\`\`\`jsx\n{${structure.name}.map((item) => (\n  ${toJSXItemTemplate(structure.template)}\n))}\n\`\`\`\n\n`;
+        });
+    }
+
     // Event Handlers
     if (patterns.eventHandlers.length > 0) {
         md += `## 🎯 Event Handlers to Implement\n\n`;
@@ -365,6 +399,17 @@ function generateConversionContext(analysis) {
         md += `\n`;
     }
 
+    // Accessibility debt
+    const a11yIssues = analysis.accessibility ? analysis.accessibility.issues : [];
+    if (a11yIssues.length > 0) {
+        md += `## ♿ Accessibility Fixes\n\n`;
+        md += `Fix these while converting instead of carrying them over:\n\n`;
+        a11yIssues.forEach(issue => {
+            md += `- **${issue.check}** \`${issue.element}\`${issue.line ? ` (line ${issue.line})` : ''}: ${issue.message}\n`;
+        });
+        md += `\n`;
+    }
+
     // Effects
     if (patterns.effects.length > 0) {
         md += `## 🔄 useEffect Patterns Needed\n\n`;
@@ -479,7 +524,13 @@ function generateConversionContext(analysis) {
     md += `- [ ] Create \`Component.tsx\` file\n`;
     md += `- [ ] Create \`Component.module.css\` file\n`;
     md += `- [ ] Implement useState hooks\n`;
+    if (repeatedStructures.length > 0) {
+        md += `- [ ] Render repeated items from props (${repeatedStructures.map(structure => structure.name).join(', ')})\n`;
+    }
     md += `- [ ] Convert event handlers to JSX\n`;
+    if (a11yIssues.length > 0) {
+        md += `- [ ] Fix the accessibility issues (${a11yIssues.length})\n`;
+    }
     if (patterns.animations.length > 0) {
         md += `- [ ] Set up animation library (framer-motion/GSAP)\n`;
     }
@@ -497,5 +548,6 @@ module.exports = {
     generateStateSuggestions,
     generateDependencySuggestions,
     cleanHTMLForReact,
+    toJSXItemTemplate,
     generateConversionContext
 };
@@ -0,0 +1,180 @@
+/**
+ * Diff Report Generator
+ * Renders a component diff (see utils/component-diff.js) as markdown or JSON
+ */
+
+const { JSON_SCHEMA_VERSION } = require('./json');
+
+/**
+ * Generate the diff report
+ * @param {Object} comparison
+ * @param {Object} comparison.diff - Result of diffReports()
+ * @param {Object} comparison.before - { ref, commit, report }
+ * @param {Object} comparison.after - { ref, commit, report }
+ * @param {string} comparison.source - Analyzed source, relative to the repository
+ * @param {string} comparison.generatedAt - ISO timestamp
+ * @param {string} format - 'markdown' or 'json'
+ * @returns {string} Report content
+ */
+function generateDiffReport(comparison, format = 'markdown') {
+    return format === 'json'
+        ? generateDiffJSON(comparison)
+        : generateDiffMarkdown(comparison);
+}
+
+/**
+ * Markdown diff: one section per kind of change, empty sections are left out
+ */
+function generateDiffMarkdown({ diff, before, after, source, generatedAt }) {
+    const target = after.report.targetInfo;
+    const sections = [];
+
+    let header = `# Component Diff: \`${target.summary || target.selector}\`\n\n`;
+    header += `> **Source:** \`${source}\`  \n`;
+    header += `> **From:** \`${before.ref}\` (${before.commit.slice(0, 7)}) → **To:** \`${after.ref}\` (${after.commit.slice(0, 7)})  \n`;
+    header += `> **Generated:** ${new Date(generatedAt).toLocaleString()}\n\n`;
+    header += `| | Added | Removed | Modified |\n`;
+    header += `|---|---|---|---|\n`;
+    header += `| CSS rules | ${diff.css.added.length} | ${diff.css.removed.length} | ${diff.css.modified.length} |\n`;
+    header += `| JS references | ${diff.js.added.length} | ${diff.js.removed.length} | ${diff.js.modified.length} |\n`;
+    if (!diff.hasChanges) {
+        header += `\n✅ No changes affect this component.\n`;
+    }
+    sections.push(header);
+
+    if (diff.winners.length > 0) {
+        let md = `## ⚔️ Specificity Winners Changed\n\n`;
+        md += `| Property | Before | After |\n`;
+        md += `|----------|--------|-------|\n`;
+        diff.winners.forEach(({ property, before: was, after: now }) => {
+            md += `| \`${property}\` | ${formatWinner(was)} | ${formatWinner(now)} |\n`;
+        });
+        sections.push(md);
+    }
+
+    if (diff.ghostClasses.added.length > 0 || diff.ghostClasses.removed.length > 0) {
+        let md = `## 👻 Ghost Classes\n\n`;
+        diff.ghostClasses.added.forEach(cls => {
+            md += `- 🆕 \`${cls}\` no longer has any CSS\n`;
+        });
+        diff.ghostClasses.removed.forEach(cls => {
+            md += `- ✅ \`${cls}\` is styled again\n`;
+        });
+        sections.push(md);
+    }
+
+    sections.push(...formatMatchChanges(diff.css, 'CSS Rules', 'css', m => m.selector));
+    sections.push(...formatMatchChanges(diff.js, 'JS References', 'javascript', m => m.selector || m.method || m.type));
+
+    return sections.join('\n---\n\n');
+}
+
+/**
+ * Added/removed/modified sections for CSS or JS matches
+ */
+function formatMatchChanges(changes, title, language, labelOf) {
+    const sections = [];
+    const location = (filePath, match) => `\`${filePath}:${match.startLine}\``;
+
+    if (changes.added.length > 0) {
+        let md = `## ➕ ${title} Added\n\n`;
+        changes.added.forEach(({ filePath, match }) => {
+            md += `### \`${labelOf(match)}\` — ${location(filePath, match)}\n\n`;
+            md += `\`\`\`${language}\n${match.content}\n\`\`\`\n\n`;
+        });
+        sections.push(md);
+    }
+
+    if (changes.removed.length > 0) {
+        let md = `## ➖ ${title} Removed\n\n`;
+        changes.removed.forEach(({ filePath, match }) => {
+            md += `### \`${labelOf(match)}\` — ${location(filePath, match)}\n\n`;
+            md += `\`\`\`${language}\n${match.content}\n\`\`\`\n\n`;
+        });
+        sections.push(md);
+    }
+
+    if (changes.modified.length > 0) {
+        let md = `## ✏️ ${title} Modified\n\n`;
+        changes.modified.forEach(({ filePath, before, after }) => {
+            md += `### \`${labelOf(after)}\` — ${location(filePath, after)}\n\n`;
+            md += `\`\`\`diff\n${lineDiff(before.content, after.content)}\n\`\`\`\n\n`;
+        });
+        sections.push(md);
+    }
+
+    return sections;
+}
+
+/**
+ * Minimal line diff (longest common subsequence), good enough for single rules
+ */
+function lineDiff(beforeText, afterText) {
+    const a = beforeText.split('\n');
+    const b = afterText.split('\n');
+
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push(`  ${a[i]}`);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            lines.push(`- ${a[i++]}`);
+        } else {
+            lines.push(`+ ${b[j++]}`);
+        }
+    }
+    while (i < a.length) lines.push(`- ${a[i++]}`);
+    while (j < b.length) lines.push(`+ ${b[j++]}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * One table cell describing a winning declaration
+ */
+function formatWinner(rule) {
+    if (!rule) return '_no conflict_';
+    return `\`${rule.selector}\` → \`${rule.value.replace(/\|/g, '\\|')}\` (${rule.file}:${rule.startLine})`;
+}
+
+/**
+ * JSON diff: same data, matches reduced to their serialized report fields
+ */
+function generateDiffJSON({ diff, before, after, source, generatedAt }) {
+    const entry = ({ filePath, match }) => ({ filePath, ...match });
+
+    const matchChanges = (changes) => ({
+        added: changes.added.map(entry),
+        removed: changes.removed.map(entry),
+        modified: changes.modified.map(({ filePath, before: was, after: now }) => ({ filePath, before: was, after: now }))
+    });
+
+    return JSON.stringify({
+        schemaVersion: JSON_SCHEMA_VERSION,
+        generatedAt,
+        source,
+        target: after.report.targetInfo.selector,
+        before: { ref: before.ref, commit: before.commit },
+        after: { ref: after.ref, commit: after.commit },
+        hasChanges: diff.hasChanges,
+        css: matchChanges(diff.css),
+        js: matchChanges(diff.js),
+        winners: diff.winners,
+        ghostClasses: diff.ghostClasses
+    }, null, 2);
+}
+
+module.exports = {
+    generateDiffReport
+};
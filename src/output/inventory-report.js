@@ -0,0 +1,130 @@
+/**
+ * Inventory Report Generator
+ * Summarizes every component found on a page: where it is, how big it is,
+ * what it depends on and its ghost classes, with a link to each report
+ */
+
+const path = require('path');
+const { JSON_SCHEMA_VERSION } = require('./json');
+const { toPosixPath, escapeCell } = require('./report-helpers');
+
+/**
+ * Generate the inventory summary
+ * @param {Object} inventory
+ * @param {string} inventory.htmlPath - Analyzed page
+ * @param {string} inventory.format - 'markdown' or 'json'
+ * @param {string} inventory.summaryPath - Where the summary will be written (links are relative to it)
+ * @param {Array} inventory.components - detectComponents() results
+ * @param {Array} inventory.results - runAnalysis() results, each with the component `name`
+ * @param {Array} inventory.failures - [{ name, error }]
+ * @param {string} inventory.generatedAt - ISO timestamp
+ * @returns {string} Summary content
+ */
+function generateInventoryReport(inventory) {
+    return inventory.format === 'json'
+        ? generateInventoryJSON(inventory)
+        : generateInventoryMarkdown(inventory);
+}
+
+/**
+ * One row per component: detection data joined with its analysis result
+ */
+function buildRows({ summaryPath, components, results }) {
+    const summaryDir = path.dirname(summaryPath);
+    const resultsByName = new Map(results.map(result => [result.name, result]));
+
+    return components.map(component => {
+        const result = resultsByName.get(component.name);
+        if (!result) {
+            return { ...component, analyzed: false };
+        }
+
+        const { targetInfo } = result;
+        return {
+            ...component,
+            analyzed: true,
+            summary: targetInfo.summary,
+            startLine: targetInfo.startLine || null,
+            endLine: targetInfo.endLine || null,
+            lines: targetInfo.startLine ? targetInfo.endLine - targetInfo.startLine + 1 : null,
+            bytes: Buffer.byteLength(targetInfo.html || ''),
+            cssMatches: result.cssMatches,
+            jsMatches: result.jsMatches,
+            missingImports: result.missingImports.length,
+            libraryCount: result.libraryCount,
+            ghostClasses: result.ghostClasses || [],
+            report: toPosixPath(path.relative(summaryDir, result.outputPath))
+        };
+    });
+}
+
+/**
+ * Markdown summary: a table in document order, nesting shown by indentation
+ */
+function generateInventoryMarkdown(inventory) {
+    const { htmlPath, failures, generatedAt } = inventory;
+    const rows = buildRows(inventory);
+    const analyzed = rows.filter(row => row.analyzed);
+
+    let md = `# Component Inventory: ${path.basename(htmlPath)}\n\n`;
+    md += `> Generated by **CodeScoop** on ${new Date(generatedAt).toLocaleString()}\n`;
+    md += `> \n`;
+    md += `> ${rows.length} component(s) detected, ${analyzed.length} analyzed${failures.length > 0 ? `, ${failures.length} failed` : ''}\n\n`;
+
+    md += `| Component | Element | Detected By | Lines | Size | CSS Rules | JS Refs | Libraries | Missing Imports | Ghost Classes | Report |\n`;
+    md += `|-----------|---------|-------------|-------|------|-----------|---------|-----------|-----------------|---------------|--------|\n`;
+
+    rows.forEach(row => {
+        const name = `${'&nbsp;&nbsp;'.repeat(row.depth)}${row.depth > 0 ? '↳ ' : ''}**${escapeCell(row.name)}**`;
+        const detectedBy = escapeCell(row.reasons.join(', '));
+
+        if (!row.analyzed) {
+            md += `| ${name} | \`${escapeCell(row.selector)}\` | ${detectedBy} | | | | | | | | ❌ failed |\n`;
+            return;
+        }
+
+        const lines = row.startLine ? `${row.startLine}-${row.endLine} (${row.lines})` : '—';
+        md += `| ${name} | \`${escapeCell(row.summary)}\` | ${detectedBy} | ${lines} | ${formatBytes(row.bytes)} | ${row.cssMatches} | ${row.jsMatches} | ${row.libraryCount} | ${row.missingImports} | ${row.ghostClasses.length} | [${path.basename(row.report)}](${row.report}) |\n`;
+    });
+    md += '\n';
+
+    if (analyzed.length > 0) {
+        const total = (key) => analyzed.reduce((sum, row) => sum + row[key], 0);
+        md += `**Totals:** ${total('cssMatches')} CSS rules, ${total('jsMatches')} JS references, `;
+        md += `${analyzed.reduce((sum, row) => sum + row.ghostClasses.length, 0)} ghost classes across ${analyzed.length} components. `;
+        md += `Nested components are counted in their parents too.\n\n`;
+    }
+
+    if (failures.length > 0) {
+        md += `## ⚠️ Failed Components\n\n`;
+        failures.forEach(failure => {
+            md += `- **${failure.name}**: ${failure.error.split('\n')[0]}\n`;
+        });
+        md += '\n';
+    }
+
+    return md;
+}
+
+/**
+ * JSON summary: same rows
+ */
+function generateInventoryJSON(inventory) {
+    const { htmlPath, failures, generatedAt } = inventory;
+
+    return JSON.stringify({
+        schemaVersion: JSON_SCHEMA_VERSION,
+        generatedAt,
+        source: htmlPath,
+        components: buildRows(inventory),
+        failures: failures.map(f => ({ name: f.name, error: f.error }))
+    }, null, 2);
+}
+
+function formatBytes(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+module.exports = {
+    generateInventoryReport
+};
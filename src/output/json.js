@@ -0,0 +1,289 @@
+/**
+ * JSON Output Generator
+ * Serializes analysis results into a stable, versioned structure for scripts and dashboards
+ *
+ * The shape of the document is described in report.schema.json. Bump
+ * JSON_SCHEMA_VERSION whenever a field is removed or changes meaning
+ * (MAJOR) or new fields are added (MINOR).
+ */
+
+const path = require('path');
+const { version: generatorVersion } = require('../../package.json');
+
+const JSON_SCHEMA_VERSION = '1.6';
+
+/**
+ * Generate JSON report from analysis
+ * @param {Object} analysis - Analysis results (same object passed to generateMarkdown)
+ * @returns {string} JSON content
+ */
+function generateJSON(analysis) {
+    return JSON.stringify(buildJSONReport(analysis), null, 2);
+}
+
+/**
+ * Build the plain JSON report object
+ * @param {Object} analysis - Analysis results
+ * @returns {Object} Report object following report.schema.json
+ */
+function buildJSONReport(analysis) {
+    const {
+        targetInfo,
+        htmlPath,
+        projectDir,
+        sourceType = 'file',
+        cssResults = [],
+        jsResults = [],
+        cssLibraryResults = [],
+        cssMentions = [],
+        jsLibraryResults = [],
+        detectedLibraries = {},
+        inlineStyles = [],
+        inlineScripts = [],
+        missingImports = [],
+        variableData = {},
+        assetStatus = {},
+        conflicts = {},
+        ghostData = {},
+        elementTree = null,
+        customElementDefinitions = [],
+        accessibility = null,
+        generatedAt
+    } = analysis;
+
+    const relativeTo = (filePath) => projectDir ? path.relative(projectDir, filePath) : filePath;
+
+    return {
+        schemaVersion: JSON_SCHEMA_VERSION,
+        generator: {
+            name: 'codescoop',
+            version: generatorVersion
+        },
+        generatedAt,
+        source: {
+            path: htmlPath,
+            type: sourceType,
+            projectDir: projectDir || null
+        },
+        targetInfo: serializeTargetInfo(targetInfo),
+        cssResults: cssResults.map(r => serializeCSSResult(r, relativeTo)),
+        jsResults: jsResults.map(r => serializeJSResult(r, relativeTo)),
+        cssLibraryResults: cssLibraryResults.map(r => serializeCSSResult(r, relativeTo)),
+        jsLibraryResults: jsLibraryResults.map(r => serializeJSResult(r, relativeTo)),
+        cssMentions: cssMentions.map(file => ({
+            filePath: relativeTo(file.filePath),
+            libraryName: file.libraryName || null,
+            mentions: file.mentions.map(m => ({
+                selector: m.selector,
+                startLine: m.startLine,
+                endLine: m.endLine,
+                matchedOn: m.matchedOn || [],
+                atRuleContext: m.atRuleContext || null
+            }))
+        })),
+        inlineStyles: inlineStyles.map(s => ({ index: s.index, content: s.content })),
+        inlineScripts: inlineScripts.map(s => ({ index: s.index, content: s.content })),
+        detectedLibraries: serializeLibraries(detectedLibraries, relativeTo),
+        missingImports: missingImports.map(relativeTo),
+        variableData: {
+            usedVariables: variableData.usedVariables || [],
+            cssVariables: variableData.cssVariables || {},
+            scssVariables: variableData.scssVariables || {},
+            undefinedCSSVariables: variableData.undefinedCSSVariables || [],
+            undefinedSCSSVariables: variableData.undefinedSCSSVariables || []
+        },
+        assetStatus: {
+            total: assetStatus.total || 0,
+            available: assetStatus.available || 0,
+            missing: assetStatus.missing || 0,
+            external: assetStatus.external || 0,
+            embedded: assetStatus.embedded || 0,
+            details: (assetStatus.details || []).map(a => ({
+                src: a.src,
+                type: a.type,
+                status: a.status,
+                location: a.location || null,
+                resolvedPath: a.resolvedPath || null,
+                size: a.size ?? null
+            }))
+        },
+        conflicts: serializeConflicts(conflicts, relativeTo),
+        ghostData: {
+            ghostClasses: ghostData.ghostClasses || [],
+            definedClasses: ghostData.definedClasses || [],
+            totalClasses: ghostData.totalClasses || 0,
+            locations: ghostData.locations || {}
+        },
+        elementTree: elementTree ? serializeElementNode(elementTree, relativeTo) : null,
+        customElementDefinitions: customElementDefinitions.map(definition => ({
+            tagName: definition.tagName,
+            className: definition.className,
+            filePath: relativeTo(definition.filePath),
+            libraryName: definition.libraryName || null,
+            line: definition.line
+        })),
+        accessibility: {
+            issues: accessibility ? accessibility.issues : [],
+            errors: accessibility ? accessibility.errors : 0,
+            warnings: accessibility ? accessibility.warnings : 0
+        }
+    };
+}
+
+/**
+ * Per-element breakdown node with project-relative paths
+ */
+function serializeElementNode(node, relativeTo) {
+    return {
+        element: node.element,
+        line: node.line,
+        rules: node.rules.map(rule => ({ ...rule, filePath: relativeTo(rule.filePath) })),
+        declarations: node.declarations.map(declaration => ({
+            ...declaration,
+            filePath: declaration.filePath ? relativeTo(declaration.filePath) : null
+        })),
+        jsReferences: node.jsReferences.map(ref => ({ ...ref, filePath: relativeTo(ref.filePath) })),
+        children: node.children.map(child => serializeElementNode(child, relativeTo))
+    };
+}
+
+/**
+ * Keep only the serializable, documented target fields
+ */
+function serializeTargetInfo(targetInfo) {
+    return {
+        selector: targetInfo.selector,
+        summary: targetInfo.summary,
+        tagName: targetInfo.tagName,
+        classes: targetInfo.classes,
+        ids: targetInfo.ids,
+        dataAttributes: targetInfo.dataAttributes,
+        shadowParts: targetInfo.shadowParts || [],
+        startLine: targetInfo.startLine ?? null,
+        endLine: targetInfo.endLine ?? null,
+        location: targetInfo.location || null,
+        matchCount: targetInfo.matchCount,
+        repeatedStructures: targetInfo.repeatedStructures || [],
+        webComponents: targetInfo.webComponents || [],
+        html: targetInfo.html,
+        assets: targetInfo.assets || null
+    };
+}
+
+/**
+ * Serialize a CSS file result
+ */
+function serializeCSSResult(result, relativeTo) {
+    return {
+        filePath: relativeTo(result.filePath),
+        isLinked: !!result.isLinked,
+        isLibrary: !!result.isLibrary,
+        libraryName: result.libraryName || null,
+        isScss: !!result.isScss,
+        isMinified: !!result.isMinified,
+        fileType: result.fileType,
+        matches: result.matches.map(m => ({
+            selector: m.selector,
+            originalSelector: m.originalSelector || m.selector,
+            content: m.content,
+            startLine: m.startLine,
+            endLine: m.endLine,
+            matchedOn: m.matchedOn || [],
+            atRuleContext: m.atRuleContext || null,
+            isKeyframes: !!m.isKeyframes,
+            appliesTo: m.appliesTo || null,
+            conditions: m.conditions || []
+        })),
+        shadowDOMRules: (result.shadowDOMRules || []).map(r => ({
+            selector: r.selector,
+            content: r.content,
+            startLine: r.startLine,
+            endLine: r.endLine,
+            matchedOn: r.matchedOn,
+            shadowDOMType: r.shadowDOMType,
+            atRuleContext: r.atRuleContext || null
+        })),
+        houdiniProperties: (result.houdiniProperties || []).map(p => ({
+            propertyName: p.propertyName,
+            content: p.content,
+            startLine: p.startLine,
+            endLine: p.endLine,
+            atRuleContext: p.atRuleContext || null
+        }))
+    };
+}
+
+/**
+ * Serialize a JS file result (drops the raw/beautified file contents)
+ */
+function serializeJSResult(result, relativeTo) {
+    return {
+        filePath: relativeTo(result.filePath),
+        isLinked: !!result.isLinked,
+        isLibrary: !!result.isLibrary,
+        libraryName: result.libraryName || null,
+        isMinified: !!result.isMinified,
+        matches: result.matches.map(m => ({
+            type: m.type,
+            method: m.method || null,
+            selector: m.selector || null,
+            content: m.content,
+            startLine: m.startLine,
+            endLine: m.endLine,
+            matchedOn: m.matchedOn || []
+        }))
+    };
+}
+
+/**
+ * Library definitions carry RegExp patterns, which do not survive JSON.stringify
+ */
+function serializeLibraries(detectedLibraries, relativeTo) {
+    const fromFiles = detectedLibraries.fromFiles || {};
+
+    return {
+        fromFiles: Object.keys(fromFiles).map(name => ({
+            name,
+            type: fromFiles[name].type,
+            website: fromFiles[name].website || null,
+            files: (fromFiles[name].files || []).map(relativeTo)
+        })),
+        fromCDN: (detectedLibraries.fromCDN || []).map(lib => ({
+            name: lib.name,
+            type: lib.type,
+            url: lib.url,
+            website: lib.website || null
+        })),
+        fromClasses: detectedLibraries.fromClasses || []
+    };
+}
+
+/**
+ * Convert the property-keyed conflict map into a sorted array
+ */
+function serializeConflicts(conflicts, relativeTo) {
+    const serializeRule = (rule) => ({
+        selector: rule.selector,
+        value: rule.value,
+        specificity: rule.specificity,
+        hasImportant: rule.hasImportant,
+        file: rule.file ? relativeTo(rule.file) : null,
+        startLine: rule.startLine,
+        endLine: rule.endLine
+    });
+
+    return Object.entries(conflicts)
+        .filter(([_, data]) => data.hasConflict)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([property, data]) => ({
+            property,
+            winner: serializeRule(data.winner),
+            losers: data.losers.map(serializeRule)
+        }));
+}
+
+module.exports = {
+    JSON_SCHEMA_VERSION,
+    generateJSON,
+    buildJSONReport
+};
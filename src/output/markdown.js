@@ -7,6 +7,11 @@ const path = require('path');
 const { formatVariablesAsMarkdown } = require('../utils/variable-extractor');
 const { detectGhostClasses, formatGhostClassesMarkdown } = require('../utils/ghost-detector');
 const { analyzeConflicts, formatConflictsMarkdown } = require('../utils/specificity-calculator');
+const { formatElementBreakdownMarkdown } = require('../utils/element-breakdown');
+const { formatAccessibilityMarkdown } = require('../utils/a11y-auditor');
+
+// Elements listed under each rule before the rest are counted
+const MAX_APPLIES_TO = 5;
 
 /**
  * Generate markdown report from analysis
@@ -21,6 +26,7 @@ function generateMarkdown(analysis) {
         cssResults,
         jsResults,
         cssLibraryResults = [],
+        cssMentions = [],
         jsLibraryResults = [],
         detectedLibraries = {},
         inlineStyles,
@@ -29,6 +35,12 @@ function generateMarkdown(analysis) {
         variableData = {},
         htmlAssets = {},
         assetStatus = {},
+        linkedFiles = null,
+        conflicts: precomputedConflicts,
+        ghostData: precomputedGhostData,
+        elementTree = null,
+        customElementDefinitions = [],
+        accessibility = null,
         generatedAt,
         outputOptions = {}
     } = analysis;
@@ -107,6 +119,16 @@ function generateMarkdown(analysis) {
     // Target HTML
     sections.push(generateHTMLSection(targetInfo));
 
+    // Repeated items collapsed into templates, with their inferred props
+    if (targetInfo.repeatedStructures && targetInfo.repeatedStructures.length > 0) {
+        sections.push(generateRepeatedStructuresSection(targetInfo.repeatedStructures));
+    }
+
+    // Web components: shadow root styles, exposed parts, slots and definitions
+    if (targetInfo.webComponents && targetInfo.webComponents.length > 0) {
+        sections.push(generateWebComponentsSection(targetInfo.webComponents, customElementDefinitions, projectDir));
+    }
+
     // CSS/SCSS Variables section
     if (variableData && variableData.usedVariables && variableData.usedVariables.length > 0) {
         const varsSection = `## 🎨 CSS/SCSS Variables\n\n> These variables are used in the matched CSS rules. Definitions are included for context.\n\n${formatVariablesAsMarkdown(variableData)}`;
@@ -137,6 +159,11 @@ function generateMarkdown(analysis) {
         sections.push(generateCSSSection(unlinkedCSS, [], projectDir, '⚠️ Custom CSS Files NOT Linked', compact));
     }
 
+    // Rules naming the component that do not apply to it
+    if (cssMentions.length > 0) {
+        sections.push(generateMentionsSection(cssMentions, projectDir));
+    }
+
     // Shadow DOM styles
     const shadowDOMSection = generateShadowDOMSection(cssResults, projectDir);
     if (shadowDOMSection) {
@@ -155,21 +182,34 @@ function generateMarkdown(analysis) {
         sections.push(generateJSSection(unlinkedJS, [], projectDir, '⚠️ Custom JS Files NOT Linked', compact));
     }
 
+    // Per-element view of the rules, winning declarations and JS references
+    if (elementTree) {
+        sections.push(formatElementBreakdownMarkdown(elementTree, projectDir));
+    }
+
     // CSS Conflict Detection (specificity analysis)
-    const conflicts = analyzeConflicts(cssResults, { css: cssResults.filter(r => r.isLinked).map(r => r.file) });
+    const conflicts = precomputedConflicts
+        || analyzeConflicts(cssResults, linkedFiles || { css: cssResults.filter(r => r.isLinked).map(r => r.filePath) });
     const conflictsMarkdown = formatConflictsMarkdown(conflicts);
     if (conflictsMarkdown) {
         sections.push(conflictsMarkdown);
     }
 
     // Ghost Classes Detection
-    const ghostData = detectGhostClasses(targetInfo, cssResults, cssLibraryResults, inlineStyles);
+    const ghostData = precomputedGhostData
+        || detectGhostClasses(targetInfo, cssResults, cssLibraryResults, inlineStyles);
     if (ghostData.hasGhosts) {
         sections.push(formatGhostClassesMarkdown(ghostData));
     }
 
+    // Accessibility debt to fix during the migration
+    const accessibilityMarkdown = formatAccessibilityMarkdown(accessibility);
+    if (accessibilityMarkdown) {
+        sections.push(accessibilityMarkdown);
+    }
+
     // Summary
-    sections.push(generateSummary(cssResults, jsResults, inlineStyles, inlineScripts, missingImports, detectedLibraries, ghostData));
+    sections.push(generateSummary(cssResults, jsResults, inlineStyles, inlineScripts, missingImports, detectedLibraries, ghostData, accessibility));
 
     return sections.join('\n\n---\n\n');
 }
@@ -272,12 +312,121 @@ ${fileList}
 > Add the appropriate \`<link>\` or \`<script>\` tags to import these files.`;
 }
 
+/**
+ * Generate the repeated structures section: one item template per group of
+ * identical siblings, and the props inferred from the slots that differ
+ */
+function generateRepeatedStructuresSection(structures) {
+    let content = `## 🔁 Repeated Structures\n\n`;
+    content += `> Sibling elements that repeat the same markup are collapsed into one item template.\n`;
+    content += `> What differs between the items (text, attributes, modifier classes) is marked as a slot and inferred as a prop.\n\n`;
+
+    structures.forEach(structure => {
+        const line = structure.line ? ` (line ${structure.line})` : '';
+        content += `### \`${structure.name}\` — ${structure.count} × \`${structure.itemSelector}\` in \`${structure.container}\`${line}\n\n`;
+        content += '```typescript\n' + structure.signature + '\n```\n\n';
+
+        content += `| Prop | Source | Values |\n`;
+        content += `|------|--------|--------|\n`;
+        structure.slots.forEach(slot => {
+            const source = slot.kind === 'attribute' ? `\`${slot.element}\` \`[${slot.attribute}]\``
+                : `\`${slot.element}\` ${slot.kind === 'class' ? 'modifier class' : 'text'}`;
+            const unique = [...new Set(slot.values)];
+            const values = unique.slice(0, 3)
+                .map(value => value ? `\`${truncateValue(value).replace(/\|/g, '\\|')}\`` : '_(none)_')
+                .join(', ') + (unique.length > 3 ? ` +${unique.length - 3} more` : '');
+            content += `| \`${slot.name}\` | ${source} | ${values} |\n`;
+        });
+        content += '\n```html\n' + structure.template + '\n```\n\n';
+    });
+
+    return content;
+}
+
+/**
+ * Generate the web components section: for each custom element or shadow
+ * host, where it is defined, its shadow root styles, parts and slots, and
+ * which light DOM content goes to which slot
+ */
+function generateWebComponentsSection(components, definitions, projectDir) {
+    let content = `## 🧱 Web Components\n\n`;
+    content += `> Custom elements and declarative shadow roots (\`<template shadowrootmode>\`) in the component.\n`;
+    content += `> Styles inside a shadow root only apply there; page CSS reaches it through \`::part()\` and \`::slotted()\`.\n\n`;
+
+    components.forEach(component => {
+        const line = component.line ? ` (line ${component.line})` : '';
+        content += `### \`<${component.tagName}>\`${line}\n\n`;
+
+        if (component.isCustomElement) {
+            const defined = definitions.filter(definition => definition.tagName === component.tagName);
+            if (defined.length === 0) {
+                content += `**Defined in:** ⚠️ no \`customElements.define('${component.tagName}', ...)\` found in the project JS\n\n`;
+            }
+            defined.forEach(definition => {
+                const file = `${definition.libraryName ? `${definition.libraryName}: ` : ''}${path.relative(projectDir, definition.filePath)}`;
+                content += `**Defined in:** \`${file}:${definition.line}\`${definition.className ? ` as \`${definition.className}\`` : ''}\n\n`;
+                content += '```javascript\n' + definition.content + '\n```\n\n';
+            });
+        }
+
+        const { shadowRoot } = component;
+        if (!shadowRoot) {
+            content += `**Shadow root:** none in the markup (attached from JS, if at all)\n\n`;
+        } else {
+            content += `**Shadow root:** declarative, mode \`${shadowRoot.mode}\`${shadowRoot.line ? ` (line ${shadowRoot.line})` : ''}\n\n`;
+
+            if (shadowRoot.parts.length > 0) {
+                const parts = shadowRoot.parts.map(part => `\`${part.name}\` (\`${part.element}\`)`);
+                content += `**Exposed parts:** ${parts.join(', ')}\n\n`;
+            }
+            if (shadowRoot.slots.length > 0) {
+                const slots = shadowRoot.slots.map(slot => slot.name ? `\`${slot.name}\`` : 'default');
+                content += `**Slots:** ${slots.join(', ')}\n\n`;
+            }
+            if (shadowRoot.stylesheets.length > 0) {
+                content += `**Stylesheets:** ${shadowRoot.stylesheets.map(href => `\`${href}\``).join(', ')}\n\n`;
+            }
+            shadowRoot.styles.forEach(style => {
+                content += `**Internal styles**${style.line ? ` (line ${style.line})` : ''}:\n\n`;
+                content += '```css\n' + style.content + '\n```\n\n';
+            });
+        }
+
+        if (component.slotAssignments.length > 0) {
+            content += `| Slot | Content | Line |\n`;
+            content += `|------|---------|------|\n`;
+            component.slotAssignments.forEach(assignment => {
+                let slot = assignment.slot ? `\`${assignment.slot}\`` : 'default';
+                if (assignment.assigned === false) {
+                    slot += ' ⚠️ no such slot, not rendered';
+                }
+                content += `| ${slot} | \`${assignment.content.replace(/\|/g, '\\|')}\` | ${assignment.line || '-'} |\n`;
+            });
+            content += '\n';
+        }
+    });
+
+    return content;
+}
+
+function truncateValue(value) {
+    return value.length > 40 ? `${value.slice(0, 37)}...` : value;
+}
+
 /**
  * Generate HTML section
  */
 function generateHTMLSection(targetInfo) {
+    const { location } = targetInfo;
+    let position = '';
+    if (location) {
+        position = `**Location:** line ${location.startLine}:${location.startColumn} to line ${location.endLine}:${location.endColumn} (bytes ${location.startOffset}-${location.endOffset})`;
+    } else if (targetInfo.startLine) {
+        position = `**Lines:** ${targetInfo.startLine}-${targetInfo.endLine}`;
+    }
+
     return `## Target HTML
-${targetInfo.startLine ? `**Lines:** ${targetInfo.startLine}-${targetInfo.endLine}` : ''}
+${position}
 
 \`\`\`html
 ${targetInfo.html}
@@ -314,7 +463,18 @@ function generateCSSSection(cssResults, inlineStyles, projectDir, title) {
             }
 
             content += `**Lines:** ${match.startLine}-${match.endLine} | `;
-            content += `**Matched on:** ${match.matchedOn.join(', ')}\n\n`;
+            content += `**Matched on:** ${match.matchedOn.join(', ')}\n`;
+
+            if (match.appliesTo && match.appliesTo.length > 0) {
+                const shown = match.appliesTo.slice(0, MAX_APPLIES_TO)
+                    .map(target => `\`${target.element}\`${target.line ? ` (line ${target.line})` : ''}`);
+                const more = match.appliesTo.length > MAX_APPLIES_TO ? ` +${match.appliesTo.length - MAX_APPLIES_TO} more` : '';
+                content += `**Applies to:** ${shown.join(', ')}${more}\n`;
+            }
+            if (match.conditions && match.conditions.length > 0) {
+                content += `**Only when:** ${match.conditions.map(condition => `\`${condition}\``).join(', ')}\n`;
+            }
+            content += '\n';
 
             const lang = result.isScss ? 'scss' : 'css';
             content += '```' + lang + '\n' + match.content + '\n```\n\n';
@@ -324,6 +484,32 @@ function generateCSSSection(cssResults, inlineStyles, projectDir, title) {
     return content;
 }
 
+/**
+ * Generate the section for rules that name one of the component's classes,
+ * ids or tags but whose selector does not match it (`.sidebar .btn` for a
+ * `.btn` outside any sidebar)
+ */
+function generateMentionsSection(cssMentions, projectDir) {
+    const count = cssMentions.reduce((sum, file) => sum + file.mentions.length, 0);
+
+    let content = `## 🚫 Mentions But Does Not Apply\n\n`;
+    content += `> ${count} rule(s) name a class, id or tag of this component, but their selectors do not match it in this page.\n`;
+    content += `> They are left out of the CSS sections above.\n\n`;
+
+    content += `| Selector | Location | Matched On |\n`;
+    content += `|----------|----------|------------|\n`;
+
+    cssMentions.forEach(file => {
+        const relativePath = path.relative(projectDir, file.filePath);
+        file.mentions.forEach(mention => {
+            const context = mention.atRuleContext ? ` (${mention.atRuleContext})` : '';
+            content += `| \`${mention.selector.replace(/\|/g, '\\|')}\`${context} | \`${relativePath}:${mention.startLine}\` | ${(mention.matchedOn || []).join(', ')} |\n`;
+        });
+    });
+
+    return content;
+}
+
 /**
  * Generate JavaScript section
  */
@@ -367,7 +553,7 @@ function generateJSSection(jsResults, inlineScripts, projectDir, title) {
 /**
  * Generate summary section
  */
-function generateSummary(cssResults, jsResults, inlineStyles, inlineScripts, missingImports, detectedLibraries = {}, ghostData = {}) {
+function generateSummary(cssResults, jsResults, inlineStyles, inlineScripts, missingImports, detectedLibraries = {}, ghostData = {}, accessibility = null) {
     const totalCSSRules = cssResults.reduce((sum, r) => sum + r.matches.length, 0) + inlineStyles.length;
     const totalJSRefs = jsResults.reduce((sum, r) => sum + r.matches.length, 0) + inlineScripts.length;
 
@@ -380,6 +566,7 @@ function generateSummary(cssResults, jsResults, inlineStyles, inlineScripts, mis
         (detectedLibraries.fromCDN || []).length;
 
     const ghostCount = ghostData.ghostClasses?.length || 0;
+    const a11yCount = accessibility ? accessibility.issues.length : 0;
 
     const advancedFeaturesSummary = updateSummaryForAdvancedFeatures(cssResults);
 
@@ -396,7 +583,7 @@ function generateSummary(cssResults, jsResults, inlineStyles, inlineScripts, mis
 | **Unlinked JS Files (potential issues)** | ${unlinkedJSFiles} |
 | **Inline Styles** | ${inlineStyles.length} |
 | **Inline Scripts** | ${inlineScripts.length} |
-${ghostCount > 0 ? `| **👻 Ghost Classes (no CSS)** | ${ghostCount} |\n` : ''}${advancedFeaturesSummary}
+${ghostCount > 0 ? `| **👻 Ghost Classes (no CSS)** | ${ghostCount} |\n` : ''}${a11yCount > 0 ? `| **♿ Accessibility Issues** | ${a11yCount} |\n` : ''}${advancedFeaturesSummary}
 ${missingImports.length > 0 ? `
 ### ⚠️ Action Required
 ${missingImports.length} file(s) contain relevant code but are not imported. Review the "Missing Imports" section above.
@@ -0,0 +1,29 @@
+/**
+ * Report Helpers
+ * Small formatting helpers shared by the report generators
+ */
+
+const path = require('path');
+
+/**
+ * Use forward slashes, so links and paths read the same on every platform (and as git writes them)
+ * @param {string} filePath - Platform path
+ * @returns {string}
+ */
+function toPosixPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Keep pipes from breaking markdown tables
+ * @param {*} value - Cell content
+ * @returns {string}
+ */
+function escapeCell(value) {
+    return String(value).replace(/\|/g, '\\|');
+}
+
+module.exports = {
+    toPosixPath,
+    escapeCell
+};
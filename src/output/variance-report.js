@@ -0,0 +1,110 @@
+/**
+ * Cross-Page Report Generator
+ * Renders a cross-page analysis: how the component varies between pages
+ * (see utils/component-variance.js) followed by the consolidated report
+ */
+
+const { generateMarkdown } = require('./markdown');
+const { JSON_SCHEMA_VERSION, buildJSONReport } = require('./json');
+const { escapeCell } = require('./report-helpers');
+
+const KIND_LABELS = {
+    classes: 'class',
+    attributes: 'attribute',
+    children: 'child element'
+};
+
+/**
+ * Generate the cross-page report
+ * @param {Object} crossPage
+ * @param {string} crossPage.selector - Component selector
+ * @param {string} crossPage.representative - Page the linked files and HTML come from
+ * @param {Object} crossPage.variance - Result of compareComponentVariants()
+ * @param {Object} crossPage.analysis - Consolidated analysis of all variants
+ * @param {string} crossPage.generatedAt - ISO timestamp
+ * @param {string} format - 'markdown' or 'json'
+ * @returns {string} Report content
+ */
+function generateVarianceReport(crossPage, format = 'markdown') {
+    return format === 'json'
+        ? generateVarianceJSON(crossPage)
+        : generateVarianceMarkdown(crossPage);
+}
+
+/**
+ * Markdown: variance tables, then the consolidated analysis report
+ */
+function generateVarianceMarkdown({ selector, representative, variance, analysis, generatedAt }) {
+    const sections = [];
+
+    let header = `# Cross-Page Component: \`${selector}\`\n\n`;
+    header += `> **Pages:** ${variance.pageCount} (component found on ${variance.foundCount})  \n`;
+    header += `> **Representative page:** \`${representative}\` (linked files, inline blocks and HTML below)  \n`;
+    header += `> **Generated:** ${new Date(generatedAt).toLocaleString()}\n\n`;
+    header += variance.identical
+        ? `✅ The component is identical on every page it appears on.\n`
+        : `**${variance.varying.length}** classes, attributes or child elements differ between pages. ` +
+        `\`+\` marks what a page adds to the common structure, \`−\` what it lacks.\n`;
+    sections.push(header);
+
+    let table = `## 🔀 Per-Page Variance\n\n`;
+    table += `| Page | Classes | Attributes | Child elements |\n`;
+    table += `|------|---------|------------|----------------|\n`;
+    variance.pages.forEach(page => {
+        if (!page.found) {
+            table += `| \`${escapeCell(page.page)}\` | ❌ _not found_ | | |\n`;
+            return;
+        }
+        const cells = ['classes', 'attributes', 'children'].map(kind => formatChanges(page.extra[kind], page.missing[kind]));
+        table += `| \`${escapeCell(page.page)}\` | ${cells.join(' | ')} |\n`;
+    });
+    sections.push(table);
+
+    if (variance.varying.length > 0) {
+        let md = `## 🧩 What Varies\n\n`;
+        md += `| Kind | Value | Pages |\n`;
+        md += `|------|-------|-------|\n`;
+        variance.varying.forEach(({ kind, value, pages }) => {
+            md += `| ${KIND_LABELS[kind]} | \`${escapeCell(value)}\` | ${pages.length}/${variance.foundCount}: ${pages.map(escapeCell).join(', ')} |\n`;
+        });
+        sections.push(md);
+    }
+
+    sections.push(generateMarkdown(analysis));
+
+    return sections.join('\n---\n\n');
+}
+
+/**
+ * One table cell of additions and omissions relative to the common structure
+ */
+function formatChanges(extra, missing) {
+    const changes = [
+        ...extra.map(value => `+\`${escapeCell(value)}\``),
+        ...missing.map(value => `−\`${escapeCell(value)}\``)
+    ];
+    return changes.length > 0 ? changes.join(' ') : '—';
+}
+
+/**
+ * JSON: variance data plus the consolidated report
+ */
+function generateVarianceJSON({ selector, representative, variance, analysis, generatedAt }) {
+    return JSON.stringify({
+        schemaVersion: JSON_SCHEMA_VERSION,
+        generatedAt,
+        selector,
+        representative,
+        pageCount: variance.pageCount,
+        foundCount: variance.foundCount,
+        identical: variance.identical,
+        baseline: variance.baseline,
+        pages: variance.pages,
+        varying: variance.varying,
+        report: buildJSONReport(analysis)
+    }, null, 2);
+}
+
+module.exports = {
+    generateVarianceReport
+};
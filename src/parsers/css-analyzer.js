@@ -31,12 +31,7 @@ const MAX_CACHE_SIZE = 50; // Limit cache size to prevent memory bloat
  */
 async function analyzeCSS(filePath, targetInfo, options = {}) {
     const { verbose = false, useCache = true } = options;
-    const log = verbose ? console.log : () => { };
-
-    const ext = path.extname(filePath).toLowerCase();
-    let cssContent;
-    let originalContent;
-    let isScss = false;
+    const log = options.log || (verbose ? console.log : () => { });
 
     // Performance: Check cache first
     const cacheKey = `${filePath}:${JSON.stringify(targetInfo)}`;
@@ -45,14 +40,65 @@ async function analyzeCSS(filePath, targetInfo, options = {}) {
         return parseCache.get(cacheKey);
     }
 
+    const parsed = parseCSSFile(filePath, options);
+    const result = matchCSSRules(parsed, targetInfo);
+
+    // Performance: Cache the result
+    if (useCache && !parsed.error) {
+        if (parseCache.size >= MAX_CACHE_SIZE) {
+            // Remove oldest entry
+            const firstKey = parseCache.keys().next().value;
+            parseCache.delete(firstKey);
+        }
+        parseCache.set(cacheKey, result);
+    }
+
+    return result;
+}
+
+/**
+ * Parse a CSS file into a target-independent list of rules
+ * The result can be matched against any number of targets with matchCSSRules()
+ * @param {string} filePath - Path to CSS/SCSS file
+ * @param {Object} options - Options (verbose, or log: custom logger that replaces console output)
+ * @returns {Object} Parsed stylesheet
+ */
+function parseCSSFile(filePath, options = {}) {
+    const { verbose = false } = options;
+    const log = options.log || (verbose ? console.log : () => { });
+
+    let originalContent;
     try {
         originalContent = fs.readFileSync(filePath, 'utf-8');
+    } catch (error) {
+        log(`  Warning: Could not read ${filePath}: ${error.message}`);
+        return { filePath, rules: [], atRules: [], error: error.message };
+    }
 
-        // Performance: Skip empty files immediately
-        if (!originalContent || originalContent.trim().length === 0) {
-            return { filePath, matches: [], error: 'Empty file' };
-        }
+    return parseCSSContent(originalContent, filePath, options);
+}
 
+/**
+ * Parse CSS/SCSS/SASS source into a target-independent list of rules
+ * @param {string} originalContent - File content
+ * @param {string} filePath - Path used for type detection and reporting
+ * @param {Object} options - Options (verbose, or log: custom logger that replaces console output)
+ * @returns {Object} Parsed stylesheet
+ */
+function parseCSSContent(originalContent, filePath, options = {}) {
+    const { verbose = false } = options;
+    const log = options.log || (verbose ? console.log : () => { });
+
+    const ext = path.extname(filePath).toLowerCase();
+    let cssContent;
+    let isScss = false;
+
+    // Performance: Skip empty files immediately
+    if (!originalContent || originalContent.trim().length === 0) {
+        return { filePath, rules: [], atRules: [], error: 'Empty file' };
+    }
+
+    try {
         // Handle different file types
         if (ext === '.scss') {
             isScss = true;
@@ -67,161 +113,180 @@ async function analyzeCSS(filePath, targetInfo, options = {}) {
             cssContent = originalContent;
         }
     } catch (error) {
-        log(`  Warning: Could not read ${filePath}: ${error.message}`);
-        return { filePath, matches: [], error: error.message };
+        log(`  Warning: Could not compile ${filePath}: ${error.message}`);
+        return { filePath, rules: [], atRules: [], error: error.message };
     }
 
-    // Parse the CSS/SCSS
-    const matches = [];
-    const shadowDOMRules = [];
-    const houdiniProperties = [];
+    const rules = [];
+    const atRules = [];
 
     try {
         const parseOptions = isScss ? { syntax: postcssScss } : {};
         const root = postcss.parse(cssContent, parseOptions);
 
-        // Build list of selectors to match against
-        const targetSelectors = buildTargetSelectors(targetInfo);
-
         root.walkRules(rule => {
-            // Resolve nested selectors (SCSS & and standard nesting)
-            const resolvedSelector = resolveNestedSelector(rule);
-
-            // Check for Shadow DOM selectors (::part, ::slotted)
-            const shadowDOMMatch = checkShadowDOMMatch(resolvedSelector, targetInfo);
-            if (shadowDOMMatch.matches) {
-                const ruleContent = rule.toString();
-
-                // Check context
-                let atRuleContext = null;
-                if (rule.parent && rule.parent.type === 'atrule') {
-                    atRuleContext = formatAtRuleContext(rule.parent);
-                }
-
-                shadowDOMRules.push({
-                    selector: resolvedSelector,
-                    originalSelector: rule.selector,
-                    content: ruleContent,
-                    startLine: rule.source?.start?.line || 0,
-                    endLine: rule.source?.end?.line || 0,
-                    matchedOn: shadowDOMMatch.matchedOn,
-                    shadowDOMType: shadowDOMMatch.type,
-                    atRuleContext,
-                    isShadowDOM: true
-                });
+            // Check if this rule is inside ANY at-rule (media, layer, container, supports)
+            let atRuleContext = null;
+            if (rule.parent && rule.parent.type === 'atrule') {
+                atRuleContext = formatAtRuleContext(rule.parent);
             }
 
-            // Check if this rule matches any of our target selectors
-            const matchInfo = checkRuleMatch(resolvedSelector, targetSelectors, targetInfo);
-
-            if (matchInfo.matches) {
-                // Get the full rule with its content
-                const ruleContent = rule.toString();
-
-                // Calculate line numbers
-                const startLine = rule.source?.start?.line || 0;
-                const endLine = rule.source?.end?.line || startLine;
-
-                // Check if this rule is inside ANY at-rule (media, layer, container, supports)
-                let atRuleContext = null;
-                if (rule.parent && rule.parent.type === 'atrule') {
-                    atRuleContext = formatAtRuleContext(rule.parent);
-                }
-
-                matches.push({
-                    selector: resolvedSelector, // Use resolved selector for reporting
-                    originalSelector: rule.selector,
-                    content: ruleContent,
-                    startLine,
-                    endLine,
-                    matchedOn: matchInfo.matchedOn,
-                    atRuleContext,
-                    isNested: isScss && rule.selector.includes('&')
-                });
-            }
+            const startLine = rule.source?.start?.line || 0;
+
+            rules.push({
+                // Resolve nested selectors (SCSS & and standard nesting)
+                selector: resolveNestedSelector(rule),
+                originalSelector: rule.selector,
+                content: rule.toString(),
+                startLine,
+                endLine: rule.source?.end?.line || startLine,
+                atRuleContext,
+                isNested: isScss && rule.selector.includes('&')
+            });
         });
 
-        // Find CSS Houdini @property definitions
+        // CSS Houdini @property definitions and @keyframes
         root.walkAtRules(atRule => {
-            if (atRule.name === 'property') {
-                // @property --my-color { ... }
-                const propertyName = atRule.params.trim();
-
-                // Check if this property is used in matched rules (standard or shadow DOM)
-                const isUsed = matches.some(m => m.content.includes(propertyName)) ||
-                    shadowDOMRules.some(m => m.content.includes(propertyName));
-
-                if (isUsed) {
-                    // Check context
-                    let atRuleContext = null;
-                    if (atRule.parent && atRule.parent.type === 'atrule') {
-                        atRuleContext = formatAtRuleContext(atRule.parent);
-                    }
-
-                    houdiniProperties.push({
-                        propertyName,
-                        content: atRule.toString(),
-                        startLine: atRule.source?.start?.line || 0,
-                        endLine: atRule.source?.end?.line || 0,
-                        atRuleContext,
-                        isHoudini: true
-                    });
-                }
-            } else if (atRule.name === 'keyframes') {
-                // Check if any animation name is used on a matched class
-                // For now, include all keyframes (could be more selective)
-                const animationName = atRule.params;
-
-                // Check if this animation is referenced in matched rules
-                const isUsed = matches.some(m =>
-                    m.content.includes(animationName) ||
-                    m.content.includes(`animation-name: ${animationName}`) ||
-                    m.content.includes(`animation: ${animationName}`)
-                );
-
-                if (isUsed) {
-                    matches.push({
-                        selector: `@keyframes ${animationName}`,
-                        content: atRule.toString(),
-                        startLine: atRule.source?.start?.line || 0,
-                        endLine: atRule.source?.end?.line || 0,
-                        matchedOn: ['animation'],
-                        isKeyframes: true
-                    });
-                }
+            if (atRule.name !== 'property' && atRule.name !== 'keyframes') {
+                return;
+            }
+
+            let atRuleContext = null;
+            if (atRule.parent && atRule.parent.type === 'atrule') {
+                atRuleContext = formatAtRuleContext(atRule.parent);
             }
-        });
 
+            atRules.push({
+                name: atRule.name,
+                params: atRule.name === 'property' ? atRule.params.trim() : atRule.params,
+                content: atRule.toString(),
+                startLine: atRule.source?.start?.line || 0,
+                endLine: atRule.source?.end?.line || 0,
+                atRuleContext
+            });
+        });
     } catch (error) {
         log(`  Warning: Could not parse ${filePath}: ${error.message}`);
-        return { filePath, matches: [], error: error.message };
+        return { filePath, rules: [], atRules: [], error: error.message };
     }
 
-    // Detect if file is minified
-    const isMinified = detectMinified(originalContent);
-
-    const result = {
+    return {
         filePath,
-        relativePath: path.relative(process.cwd(), filePath),
-        matches,
-        shadowDOMRules,
-        houdiniProperties,
+        rules,
+        atRules,
         isScss,
-        isMinified,
+        // Detect if file is minified
+        isMinified: detectMinified(originalContent),
         fileType: ext.replace('.', '')
     };
+}
 
-    // Performance: Cache the result
-    if (useCache) {
-        if (parseCache.size >= MAX_CACHE_SIZE) {
-            // Remove oldest entry
-            const firstKey = parseCache.keys().next().value;
-            parseCache.delete(firstKey);
+/**
+ * Match a parsed stylesheet against the target element
+ * @param {Object} parsed - Result of parseCSSFile()/parseCSSContent()
+ * @param {Object} targetInfo - Target element information
+ * @returns {Object} Analysis result
+ */
+function matchCSSRules(parsed, targetInfo) {
+    const { filePath } = parsed;
+
+    if (parsed.error) {
+        return { filePath, matches: [], error: parsed.error };
+    }
+
+    const matches = [];
+    const shadowDOMRules = [];
+    const houdiniProperties = [];
+
+    // Build list of selectors to match against
+    const targetSelectors = buildTargetSelectors(targetInfo);
+
+    for (const rule of parsed.rules) {
+        // Check for Shadow DOM selectors (::part, ::slotted)
+        const shadowDOMMatch = checkShadowDOMMatch(rule.selector, targetInfo);
+        if (shadowDOMMatch.matches) {
+            shadowDOMRules.push({
+                selector: rule.selector,
+                originalSelector: rule.originalSelector,
+                content: rule.content,
+                startLine: rule.startLine,
+                endLine: rule.endLine,
+                matchedOn: shadowDOMMatch.matchedOn,
+                shadowDOMType: shadowDOMMatch.type,
+                atRuleContext: rule.atRuleContext,
+                isShadowDOM: true
+            });
+        }
+
+        // Check if this rule matches any of our target selectors
+        const matchInfo = checkRuleMatch(rule.selector, targetSelectors, targetInfo);
+
+        if (matchInfo.matches) {
+            matches.push({
+                selector: rule.selector, // Use resolved selector for reporting
+                originalSelector: rule.originalSelector,
+                content: rule.content,
+                startLine: rule.startLine,
+                endLine: rule.endLine,
+                matchedOn: matchInfo.matchedOn,
+                atRuleContext: rule.atRuleContext,
+                isNested: rule.isNested
+            });
         }
-        parseCache.set(cacheKey, result);
     }
 
-    return result;
+    for (const atRule of parsed.atRules) {
+        if (atRule.name === 'property') {
+            // @property --my-color { ... }
+            const propertyName = atRule.params;
+
+            // Check if this property is used in matched rules (standard or shadow DOM)
+            const isUsed = matches.some(m => m.content.includes(propertyName)) ||
+                shadowDOMRules.some(m => m.content.includes(propertyName));
+
+            if (isUsed) {
+                houdiniProperties.push({
+                    propertyName,
+                    content: atRule.content,
+                    startLine: atRule.startLine,
+                    endLine: atRule.endLine,
+                    atRuleContext: atRule.atRuleContext,
+                    isHoudini: true
+                });
+            }
+        } else if (atRule.name === 'keyframes') {
+            const animationName = atRule.params;
+
+            // Check if this animation is referenced in matched rules
+            const isUsed = matches.some(m =>
+                m.content.includes(animationName) ||
+                m.content.includes(`animation-name: ${animationName}`) ||
+                m.content.includes(`animation: ${animationName}`)
+            );
+
+            if (isUsed) {
+                matches.push({
+                    selector: `@keyframes ${animationName}`,
+                    content: atRule.content,
+                    startLine: atRule.startLine,
+                    endLine: atRule.endLine,
+                    matchedOn: ['animation'],
+                    isKeyframes: true
+                });
+            }
+        }
+    }
+
+    return {
+        filePath,
+        relativePath: path.relative(process.cwd(), filePath),
+        matches,
+        shadowDOMRules,
+        houdiniProperties,
+        isScss: parsed.isScss,
+        isMinified: parsed.isMinified,
+        fileType: parsed.fileType
+    };
 }
 
 /**
@@ -469,6 +534,25 @@ function clearCache() {
     parseCache.clear();
 }
 
+/**
+ * Drop cached results for a single file (e.g. after it changed on disk)
+ * @param {string} filePath - Path to CSS/SCSS file
+ * @returns {number} Number of cache entries removed
+ */
+function invalidateCache(filePath) {
+    const prefix = `${filePath}:`;
+    let removed = 0;
+
+    for (const key of [...parseCache.keys()]) {
+        if (key.startsWith(prefix)) {
+            parseCache.delete(key);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
 /**
  * Get cache statistics
  */
@@ -535,8 +619,12 @@ function extractCSSAssets(cssResults) {
 
 module.exports = {
     analyzeCSS,
+    parseCSSFile,
+    parseCSSContent,
+    matchCSSRules,
     formatCSS,
     clearCache,
+    invalidateCache,
     getCacheStats,
     extractCSSAssets
 };
\ No newline at end of file
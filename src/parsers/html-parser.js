@@ -4,6 +4,11 @@
  */
 
 const cheerio = require('cheerio');
+const { describeTarget, locateTargets } = require('../utils/target-locator');
+const { describeElement } = require('../utils/selector-evaluator');
+
+// Candidates listed when a text, XPath or role query matches several components
+const MAX_LISTED_MATCHES = 5;
 
 /**
  * Parse HTML content into a cheerio instance
@@ -14,32 +19,73 @@ function parseHTML(htmlContent) {
     return cheerio.load(htmlContent, {
         recognizeSelfClosing: true,
         lowerCaseTags: false,
-        lowerCaseAttributeNames: false
+        lowerCaseAttributeNames: false,
+        // Keep parse5's source offsets on every element (see getSourceLocation)
+        sourceCodeLocationInfo: true
     });
 }
 
+/**
+ * Exact source location of an element parsed by parseHTML()
+ * Lines and columns are 1-based; endColumn points just past the last
+ * character. Offsets are UTF-8 byte offsets into the source. Trailing
+ * whitespace of elements without an end tag (e.g. <li> closed by the next
+ * <li>) is not counted.
+ * @param {Element} element - Parsed element
+ * @param {string} htmlContent - Source the element was parsed from
+ * @returns {Object|null} { startLine, startColumn, endLine, endColumn, startOffset, endOffset },
+ *   or null when the parser inserted the element itself (an implied <tbody>...)
+ */
+function getSourceLocation(element, htmlContent) {
+    const location = element && element.sourceCodeLocation;
+    if (!location) {
+        return null;
+    }
+
+    const source = htmlContent.slice(location.startOffset, location.endOffset).replace(/\s+$/, '');
+    const lastNewline = source.lastIndexOf('\n');
+    const newlines = (source.match(/\n/g) || []).length;
+    const startOffset = Buffer.byteLength(htmlContent.slice(0, location.startOffset));
+
+    return {
+        startLine: location.startLine,
+        startColumn: location.startCol,
+        endLine: location.startLine + newlines,
+        endColumn: lastNewline === -1 ? location.startCol + source.length : source.length - lastNewline,
+        startOffset,
+        endOffset: startOffset + Buffer.byteLength(source)
+    };
+}
+
 /**
  * Extract target element information
  * @param {CheerioAPI} $ - Cheerio instance
  * @param {string} htmlContent - Original HTML content (for line number calculation)
  * @param {Object} options
  * @param {string} options.selector - CSS selector
+ * @param {string} options.text - Visible text inside the component
+ * @param {string} options.xpath - XPath of the component
+ * @param {string} options.role - ARIA role of the component (explicit or implicit)
  * @param {string} options.lineRange - Line range (e.g., "45-80")
  * @param {number} options.matchIndex - Which match to use if multiple (0-based, default: 0)
- * @returns {Object} Target element information
+ * @returns {Object} Target element information (warnings and notices are returned, not printed)
  */
 function extractTargetElement($, htmlContent, options) {
-    const { selector, lineRange, matchIndex = 0 } = options;
+    const { selector, text, xpath, role, lineRange, matchIndex = 0 } = options;
+    const hasText = text !== undefined && text !== null;
 
     let targetElement;
     let targetHtml;
     let startLine, endLine;
+    let location = null;
     let matchCount = 0;
     let warning = null;
+    const warnings = [];
+    const notices = [];
 
     if (selector) {
         // Validate selector syntax
-        const normalizedSelector = normalizeSelector(selector);
+        const normalizedSelector = normalizeSelector(selector, warnings);
 
         // Check for problematic selectors
         const problematicTags = ['body', 'html', 'head'];
@@ -57,14 +103,14 @@ function extractTargetElement($, htmlContent, options) {
         // Warn about very broad selectors
         const broadSelectors = ['div', 'span', 'p', 'a', 'li', 'ul', 'section'];
         if (broadSelectors.includes(selectorLower)) {
-            console.warn('\x1b[33m%s\x1b[0m', `⚠️  Selector "${selectorLower}" is very broad and will match many elements.`);
-            console.warn('\x1b[33m%s\x1b[0m', `   Consider using a more specific selector like ".${selectorLower}-class" or "#${selectorLower}-id".`);
+            warnings.push(`⚠️  Selector "${selectorLower}" is very broad and will match many elements.`
+                + `\n   Consider using a more specific selector like ".${selectorLower}-class" or "#${selectorLower}-id".`);
         }
 
         // Note about semantic tags (these are fine but informational)
         const semanticTags = ['header', 'footer', 'nav', 'main', 'aside', 'article'];
         if (semanticTags.includes(selectorLower)) {
-            console.log('\x1b[36m%s\x1b[0m', `ℹ️  Targeting semantic element <${selectorLower}>. This is typically unique per page.`);
+            notices.push(`ℹ️  Targeting semantic element <${selectorLower}>. This is typically unique per page.`);
         }
 
         // Find all matching elements
@@ -85,26 +131,56 @@ function extractTargetElement($, htmlContent, options) {
         if (matchCount > 1) {
             warning = `⚠️  Found ${matchCount} elements matching "${selector}". Using the first one (index ${matchIndex}).`;
             warning += `\n   Use --match-index N to select a different one, or use a more specific selector.`;
-            console.warn('\x1b[33m%s\x1b[0m', warning); // Yellow warning
+            warnings.push(warning);
         }
 
         // Get the specified match (default: first)
         const actualIndex = Math.min(matchIndex, matchCount - 1);
         targetElement = allMatches.eq(actualIndex);
+    } else if (hasText || xpath || role) {
+        const label = describeTarget({ text, xpath, role });
+        const targets = locateTargets($, { text, xpath, role });
+        matchCount = targets.length;
 
+        if (matchCount > 1) {
+            warning = `⚠️  Found ${matchCount} elements matching ${label}. Using the first one (index ${matchIndex}).`;
+            warning += `\n   Use --match-index N to select a different one, or use a more specific ${xpath ? 'XPath' : (text ? 'text' : 'role or a selector')}.`;
+            warning += targets.slice(0, MAX_LISTED_MATCHES)
+                .map(({ element }, index) => `\n   [${index}] ${describeMatch(element)}`)
+                .join('');
+            if (matchCount > MAX_LISTED_MATCHES) {
+                warning += `\n   ... and ${matchCount - MAX_LISTED_MATCHES} more`;
+            }
+            warnings.push(warning);
+        }
+
+        const chosen = targets[Math.min(matchIndex, matchCount - 1)];
+        if (chosen.element !== chosen.matched) {
+            notices.push(`ℹ️  ${describeMatch(chosen.matched)} matches ${label}; using its closest container ${describeMatch(chosen.element)}.`);
+        }
+        targetElement = $(chosen.element);
+    }
+
+    if (targetElement) {
         if (targetElement.length === 0) {
             throw new Error(`Element at index ${matchIndex} not found. Only ${matchCount} matches available.`);
         }
 
         targetHtml = $.html(targetElement);
 
-        // Calculate line numbers
-        const outerHtml = $.html(targetElement);
-        const position = htmlContent.indexOf(outerHtml);
-        if (position !== -1) {
-            const beforeTarget = htmlContent.substring(0, position);
-            startLine = (beforeTarget.match(/\n/g) || []).length + 1;
-            endLine = startLine + (outerHtml.match(/\n/g) || []).length;
+        // Line numbers from the parser; documents parsed without location
+        // info fall back to searching for the serialized markup
+        location = getSourceLocation(targetElement.get(0), htmlContent);
+        if (location) {
+            startLine = location.startLine;
+            endLine = location.endLine;
+        } else {
+            const position = htmlContent.indexOf(targetHtml);
+            if (position !== -1) {
+                const beforeTarget = htmlContent.substring(0, position);
+                startLine = (beforeTarget.match(/\n/g) || []).length + 1;
+                endLine = startLine + (targetHtml.match(/\n/g) || []).length;
+            }
         }
     } else if (lineRange) {
         // Validate line range format
@@ -142,19 +218,23 @@ function extractTargetElement($, htmlContent, options) {
             targetElement = $target('body');
         }
     } else {
-        throw new Error('Either selector or lineRange must be provided');
+        throw new Error('Either selector, text, xpath, role or lineRange must be provided');
     }
 
     // Extract metadata from target element
     const classes = extractClasses(targetElement, $);
     const ids = extractIds(targetElement, $);
     const dataAttributes = extractDataAttributes(targetElement, $);
-    const shadowParts = extractShadowParts(targetElement, $);
+    const webComponents = extractWebComponents(targetElement, $);
+    const shadowParts = [...new Set([
+        ...extractShadowParts(targetElement, $),
+        ...webComponents.flatMap(component => component.shadowRoot ? component.shadowRoot.parts.map(part => part.name) : [])
+    ])];
     const tagName = targetElement.prop('tagName')?.toLowerCase() || 'div';
 
     // Warn if no classes or IDs found
     if (classes.length === 0 && ids.length === 0) {
-        console.warn('\x1b[33m%s\x1b[0m', '⚠️  Target element has no classes or IDs. CSS/JS detection may be limited.');
+        warnings.push('⚠️  Target element has no classes or IDs. CSS/JS detection may be limited.');
     }
 
     // Generate a summary description
@@ -172,20 +252,61 @@ function extractTargetElement($, htmlContent, options) {
         tagName,
         startLine,
         endLine,
+        location,
+        classLocations: location ? extractClassLocations(targetElement, $) : null,
+        repeatedStructures: detectRepeatedStructures(targetElement, $),
+        webComponents,
         summary,
-        selector: selector || `lines ${lineRange}`,
+        selector: describeTarget({ selector, text, xpath, role, lineRange }),
         matchCount,
         warning,
+        warnings,
+        notices,
         assets
     };
 }
 
+/**
+ * Find the element a selector and match index point to, with the same
+ * lookup as extractTargetElement()
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {string|Object} target - CSS selector, or one of { selector }, { text }, { xpath }, { role }
+ * @param {number} matchIndex - Which match to use if multiple (0-based)
+ * @returns {Element|null} The element, or null when nothing matches
+ */
+function findTargetElement($, target, matchIndex = 0) {
+    const query = typeof target === 'string' ? { selector: target } : target;
+    if (!query.selector) {
+        try {
+            const targets = locateTargets($, query);
+            return targets[Math.min(matchIndex, targets.length - 1)].element;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    const allMatches = $(normalizeSelector(query.selector));
+    if (allMatches.length === 0) {
+        return null;
+    }
+    return allMatches.get(Math.min(matchIndex, allMatches.length - 1));
+}
+
+/**
+ * "<tag#id.class> (line N)" for match lists and notices
+ */
+function describeMatch(node) {
+    const { element, line } = describeElement(node);
+    return `<${element}>${line ? ` (line ${line})` : ''}`;
+}
+
 /**
  * Normalize selector - handle common mistakes
  * @param {string} selector - User-provided selector
+ * @param {string[]} warnings - Collects a warning when the selector is rewritten
  * @returns {string} Normalized selector
  */
-function normalizeSelector(selector) {
+function normalizeSelector(selector, warnings = []) {
     let normalized = selector.trim();
 
     // If selector looks like space-separated classes without dots, fix it
@@ -201,7 +322,8 @@ function normalizeSelector(selector) {
         // Only auto-fix if all parts look like class names (no HTML tags)
         const htmlTags = ['div', 'span', 'header', 'footer', 'nav', 'section', 'article', 'aside', 'main', 'p', 'a', 'ul', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
         if (!parts.some(p => htmlTags.includes(p.toLowerCase()))) {
-            console.warn('\x1b[33m%s\x1b[0m', `⚠️  Selector "${selector}" looks like class names. Auto-converting to ".${parts.join('.')}"`, `\n   For exact match, use: ".${parts.join('.')}"`);
+            warnings.push(`⚠️  Selector "${selector}" looks like class names. Auto-converting to ".${parts.join('.')}"`
+                + `\n   For exact match, use: ".${parts.join('.')}"`);
             normalized = '.' + parts.join('.');
         }
     }
@@ -263,6 +385,25 @@ function extractClasses(element, $) {
     return Array.from(classes);
 }
 
+/**
+ * Where each class is used inside the element, from the parser's location info
+ * @returns {Object} { className: [{ line, column }] } positions of the class attributes
+ */
+function extractClassLocations(element, $) {
+    const locations = {};
+
+    [element.get(0), ...element.find('*').toArray()].forEach(el => {
+        const attribute = el.sourceCodeLocation && el.sourceCodeLocation.attrs && el.sourceCodeLocation.attrs.class;
+        if (!attribute) return;
+
+        ($(el).attr('class') || '').split(/\s+/).filter(Boolean).forEach(cls => {
+            (locations[cls] = locations[cls] || []).push({ line: attribute.startLine, column: attribute.startCol });
+        });
+    });
+
+    return locations;
+}
+
 /**
  * Extract all IDs from element and its children
  */
@@ -342,6 +483,121 @@ function extractShadowParts(element, $) {
     return Array.from(parts);
 }
 
+// <template> attributes that make it a declarative shadow root (shadowroot is the pre-standard name)
+const SHADOW_ROOT_ATTRIBUTES = ['shadowrootmode', 'shadowroot'];
+
+/**
+ * Find the web components inside the target: custom elements (tag names with
+ * a hyphen) and elements with a declarative shadow root
+ * (<template shadowrootmode>), including those nested in shadow roots.
+ * The parser keeps template content out of .find(), so the tree is walked here.
+ * @param {Cheerio} element - Target element
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {Array<Object>} [{ tagName, line, isCustomElement, shadowRoot, slotAssignments }]
+ *   shadowRoot: { mode, line, styles: [{ content, line }], stylesheets, parts: [{ name, element, line }], slots: [{ name, line }] } | null
+ *   slotAssignments: [{ slot, content, line, assigned }]; slot is null for the default slot
+ */
+function extractWebComponents(element, $) {
+    const components = [];
+
+    const visit = (nodes) => {
+        nodes.forEach(node => {
+            if (!node.name) return;
+
+            const shadow = findDeclarativeShadowRoot(node);
+            const tagName = node.name.toLowerCase();
+            if (tagName.includes('-') || shadow) {
+                components.push(describeWebComponent(node, shadow, $));
+            }
+
+            // Inert <template> content is not part of the page
+            visit((node.children || []).filter(child => child.name !== 'template'));
+            if (shadow) {
+                visit(shadow.content);
+            }
+        });
+    };
+
+    visit(element.toArray());
+    return components;
+}
+
+/**
+ * The declarative shadow root of an element, if it has one
+ * @returns {Object|null} { template, mode, content }; content is the list of shadow root nodes
+ */
+function findDeclarativeShadowRoot(node) {
+    for (const child of node.children || []) {
+        if (child.name !== 'template') continue;
+
+        const attribute = SHADOW_ROOT_ATTRIBUTES.find(name => child.attribs[name] !== undefined);
+        if (!attribute) continue;
+
+        // Template content is a document fragment holding the nodes
+        const [fragment] = child.children;
+        const content = fragment && fragment.type === 'root' ? fragment.children : child.children;
+        return { template: child, mode: child.attribs[attribute] || 'open', content };
+    }
+    return null;
+}
+
+/**
+ * Shadow root contents and slot assignments of one web component
+ */
+function describeWebComponent(node, shadow, $) {
+    const lineOf = (el) => el.sourceCodeLocation ? el.sourceCodeLocation.startLine : null;
+
+    let shadowRoot = null;
+    if (shadow) {
+        const $content = $(shadow.content);
+        const select = (selector) => $content.filter(selector).add($content.find(selector)).toArray();
+
+        shadowRoot = {
+            mode: shadow.mode,
+            line: lineOf(shadow.template),
+            styles: select('style').map(style => ({ content: $(style).text().trim(), line: lineOf(style) })),
+            stylesheets: select('link[rel~="stylesheet"][href]').map(link => link.attribs.href),
+            parts: select('[part]').flatMap(el => el.attribs.part.split(/\s+/).filter(Boolean)
+                .map(name => ({ name, element: elementLabel(el), line: lineOf(el) }))),
+            slots: select('slot').map(slot => ({ name: slot.attribs.name || null, line: lineOf(slot) }))
+        };
+    }
+
+    // Light DOM children go to the slot they name, everything else to the default slot
+    const slotAssignments = [];
+    (node.children || []).forEach(child => {
+        if (shadow && child === shadow.template) return;
+
+        let content;
+        if (child.type === 'text') {
+            const text = child.data.replace(/\s+/g, ' ').trim();
+            if (!text) return;
+            content = `"${text.length > 40 ? `${text.slice(0, 37)}...` : text}"`;
+        } else if (child.name) {
+            content = elementLabel(child);
+        } else {
+            return;
+        }
+
+        const slot = (child.attribs && child.attribs.slot) || null;
+        slotAssignments.push({
+            slot,
+            content,
+            line: lineOf(child),
+            // Without a declarative shadow root the slots are only known at runtime
+            assigned: shadowRoot ? shadowRoot.slots.some(s => s.name === slot) : null
+        });
+    });
+
+    return {
+        tagName: node.name.toLowerCase(),
+        line: lineOf(node),
+        isCustomElement: node.name.includes('-'),
+        shadowRoot,
+        slotAssignments
+    };
+}
+
 /**
  * Generate a human-readable summary of the target
  */
@@ -362,6 +618,240 @@ function generateSummary(tagName, classes, ids) {
     return summary;
 }
 
+// Sibling subtrees sharing a structure this many times are repeated items: an
+// item template here, a repeated component in the inventory (component-detector.js)
+const MIN_REPEATED_ITEMS = 2;
+
+// Elements never treated as list items
+const NON_ITEM_TAGS = new Set(['script', 'style', 'template', 'noscript']);
+
+/**
+ * Detect sibling subtrees with the same structure inside the target (cards,
+ * menu items, slides) and collapse each group into one item template
+ * Structure is the tag, classes (BEM modifiers excluded) and child elements;
+ * text, attribute values and modifier classes that differ between the items
+ * are the template's slots, named after their element and reported as props.
+ * @param {Cheerio} element - Target element
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {Array<Object>} [{ name, container, itemSelector, count, line, slots, template, signature }]
+ *   slots: [{ name, kind ('text' | 'attribute' | 'class'), element, attribute, values }]
+ */
+function detectRepeatedStructures(element, $) {
+    const structures = [];
+    const usedNames = new Set();
+
+    const visit = (node) => {
+        const children = $(node).children().toArray()
+            .filter(child => !NON_ITEM_TAGS.has(child.tagName.toLowerCase()));
+
+        const groups = new Map();
+        children.forEach(child => {
+            // Bare leaf elements (<p>, <br>) are content, not list items
+            if ($(child).children().length === 0 && !$(child).attr('class')) return;
+
+            const signature = structureSignature(child, $);
+            if (!groups.has(signature)) groups.set(signature, []);
+            groups.get(signature).push(child);
+        });
+
+        const collapsed = new Set();
+        groups.forEach(members => {
+            if (members.length < MIN_REPEATED_ITEMS) return;
+            const structure = buildItemTemplate(members, node, $, usedNames);
+            if (structure.slots.length === 0) return;
+
+            structures.push(structure);
+            members.forEach(member => collapsed.add(member));
+        });
+
+        children.filter(child => !collapsed.has(child)).forEach(visit);
+    };
+
+    visit(element.get(0));
+    return structures;
+}
+
+/**
+ * Tag, structural classes and child structure of an element, ignoring text and attribute values
+ * Siblings with the same signature are items of one list.
+ * @param {Element} node - Element
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @returns {string}
+ */
+function structureSignature(node, $) {
+    const classes = ownClasses(node).filter(cls => !isModifierClass(cls)).sort();
+    const children = $(node).children().toArray()
+        .filter(child => !NON_ITEM_TAGS.has(child.tagName.toLowerCase()))
+        .map(child => structureSignature(child, $));
+    return `${node.tagName.toLowerCase()}${classes.map(cls => `.${cls}`).join('')}(${children.join(',')})`;
+}
+
+/**
+ * Walk the items in parallel and turn everything that differs into a slot
+ */
+function buildItemTemplate(members, container, $, usedNames) {
+    const [first] = members;
+    const slots = [];
+    const slotNames = new Set();
+    const edits = [];
+
+    const walk = (nodes, path) => {
+        const [node] = nodes;
+        const base = slotBase(node);
+        const tagName = node.tagName.toLowerCase();
+        const label = elementLabel(node);
+
+        const addSlot = (candidates, slot, edit) => {
+            const name = uniqueSlotName(candidates, slotNames);
+            slots.push({ name, element: label, attribute: null, ...slot });
+            edits.push({ path, name, ...edit });
+        };
+
+        const modifiers = nodes.map(n => ownClasses(n).filter(isModifierClass).join(' '));
+        if (new Set(modifiers).size > 1) {
+            addSlot([base ? `${base}Variant` : 'variant'], { kind: 'class', values: modifiers }, { kind: 'class' });
+        }
+
+        const attributes = new Set(nodes.flatMap(n => Object.keys(n.attribs || {})));
+        attributes.delete('class');
+        attributes.forEach(attribute => {
+            const values = nodes.map(n => (n.attribs || {})[attribute] ?? null);
+            if (new Set(values).size > 1) {
+                addSlot(attributeSlotNames(attribute, tagName, base), { kind: 'attribute', attribute, values }, { kind: 'attribute', attribute });
+            }
+        });
+
+        const texts = nodes.map(ownText);
+        if (new Set(texts).size > 1) {
+            const generic = /^h[1-6]$/.test(tagName) ? 'title' : ({ p: 'description', a: 'label', button: 'label' }[tagName] || 'text');
+            const candidates = /^h[1-6]$/.test(tagName) || !base ? [generic, base].filter(Boolean) : [base, generic];
+            addSlot(candidates, { kind: 'text', values: texts }, { kind: 'text' });
+        }
+
+        const childLists = nodes.map(n => $(n).children().toArray().filter(child => !NON_ITEM_TAGS.has(child.tagName.toLowerCase())));
+        childLists[0].forEach((_, index) => walk(childLists.map(list => list[index]), [...path, index]));
+    };
+
+    walk(members, []);
+
+    const itemBase = slotBase(first) || camelCase(ownClasses(first).find(cls => !isModifierClass(cls)) || '') || 'item';
+    const name = uniqueSlotName([pluralize(itemBase)], usedNames);
+
+    return {
+        name,
+        container: elementLabel(container),
+        itemSelector: elementLabel(first),
+        count: members.length,
+        line: first.sourceCodeLocation ? first.sourceCodeLocation.startLine : null,
+        slots,
+        template: renderItemTemplate(first, edits, $),
+        signature: `${name}: { ${slots.map(slot => slot.name).join(', ')} }[]`
+    };
+}
+
+/**
+ * First item's markup with every slot replaced by {slotName}
+ */
+function renderItemTemplate(first, edits, $) {
+    const $clone = $(first).clone();
+
+    edits.forEach(edit => {
+        let node = $clone.get(0);
+        edit.path.forEach(index => {
+            node = $(node).children().toArray().filter(child => !NON_ITEM_TAGS.has(child.tagName.toLowerCase()))[index];
+        });
+
+        if (edit.kind === 'attribute') {
+            node.attribs[edit.attribute] = `{${edit.name}}`;
+        } else if (edit.kind === 'class') {
+            const classes = ownClasses(node).filter(cls => !isModifierClass(cls));
+            node.attribs.class = [...classes, `{${edit.name}}`].join(' ');
+        } else {
+            const textNodes = node.children.filter(child => child.type === 'text' && child.data.trim());
+            textNodes.forEach((child, index) => {
+                child.data = index === 0 ? child.data.replace(/\S[\s\S]*\S|\S/, `{${edit.name}}`) : '';
+            });
+        }
+    });
+
+    return $.html($clone);
+}
+
+/**
+ * Slot name candidates for an attribute, most natural first
+ */
+function attributeSlotNames(attribute, tagName, base) {
+    const prefixed = (suffix) => base ? `${base}${suffix}` : null;
+
+    if (attribute === 'href') return ['href', prefixed('Href')];
+    if (tagName === 'img' && ['src', 'srcset', 'alt'].includes(attribute)) {
+        const suffix = { src: 'Src', srcset: 'Srcset', alt: 'Alt' }[attribute];
+        return [`image${suffix}`, prefixed(suffix)];
+    }
+    if (attribute === 'src') return [`${tagName}Src`, prefixed('Src')];
+    if (attribute.startsWith('data-')) return [camelCase(attribute.slice(5))];
+    return [camelCase(attribute), prefixed(capitalize(camelCase(attribute)))];
+}
+
+/**
+ * Name an element gives its slots: the element part of a BEM class (card__title → title)
+ */
+function slotBase(node) {
+    const bemClass = ownClasses(node).find(cls => cls.includes('__') && !isModifierClass(cls));
+    return bemClass ? camelCase(bemClass.split('__').pop()) : null;
+}
+
+function uniqueSlotName(candidates, usedNames) {
+    const options = candidates.filter(Boolean);
+    let name = options.find(option => !usedNames.has(option));
+    if (!name) {
+        let counter = 2;
+        while (usedNames.has(`${options[0]}${counter}`)) counter++;
+        name = `${options[0]}${counter}`;
+    }
+    usedNames.add(name);
+    return name;
+}
+
+function ownClasses(node) {
+    return ((node.attribs && node.attribs.class) || '').split(/\s+/).filter(Boolean);
+}
+
+function isModifierClass(cls) {
+    return cls.includes('--');
+}
+
+/**
+ * Text directly inside an element (not inside its child elements), whitespace collapsed
+ */
+function ownText(node) {
+    return (node.children || [])
+        .filter(child => child.type === 'text')
+        .map(child => child.data)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function elementLabel(node) {
+    const cls = ownClasses(node).find(name => !isModifierClass(name));
+    return `${node.tagName.toLowerCase()}${cls ? `.${cls}` : ''}`;
+}
+
+function camelCase(value) {
+    return value.replace(/[^a-zA-Z0-9]+(.)/g, (_, char) => char.toUpperCase()).replace(/[^a-zA-Z0-9]/g, '');
+}
+
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function pluralize(word) {
+    if (/[^aeiou]y$/.test(word)) return `${word.slice(0, -1)}ies`;
+    if (/(s|x|ch|sh)$/.test(word)) return `${word}es`;
+    return `${word}s`;
+}
+
 /**
  * Get the HTML structure for interactive mode
  * @param {CheerioAPI} $ - Cheerio instance
@@ -620,7 +1110,13 @@ function extractAssets(element, $) {
 
 module.exports = {
     parseHTML,
+    getSourceLocation,
     extractTargetElement,
+    findTargetElement,
+    detectRepeatedStructures,
+    structureSignature,
+    MIN_REPEATED_ITEMS,
+    extractWebComponents,
     getHTMLStructure,
     extractAssets
 };
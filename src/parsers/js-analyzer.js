@@ -19,28 +19,52 @@ const beautify = require('js-beautify').js;
  * @returns {Object} Analysis result
  */
 async function analyzeJS(filePath, targetInfo, options = {}) {
+    const parsed = parseJSFile(filePath, options);
+    return matchJSReferences(parsed, targetInfo);
+}
+
+/**
+ * Parse a JavaScript file into a target-independent list of reference candidates
+ * The result can be matched against any number of targets with matchJSReferences()
+ * @param {string} filePath - Path to JS file
+ * @param {Object} options - Options (verbose, or log: custom logger that replaces console output)
+ * @returns {Object} Parsed script
+ */
+function parseJSFile(filePath, options = {}) {
     const { verbose = false } = options;
-    const log = verbose ? console.log : () => { };
+    const log = options.log || (verbose ? console.log : () => { });
 
-    let content;
     let originalContent;
-
     try {
         originalContent = fs.readFileSync(filePath, 'utf-8');
-        content = originalContent;
     } catch (error) {
         log(`  Warning: Could not read ${filePath}: ${error.message}`);
-        return { filePath, matches: [], error: error.message };
+        return { filePath, candidates: [], error: error.message };
     }
 
+    return parseJSContent(originalContent, filePath, options);
+}
+
+/**
+ * Parse JavaScript source into a target-independent list of reference candidates
+ * (string literals, template literals, DOM queries and jQuery calls)
+ * @param {string} originalContent - File content
+ * @param {string} filePath - Path used for reporting
+ * @param {Object} options - Options (verbose, or log: custom logger that replaces console output)
+ * @returns {Object} Parsed script
+ */
+function parseJSContent(originalContent, filePath, options = {}) {
+    const { verbose = false } = options;
+    const log = options.log || (verbose ? console.log : () => { });
+
     // Detect if minified
-    const isMinified = detectMinified(content);
+    const isMinified = detectMinified(originalContent);
 
     // If minified, beautify for better analysis
-    let beautifiedContent = content;
+    let beautifiedContent = originalContent;
     if (isMinified) {
         try {
-            beautifiedContent = beautify(content, {
+            beautifiedContent = beautify(originalContent, {
                 indent_size: 2,
                 space_in_empty_paren: true
             });
@@ -50,22 +74,44 @@ async function analyzeJS(filePath, targetInfo, options = {}) {
         }
     }
 
-    const matches = [];
-
-    // Build search patterns
-    const patterns = buildSearchPatterns(targetInfo);
-
     // Method 1: AST-based analysis (more accurate)
+    // Method 2: Regex-based fallback (for malformed JS) runs at match time when candidates is null
+    let candidates = null;
     try {
-        const astMatches = analyzeWithAST(beautifiedContent, patterns, targetInfo);
-        matches.push(...astMatches);
+        candidates = collectASTCandidates(beautifiedContent);
     } catch (error) {
         log(`  AST parsing failed for ${filePath}, falling back to regex`);
-        // Method 2: Regex-based fallback (for malformed JS)
-        const regexMatches = analyzeWithRegex(beautifiedContent, patterns, targetInfo);
-        matches.push(...regexMatches);
     }
 
+    return {
+        filePath,
+        content: beautifiedContent,
+        candidates,
+        isMinified,
+        originalContent: isMinified ? originalContent : null
+    };
+}
+
+/**
+ * Match a parsed script against the target element
+ * @param {Object} parsed - Result of parseJSFile()/parseJSContent()
+ * @param {Object} targetInfo - Target element information
+ * @returns {Object} Analysis result
+ */
+function matchJSReferences(parsed, targetInfo) {
+    const { filePath } = parsed;
+
+    if (parsed.error) {
+        return { filePath, matches: [], error: parsed.error };
+    }
+
+    // Build search patterns
+    const patterns = buildSearchPatterns(targetInfo);
+
+    const matches = parsed.candidates
+        ? matchASTCandidates(parsed.candidates, parsed.content, patterns)
+        : analyzeWithRegex(parsed.content, patterns, targetInfo);
+
     // Deduplicate matches
     const uniqueMatches = deduplicateMatches(matches);
 
@@ -73,10 +119,10 @@ async function analyzeJS(filePath, targetInfo, options = {}) {
         filePath,
         relativePath: path.relative(process.cwd(), filePath),
         matches: uniqueMatches,
-        isMinified,
-        wasBeautified: isMinified,
-        originalContent: isMinified ? originalContent : null,
-        beautifiedContent: isMinified ? beautifiedContent : null
+        isMinified: parsed.isMinified,
+        wasBeautified: parsed.isMinified,
+        originalContent: parsed.originalContent,
+        beautifiedContent: parsed.isMinified ? parsed.content : null
     };
 }
 
@@ -145,11 +191,11 @@ function buildSearchPatterns(targetInfo) {
 }
 
 /**
- * Analyze JS using AST parsing
+ * Collect reference candidates from the AST
+ * Candidates are recorded in traversal order so matching stays deterministic
  */
-function analyzeWithAST(content, patterns, targetInfo) {
-    const matches = [];
-    const lines = content.split('\n');
+function collectASTCandidates(content) {
+    const candidates = [];
 
     // Parse with acorn, falling back to loose parsing
     let ast;
@@ -169,51 +215,36 @@ function analyzeWithAST(content, patterns, targetInfo) {
         });
     }
 
+    const selectorMethods = [
+        'querySelector', 'querySelectorAll',
+        'getElementById', 'getElementsByClassName',
+        'getElementsByTagName', 'closest', 'matches'
+    ];
+
+    // jQuery-style selectors
+    const jQueryMethods = ['find', 'children', 'parent', 'parents', 'siblings'];
+
     // Walk the AST looking for relevant patterns
     walk.simple(ast, {
         // Look for string literals
         Literal(node) {
             if (typeof node.value !== 'string') return;
 
-            const match = checkStringMatch(node.value, patterns);
-            if (match) {
-                const startLine = node.loc?.start?.line || 1;
-                const endLine = node.loc?.end?.line || startLine;
-
-                // Get surrounding context (the statement containing this literal)
-                const contextLines = getContextLines(lines, startLine - 1, 2);
-
-                matches.push({
-                    type: 'string-literal',
-                    matchedOn: match.matchedOn,
-                    content: contextLines.content,
-                    startLine: contextLines.startLine,
-                    endLine: contextLines.endLine,
-                    value: node.value
-                });
-            }
+            candidates.push({
+                type: 'string-literal',
+                value: node.value,
+                line: node.loc?.start?.line || 1
+            });
         },
 
         // Look for template literals
         TemplateLiteral(node) {
-            // Get the full template string
-            const quasis = node.quasis.map(q => q.value.raw).join('');
-
-            const match = checkStringMatch(quasis, patterns);
-            if (match) {
-                const startLine = node.loc?.start?.line || 1;
-                const endLine = node.loc?.end?.line || startLine;
-
-                const contextLines = getContextLines(lines, startLine - 1, 2);
-
-                matches.push({
-                    type: 'template-literal',
-                    matchedOn: match.matchedOn,
-                    content: contextLines.content,
-                    startLine: contextLines.startLine,
-                    endLine: contextLines.endLine
-                });
-            }
+            candidates.push({
+                type: 'template-literal',
+                // Get the full template string
+                value: node.quasis.map(q => q.value.raw).join(''),
+                line: node.loc?.start?.line || 1
+            });
         },
 
         // Look for querySelector, getElementById, etc.
@@ -221,15 +252,6 @@ function analyzeWithAST(content, patterns, targetInfo) {
             if (node.callee.type === 'MemberExpression') {
                 const methodName = node.callee.property?.name;
 
-                const selectorMethods = [
-                    'querySelector', 'querySelectorAll',
-                    'getElementById', 'getElementsByClassName',
-                    'getElementsByTagName', 'closest', 'matches'
-                ];
-
-                // jQuery-style selectors
-                const jQueryMethods = ['find', 'children', 'parent', 'parents', 'siblings'];
-
                 if (selectorMethods.includes(methodName) || jQueryMethods.includes(methodName)) {
                     // Check the first argument
                     const firstArg = node.arguments[0];
@@ -239,64 +261,134 @@ function analyzeWithAST(content, patterns, targetInfo) {
                             : firstArg.quasis?.map(q => q.value.raw).join('');
 
                         if (typeof argValue === 'string') {
-                            const match = checkStringMatch(argValue, patterns);
-                            if (match) {
-                                const startLine = node.loc?.start?.line || 1;
-                                const endLine = node.loc?.end?.line || startLine;
-
-                                const contextLines = getContextLines(lines, startLine - 1, 3);
-
-                                matches.push({
-                                    type: 'dom-query',
-                                    method: methodName,
-                                    matchedOn: match.matchedOn,
-                                    content: contextLines.content,
-                                    startLine: contextLines.startLine,
-                                    endLine: contextLines.endLine,
-                                    selector: argValue
-                                });
-                            }
+                            candidates.push({
+                                type: 'dom-query',
+                                method: methodName,
+                                value: argValue,
+                                line: node.loc?.start?.line || 1
+                            });
                         }
                     }
                 }
             }
 
+            // customElements.define('tag-name', ClassName) registers a web component
+            const callee = node.callee;
+            if (callee.type === 'MemberExpression' && callee.property?.name === 'define'
+                && (callee.object.name === 'customElements' || callee.object.property?.name === 'customElements')) {
+                const [tagArg, classArg] = node.arguments;
+                if (tagArg && tagArg.type === 'Literal' && typeof tagArg.value === 'string') {
+                    candidates.push({
+                        type: 'custom-element',
+                        value: tagArg.value,
+                        className: classArg ? (classArg.name || classArg.id?.name || null) : null,
+                        line: node.loc?.start?.line || 1
+                    });
+                }
+            }
+
             // Check for jQuery $() calls
             if (node.callee.name === '$' || node.callee.name === 'jQuery') {
                 const firstArg = node.arguments[0];
                 if (firstArg && firstArg.type === 'Literal' && typeof firstArg.value === 'string') {
-                    const match = checkStringMatch(firstArg.value, patterns);
-                    if (match) {
-                        const startLine = node.loc?.start?.line || 1;
-                        const endLine = node.loc?.end?.line || startLine;
-
-                        const contextLines = getContextLines(lines, startLine - 1, 3);
-
-                        matches.push({
-                            type: 'jquery',
-                            matchedOn: match.matchedOn,
-                            content: contextLines.content,
-                            startLine: contextLines.startLine,
-                            endLine: contextLines.endLine,
-                            selector: firstArg.value
-                        });
-                    }
+                    candidates.push({
+                        type: 'jquery',
+                        value: firstArg.value,
+                        line: node.loc?.start?.line || 1
+                    });
                 }
             }
-        },
-
-        // Look for classList operations
-        MemberExpression(node) {
-            if (node.property?.name === 'classList') {
-                // This is accessing classList, the actual class name will be in the parent call
-                // This is handled by CallExpression above
-            }
         }
     });
 
+    return candidates;
+}
+
+/**
+ * Match collected AST candidates against the search patterns
+ */
+function matchASTCandidates(candidates, content, patterns) {
+    const matches = [];
+    const lines = content.split('\n');
+
+    for (const candidate of candidates) {
+        // Definitions are looked up by tag name in findCustomElementDefinitions()
+        if (candidate.type === 'custom-element') continue;
+
+        const match = checkStringMatch(candidate.value, patterns);
+        if (!match) continue;
+
+        // Selector calls get a wider context window than bare strings
+        const isCall = candidate.type === 'dom-query' || candidate.type === 'jquery';
+        const contextLines = getContextLines(lines, candidate.line - 1, isCall ? 3 : 2);
+
+        const entry = {
+            type: candidate.type,
+            matchedOn: match.matchedOn,
+            content: contextLines.content,
+            startLine: contextLines.startLine,
+            endLine: contextLines.endLine
+        };
+
+        if (candidate.type === 'dom-query') {
+            entry.method = candidate.method;
+        }
+        if (candidate.type === 'string-literal') {
+            entry.value = candidate.value;
+        }
+        if (isCall) {
+            entry.selector = candidate.value;
+        }
+
+        matches.push(entry);
+    }
+
     return matches;
 }
 
+/**
+ * Find the customElements.define() calls registering some tag names
+ * @param {Object} parsed - Result of parseJSFile()/parseJSContent()
+ * @param {Array<string>} tagNames - Custom element tag names
+ * @returns {Array<Object>} [{ tagName, className, filePath, line, content, startLine, endLine }]
+ */
+function findCustomElementDefinitions(parsed, tagNames) {
+    if (parsed.error || tagNames.length === 0) {
+        return [];
+    }
+
+    let definitions = (parsed.candidates || [])
+        .filter(candidate => candidate.type === 'custom-element')
+        .map(candidate => ({ tagName: candidate.value, className: candidate.className, line: candidate.line }));
+
+    // Regex fallback for malformed JS
+    if (!parsed.candidates) {
+        const definePattern = /customElements\s*\.\s*define\s*\(\s*(['"`])([^'"`]+)\1\s*(?:,\s*(?:class\s+)?([A-Za-z_$][\w$]*))?/g;
+        let match;
+        while ((match = definePattern.exec(parsed.content)) !== null) {
+            definitions.push({
+                tagName: match[2],
+                className: match[3] || null,
+                line: parsed.content.slice(0, match.index).split('\n').length
+            });
+        }
+    }
+
+    const lines = parsed.content.split('\n');
+    definitions = definitions.filter(definition => tagNames.includes(definition.tagName));
+
+    return definitions.map(definition => {
+        const contextLines = getContextLines(lines, definition.line - 1, 2);
+        return {
+            ...definition,
+            filePath: parsed.filePath,
+            content: contextLines.content,
+            startLine: contextLines.startLine,
+            endLine: contextLines.endLine
+        };
+    });
+}
+
 /**
  * Fallback regex-based analysis for malformed JS
  */
@@ -409,5 +501,9 @@ function escapeRegex(string) {
 }
 
 module.exports = {
-    analyzeJS
+    analyzeJS,
+    parseJSFile,
+    parseJSContent,
+    matchJSReferences,
+    findCustomElementDefinitions
 };
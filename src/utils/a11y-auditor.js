@@ -0,0 +1,319 @@
+/**
+ * Accessibility Auditor
+ * Static checks on the extracted component for the accessibility debt worth
+ * fixing during a migration: missing alt text and labels, clickable elements
+ * that are not buttons, invalid ARIA, heading jumps and missing focus styles
+ */
+
+const path = require('path');
+const { createSelectorEvaluator, describeElement } = require('./selector-evaluator');
+const { jsSelector, findJSTargets } = require('./element-breakdown');
+
+// ARIA 1.2 roles authors may use
+const ARIA_ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+    'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+    'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure',
+    'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+    'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option',
+    'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup',
+    'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+    'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term',
+    'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+]);
+
+// Roles that only exist to structure the ARIA taxonomy
+const ABSTRACT_ROLES = new Set([
+    'command', 'composite', 'input', 'landmark', 'range', 'roletype', 'section', 'sectionhead',
+    'select', 'structure', 'widget', 'window'
+]);
+
+// ARIA 1.2 states and properties (without the aria- prefix)
+const ARIA_ATTRIBUTES = new Set([
+    'activedescendant', 'atomic', 'autocomplete', 'braillelabel', 'brailleroledescription', 'busy',
+    'checked', 'colcount', 'colindex', 'colindextext', 'colspan', 'controls', 'current',
+    'describedby', 'description', 'details', 'disabled', 'dropeffect', 'errormessage', 'expanded',
+    'flowto', 'grabbed', 'haspopup', 'hidden', 'invalid', 'keyshortcuts', 'label', 'labelledby',
+    'level', 'live', 'modal', 'multiline', 'multiselectable', 'orientation', 'owns', 'placeholder',
+    'posinset', 'pressed', 'readonly', 'relevant', 'required', 'roledescription', 'rowcount',
+    'rowindex', 'rowindextext', 'rowspan', 'selected', 'setsize', 'sort', 'valuemax', 'valuemin',
+    'valuenow', 'valuetext'
+]);
+
+// ARIA attributes whose value is a list of element ids
+const IDREF_ATTRIBUTES = new Set([
+    'aria-activedescendant', 'aria-controls', 'aria-describedby', 'aria-details',
+    'aria-errormessage', 'aria-flowto', 'aria-labelledby', 'aria-owns'
+]);
+
+// Roles that make a clickable element an exposed control
+const WIDGET_ROLES = new Set([
+    'button', 'checkbox', 'link', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option',
+    'radio', 'switch', 'tab', 'treeitem'
+]);
+
+// Input types that need no label (their value or alt text names them)
+const UNLABELLED_INPUT_TYPES = new Set(['hidden', 'submit', 'button', 'reset', 'image']);
+
+// A JS reference near one of these registers a click handler
+const CLICK_HANDLER_PATTERN = /addEventListener\(\s*['"`]click['"`]|\.on\(\s*['"`]click['"`]|\.click\(|\.onclick\s*=/;
+
+// Selectors that style keyboard focus
+const FOCUS_PSEUDO_PATTERN = /:focus(?:-visible|-within)?(?![\w-])/;
+
+/**
+ * Audit a component for common accessibility problems
+ * @param {CheerioAPI} $ - Cheerio instance of the page (or of the component markup)
+ * @param {Object} root - Component root node
+ * @param {Object} results
+ * @param {Array} results.cssResults - Custom CSS results
+ * @param {Array} results.cssLibraryResults - Library CSS results
+ * @param {Array} results.jsResults - Custom JS results
+ * @param {number|null} results.lineOffset - Added to parser lines; null when they do not map to the page
+ * @returns {Object} { issues: [{ check, severity ('error' | 'warning'), element, line, message }], errors, warnings }
+ */
+function auditAccessibility($, root, { cssResults = [], cssLibraryResults = [], jsResults = [], lineOffset = 0 } = {}) {
+    const evaluator = createSelectorEvaluator($, root);
+    const issues = [];
+
+    const report = (check, severity, node, message) => {
+        const { element, line } = describeElement(node);
+        issues.push({
+            check,
+            severity,
+            element,
+            line: line !== null && lineOffset !== null ? line + lineOffset : null,
+            message
+        });
+    };
+
+    const clickable = findClickableElements(evaluator, jsResults);
+
+    for (const node of evaluator.elements) {
+        const tagName = node.tagName.toLowerCase();
+        const attribs = node.attribs || {};
+
+        // Images without alt text
+        if ((tagName === 'img' || tagName === 'area' || (tagName === 'input' && (attribs.type || '').toLowerCase() === 'image'))
+            && attribs.alt === undefined && !hasAccessibleName(node) && !isHidden(node)) {
+            report('img-alt', 'error', node, `\`<${tagName}>\` has no \`alt\` text (use \`alt=""\` if it is decorative)`);
+        }
+
+        // Form controls without a label
+        if (isLabelable(node) && !hasAccessibleName(node) && !isLabelled(node, $)) {
+            const hint = attribs.placeholder ? ' (a placeholder is not a label)' : '';
+            report('form-label', 'error', node, `\`<${tagName}>\` has no associated \`<label>\`, \`aria-label\` or \`aria-labelledby\`${hint}`);
+        }
+
+        // Clickable elements that keyboards and screen readers cannot use
+        if (clickable.has(node) && !isInteractive(node)) {
+            const role = (attribs.role || '').trim().split(/\s+/)[0];
+            const missing = [];
+            if (!WIDGET_ROLES.has(role)) missing.push('a button/link role');
+            if (attribs.tabindex === undefined) missing.push('`tabindex`');
+            if (missing.length > 0) {
+                const via = clickable.get(node);
+                report('clickable-element', 'error', node,
+                    `\`<${tagName}>\` has a click handler (${via}) but no ${missing.join(' or ')}; use a \`<button>\` or \`<a href>\``);
+            }
+        }
+
+        checkAria(node, $, report);
+    }
+
+    checkHeadingOrder(evaluator.elements, report);
+    checkFocusStyles(evaluator.elements, [...cssResults, ...cssLibraryResults], report);
+
+    return {
+        issues,
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length
+    };
+}
+
+/**
+ * Elements with a click handler, mapped to where it comes from
+ * Handlers are an onclick attribute or a JS reference that registers a click
+ * listener and targets the element.
+ * @returns {Map<Object, string>}
+ */
+function findClickableElements(evaluator, jsResults) {
+    const clickable = new Map();
+
+    evaluator.elements.forEach(node => {
+        if (node.attribs && node.attribs.onclick !== undefined) {
+            clickable.set(node, '`onclick` attribute');
+        }
+    });
+
+    for (const result of jsResults) {
+        for (const match of result.matches) {
+            if (!CLICK_HANDLER_PATTERN.test(match.content || '')) continue;
+
+            findJSTargets(evaluator, match, jsSelector(match)).forEach(node => {
+                if (!clickable.has(node)) {
+                    clickable.set(node, `JS in ${path.basename(result.filePath)}:${match.startLine}`);
+                }
+            });
+        }
+    }
+
+    return clickable;
+}
+
+/**
+ * Check role values, aria-* attribute names and the ids aria references point to
+ */
+function checkAria(node, $, report) {
+    const attribs = node.attribs || {};
+
+    if (attribs.role !== undefined) {
+        attribs.role.trim().split(/\s+/).filter(Boolean).forEach(role => {
+            const name = role.toLowerCase();
+            if (ABSTRACT_ROLES.has(name)) {
+                report('aria-role', 'error', node, `\`role="${role}"\` is an abstract role and cannot be used on elements`);
+            } else if (!ARIA_ROLES.has(name)) {
+                report('aria-role', 'error', node, `\`role="${role}"\` is not a valid ARIA role`);
+            }
+        });
+    }
+
+    Object.keys(attribs).filter(attribute => attribute.startsWith('aria-')).forEach(attribute => {
+        if (!ARIA_ATTRIBUTES.has(attribute.slice(5))) {
+            report('aria-attribute', 'error', node, `\`${attribute}\` is not a valid ARIA attribute`);
+            return;
+        }
+        if (IDREF_ATTRIBUTES.has(attribute)) {
+            const missing = attribs[attribute].trim().split(/\s+/).filter(id => id && !hasElementWithId($, id));
+            if (missing.length > 0) {
+                report('aria-attribute', 'warning', node, `\`${attribute}\` points to missing id(s): ${missing.map(id => `\`${id}\``).join(', ')}`);
+            }
+        }
+    });
+}
+
+/**
+ * Headings should not skip levels (h2 followed by h4)
+ */
+function checkHeadingOrder(elements, report) {
+    let previous = null;
+
+    elements.forEach(node => {
+        const level = headingLevel(node);
+        if (level === null) return;
+
+        if (previous !== null && level > previous + 1) {
+            report('heading-order', 'warning', node, `Heading level jumps from ${previous} to ${level}`);
+        }
+        previous = level;
+    });
+}
+
+/**
+ * Focusable elements need a :focus rule among the matched CSS, or they rely on
+ * the browser outline (which resets often remove)
+ */
+function checkFocusStyles(elements, cssResults, report) {
+    const focusable = elements.filter(isFocusable);
+    if (focusable.length === 0) return;
+
+    const hasFocusRule = cssResults.some(result =>
+        (result.matches || []).some(match => FOCUS_PSEUDO_PATTERN.test(match.selector || '')));
+    if (hasFocusRule) return;
+
+    report('focus-styles', 'warning', focusable[0],
+        `No \`:focus\` / \`:focus-visible\` rules among the matched CSS for ${focusable.length} focusable element(s)`);
+}
+
+function headingLevel(node) {
+    const match = node.tagName.toLowerCase().match(/^h([1-6])$/);
+    if (match) return Number(match[1]);
+
+    const attribs = node.attribs || {};
+    if (attribs.role === 'heading') {
+        const level = parseInt(attribs['aria-level'], 10);
+        return Number.isNaN(level) ? 2 : level;
+    }
+    return null;
+}
+
+function hasAccessibleName(node) {
+    const attribs = node.attribs || {};
+    return !!((attribs['aria-label'] || '').trim() || (attribs['aria-labelledby'] || '').trim() || (attribs.title || '').trim());
+}
+
+function isHidden(node) {
+    const attribs = node.attribs || {};
+    return attribs['aria-hidden'] === 'true' || attribs.role === 'presentation' || attribs.role === 'none';
+}
+
+function isLabelable(node) {
+    const tagName = node.tagName.toLowerCase();
+    if (tagName === 'select' || tagName === 'textarea') return true;
+    return tagName === 'input' && !UNLABELLED_INPUT_TYPES.has((node.attribs.type || 'text').toLowerCase());
+}
+
+/**
+ * Whether a form control is inside a <label> or named by a <label for>
+ */
+function isLabelled(node, $) {
+    if ($(node).closest('label').length > 0) return true;
+
+    const { id } = node.attribs;
+    return !!id && $('label').toArray().some(label => label.attribs.for === id);
+}
+
+function hasElementWithId($, id) {
+    return $('[id]').toArray().some(el => el.attribs.id === id);
+}
+
+/**
+ * Native controls that already handle keyboard activation
+ */
+function isInteractive(node) {
+    const tagName = node.tagName.toLowerCase();
+    const attribs = node.attribs || {};
+    if (tagName === 'a' || tagName === 'area') return attribs.href !== undefined;
+    if (tagName === 'input') return (attribs.type || '').toLowerCase() !== 'hidden';
+    return ['button', 'select', 'textarea', 'summary', 'label', 'option'].includes(tagName);
+}
+
+function isFocusable(node) {
+    const tagName = node.tagName.toLowerCase();
+    const attribs = node.attribs || {};
+    if (attribs.disabled !== undefined) return false;
+    if (attribs.tabindex !== undefined) return parseInt(attribs.tabindex, 10) >= 0;
+    if (attribs.contenteditable === '' || attribs.contenteditable === 'true') return true;
+    return isInteractive(node) && tagName !== 'label' && tagName !== 'option';
+}
+
+/**
+ * Format the audit as a markdown section
+ * @param {Object} audit - auditAccessibility() result
+ * @returns {string} Markdown section, empty when there are no issues
+ */
+function formatAccessibilityMarkdown(audit) {
+    if (!audit || audit.issues.length === 0) {
+        return '';
+    }
+
+    let content = `## ♿ Accessibility Audit\n\n`;
+    content += `> ${audit.errors} error(s), ${audit.warnings} warning(s) found by static checks of the markup, the matched CSS and the JS click handlers. `;
+    content += `Fix them while migrating the component.\n\n`;
+    content += `| Severity | Check | Element | Line | Issue |\n`;
+    content += `|----------|-------|---------|------|-------|\n`;
+
+    audit.issues.forEach(issue => {
+        const severity = issue.severity === 'error' ? '❌ error' : '⚠️ warning';
+        content += `| ${severity} | ${issue.check} | \`${issue.element}\` | ${issue.line || '-'} | ${issue.message.replace(/\|/g, '\\|')} |\n`;
+    });
+
+    return content;
+}
+
+module.exports = {
+    ARIA_ROLES,
+    auditAccessibility,
+    formatAccessibilityMarkdown
+};
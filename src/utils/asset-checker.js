@@ -9,9 +9,16 @@ const path = require('path');
 /**
  * Check if a local file exists and get its stats
  * @param {string} assetPath - Absolute path to the asset
+ * @param {Function|null} exists - Existence check to use instead of the disk (no size is reported then)
  * @returns {Object} Status object
  */
-function checkLocalAsset(assetPath) {
+function checkLocalAsset(assetPath, exists = null) {
+    if (exists) {
+        return exists(assetPath)
+            ? { status: 'OK', exists: true }
+            : { status: 'NOT FOUND', exists: false };
+    }
+
     try {
         if (fs.existsSync(assetPath)) {
             const stats = fs.statSync(assetPath);
@@ -84,11 +91,12 @@ function resolveAssetPath(assetSrc, basePath) {
  * @param {Array} assets - Array of asset objects {src, type, location}
  * @param {string} projectDir - Project directory
  * @param {string} htmlPath - HTML file path
- * @param {Object} options - Options {checkRemote: boolean}
+ * @param {Object} options - Options {checkRemote: boolean, exists: (absolutePath) => boolean}
+ *   exists replaces the disk check, e.g. with the files of a git revision
  * @returns {Promise<Object>} Availability report
  */
 async function checkAssetAvailability(assets, projectDir, htmlPath, options = {}) {
-    const { checkRemote = false } = options;
+    const { checkRemote = false, exists = null } = options;
 
     const basePath = htmlPath ? path.dirname(htmlPath) : projectDir;
     const results = [];
@@ -129,7 +137,7 @@ async function checkAssetAvailability(assets, projectDir, htmlPath, options = {}
         }
         // Local file
         else {
-            checkResult = checkLocalAsset(resolvedPath);
+            checkResult = checkLocalAsset(resolvedPath, exists);
             if (checkResult.exists) {
                 availableCount++;
             } else {
@@ -0,0 +1,96 @@
+/**
+ * CI Checks
+ * Compares an analysis against failure thresholds (ghost classes, missing
+ * assets, unlinked files, !important winners) for `--ci` runs
+ */
+
+const path = require('path');
+
+// A limit of null disables the check
+const DEFAULT_CI_THRESHOLDS = {
+    maxGhostClasses: 0,
+    maxMissingAssets: 0,
+    maxUnlinkedFiles: 0,
+    maxImportantWinners: null
+};
+
+const THRESHOLD_KEYS = Object.keys(DEFAULT_CI_THRESHOLDS);
+
+/**
+ * Fill in default thresholds, ignoring undefined values
+ * @param {...Object} sources - Threshold objects, later ones win
+ * @returns {Object} Complete thresholds
+ */
+function resolveCIThresholds(...sources) {
+    const thresholds = { ...DEFAULT_CI_THRESHOLDS };
+    for (const source of sources) {
+        for (const key of THRESHOLD_KEYS) {
+            if (source && source[key] !== undefined) {
+                thresholds[key] = source[key];
+            }
+        }
+    }
+    return thresholds;
+}
+
+/**
+ * Check an analysis against CI thresholds
+ * @param {Object} analysis - Result of analyzeComponent()
+ * @param {Object} thresholds - { maxGhostClasses, maxMissingAssets, maxUnlinkedFiles, maxImportantWinners }
+ * @returns {Object} { passed, violations: [{ check, limit, actual, message, items }] }
+ */
+function evaluateCIThresholds(analysis, thresholds = {}) {
+    const limits = resolveCIThresholds(thresholds);
+    const relative = (file) => analysis.projectDir ? path.relative(analysis.projectDir, file) : file;
+
+    const measured = {
+        maxGhostClasses: {
+            label: 'ghost class',
+            items: analysis.ghostData.ghostClasses
+        },
+        maxMissingAssets: {
+            label: 'missing asset',
+            items: analysis.assetStatus.details
+                .filter(asset => asset.exists === false)
+                .map(asset => asset.src)
+        },
+        maxUnlinkedFiles: {
+            label: 'unlinked CSS/JS file',
+            items: analysis.missingImports.map(relative)
+        },
+        maxImportantWinners: {
+            label: '!important winner',
+            items: Object.entries(analysis.conflicts)
+                .filter(([, conflict]) => conflict.hasConflict && conflict.winner.hasImportant)
+                .map(([prop, { winner }]) => `${prop} → ${winner.selector} (${relative(winner.file)}:${winner.startLine})`)
+        }
+    };
+
+    const violations = [];
+
+    for (const check of THRESHOLD_KEYS) {
+        const limit = limits[check];
+        const { label, items } = measured[check];
+
+        if (limit === null || items.length <= limit) continue;
+
+        violations.push({
+            check,
+            limit,
+            actual: items.length,
+            message: `${items.length} ${label}${items.length === 1 ? '' : 's'} (max ${limit})`,
+            items
+        });
+    }
+
+    return {
+        passed: violations.length === 0,
+        violations
+    };
+}
+
+module.exports = {
+    DEFAULT_CI_THRESHOLDS,
+    resolveCIThresholds,
+    evaluateCIThresholds
+};
@@ -0,0 +1,169 @@
+/**
+ * Component Detector
+ * Walks the whole DOM tree of a page and finds component boundaries:
+ * semantic landmarks, BEM blocks, elements with an id and repeated sibling
+ * structures (cards, list items...)
+ */
+
+const { structureSignature, MIN_REPEATED_ITEMS } = require('../parsers/html-parser');
+
+const SEMANTIC_TAGS = new Set(['header', 'nav', 'main', 'aside', 'footer', 'section', 'article', 'form', 'dialog']);
+
+// Elements that are never components, nor walked into
+const SKIPPED_TAGS = new Set(['script', 'style', 'template', 'noscript', 'svg', 'math', 'head', 'link', 'meta', 'br', 'wbr']);
+
+// Class and id names that can be used in a selector without escaping
+const SAFE_NAME = /^-?[_a-zA-Z][\w-]*$/;
+
+/**
+ * Detect the components of a page
+ * Components can be nested (a nav inside a header). Repeated siblings are
+ * reported once, through their first occurrence; the other occurrences and
+ * their contents are skipped.
+ * @param {CheerioAPI} $ - Parsed page (parseHTML())
+ * @returns {Array<Object>} Components in document order:
+ *   { name, selector, matchIndex, tagName, reasons, repeated, parent, depth }
+ */
+function detectComponents($) {
+    const components = [];
+    const usedNames = new Set();
+
+    const visit = ({ element, repeated }, parent, depth) => {
+        const $el = $(element);
+        const tagName = element.tagName.toLowerCase();
+        const classes = classList($el);
+        const hasElementChildren = $el.children().length > 0;
+        const reasons = [];
+
+        if (SEMANTIC_TAGS.has(tagName)) {
+            reasons.push(`semantic <${tagName}>`);
+        }
+
+        const blocks = classes.filter(cls => isBEMBlock($, $el, cls));
+        blocks.forEach(block => reasons.push(`BEM block .${block}`));
+
+        const id = $el.attr('id');
+        if (id && hasElementChildren) {
+            reasons.push(`id #${id}`);
+        }
+
+        if (repeated) {
+            reasons.push(`repeated ×${repeated}`);
+        }
+
+        let component = parent;
+        if (reasons.length > 0) {
+            const name = uniqueName(id || blocks[0] || classes.find(cls => SAFE_NAME.test(cls)) || tagName, usedNames);
+            const { selector, matchIndex } = buildSelector($, element, blocks[0]);
+            component = { name, selector, matchIndex, tagName, reasons, repeated, parent: parent ? parent.name : null, depth };
+            components.push(component);
+        }
+
+        collapseRepeatedSiblings($, elementChildren(element))
+            .forEach(child => visit(child, component, component === parent ? depth : depth + 1));
+    };
+
+    const body = $('body').get(0);
+    collapseRepeatedSiblings($, body ? elementChildren(body) : []).forEach(child => visit(child, null, 0));
+
+    return components;
+}
+
+/**
+ * Element children worth walking into
+ * @param {Element} element - Parent element
+ * @returns {Array<Element>}
+ */
+function elementChildren(element) {
+    return (element.children || []).filter(child => child.type === 'tag' && !SKIPPED_TAGS.has(child.tagName.toLowerCase()));
+}
+
+/**
+ * Group siblings by structure; groups of MIN_REPEATED_ITEMS or more are
+ * reduced to their first member. Signature and threshold are the ones the
+ * item templates of detectRepeatedStructures() use, so both agree on what a
+ * list item is.
+ * @returns {Array<Object>} Children to visit: [{ element, repeated }] (repeated: group size or null)
+ */
+function collapseRepeatedSiblings($, children) {
+    const groups = new Map();
+    children.forEach(child => {
+        const $child = $(child);
+        if ($child.children().length === 0 && classList($child).length === 0) return;
+
+        const signature = structureSignature(child, $);
+        if (!groups.has(signature)) groups.set(signature, []);
+        groups.get(signature).push(child);
+    });
+
+    const repeatCounts = new Map();
+    const dropped = new Set();
+    groups.forEach(members => {
+        if (members.length < MIN_REPEATED_ITEMS) return;
+        repeatCounts.set(members[0], members.length);
+        members.slice(1).forEach(member => dropped.add(member));
+    });
+
+    return children
+        .filter(child => !dropped.has(child))
+        .map(element => ({ element, repeated: repeatCounts.get(element) || null }));
+}
+
+/**
+ * A class is a BEM block when a descendant uses one of its elements (block__element)
+ */
+function isBEMBlock($, $el, cls) {
+    if (cls.includes('__') || cls.includes('--') || !SAFE_NAME.test(cls)) {
+        return false;
+    }
+
+    const prefix = `${cls}__`;
+    return $el.find(`[class*="${prefix}"]`).toArray()
+        .some(descendant => classList($(descendant)).some(other => other.startsWith(prefix)));
+}
+
+/**
+ * Selector and match index that find exactly this element
+ * Prefers a unique id, then the preferred class (a BEM block) or first class, then the bare tag.
+ * @param {CheerioAPI} $ - Parsed page
+ * @param {Element} element - Element to select
+ * @param {string|null} preferredClass - Class to use before the others
+ * @returns {Object} { selector, matchIndex }
+ */
+function buildSelector($, element, preferredClass = null) {
+    const $el = $(element);
+    const tagName = element.tagName.toLowerCase();
+    const id = $el.attr('id');
+    if (id && SAFE_NAME.test(id) && $(`#${id}`).length === 1) {
+        return { selector: `#${id}`, matchIndex: 0 };
+    }
+
+    const cls = preferredClass || classList($el).find(name => SAFE_NAME.test(name));
+    const selector = cls ? `${tagName}.${cls}` : tagName;
+    return { selector, matchIndex: Math.max(0, $(selector).index(element)) };
+}
+
+function classList($el) {
+    return ($el.attr('class') || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Component names double as report file names, so they must be unique
+ */
+function uniqueName(base, usedNames) {
+    let name = base;
+    let counter = 2;
+    while (usedNames.has(name)) {
+        name = `${base}-${counter++}`;
+    }
+    usedNames.add(name);
+    return name;
+}
+
+module.exports = {
+    SEMANTIC_TAGS,
+    SKIPPED_TAGS,
+    detectComponents,
+    elementChildren,
+    buildSelector
+};
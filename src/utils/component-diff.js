@@ -0,0 +1,128 @@
+/**
+ * Component Diff
+ * Compares two JSON reports (buildJSONReport) of the same component, e.g. at
+ * two git revisions: matching CSS rules and JS references, specificity
+ * winners and ghost classes
+ */
+
+/**
+ * Diff two reports
+ * @param {Object} before - Report at the first revision
+ * @param {Object} after - Report at the second revision
+ * @returns {Object} { css, js, winners, ghostClasses, hasChanges }
+ */
+function diffReports(before, after) {
+    const css = diffMatches(
+        collectMatches([...before.cssResults, ...before.cssLibraryResults], cssMatchKey),
+        collectMatches([...after.cssResults, ...after.cssLibraryResults], cssMatchKey)
+    );
+    const js = diffMatches(
+        collectMatches([...before.jsResults, ...before.jsLibraryResults], jsMatchKey),
+        collectMatches([...after.jsResults, ...after.jsLibraryResults], jsMatchKey)
+    );
+    const winners = diffWinners(before.conflicts, after.conflicts);
+
+    const ghostsBefore = new Set(before.ghostData.ghostClasses);
+    const ghostsAfter = new Set(after.ghostData.ghostClasses);
+    const ghostClasses = {
+        added: [...ghostsAfter].filter(cls => !ghostsBefore.has(cls)),
+        removed: [...ghostsBefore].filter(cls => !ghostsAfter.has(cls))
+    };
+
+    const hasChanges = [css, js].some(d => d.added.length + d.removed.length + d.modified.length > 0)
+        || winners.length > 0
+        || ghostClasses.added.length + ghostClasses.removed.length > 0;
+
+    return { css, js, winners, ghostClasses, hasChanges };
+}
+
+/**
+ * A CSS rule is the same rule if it has the same selector in the same file and at-rule context
+ */
+function cssMatchKey(filePath, match) {
+    return [filePath, match.atRuleContext || '', match.selector].join('\0');
+}
+
+/**
+ * A JS reference is the same reference if it has the same kind, method and selector in the same file
+ */
+function jsMatchKey(filePath, match) {
+    return [filePath, match.type, match.method || '', match.selector || ''].join('\0');
+}
+
+/**
+ * Flatten file results into keyed matches
+ * Repeated keys (e.g. the same selector twice in a file) are numbered in file order.
+ * @returns {Map<string, Object>} key → { filePath, match }
+ */
+function collectMatches(results, keyOf) {
+    const matches = new Map();
+    const seen = {};
+
+    for (const result of results) {
+        for (const match of result.matches) {
+            const baseKey = keyOf(result.filePath, match);
+            seen[baseKey] = (seen[baseKey] || 0) + 1;
+            matches.set(`${baseKey}\0${seen[baseKey]}`, { filePath: result.filePath, match });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Added, removed and modified (same key, different content) matches
+ * A match that only moved to other lines is unchanged.
+ */
+function diffMatches(beforeMatches, afterMatches) {
+    const added = [];
+    const removed = [];
+    const modified = [];
+
+    for (const [key, entry] of afterMatches) {
+        const previous = beforeMatches.get(key);
+        if (!previous) {
+            added.push(entry);
+        } else if (previous.match.content !== entry.match.content) {
+            modified.push({ filePath: entry.filePath, before: previous.match, after: entry.match });
+        }
+    }
+
+    for (const [key, entry] of beforeMatches) {
+        if (!afterMatches.has(key)) {
+            removed.push(entry);
+        }
+    }
+
+    return { added, removed, modified };
+}
+
+/**
+ * Properties whose winning declaration changed
+ * @returns {Array<Object>} [{ property, before, after }] (either side null when there was no conflict)
+ */
+function diffWinners(beforeConflicts, afterConflicts) {
+    const winnerOf = (conflicts) => new Map(conflicts.map(c => [c.property, c.winner]));
+    const beforeWinners = winnerOf(beforeConflicts);
+    const afterWinners = winnerOf(afterConflicts);
+
+    const sameRule = (a, b) => a && b
+        && a.file === b.file
+        && a.selector === b.selector
+        && a.value === b.value
+        && a.hasImportant === b.hasImportant;
+
+    const properties = [...new Set([...beforeWinners.keys(), ...afterWinners.keys()])].sort();
+
+    return properties
+        .filter(property => !sameRule(beforeWinners.get(property), afterWinners.get(property)))
+        .map(property => ({
+            property,
+            before: beforeWinners.get(property) || null,
+            after: afterWinners.get(property) || null
+        }));
+}
+
+module.exports = {
+    diffReports
+};
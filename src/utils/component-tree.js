@@ -0,0 +1,252 @@
+/**
+ * Component Tree
+ * The element tree of a page as the interactive navigator shows it: every
+ * element below <body> with a selector that finds exactly it, plus the
+ * expand/collapse, cursor and fuzzy-search state of the navigator. Kept free
+ * of terminal code so it can be driven and tested without a TTY.
+ */
+
+const { SKIPPED_TAGS, elementChildren, buildSelector } = require('./component-detector');
+
+// Characters of text kept per node for display and search
+const MAX_TEXT_LENGTH = 60;
+
+/**
+ * Build the element tree of a page
+ * @param {CheerioAPI} $ - Parsed page (parseHTML())
+ * @returns {Array<Object>} Top-level nodes:
+ *   { key, tagName, id, classes, label, selector, matchIndex, line, text, depth, parent, children, element }
+ */
+function buildComponentTree($) {
+    let key = 0;
+
+    const build = (element, parent, depth) => {
+        const attribs = element.attribs || {};
+        const classes = (attribs.class || '').split(/\s+/).filter(Boolean);
+        const id = attribs.id || null;
+        const tagName = element.tagName.toLowerCase();
+        const { selector, matchIndex } = buildSelector($, element);
+
+        const node = {
+            key: key++,
+            tagName,
+            id,
+            classes,
+            label: `<${tagName}${id ? `#${id}` : ''}${classes.map(cls => `.${cls}`).join('')}>`,
+            selector,
+            matchIndex,
+            line: element.sourceCodeLocation ? element.sourceCodeLocation.startLine : null,
+            text: snippet(visibleText(element)),
+            depth,
+            parent,
+            children: [],
+            element
+        };
+        node.children = elementChildren(element).map(child => build(child, node, depth + 1));
+        return node;
+    };
+
+    const body = $('body').get(0);
+    return body ? elementChildren(body).map(child => build(child, null, 0)) : [];
+}
+
+/**
+ * Text of an element with its text nodes space-separated, so "<li>Home</li><li>Shop</li>" reads "Home Shop"
+ */
+function visibleText(element) {
+    if (element.type === 'text') return element.data;
+    if (element.type !== 'tag' || SKIPPED_TAGS.has(element.tagName.toLowerCase())) return '';
+    return (element.children || []).map(visibleText).join(' ');
+}
+
+function snippet(text) {
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    return normalized.length > MAX_TEXT_LENGTH ? `${normalized.slice(0, MAX_TEXT_LENGTH - 1)}…` : normalized;
+}
+
+/**
+ * Fuzzy match: every character of the query appears in order in the
+ * candidate. Consecutive characters and matches at word starts score higher.
+ * @param {string} query - Search query (case-insensitive)
+ * @param {string} candidate - Text to search
+ * @returns {number|null} Score (higher is better), or null when it does not match
+ */
+function fuzzyScore(query, candidate) {
+    const needle = query.toLowerCase();
+    const haystack = candidate.toLowerCase();
+    if (!needle) return 0;
+
+    const exact = haystack.indexOf(needle);
+    if (exact !== -1) {
+        // Shorter candidates win ties, so the innermost element holding a text comes first
+        return 100 + needle.length * 2 - Math.min(exact, 50) / 10 + (isWordStart(haystack, exact) ? 10 : 0)
+            - Math.min(haystack.length - needle.length, 100) / 100;
+    }
+
+    let score = 0;
+    let position = -1;
+    let streak = 0;
+    for (const char of needle) {
+        const found = haystack.indexOf(char, position + 1);
+        if (found === -1) return null;
+        streak = found === position + 1 ? streak + 1 : 0;
+        score += 1 + streak * 2 + (isWordStart(haystack, found) ? 3 : 0);
+        position = found;
+    }
+    return score;
+}
+
+function isWordStart(text, index) {
+    return index === 0 || /[\s\-_.#<>"]/.test(text[index - 1]);
+}
+
+/**
+ * Best fuzzy score of a node over its classes, id and text
+ * @returns {number|null}
+ */
+function scoreNode(node, query) {
+    const fields = [...node.classes, ...(node.id ? [node.id] : []), node.tagName, node.text];
+    const scores = fields.map(field => fuzzyScore(query, field)).filter(score => score !== null);
+    return scores.length > 0 ? Math.max(...scores) : null;
+}
+
+/**
+ * Navigator state over a component tree
+ * Top-level nodes start expanded. With a search query, only matching nodes
+ * and their ancestors are listed, fully expanded, and the cursor jumps to the
+ * best match. Marked nodes (for picking several components) stay marked
+ * while searching and collapsing.
+ * @param {Array<Object>} roots - buildComponentTree() result
+ * @returns {Object} Navigator: { rows, current, cursor, query, marked, move, moveTo, expand,
+ *   collapse, toggle, toggleMark, setQuery }
+ */
+function createTreeNavigator(roots) {
+    const expanded = new Set(roots.filter(node => node.children.length > 0).map(node => node.key));
+    const marked = new Map();
+    let query = '';
+    let matches = null;
+    let cursor = 0;
+    let rows = [];
+
+    const walk = (nodes, visible) => {
+        nodes.forEach(node => {
+            if (matches && !matches.has(node.key)) return;
+            const open = matches ? true : expanded.has(node.key);
+            visible.push({
+                node,
+                depth: node.depth,
+                expanded: open && node.children.length > 0,
+                hasChildren: node.children.length > 0,
+                marked: marked.has(node.key),
+                match: matches ? matches.get(node.key) : null
+            });
+            if (open) walk(node.children, visible);
+        });
+        return visible;
+    };
+
+    const refresh = () => {
+        const currentKey = rows[cursor] ? rows[cursor].node.key : null;
+        rows = walk(roots, []);
+        const kept = rows.findIndex(row => row.node.key === currentKey);
+        cursor = kept !== -1 ? kept : Math.min(cursor, Math.max(0, rows.length - 1));
+    };
+
+    const navigator = {
+        get rows() { return rows; },
+        get cursor() { return cursor; },
+        get query() { return query; },
+
+        current() {
+            return rows[cursor] ? rows[cursor].node : null;
+        },
+
+        // Marked nodes in document order
+        marked() {
+            return [...marked.values()].sort((a, b) => a.key - b.key);
+        },
+
+        move(delta) {
+            cursor = Math.max(0, Math.min(rows.length - 1, cursor + delta));
+        },
+
+        moveTo(index) {
+            cursor = Math.max(0, Math.min(rows.length - 1, index));
+        },
+
+        // Expand the current node, or step into its first child when already open
+        expand() {
+            const row = rows[cursor];
+            if (!row || !row.hasChildren) return;
+            if (!row.expanded) {
+                expanded.add(row.node.key);
+                refresh();
+            } else {
+                cursor++;
+            }
+        },
+
+        // Collapse the current node, or step out to its parent when already closed
+        collapse() {
+            const row = rows[cursor];
+            if (!row) return;
+            if (row.expanded && !matches) {
+                expanded.delete(row.node.key);
+                refresh();
+            } else if (row.node.parent) {
+                cursor = rows.findIndex(candidate => candidate.node === row.node.parent);
+            }
+        },
+
+        toggle() {
+            const row = rows[cursor];
+            if (row && row.expanded) navigator.collapse();
+            else navigator.expand();
+        },
+
+        toggleMark() {
+            const row = rows[cursor];
+            if (!row) return;
+            if (marked.has(row.node.key)) marked.delete(row.node.key);
+            else marked.set(row.node.key, row.node);
+            row.marked = marked.has(row.node.key);
+        },
+
+        setQuery(value) {
+            query = value;
+            if (!query.trim()) {
+                matches = null;
+                refresh();
+                return;
+            }
+
+            // Matching nodes keep their score; ancestors are listed for context (score null)
+            matches = new Map();
+            let best = null;
+            const visit = (node) => {
+                const score = scoreNode(node, query.trim());
+                if (score !== null) {
+                    matches.set(node.key, score);
+                    for (let parent = node.parent; parent && !matches.has(parent.key); parent = parent.parent) {
+                        matches.set(parent.key, null);
+                    }
+                    if (!best || score > best.score) best = { node, score };
+                }
+                node.children.forEach(visit);
+            };
+            roots.forEach(visit);
+
+            rows = walk(roots, []);
+            cursor = best ? rows.findIndex(row => row.node === best.node) : 0;
+        }
+    };
+
+    refresh();
+    return navigator;
+}
+
+module.exports = {
+    buildComponentTree,
+    createTreeNavigator,
+    fuzzyScore
+};
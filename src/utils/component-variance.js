@@ -0,0 +1,159 @@
+/**
+ * Component Variance
+ * Compares the same component extracted from several pages: which classes,
+ * attributes and child elements every page shares and where pages differ
+ */
+
+const cheerio = require('cheerio');
+
+const FEATURE_KINDS = ['classes', 'attributes', 'children'];
+
+// Long attribute values (inline styles, srcsets...) are shortened in feature labels
+const MAX_VALUE_LENGTH = 60;
+
+/**
+ * Describe a component as sets of comparable features
+ * @param {string} html - Component outer HTML
+ * @returns {Object} { classes: [], attributes: [], children: [] }
+ *   attributes: 'tag[name="value"]' for every attribute except class
+ *   children: 'tag.class ×count' for every descendant element type
+ */
+function describeComponent(html) {
+    const $ = cheerio.load(html, null, false);
+    const root = $.root().children().first();
+    const elements = [root, ...root.find('*').toArray().map(el => $(el))];
+
+    const classes = new Set();
+    const attributes = new Set();
+    const childCounts = new Map();
+
+    elements.forEach(($el, index) => {
+        const tagName = ($el.prop('tagName') || '').toLowerCase();
+        const elementClasses = ($el.attr('class') || '').split(/\s+/).filter(Boolean);
+        elementClasses.forEach(cls => classes.add(cls));
+
+        Object.entries($el.attr() || {}).forEach(([name, value]) => {
+            if (name === 'class') return;
+            const shown = value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value;
+            attributes.add(`${tagName}[${name}="${shown}"]`);
+        });
+
+        if (index > 0) {
+            const label = [tagName, ...elementClasses].join('.');
+            childCounts.set(label, (childCounts.get(label) || 0) + 1);
+        }
+    });
+
+    return {
+        classes: [...classes],
+        attributes: [...attributes],
+        children: [...childCounts].map(([label, count]) => `${label} ×${count}`)
+    };
+}
+
+/**
+ * Compare one component across pages
+ * The baseline is every feature found on more than half of the pages that
+ * contain the component; each page is reported as its difference from it.
+ * @param {Array<Object>} variants - [{ page, html, error }] (html is null when the page has no match)
+ * @returns {Object} { pageCount, foundCount, baseline, pages, varying, identical }
+ *   pages: [{ page, found, error, extra: {kind: []}, missing: {kind: []} }]
+ *   varying: [{ kind, value, pages: [] }] features not shared by every page
+ */
+function compareComponentVariants(variants) {
+    const described = variants.map(variant => ({
+        page: variant.page,
+        error: variant.error || null,
+        features: variant.html ? describeComponent(variant.html) : null
+    }));
+    const found = described.filter(d => d.features);
+
+    const baseline = {};
+    const varying = [];
+
+    FEATURE_KINDS.forEach(kind => {
+        const pagesByValue = new Map();
+        found.forEach(({ page, features }) => {
+            features[kind].forEach(value => {
+                if (!pagesByValue.has(value)) pagesByValue.set(value, []);
+                pagesByValue.get(value).push(page);
+            });
+        });
+
+        baseline[kind] = [...pagesByValue].filter(([, pages]) => pages.length > found.length / 2).map(([value]) => value);
+
+        [...pagesByValue]
+            .filter(([, pages]) => pages.length < found.length)
+            .sort((a, b) => b[1].length - a[1].length)
+            .forEach(([value, pages]) => varying.push({ kind, value, pages }));
+    });
+
+    const pages = described.map(({ page, error, features }) => {
+        if (!features) {
+            return { page, found: false, error, extra: null, missing: null };
+        }
+
+        const extra = {};
+        const missing = {};
+        FEATURE_KINDS.forEach(kind => {
+            const own = new Set(features[kind]);
+            const shared = new Set(baseline[kind]);
+            extra[kind] = features[kind].filter(value => !shared.has(value));
+            missing[kind] = baseline[kind].filter(value => !own.has(value));
+        });
+
+        return { page, found: true, error: null, extra, missing };
+    });
+
+    return {
+        pageCount: variants.length,
+        foundCount: found.length,
+        baseline,
+        pages,
+        varying,
+        identical: varying.length === 0
+    };
+}
+
+/**
+ * Merge the target info of one component extracted from several pages
+ * Classes, IDs, attributes and assets are the union over all pages, so the
+ * consolidated analysis covers every variant. The HTML, tag and line numbers
+ * come from the first page.
+ * @param {Array<Object>} targetInfos - extractTargetElement() results, first page first
+ * @returns {Object} Target info
+ */
+function mergeTargetInfos(targetInfos) {
+    const [first] = targetInfos;
+    const union = (key) => [...new Set(targetInfos.flatMap(info => info[key] || []))];
+
+    const assets = {};
+    Object.keys(first.assets || {}).forEach(kind => {
+        const seen = new Set();
+        assets[kind] = targetInfos.flatMap(info => (info.assets && info.assets[kind]) || []).filter(asset => {
+            const key = JSON.stringify(asset);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    });
+
+    return {
+        ...first,
+        classes: union('classes'),
+        ids: union('ids'),
+        dataAttributes: union('dataAttributes'),
+        shadowParts: union('shadowParts'),
+        summary: `${first.summary} (${targetInfos.length} pages)`,
+        warnings: [],
+        notices: [],
+        assets
+    };
+}
+
+module.exports = {
+    FEATURE_KINDS,
+    describeComponent,
+    compareComponentVariants,
+    mergeTargetInfos
+};
@@ -0,0 +1,83 @@
+/**
+ * Config Loader
+ * Finds and loads the project configuration file (.codescooprc, .codescooprc.json
+ * or codescoop.config.js) by walking up from the analyzed source
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE_NAMES = [
+    '.codescooprc',
+    '.codescooprc.json',
+    'codescoop.config.js'
+];
+
+/**
+ * Find the nearest config file, walking up from a directory to the filesystem root
+ * @param {string} startDir - Directory to start from
+ * @returns {string|null} Path to the config file, or null if none found
+ */
+function findConfigFile(startDir) {
+    let dir = path.resolve(startDir);
+
+    while (true) {
+        for (const name of CONFIG_FILE_NAMES) {
+            const candidate = path.join(dir, name);
+            if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+                return candidate;
+            }
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            return null;
+        }
+        dir = parent;
+    }
+}
+
+/**
+ * Load a config file
+ * .codescooprc and .json files are parsed as JSON; .js files are required
+ * and may export an object or a function returning one.
+ * @param {string} configPath - Path to the config file
+ * @returns {Object} { config, error }
+ */
+function loadConfigFile(configPath) {
+    try {
+        if (path.extname(configPath) === '.js') {
+            const resolved = path.resolve(configPath);
+            delete require.cache[resolved];
+            const exported = require(resolved);
+            return { config: typeof exported === 'function' ? exported() : exported, error: null };
+        }
+
+        return { config: JSON.parse(fs.readFileSync(configPath, 'utf-8')), error: null };
+    } catch (error) {
+        return { config: null, error: `Cannot load config file ${configPath}: ${error.message}` };
+    }
+}
+
+/**
+ * Apply config values to CLI options, without overriding flags given on the command line
+ * @param {Object} options - Parsed CLI options (mutated)
+ * @param {Object} config - Normalized config from validateConfig()
+ * @param {Function} getSource - Returns the value source of an option ('cli', 'default', ...)
+ * @returns {Object} The merged options
+ */
+function mergeConfigIntoOptions(options, config, getSource) {
+    for (const [key, value] of Object.entries(config)) {
+        if (value === undefined) continue;
+        if (getSource(key) === 'cli') continue;
+        options[key] = value;
+    }
+    return options;
+}
+
+module.exports = {
+    CONFIG_FILE_NAMES,
+    findConfigFile,
+    loadConfigFile,
+    mergeConfigIntoOptions
+};
@@ -0,0 +1,228 @@
+/**
+ * Per-Element Breakdown
+ * Rebuilds the component as a tree and attaches to each element the CSS rules
+ * that apply to it, the declarations that win on it and the JS references
+ * that target it, instead of one flat list per file
+ */
+
+const path = require('path');
+const { explainProperties } = require('./specificity-calculator');
+const { describeElement } = require('./selector-evaluator');
+
+// JS selector methods whose argument is not a CSS selector
+const NAME_METHODS = {
+    getElementById: (value) => `#${value}`,
+    getElementsByClassName: (value) => value.split(/\s+/).filter(Boolean).map(cls => `.${cls}`).join(''),
+    getElementsByTagName: (value) => value
+};
+
+/**
+ * Build the element tree of a component
+ * Rules that need a state (:hover, .is-open) are listed on the element but
+ * left out of its winning declarations, which describe the default state.
+ * @param {Object} evaluator - createSelectorEvaluator() result for the component
+ * @param {Object} results
+ * @param {Array} results.cssResults - Custom CSS results (matches already evaluated)
+ * @param {Array} results.cssLibraryResults - Library CSS results
+ * @param {Array} results.jsResults - Custom JS results
+ * @param {Object} results.linkedFiles - Linked CSS files, as passed to analyzeConflicts()
+ * @returns {Object} Root node: { element, line, rules, declarations, jsReferences, children }
+ */
+function buildElementBreakdown(evaluator, { cssResults = [], cssLibraryResults = [], jsResults = [], linkedFiles = { css: [] } }) {
+    const nodes = new Map(evaluator.elements.map(element => [element, {
+        ...describeElement(element),
+        rules: [],
+        declarations: [],
+        jsReferences: [],
+        children: [],
+        applying: []
+    }]));
+
+    for (const result of [...cssResults, ...cssLibraryResults]) {
+        for (const match of result.matches) {
+            if (!match.appliesTo) continue;
+
+            const { conditions } = evaluator.evaluate(match.selector);
+            evaluator.nodesFor(match.selector).forEach(element => {
+                const node = nodes.get(element);
+                node.rules.push({
+                    selector: match.selector,
+                    filePath: result.filePath,
+                    libraryName: result.libraryName || null,
+                    startLine: match.startLine,
+                    endLine: match.endLine,
+                    atRuleContext: match.atRuleContext || null,
+                    conditions
+                });
+                if (conditions.length === 0) {
+                    node.applying.push({ result, match });
+                }
+            });
+        }
+    }
+
+    for (const result of jsResults) {
+        // Selector calls first: the analyzer also reports their argument as a
+        // string literal, which is then skipped
+        const calls = result.matches.filter(match => match.selector);
+        const others = result.matches.filter(match => !match.selector);
+        const callArguments = calls.map(match => ({ value: match.selector, startLine: match.startLine, endLine: match.endLine }));
+
+        for (const match of [...calls, ...others]) {
+            if (match.type === 'string-literal' && callArguments.some(arg => arg.value === match.value
+                && arg.startLine <= match.endLine && match.startLine <= arg.endLine)) {
+                continue;
+            }
+
+            const selector = jsSelector(match);
+            findJSTargets(evaluator, match, selector).forEach(element => {
+                nodes.get(element).jsReferences.push({
+                    filePath: result.filePath,
+                    type: match.type,
+                    method: match.method || null,
+                    selector,
+                    value: match.value ?? null,
+                    startLine: match.startLine,
+                    endLine: match.endLine
+                });
+            });
+        }
+    }
+
+    nodes.forEach(node => {
+        node.declarations = winningDeclarations(node.applying, linkedFiles);
+        delete node.applying;
+    });
+
+    // Elements are in document order, so parents are linked before their children
+    const [root] = evaluator.elements;
+    evaluator.elements.slice(1).forEach(element => {
+        nodes.get(element.parent).children.push(nodes.get(element));
+    });
+
+    return nodes.get(root);
+}
+
+/**
+ * CSS selector of a JS reference: the argument of a selector call, or a
+ * string literal that looks like a selector ('.menu__item')
+ * @returns {string|null}
+ */
+function jsSelector(match) {
+    if (match.selector) {
+        const toSelector = NAME_METHODS[match.method];
+        return toSelector ? toSelector(match.selector) : match.selector;
+    }
+    if (match.type === 'string-literal' && /^\s*[.#[]/.test(match.value || '')) {
+        return match.value.trim();
+    }
+    return null;
+}
+
+/**
+ * Elements a JS reference targets: those its selector matches, otherwise the
+ * elements carrying the class, id or data attribute it mentions
+ */
+function findJSTargets(evaluator, match, selector) {
+    if (selector) {
+        if (evaluator.evaluate(selector).evaluated) {
+            return evaluator.nodesFor(selector);
+        }
+    }
+
+    const tokens = (match.matchedOn || []).map(item => {
+        const [type, ...rest] = item.split(':');
+        return { type: type.trim(), value: rest.join(':').trim() };
+    });
+
+    return evaluator.elements.filter(element => {
+        const attribs = element.attribs || {};
+        const classes = (attribs.class || '').split(/\s+/);
+        return tokens.some(({ type, value }) =>
+            (type === 'class' && classes.includes(value))
+            || (type === 'id' && attribs.id === value)
+            || (type === 'data-attr' && value in attribs));
+    });
+}
+
+/**
+ * Winning declaration of each property set on one element
+ */
+function winningDeclarations(applying, linkedFiles) {
+    const byFile = new Map();
+    applying.forEach(({ result, match }) => {
+        if (!byFile.has(result)) {
+            byFile.set(result, { ...result, matches: [] });
+        }
+        byFile.get(result).matches.push(match);
+    });
+
+    return explainProperties([...byFile.values()], linkedFiles)
+        .map(({ property, winner }) => ({
+            property,
+            value: winner.value,
+            selector: winner.selector,
+            filePath: winner.file,
+            startLine: winner.startLine,
+            specificity: winner.specificity,
+            hasImportant: winner.hasImportant
+        }));
+}
+
+/**
+ * Format the breakdown as a nested markdown outline
+ * @param {Object} tree - buildElementBreakdown() result
+ * @param {string} projectDir - Paths are shown relative to it
+ * @returns {string} Markdown section
+ */
+function formatElementBreakdownMarkdown(tree, projectDir) {
+    const relative = (filePath) => projectDir ? path.relative(projectDir, filePath) : filePath;
+    let count = 0;
+
+    const renderNode = (node, depth) => {
+        count++;
+        const indent = '  '.repeat(depth);
+        let md = `${indent}- **\`${node.element}\`**${node.line ? ` (line ${node.line})` : ''}\n`;
+
+        node.rules.forEach(rule => {
+            const where = `${rule.libraryName ? `${rule.libraryName}: ` : ''}${relative(rule.filePath)}:${rule.startLine}`;
+            const context = rule.atRuleContext ? ` in \`${rule.atRuleContext}\`` : '';
+            const when = rule.conditions.length > 0 ? ` _(only when ${rule.conditions.map(c => `\`${c}\``).join(', ')})_` : '';
+            md += `${indent}  - CSS \`${rule.selector}\` — \`${where}\`${context}${when}\n`;
+        });
+
+        if (node.declarations.length > 0) {
+            const wins = node.declarations.map(d => `\`${d.property}: ${d.value}\` (\`${d.selector}\`)`);
+            md += `${indent}  - Wins: ${wins.join(', ')}\n`;
+        }
+
+        node.jsReferences.forEach(ref => {
+            let call = ref.type;
+            if (ref.selector) {
+                call = `\`${ref.selector}\`${ref.method ? ` via ${ref.method}()` : ''}`;
+            } else if (ref.value !== null) {
+                call = `string \`'${ref.value}'\``;
+            }
+            md += `${indent}  - JS ${call} — \`${relative(ref.filePath)}:${ref.startLine}\`\n`;
+        });
+
+        node.children.forEach(child => {
+            md += renderNode(child, depth + 1);
+        });
+        return md;
+    };
+
+    const outline = renderNode(tree, 0);
+
+    let content = `## 🌳 Per-Element Breakdown\n\n`;
+    content += `> ${count} element(s). Each lists the CSS rules that apply to it, the declarations that win in its default state `;
+    content += `(rules marked "only when" need a state first) and the JS references that target it.\n\n`;
+    return content + outline;
+}
+
+module.exports = {
+    buildElementBreakdown,
+    formatElementBreakdownMarkdown,
+    jsSelector,
+    findJSTargets
+};
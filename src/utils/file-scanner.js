@@ -7,72 +7,196 @@
 const fs = require('fs');
 const path = require('path');
 const { glob } = require('glob');
+const { minimatch } = require('minimatch');
+const { loadIgnoreFiles, createIgnoreMatcher } = require('./ignore-files');
+
+const CSS_EXTENSIONS = ['.css', '.scss', '.sass', '.less'];
+const JS_EXTENSIONS = ['.js', '.mjs', '.cjs'];
+
+// Never scanned: dependencies, build output and our own cache
+const DEFAULT_IGNORE_DIRS = [
+    'node_modules',
+    'bower_components',
+    'vendor',
+    '.git',
+    '.codescoop-cache',
+    'dist',
+    'build',
+    'coverage'
+];
+const DEFAULT_IGNORE_PATTERNS = [
+    ...DEFAULT_IGNORE_DIRS.map(dir => `**/${dir}/**`),
+    '**/*.min.js.map',
+    '**/*.min.css.map'
+];
 
 /**
  * Find all CSS and JS files in a project directory
  * @param {string} projectDir - Project directory path
- * @returns {Object} Object with css and js file arrays
+ * @param {Object} options
+ * @param {string[]} options.ignore - Extra glob patterns to exclude (--exclude, config `ignore`)
+ * @param {string[]} options.include - Only scan files matching these globs. Patterns rooted at a
+ *   directory (e.g. "dist/**") also override the built-in ignore list and ignore files.
+ * @param {boolean} options.ignoreFiles - Respect .gitignore and .codescoopignore (default: true)
+ * @param {number} options.maxFileSize - Skip larger files, in bytes (default: 0, no limit)
+ * @returns {Promise<Object>} { css, js, skipped } - css/js sorted, so reports are stable between runs;
+ *   skipped lists { path, reason } for excluded files and directories (relative, forward slashes)
  */
-async function findProjectFiles(projectDir) {
-    const cssPatterns = [
-        '**/*.css',
-        '**/*.scss',
-        '**/*.sass',
-        '**/*.less'
-    ];
-
-    const jsPatterns = [
-        '**/*.js',
-        '**/*.mjs',
-        '**/*.cjs'
-    ];
-
-    const ignorePatterns = [
-        '**/node_modules/**',
-        '**/bower_components/**',
-        '**/vendor/**',
-        '**/.git/**',
-        '**/dist/**',
-        '**/build/**',
-        '**/coverage/**',
-        '**/*.min.js.map',
-        '**/*.min.css.map'
-    ];
+async function findProjectFiles(projectDir, options = {}) {
+    const {
+        ignore = [],
+        include = [],
+        ignoreFiles = true,
+        maxFileSize = 0
+    } = options;
+
+    const ignoreRules = ignoreFiles
+        ? await loadIgnoreFiles(projectDir, DEFAULT_IGNORE_DIRS.map(dir => `**/${dir}/**`))
+        : [];
+    const filter = createFileFilter({ ignore, include, ignoreRules });
+    const skipped = new Map();
 
     const globOptions = {
         cwd: projectDir,
-        ignore: ignorePatterns,
-        absolute: true,
-        nodir: true
+        nodir: true,
+        posix: true,
+        ignore: {
+            ignored: (entry) => {
+                const reason = filter.skipFile(entry.relativePosix());
+                if (reason) skipped.set(entry.relativePosix(), reason);
+                return !!reason;
+            },
+            childrenIgnored: (entry) => {
+                const reason = filter.skipDirectory(entry.relativePosix());
+                if (reason) skipped.set(`${entry.relativePosix()}/`, reason);
+                return !!reason;
+            }
+        }
     };
 
-    // Find CSS files
-    const cssPromises = cssPatterns.map(pattern =>
-        glob(pattern, globOptions)
-    );
-    const cssResults = await Promise.all(cssPromises);
-    const cssFiles = [...new Set(cssResults.flat())];
+    const found = await glob([...CSS_EXTENSIONS, ...JS_EXTENSIONS].map(ext => `**/*${ext}`), globOptions);
+    const files = { css: [], js: [] };
+
+    for (const relativePath of [...new Set(found)]) {
+        const filePath = path.join(projectDir, relativePath);
+
+        if (maxFileSize > 0) {
+            const size = fs.statSync(filePath).size;
+            if (size > maxFileSize) {
+                skipped.set(relativePath, `larger than ${formatFileSize(maxFileSize)} (${formatFileSize(size)})`);
+                continue;
+            }
+        }
+
+        const ext = path.extname(relativePath).toLowerCase();
+        files[CSS_EXTENSIONS.includes(ext) ? 'css' : 'js'].push(filePath);
+    }
+
+    files.css.sort();
+    files.js.sort();
+    files.skipped = [...skipped]
+        .map(([skippedPath, reason]) => ({ path: skippedPath, reason }))
+        .filter(entry => isScannableExtension(entry.path) || entry.path.endsWith('/'))
+        .sort((a, b) => a.path.localeCompare(b.path));
+    return files;
+}
+
+/**
+ * Pick the CSS and JS files out of a list of paths, with the same rules as
+ * findProjectFiles() (for file lists that do not come from the disk, e.g. git)
+ * @param {string[]} filePaths - Paths relative to the project directory, using forward slashes
+ * @param {Object} options
+ * @param {string[]} options.ignore - Extra glob patterns to exclude
+ * @param {string[]} options.include - Only keep files matching these globs
+ * @returns {Object} Object with css and js arrays of relative paths (sorted)
+ */
+function classifyProjectFiles(filePaths, options = {}) {
+    const { ignore = [], include = [] } = options;
+    const filter = createFileFilter({ ignore, include });
+
+    const files = { css: [], js: [] };
+
+    for (const filePath of filePaths) {
+        const ext = path.extname(filePath).toLowerCase();
+        const kind = CSS_EXTENSIONS.includes(ext) ? 'css' : (JS_EXTENSIONS.includes(ext) ? 'js' : null);
 
-    // Find JS files
-    const jsPromises = jsPatterns.map(pattern =>
-        glob(pattern, globOptions)
-    );
-    const jsResults = await Promise.all(jsPromises);
-    const jsFiles = [...new Set(jsResults.flat())];
+        // glob skips dot-directories and dotfiles by default
+        if (!kind || !minimatch(filePath, `**/*${ext}`)) continue;
+        if (filter.skipFile(filePath)) continue;
+
+        files[kind].push(filePath);
+    }
+
+    files.css.sort();
+    files.js.sort();
+    return files;
+}
+
+/**
+ * Decide which project paths to skip, and why
+ * Order: --exclude, --include, the built-in ignore list, then ignore files.
+ * @param {Object} options
+ * @param {string[]} options.ignore - Glob patterns to exclude
+ * @param {string[]} options.include - Glob patterns to keep (empty keeps everything)
+ * @param {Array<Object>} options.ignoreRules - Rules from loadIgnoreFiles()
+ * @returns {Object} { skipFile(path), skipDirectory(path) } - each returns a reason, or null to keep
+ */
+function createFileFilter(options = {}) {
+    const { ignore = [], include = [], ignoreRules = [] } = options;
+    const matchOptions = { dot: true };
+    const isIgnoredByFiles = createIgnoreMatcher(ignoreRules);
+
+    // "dist/**" opts into a skipped directory; "**/*.css" does not
+    const rootedIncludes = include.filter(pattern => !pattern.startsWith('**'));
+    const explicitlyIncluded = (relativePath, partial = false) =>
+        rootedIncludes.some(pattern => minimatch(relativePath, pattern, { ...matchOptions, partial }));
 
     return {
-        css: cssFiles,
-        js: jsFiles
+        skipFile(relativePath) {
+            const excluded = ignore.find(pattern => minimatch(relativePath, pattern, matchOptions));
+            if (excluded) return `excluded by "${excluded}"`;
+
+            if (include.length > 0 && !include.some(pattern => minimatch(relativePath, pattern, matchOptions))) {
+                return 'not matched by --include';
+            }
+            if (explicitlyIncluded(relativePath)) return null;
+
+            const builtIn = DEFAULT_IGNORE_PATTERNS.find(pattern => minimatch(relativePath, pattern, matchOptions));
+            if (builtIn) return `built-in ignore "${builtIn}"`;
+
+            const ignoreFile = isIgnoredByFiles(relativePath);
+            return ignoreFile ? `ignored by ${ignoreFile}` : null;
+        },
+
+        skipDirectory(relativePath) {
+            if (!relativePath || explicitlyIncluded(relativePath, true)) return null;
+
+            if (DEFAULT_IGNORE_DIRS.includes(path.posix.basename(relativePath))) {
+                return `built-in ignore "**/${path.posix.basename(relativePath)}/**"`;
+            }
+
+            const ignoreFile = isIgnoredByFiles(relativePath, true);
+            return ignoreFile ? `ignored by ${ignoreFile}` : null;
+        }
     };
 }
 
+/**
+ * Whether a path has a CSS or JS extension
+ */
+function isScannableExtension(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return CSS_EXTENSIONS.includes(ext) || JS_EXTENSIONS.includes(ext);
+}
+
 /**
  * Get files that are actually linked in the HTML
  * @param {CheerioAPI} $ - Cheerio instance with parsed HTML
  * @param {string} htmlPath - Path to the HTML file (for resolving relative paths)
+ * @param {Function} exists - File existence check (default: fs.existsSync; lets in-memory files count as linked)
  * @returns {Object} Object with linked css and js file arrays
  */
-function getLinkedFiles($, htmlPath) {
+function getLinkedFiles($, htmlPath, exists = fs.existsSync) {
     const htmlDir = path.dirname(htmlPath);
     const linkedCSS = [];
     const linkedJS = [];
@@ -81,7 +205,7 @@ function getLinkedFiles($, htmlPath) {
     $('link[rel="stylesheet"]').each((_, element) => {
         const href = $(element).attr('href');
         if (href && !href.startsWith('http') && !href.startsWith('//')) {
-            const resolved = resolvePath(href, htmlDir);
+            const resolved = resolvePath(href, htmlDir, exists);
             if (resolved) linkedCSS.push(resolved);
         }
     });
@@ -93,7 +217,7 @@ function getLinkedFiles($, htmlPath) {
         for (const match of importMatches) {
             const href = match[1];
             if (href && !href.startsWith('http') && !href.startsWith('//')) {
-                const resolved = resolvePath(href, htmlDir);
+                const resolved = resolvePath(href, htmlDir, exists);
                 if (resolved) linkedCSS.push(resolved);
             }
         }
@@ -103,7 +227,7 @@ function getLinkedFiles($, htmlPath) {
     $('script[src]').each((_, element) => {
         const src = $(element).attr('src');
         if (src && !src.startsWith('http') && !src.startsWith('//')) {
-            const resolved = resolvePath(src, htmlDir);
+            const resolved = resolvePath(src, htmlDir, exists);
             if (resolved) linkedJS.push(resolved);
         }
     });
@@ -117,7 +241,7 @@ function getLinkedFiles($, htmlPath) {
 /**
  * Resolve a relative path from HTML file location
  */
-function resolvePath(relativePath, htmlDir) {
+function resolvePath(relativePath, htmlDir, exists = fs.existsSync) {
     try {
         // Handle paths starting with /
         if (relativePath.startsWith('/')) {
@@ -132,13 +256,13 @@ function resolvePath(relativePath, htmlDir) {
         const resolved = path.resolve(htmlDir, relativePath);
 
         // Check if file exists
-        if (fs.existsSync(resolved)) {
+        if (exists(resolved)) {
             return resolved;
         }
 
         // Try without leading dots
         const altPath = path.resolve(htmlDir, relativePath.replace(/^\.\//, ''));
-        if (fs.existsSync(altPath)) {
+        if (exists(altPath)) {
             return altPath;
         }
 
@@ -184,7 +308,12 @@ function formatFileSize(bytes) {
 }
 
 module.exports = {
+    CSS_EXTENSIONS,
+    JS_EXTENSIONS,
+    DEFAULT_IGNORE_PATTERNS,
     findProjectFiles,
+    classifyProjectFiles,
+    createFileFilter,
     getLinkedFiles,
     getFileInfo,
     formatFileSize
@@ -13,16 +13,18 @@
  * @param {Array} cssResults - CSS analysis results
  * @param {Array} cssLibraryResults - Library CSS results
  * @param {Array} inlineStyles - Inline style results
- * @returns {Object} Ghost class detection results
+ * @returns {Object} Ghost class detection results; `locations` maps each ghost class to the
+ *   [{ line, column }] of the class attributes using it (empty when the source positions are unknown)
  */
 function detectGhostClasses(targetInfo, cssResults = [], cssLibraryResults = [], inlineStyles = []) {
-    const { classes = [] } = targetInfo;
+    const { classes = [], classLocations = null } = targetInfo;
 
     if (classes.length === 0) {
         return {
             ghostClasses: [],
             definedClasses: [],
-            totalClasses: 0
+            totalClasses: 0,
+            locations: {}
         };
     }
 
@@ -148,11 +150,19 @@ function detectGhostClasses(targetInfo, cssResults = [], cssLibraryResults = [],
         return true;
     });
 
+    const locations = {};
+    if (classLocations) {
+        ghostClasses.forEach(cls => {
+            if (classLocations[cls]) locations[cls] = classLocations[cls];
+        });
+    }
+
     return {
         ghostClasses,
         definedClasses: Array.from(definedClasses),
         totalClasses: classes.length,
-        hasGhosts: ghostClasses.length > 0
+        hasGhosts: ghostClasses.length > 0,
+        locations
     };
 }
 
@@ -170,11 +180,15 @@ function formatGhostClassesMarkdown(ghostData) {
     md += `> These classes are used in the HTML but have **no matching CSS rules** in the project.\n`;
     md += `> This may indicate dead code, missing stylesheets, or dynamically applied styles.\n\n`;
 
-    md += `| Class | Status |\n`;
-    md += `|-------|--------|\n`;
+    md += `| Class | Used At | Status |\n`;
+    md += `|-------|---------|--------|\n`;
 
     for (const ghost of ghostData.ghostClasses) {
-        md += `| \`${ghost}\` | ⚠️ No CSS found |\n`;
+        const uses = (ghostData.locations && ghostData.locations[ghost]) || [];
+        const usedAt = uses.length > 0
+            ? uses.slice(0, 3).map(use => `line ${use.line}:${use.column}`).join(', ') + (uses.length > 3 ? ` (+${uses.length - 3} more)` : '')
+            : '—';
+        md += `| \`${ghost}\` | ${usedAt} | ⚠️ No CSS found |\n`;
     }
 
     md += `\n**${ghostData.ghostClasses.length}** ghost class(es) out of **${ghostData.totalClasses}** total.\n`;
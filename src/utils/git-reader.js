@@ -0,0 +1,124 @@
+/**
+ * Git Reader
+ * Reads files as they were at a given revision straight from the object
+ * database, without checking anything out or touching the working tree
+ */
+
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Large stylesheets and bundles easily exceed the default 1MB
+const MAX_BUFFER = 512 * 1024 * 1024;
+
+/**
+ * Run a git command and return stdout
+ * @param {string} cwd - Directory to run in
+ * @param {string[]} args - git arguments
+ * @param {Object} options - { input, encoding }
+ * @returns {string|Buffer} stdout
+ */
+function git(cwd, args, options = {}) {
+    try {
+        return execFileSync('git', args, {
+            cwd,
+            input: options.input,
+            encoding: options.encoding === null ? null : 'utf-8',
+            maxBuffer: MAX_BUFFER,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error('git is not installed or not on PATH');
+        }
+        const stderr = error.stderr ? error.stderr.toString().trim() : error.message;
+        throw new Error(`git ${args[0]} failed: ${stderr.split('\n')[0]}`);
+    }
+}
+
+/**
+ * Find the root of the git repository containing a directory
+ * @param {string} dir - Any directory inside the repository
+ * @returns {string} Absolute repository root
+ */
+function getRepoRoot(dir) {
+    try {
+        return path.resolve(git(dir, ['rev-parse', '--show-toplevel']).trim());
+    } catch (error) {
+        throw new Error(`Not inside a git repository: ${dir}`);
+    }
+}
+
+/**
+ * Resolve a revision (branch, tag, SHA, HEAD~2...) to a commit SHA
+ * @param {string} repoRoot - Repository root
+ * @param {string} ref - Revision
+ * @returns {string} Commit SHA
+ */
+function resolveCommit(repoRoot, ref) {
+    try {
+        return git(repoRoot, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).trim();
+    } catch (error) {
+        throw new Error(`Unknown git revision: "${ref}"`);
+    }
+}
+
+/**
+ * List the files of a directory at a commit
+ * @param {string} repoRoot - Repository root
+ * @param {string} commit - Commit SHA
+ * @param {string} subdir - Directory relative to the repository root ('' for all)
+ * @returns {string[]} Paths relative to the repository root, with forward slashes
+ */
+function listFilesAtCommit(repoRoot, commit, subdir = '') {
+    const args = ['ls-tree', '-r', '-z', '--name-only', commit];
+    if (subdir) {
+        args.push('--', subdir);
+    }
+    return git(repoRoot, args).split('\0').filter(Boolean);
+}
+
+/**
+ * Read several files at a commit in one `git cat-file --batch` call
+ * @param {string} repoRoot - Repository root
+ * @param {string} commit - Commit SHA
+ * @param {string[]} filePaths - Paths relative to the repository root
+ * @returns {Map<string, string>} Path → content (files missing at that commit are left out)
+ */
+function readFilesAtCommit(repoRoot, commit, filePaths) {
+    const contents = new Map();
+    if (filePaths.length === 0) {
+        return contents;
+    }
+
+    const input = filePaths.map(filePath => `${commit}:${filePath}`).join('\n') + '\n';
+    const output = git(repoRoot, ['cat-file', '--batch'], { input, encoding: null });
+
+    // Each object is "<sha> <type> <size>\n<content>\n", or "<name> missing\n"
+    let offset = 0;
+    for (const filePath of filePaths) {
+        const headerEnd = output.indexOf(0x0a, offset);
+        const header = output.toString('utf-8', offset, headerEnd);
+        offset = headerEnd + 1;
+
+        if (header.endsWith(' missing')) {
+            continue;
+        }
+
+        const [, type, size] = header.split(' ');
+
+        const byteLength = parseInt(size, 10);
+        if (type === 'blob') {
+            contents.set(filePath, output.toString('utf-8', offset, offset + byteLength));
+        }
+        offset += byteLength + 1;
+    }
+
+    return contents;
+}
+
+module.exports = {
+    getRepoRoot,
+    resolveCommit,
+    listFilesAtCommit,
+    readFilesAtCommit
+};
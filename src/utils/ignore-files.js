@@ -0,0 +1,107 @@
+/**
+ * Ignore Files
+ * Reads .gitignore and .codescoopignore files and matches project paths
+ * against them, following gitignore rules (negation, directory-only and
+ * anchored patterns, nested ignore files)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { glob } = require('glob');
+const { Minimatch } = require('minimatch');
+
+const IGNORE_FILE_NAMES = ['.gitignore', '.codescoopignore'];
+
+/**
+ * Parse the contents of one ignore file
+ * @param {string} content - File contents
+ * @param {string} source - Ignore file path relative to the project, using forward slashes
+ * @returns {Array<Object>} Rules in file order: { source, negate, dirOnly, matcher }
+ */
+function parseIgnoreFile(content, source) {
+    const base = path.posix.dirname(source) === '.' ? '' : `${path.posix.dirname(source)}/`;
+    const rules = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        let line = rawLine.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) continue;
+
+        const negate = line.startsWith('!');
+        if (negate) line = line.slice(1);
+        line = line.replace(/^\\([#!])/, '$1');
+
+        const dirOnly = line.endsWith('/');
+        if (dirOnly) line = line.replace(/\/+$/, '');
+        if (!line) continue;
+
+        // A slash anywhere but the end anchors the pattern to the ignore file's directory
+        const anchored = line.includes('/');
+        const pattern = `${base}${anchored ? line.replace(/^\//, '') : `**/${line}`}`;
+
+        rules.push({ source, negate, dirOnly, matcher: new Minimatch(pattern, { dot: true }) });
+    }
+
+    return rules;
+}
+
+/**
+ * Load every .gitignore and .codescoopignore in a project, parents before children
+ * @param {string} projectDir - Project directory
+ * @param {string[]} skipDirs - Glob patterns of directories not to look into
+ * @returns {Promise<Array<Object>>} Rules from parseIgnoreFile(), in precedence order
+ */
+async function loadIgnoreFiles(projectDir, skipDirs = []) {
+    const found = await glob(IGNORE_FILE_NAMES.map(name => `**/${name}`), {
+        cwd: projectDir,
+        dot: true,
+        nodir: true,
+        ignore: skipDirs,
+        posix: true
+    });
+
+    // Deeper files override shallower ones; .codescoopignore overrides .gitignore
+    const depth = (file) => file.split('/').length;
+    found.sort((a, b) => depth(a) - depth(b)
+        || IGNORE_FILE_NAMES.indexOf(path.posix.basename(a)) - IGNORE_FILE_NAMES.indexOf(path.posix.basename(b))
+        || a.localeCompare(b));
+
+    return found.flatMap(file => parseIgnoreFile(fs.readFileSync(path.join(projectDir, file), 'utf-8'), file));
+}
+
+/**
+ * Create a matcher for a set of ignore rules
+ * @param {Array<Object>} rules - Rules from loadIgnoreFiles()/parseIgnoreFile()
+ * @returns {Function} (relativePath, isDirectory) => ignore file that excludes the path, or null
+ */
+function createIgnoreMatcher(rules) {
+    // The last matching rule wins; a negated match means "not ignored"
+    const matchOwn = (relativePath, isDirectory) => {
+        for (let i = rules.length - 1; i >= 0; i--) {
+            const rule = rules[i];
+            if (rule.dirOnly && !isDirectory) continue;
+            if (rule.matcher.match(relativePath)) {
+                return rule.negate ? null : rule.source;
+            }
+        }
+        return null;
+    };
+
+    return (relativePath, isDirectory = false) => {
+        if (rules.length === 0) return null;
+
+        // As in git, nothing inside an ignored directory can be re-included
+        const parts = relativePath.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            const source = matchOwn(parts.slice(0, i).join('/'), true);
+            if (source) return source;
+        }
+        return matchOwn(relativePath, isDirectory);
+    };
+}
+
+module.exports = {
+    IGNORE_FILE_NAMES,
+    parseIgnoreFile,
+    loadIgnoreFiles,
+    createIgnoreMatcher
+};
@@ -180,19 +180,53 @@ const KNOWN_LIBRARIES = {
     }
 };
 
+/**
+ * Merge project-defined libraries (e.g. from .codescooprc) with the built-in list
+ * Custom definitions use strings for patterns and take precedence over built-ins.
+ * @param {Object} customLibraries - { name: { type, patterns, cdnPatterns, classPatterns, codePatterns, website } }
+ * @returns {Object} Library definitions with RegExp patterns
+ */
+function buildLibraryDefinitions(customLibraries = {}) {
+    const toRegExps = (patterns, flags) => (patterns || []).map(p =>
+        p instanceof RegExp ? p : new RegExp(p, flags)
+    );
+
+    const definitions = {};
+
+    for (const [name, lib] of Object.entries(customLibraries)) {
+        definitions[name] = {
+            type: lib.type || 'js-library',
+            patterns: toRegExps(lib.patterns, 'i'),
+            cdnPatterns: toRegExps(lib.cdnPatterns, 'i'),
+            classPatterns: toRegExps(lib.classPatterns, ''),
+            codePatterns: toRegExps(lib.codePatterns, 'i'),
+            website: lib.website || ''
+        };
+    }
+
+    for (const [name, lib] of Object.entries(KNOWN_LIBRARIES)) {
+        if (!definitions[name]) {
+            definitions[name] = lib;
+        }
+    }
+
+    return definitions;
+}
+
 /**
  * Detect libraries from file paths
  * @param {string[]} filePaths - Array of file paths
+ * @param {Object} libraries - Library definitions (default: built-in list)
  * @returns {Object} Detected libraries with their import status
  */
-function detectLibrariesFromPaths(filePaths) {
+function detectLibrariesFromPaths(filePaths, libraries = KNOWN_LIBRARIES) {
     const detected = {};
 
     for (const filePath of filePaths) {
         const fileName = path.basename(filePath).toLowerCase();
         const fullPath = filePath.toLowerCase();
 
-        for (const [libName, libInfo] of Object.entries(KNOWN_LIBRARIES)) {
+        for (const [libName, libInfo] of Object.entries(libraries)) {
             // Check file path patterns
             const matchesPattern = libInfo.patterns?.some(pattern =>
                 pattern.test(fileName) || pattern.test(fullPath)
@@ -219,15 +253,16 @@ function detectLibrariesFromPaths(filePaths) {
 /**
  * Detect libraries from HTML content (CDN links)
  * @param {CheerioAPI} $ - Cheerio instance
+ * @param {Object} libraries - Library definitions (default: built-in list)
  * @returns {Object} Libraries loaded via CDN
  */
-function detectLibrariesFromHTML($) {
+function detectLibrariesFromHTML($, libraries = KNOWN_LIBRARIES) {
     const cdnLibraries = [];
 
     // Check link tags
     $('link[href]').each((_, el) => {
         const href = $(el).attr('href') || '';
-        for (const [libName, libInfo] of Object.entries(KNOWN_LIBRARIES)) {
+        for (const [libName, libInfo] of Object.entries(libraries)) {
             const matchesCDN = libInfo.cdnPatterns?.some(pattern => pattern.test(href));
             const matchesPattern = libInfo.patterns?.some(pattern => pattern.test(href));
 
@@ -246,7 +281,7 @@ function detectLibrariesFromHTML($) {
     // Check script tags
     $('script[src]').each((_, el) => {
         const src = $(el).attr('src') || '';
-        for (const [libName, libInfo] of Object.entries(KNOWN_LIBRARIES)) {
+        for (const [libName, libInfo] of Object.entries(libraries)) {
             const matchesCDN = libInfo.cdnPatterns?.some(pattern => pattern.test(src));
             const matchesPattern = libInfo.patterns?.some(pattern => pattern.test(src));
 
@@ -268,13 +303,14 @@ function detectLibrariesFromHTML($) {
 /**
  * Detect libraries from class names in HTML
  * @param {string[]} classes - Array of class names
+ * @param {Object} libraries - Library definitions (default: built-in list)
  * @returns {string[]} Library names detected from classes
  */
-function detectLibrariesFromClasses(classes) {
+function detectLibrariesFromClasses(classes, libraries = KNOWN_LIBRARIES) {
     const detected = new Set();
 
     for (const className of classes) {
-        for (const [libName, libInfo] of Object.entries(KNOWN_LIBRARIES)) {
+        for (const [libName, libInfo] of Object.entries(libraries)) {
             if (libInfo.classPatterns) {
                 const matches = libInfo.classPatterns.some(pattern => pattern.test(className));
                 if (matches) {
@@ -290,13 +326,14 @@ function detectLibrariesFromClasses(classes) {
 /**
  * Check if a file is a library file
  * @param {string} filePath - Path to the file
+ * @param {Object} libraries - Library definitions (default: built-in list)
  * @returns {Object|null} Library info if it's a library file
  */
-function isLibraryFile(filePath) {
+function isLibraryFile(filePath, libraries = KNOWN_LIBRARIES) {
     const fileName = path.basename(filePath).toLowerCase();
     const fullPath = filePath.toLowerCase();
 
-    for (const [libName, libInfo] of Object.entries(KNOWN_LIBRARIES)) {
+    for (const [libName, libInfo] of Object.entries(libraries)) {
         const matchesPattern = libInfo.patterns?.some(pattern =>
             pattern.test(fileName) || pattern.test(fullPath)
         );
@@ -327,6 +364,7 @@ function getKnownLibraryNames() {
 
 module.exports = {
     KNOWN_LIBRARIES,
+    buildLibraryDefinitions,
     detectLibrariesFromPaths,
     detectLibrariesFromHTML,
     detectLibrariesFromClasses,
@@ -0,0 +1,100 @@
+/**
+ * Persistent Parse Cache
+ * Stores target-independent parse results (CSS rules, JS reference candidates)
+ * on disk, keyed by a hash of the file content, so later runs only need the
+ * cheap matching step
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { version } = require('../../package.json');
+
+const CACHE_DIR_NAME = '.codescoop-cache';
+
+// Bump when the shape of parseCSSContent()/parseJSContent() results changes
+const CACHE_FORMAT = 2;
+
+/**
+ * Create a parse cache rooted at a directory
+ * Unreadable or corrupt entries are treated as misses; write failures are ignored,
+ * so the cache can never make an analysis fail.
+ * @param {string} cacheDir - Cache directory (e.g. <project>/.codescoop-cache)
+ * @returns {Object} Cache with get(), set() and stats()
+ */
+function createParseCache(cacheDir) {
+    const stats = { hits: 0, misses: 0, writes: 0 };
+
+    const entryPath = (kind, filePath, content) => {
+        const hash = crypto.createHash('sha1')
+            .update(`${version}:${CACHE_FORMAT}:${kind}:${path.extname(filePath).toLowerCase()}\0`)
+            .update(content)
+            .digest('hex');
+        return path.join(cacheDir, kind, hash.slice(0, 2), `${hash}.json`);
+    };
+
+    return {
+        cacheDir,
+
+        /**
+         * Look up a parse result
+         * @param {string} kind - 'css' or 'js'
+         * @param {string} filePath - File the content belongs to (the result is re-pointed at it)
+         * @param {string} content - File content
+         * @returns {Object|null} Cached parse result, or null on a miss
+         */
+        get(kind, filePath, content) {
+            try {
+                const parsed = JSON.parse(fs.readFileSync(entryPath(kind, filePath, content), 'utf-8'));
+                stats.hits++;
+                return { ...parsed, filePath };
+            } catch (error) {
+                stats.misses++;
+                return null;
+            }
+        },
+
+        /**
+         * Store a parse result
+         * @param {string} kind - 'css' or 'js'
+         * @param {string} filePath - File the content belongs to
+         * @param {string} content - File content
+         * @param {Object} parsed - Parse result
+         */
+        set(kind, filePath, content, parsed) {
+            const target = entryPath(kind, filePath, content);
+            // Write to a temp file and rename so concurrent runs never read half an entry
+            const temp = `${target}.${process.pid}.tmp`;
+            try {
+                fs.mkdirSync(path.dirname(target), { recursive: true });
+                fs.writeFileSync(temp, JSON.stringify(parsed), 'utf-8');
+                fs.renameSync(temp, target);
+                stats.writes++;
+            } catch (error) {
+                fs.rmSync(temp, { force: true });
+            }
+        },
+
+        /**
+         * Hit/miss counters for this process
+         * @returns {Object} { hits, misses, writes }
+         */
+        stats() {
+            return { ...stats };
+        }
+    };
+}
+
+/**
+ * Delete a cache directory
+ * @param {string} cacheDir - Cache directory
+ */
+function clearParseCache(cacheDir) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    CACHE_DIR_NAME,
+    createParseCache,
+    clearParseCache
+};
@@ -0,0 +1,22 @@
+/**
+ * Parse Worker
+ * worker_threads entry point that parses one CSS/JS file per task.
+ * Parser log messages are collected and returned with the result.
+ */
+
+const { parentPort } = require('worker_threads');
+const { parseCSSContent } = require('../parsers/css-analyzer');
+const { parseJSContent } = require('../parsers/js-analyzer');
+
+parentPort.on('message', ({ id, task }) => {
+    const logs = [];
+    const { kind, filePath, content } = task;
+
+    try {
+        const parse = kind === 'css' ? parseCSSContent : parseJSContent;
+        const parsed = parse(content, filePath, { log: message => logs.push(message) });
+        parentPort.postMessage({ id, result: { parsed, logs } });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,245 @@
+/**
+ * Project Scanner
+ * Scans a project directory once and shares the file list, library detection
+ * and parsed CSS/JS files across any number of component analyses
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findProjectFiles, CSS_EXTENSIONS, JS_EXTENSIONS } = require('./file-scanner');
+const { buildLibraryDefinitions, detectLibrariesFromPaths } = require('./library-detector');
+const { parseCSSFile, parseCSSContent, invalidateCache } = require('../parsers/css-analyzer');
+const { parseJSFile, parseJSContent } = require('../parsers/js-analyzer');
+const { createParseCache } = require('./parse-cache');
+const { createWorkerPool } = require('./worker-pool');
+
+const PARSE_WORKER = path.join(__dirname, 'parse-worker.js');
+
+/**
+ * Scan a project for CSS/JS files
+ * Files are parsed lazily on first use and memoized for the lifetime of the scan
+ * @param {string|null} projectDir - Project directory (null for URL mode without --dir)
+ * @param {Object} options
+ * @param {boolean} options.verbose - Verbose logging
+ * @param {Function} options.log - Custom logger for parser messages (replaces console output)
+ * @param {string[]} options.ignore - Extra glob patterns to ignore
+ * @param {string[]} options.include - Only scan files matching these globs (see findProjectFiles())
+ * @param {boolean} options.ignoreFiles - Respect .gitignore and .codescoopignore (default: true)
+ * @param {number} options.maxFileSize - Skip larger files, in bytes (default: 0, no limit)
+ * @param {Object} options.libraries - Project-defined libraries, merged with the built-in list
+ * @param {Object} options.files - In-memory files { path: content }, relative to projectDir.
+ *   They are added to (and take precedence over) files found on disk.
+ * @param {boolean} options.scanDisk - Also look for files on disk (default: true)
+ * @param {string|null} options.cacheDir - Persistent parse cache directory (null disables it)
+ * @param {number} options.concurrency - Parse files on this many worker threads (default: 1, in-process)
+ * @returns {Promise<Object>} Project scan
+ */
+async function scanProject(projectDir, options = {}) {
+    const {
+        verbose = false,
+        log,
+        ignore = [],
+        include = [],
+        ignoreFiles = true,
+        maxFileSize,
+        libraries = {},
+        files: inMemoryFiles = {},
+        scanDisk = true,
+        cacheDir = null,
+        concurrency = 1
+    } = options;
+
+    const virtualFiles = new Map(Object.entries(inMemoryFiles).map(([filePath, content]) => [
+        path.resolve(projectDir || process.cwd(), filePath),
+        content
+    ]));
+
+    const { skipped, ...files } = projectDir && scanDisk
+        ? await findProjectFiles(projectDir, { ignore, include, ignoreFiles, maxFileSize })
+        : { css: [], js: [], skipped: [] };
+
+    for (const filePath of virtualFiles.keys()) {
+        const ext = path.extname(filePath).toLowerCase();
+        if (CSS_EXTENSIONS.includes(ext) && !files.css.includes(filePath)) {
+            files.css.push(filePath);
+        } else if (JS_EXTENSIONS.includes(ext) && !files.js.includes(filePath)) {
+            files.js.push(filePath);
+        }
+    }
+
+    const libraryDefinitions = buildLibraryDefinitions(libraries);
+    const parseOptions = { verbose, log };
+    const parseCache = cacheDir ? createParseCache(cacheDir) : null;
+    let pool = null;
+
+    const parsedCSS = new Map();
+    const parsedJS = new Map();
+    const contents = new Map();
+
+    // Size and mtime of each disk file when it was read, for refresh()
+    const stamps = new Map();
+    const statStamp = (filePath) => {
+        try {
+            const stats = fs.statSync(filePath);
+            return `${stats.size}:${stats.mtimeMs}`;
+        } catch (error) {
+            return null;
+        }
+    };
+    const readFromDisk = (filePath) => {
+        stamps.set(filePath, statStamp(filePath));
+        const content = fs.readFileSync(filePath, 'utf-8');
+        contents.set(filePath, content);
+        return content;
+    };
+
+    const invalidate = (filePath) => {
+        parsedCSS.delete(filePath);
+        parsedJS.delete(filePath);
+        contents.delete(filePath);
+        stamps.delete(filePath);
+        invalidateCache(filePath);
+    };
+
+    // Parse on a worker thread; parser messages are replayed here
+    const parseInWorker = async (kind, filePath, content) => {
+        if (!pool) {
+            pool = createWorkerPool(PARSE_WORKER, concurrency);
+        }
+        const { parsed, logs } = await pool.run({ kind, filePath, content });
+        const parserLog = log || (verbose ? console.log : () => { });
+        logs.forEach(message => parserLog(message));
+        return parsed;
+    };
+
+    // Parse a file from memory, the disk cache or from scratch
+    const parseFile = async (kind, filePath) => {
+        const parseContent = kind === 'css' ? parseCSSContent : parseJSContent;
+        const parseFromDisk = kind === 'css' ? parseCSSFile : parseJSFile;
+
+        let content = virtualFiles.get(filePath);
+        if (content === undefined) {
+            try {
+                content = readFromDisk(filePath);
+            } catch (error) {
+                // Let the parser report the read error
+                return parseFromDisk(filePath, parseOptions);
+            }
+        }
+
+        const cached = parseCache && parseCache.get(kind, filePath, content);
+        if (cached) {
+            return cached;
+        }
+
+        const parsed = concurrency > 1
+            ? await parseInWorker(kind, filePath, content)
+            : parseContent(content, filePath, parseOptions);
+        if (parseCache && !parsed.error) {
+            parseCache.set(kind, filePath, content, parsed);
+        }
+        return parsed;
+    };
+
+    return {
+        projectDir,
+        files,
+        // Files and directories left out of the scan: [{ path, reason }]
+        skipped,
+        libraries: libraryDefinitions,
+        librariesFromFiles: detectLibrariesFromPaths([...files.css, ...files.js], libraryDefinitions),
+        parseCache,
+
+        /**
+         * Get the target-independent parse of a CSS file
+         * @param {string} filePath
+         * @returns {Promise<Object>} Result of parseCSSContent()
+         */
+        async getParsedCSS(filePath) {
+            if (!parsedCSS.has(filePath)) {
+                parsedCSS.set(filePath, parseFile('css', filePath));
+            }
+            return parsedCSS.get(filePath);
+        },
+
+        /**
+         * Get the target-independent parse of a JS file
+         * @param {string} filePath
+         * @returns {Promise<Object>} Result of parseJSContent()
+         */
+        async getParsedJS(filePath) {
+            if (!parsedJS.has(filePath)) {
+                parsedJS.set(filePath, parseFile('js', filePath));
+            }
+            return parsedJS.get(filePath);
+        },
+
+        /**
+         * Read a project file, caching its content
+         * @param {string} filePath
+         * @returns {string} File content
+         */
+        readFile(filePath) {
+            if (virtualFiles.has(filePath)) {
+                return virtualFiles.get(filePath);
+            }
+            if (!contents.has(filePath)) {
+                return readFromDisk(filePath);
+            }
+            return contents.get(filePath);
+        },
+
+        /**
+         * Check whether a file exists, in memory or on disk
+         * @param {string} filePath
+         * @returns {boolean}
+         */
+        exists(filePath) {
+            return virtualFiles.has(filePath) || fs.existsSync(filePath);
+        },
+
+        /**
+         * Check whether a file was passed in memory rather than found on disk
+         * @param {string} filePath
+         * @returns {boolean}
+         */
+        isInMemory(filePath) {
+            return virtualFiles.has(filePath);
+        },
+
+        /**
+         * Forget everything cached for a file so the next analysis re-reads it
+         * @param {string} filePath
+         */
+        invalidate,
+
+        /**
+         * Invalidate every disk file that changed since it was read
+         * (for long-running processes that do not watch files)
+         * @returns {string[]} Invalidated files
+         */
+        refresh() {
+            const changed = [...stamps]
+                .filter(([filePath, stamp]) => statStamp(filePath) !== stamp)
+                .map(([filePath]) => filePath);
+            changed.forEach(invalidate);
+            return changed;
+        },
+
+        /**
+         * Stop the parse workers (idle workers never keep the process alive,
+         * so this is only needed to free them early)
+         * @returns {Promise<void>}
+         */
+        async close() {
+            if (pool) {
+                await pool.close();
+                pool = null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    scanProject
+};
@@ -0,0 +1,267 @@
+/**
+ * Selector Evaluator
+ * Checks CSS selectors against the parsed page instead of comparing tokens,
+ * so combinators and ancestors count: `.sidebar .btn` only applies to a
+ * component whose `.btn` really sits inside a `.sidebar`.
+ *
+ * Conditions the static page cannot show are stripped before evaluating and
+ * reported with the match: interaction states (:hover, :focus...),
+ * pseudo-elements and classes that appear nowhere in the page (state classes
+ * added by JavaScript, like .is-open).
+ */
+
+const { parse, stringify } = require('css-what');
+
+// Pseudo-classes that depend on user interaction or runtime state
+const STATE_PSEUDOS = new Set([
+    'hover', 'focus', 'focus-within', 'focus-visible', 'active', 'visited', 'link',
+    'any-link', 'target', 'target-within', 'checked', 'indeterminate', 'disabled',
+    'enabled', 'valid', 'invalid', 'in-range', 'out-of-range', 'required', 'optional',
+    'read-only', 'read-write', 'placeholder-shown', 'autofill', 'default', 'open',
+    'closed', 'popover-open', 'modal', 'fullscreen', 'user-valid', 'user-invalid',
+    'playing', 'paused', 'defined'
+]);
+
+// Pseudo-elements that may still be written with a single colon
+const LEGACY_PSEUDO_ELEMENTS = new Set(['before', 'after', 'first-line', 'first-letter']);
+
+const COMBINATORS = new Set(['descendant', 'child', 'parent', 'sibling', 'adjacent', 'column-combinator']);
+
+// Elements listed per rule in reports
+const MAX_LABEL_CLASSES = 2;
+
+/**
+ * Create an evaluator for one component
+ * @param {CheerioAPI} $ - Parsed page (parseHTML()), used so ancestor combinators can match
+ * @param {Element} root - The component's root element
+ * @returns {Object} { elements, evaluate(selector), nodesFor(selector) } - elements: the root and its
+ *   descendants in document order
+ */
+function createSelectorEvaluator($, root) {
+    const elements = $(root).find('*').addBack().toArray();
+    let pageClasses = null;
+
+    const isOnPage = (cls) => {
+        if (!pageClasses) {
+            pageClasses = new Set();
+            $('[class]').each((_, el) => {
+                ($(el).attr('class') || '').split(/\s+/).filter(Boolean).forEach(name => pageClasses.add(name));
+            });
+        }
+        return pageClasses.has(cls);
+    };
+
+    const select = (tokens) => $(elements).filter(stringify([tokens])).toArray();
+    const results = new Map();
+
+    const lookup = (selector) => {
+        if (!results.has(selector)) {
+            results.set(selector, evaluateUncached(selector));
+        }
+        return results.get(selector);
+    };
+
+    /**
+     * Evaluate a selector list against the component (results are cached per selector)
+     * @param {string} selector - Selector list from a CSS rule
+     * @returns {Object} { evaluated, applies, elements, conditions }
+     *   elements are report labels of the matched nodes;
+     *   evaluated is false when the selector cannot be parsed or matched here;
+     *   applies is then true so the token match is kept.
+     */
+    function evaluate(selector) {
+        return lookup(selector).result;
+    }
+
+    /**
+     * Elements of the component a selector list matches, in document order
+     * Kept apart from evaluate() so its result stays serializable.
+     * @param {string} selector - Selector list
+     * @returns {Array<Element>}
+     */
+    function nodesFor(selector) {
+        return lookup(selector).nodes;
+    }
+
+    function evaluateUncached(selector) {
+        let selectors;
+        try {
+            selectors = parse(selector);
+        } catch (error) {
+            return { result: { evaluated: false, applies: true, elements: [], conditions: [] }, nodes: [] };
+        }
+
+        const matched = new Set();
+        const conditions = new Set();
+
+        try {
+            for (const tokens of selectors) {
+                const stateConditions = new Set();
+                const stripped = stripConditions(tokens, stateConditions);
+                let found = select(stripped);
+
+                if (found.length === 0) {
+                    const classConditions = new Set();
+                    const relaxed = relaxUnknownClasses(stripped, isOnPage, classConditions);
+                    if (classConditions.size > 0) {
+                        found = select(relaxed);
+                        if (found.length > 0) classConditions.forEach(c => stateConditions.add(c));
+                    }
+                }
+
+                if (found.length > 0) {
+                    found.forEach(el => matched.add(el));
+                    stateConditions.forEach(c => conditions.add(c));
+                }
+            }
+        } catch (error) {
+            // Pseudo-classes the matcher does not support (:host, :state()...)
+            return { result: { evaluated: false, applies: true, elements: [], conditions: [] }, nodes: [] };
+        }
+
+        const nodes = elements.filter(el => matched.has(el));
+        return {
+            result: {
+                evaluated: true,
+                applies: nodes.length > 0,
+                elements: nodes.map(describeElement),
+                conditions: [...conditions]
+            },
+            nodes
+        };
+    }
+
+    return { elements, evaluate, nodesFor };
+}
+
+/**
+ * Split token matches into rules that apply to the component and rules that
+ * only mention one of its classes, ids or tags
+ * Applying matches gain `appliesTo` ([{ element, line }]) and `conditions`;
+ * keyframes and selectors that cannot be evaluated are kept as they are.
+ * @param {Array} matches - matchCSSRules() matches
+ * @param {Object} evaluator - createSelectorEvaluator() result
+ * @returns {Object} { matches, mentions }
+ */
+function evaluateMatches(matches, evaluator) {
+    const applying = [];
+    const mentions = [];
+
+    for (const match of matches) {
+        if (match.isKeyframes || match.selector.startsWith('@')) {
+            applying.push(match);
+            continue;
+        }
+
+        const result = evaluator.evaluate(match.selector);
+        if (!result.evaluated) {
+            applying.push({ ...match, evaluated: false });
+        } else if (result.applies) {
+            applying.push({ ...match, appliesTo: result.elements, conditions: result.conditions });
+        } else {
+            mentions.push(match);
+        }
+    }
+
+    return { matches: applying, mentions };
+}
+
+/**
+ * Remove pseudo-elements and state pseudo-classes, recording the states
+ * @returns {Array} Tokens of a selector css-select can match statically
+ */
+function stripConditions(tokens, conditions) {
+    const kept = [];
+
+    for (const token of tokens) {
+        if (token.type === 'pseudo-element' || (token.type === 'pseudo' && LEGACY_PSEUDO_ELEMENTS.has(token.name))) {
+            continue;
+        }
+        if (token.type === 'pseudo' && STATE_PSEUDOS.has(token.name)) {
+            conditions.add(`:${token.name}`);
+            continue;
+        }
+        if (token.type === 'pseudo' && Array.isArray(token.data)) {
+            // States inside :not() are not conditions for the rule to apply
+            const innerConditions = token.name === 'not' ? new Set() : conditions;
+            const inner = token.data
+                .map(selector => stripConditions(selector, innerConditions))
+                .filter(selector => selector.length > 0);
+            if (inner.length > 0) kept.push({ ...token, data: inner });
+            continue;
+        }
+        kept.push(token);
+    }
+
+    return fillEmptyCompounds(kept, tokens.length > 0 && COMBINATORS.has(tokens[0].type));
+}
+
+/**
+ * Drop classes absent from the page, but only from compounds that still
+ * select something without them (`.menu.is-open` becomes `.menu`)
+ */
+function relaxUnknownClasses(tokens, isOnPage, conditions) {
+    return splitCompounds(tokens).flatMap(({ combinator, compound }) => {
+        const isUnknown = (token) => token.type === 'attribute' && token.name === 'class'
+            && token.action === 'element' && !isOnPage(token.value);
+        const known = compound.filter(token => !isUnknown(token) && token.type !== 'universal');
+
+        let kept = compound;
+        if (known.length > 0 && known.length < compound.length) {
+            kept = compound.filter(token => !isUnknown(token));
+            compound.filter(isUnknown).forEach(token => conditions.add(`.${token.value}`));
+        }
+        return combinator ? [combinator, ...kept] : kept;
+    });
+}
+
+/**
+ * Compounds left empty by stripping (`.nav :hover`) become `*`
+ */
+function fillEmptyCompounds(tokens, isRelative) {
+    return splitCompounds(tokens).flatMap(({ combinator, compound }, index) => {
+        // A relative selector (:has(> .child)) starts with a combinator, not an empty compound
+        const filled = compound.length > 0 || (index === 0 && isRelative) || tokens.length === 0
+            ? compound
+            : [{ type: 'universal', namespace: null }];
+        return combinator ? [combinator, ...filled] : filled;
+    });
+}
+
+/**
+ * @returns {Array} [{ combinator, compound }]; combinator is the token before the compound (null for the first)
+ */
+function splitCompounds(tokens) {
+    const compounds = [{ combinator: null, compound: [] }];
+    for (const token of tokens) {
+        if (COMBINATORS.has(token.type)) {
+            compounds.push({ combinator: token, compound: [] });
+        } else {
+            compounds[compounds.length - 1].compound.push(token);
+        }
+    }
+    return compounds;
+}
+
+/**
+ * Short element label for reports: tag#id.class (line)
+ */
+function describeElement(element) {
+    const attribs = element.attribs || {};
+    const classes = (attribs.class || '').split(/\s+/).filter(Boolean);
+    let label = element.tagName.toLowerCase();
+    if (attribs.id) label += `#${attribs.id}`;
+    label += classes.slice(0, MAX_LABEL_CLASSES).map(cls => `.${cls}`).join('');
+
+    return {
+        element: label,
+        line: element.sourceCodeLocation ? element.sourceCodeLocation.startLine : null
+    };
+}
+
+module.exports = {
+    STATE_PSEUDOS,
+    createSelectorEvaluator,
+    describeElement,
+    evaluateMatches
+};
@@ -0,0 +1,317 @@
+/**
+ * Selector Index
+ * Persistent inverted index of the identifiers (classes, ids, tags, data
+ * attributes) mentioned by every CSS rule and JS reference in a project.
+ *
+ * The index narrows an analysis down to the files that can possibly match a
+ * component. It is deliberately a superset: the real matchers still run on
+ * every candidate file, so reports are identical with or without the index.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../../package.json');
+const { scanProject } = require('./project-scanner');
+const { matchCSSRules } = require('../parsers/css-analyzer');
+const { matchJSReferences } = require('../parsers/js-analyzer');
+
+const INDEX_FILE_NAME = 'selector-index.json';
+
+// Bump when the index layout or tokenization changes
+const INDEX_FORMAT = 1;
+
+// Characters that can appear inside a class/id/tag/attribute name in practice
+const TOKEN_PATTERN = /[\w\u0080-\uFFFF-]+/g;
+
+/**
+ * Split text into identifier tokens
+ * @param {string} text
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+    return text.match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Collect the tokens a parsed file can be matched on
+ * @param {string} kind - 'css' or 'js'
+ * @param {Object} parsed - Result of parseCSSContent()/parseJSContent()
+ * @returns {Set<string>} Tokens
+ */
+function collectFileTokens(kind, parsed) {
+    const tokens = new Set();
+    const add = (text) => tokenize(text).forEach(token => tokens.add(token));
+
+    if (parsed.error) {
+        return tokens;
+    }
+
+    if (kind === 'css') {
+        parsed.rules.forEach(rule => add(rule.selector));
+    } else if (parsed.candidates) {
+        parsed.candidates.forEach(candidate => add(candidate.value));
+    } else {
+        // Regex fallback searches the whole file, so index all of it
+        add(parsed.content);
+    }
+
+    return tokens;
+}
+
+/**
+ * Build the selector index for a project and write it to disk
+ * @param {string} projectDir - Project directory
+ * @param {Object} options
+ * @param {string} options.indexPath - Where to write the index
+ * @param {string[]} options.ignore - Extra glob patterns to ignore
+ * @param {string[]} options.include - Only index files matching these globs
+ * @param {boolean} options.ignoreFiles - Respect .gitignore and .codescoopignore (default: true)
+ * @param {number} options.maxFileSize - Skip larger files, in bytes
+ * @param {string|null} options.cacheDir - Parse cache directory
+ * @param {number} options.concurrency - Worker threads used to parse files
+ * @param {Function} options.log - Custom logger for parser messages
+ * @returns {Promise<Object>} { indexPath, fileCount, tokenCount, skipped }
+ */
+async function buildSelectorIndex(projectDir, options = {}) {
+    const { indexPath, ignore = [], include = [], ignoreFiles = true, maxFileSize, cacheDir = null, concurrency = 1, log } = options;
+
+    const scan = await scanProject(projectDir, { ignore, include, ignoreFiles, maxFileSize, cacheDir, concurrency, log });
+    const entries = [
+        ...scan.files.css.map(filePath => ({ kind: 'css', filePath })),
+        ...scan.files.js.map(filePath => ({ kind: 'js', filePath }))
+    ];
+
+    const parsedFiles = await Promise.all(entries.map(({ kind, filePath }) =>
+        kind === 'css' ? scan.getParsedCSS(filePath) : scan.getParsedJS(filePath)
+    ));
+    await scan.close();
+
+    const files = [];
+    const tokens = {};
+
+    entries.forEach(({ kind, filePath }, fileIndex) => {
+        const stats = fs.statSync(filePath);
+        files.push({
+            path: path.relative(projectDir, filePath),
+            kind,
+            size: stats.size,
+            mtimeMs: stats.mtimeMs
+        });
+
+        for (const token of collectFileTokens(kind, parsedFiles[fileIndex])) {
+            (tokens[token] = tokens[token] || []).push(fileIndex);
+        }
+    });
+
+    const index = {
+        format: INDEX_FORMAT,
+        generatorVersion: version,
+        createdAt: new Date().toISOString(),
+        projectDir,
+        files,
+        tokens
+    };
+
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    fs.writeFileSync(indexPath, JSON.stringify(index), 'utf-8');
+
+    return {
+        indexPath,
+        fileCount: files.length,
+        tokenCount: Object.keys(tokens).length,
+        skipped: scan.skipped
+    };
+}
+
+/**
+ * Load a selector index
+ * @param {string} indexPath - Index file path
+ * @returns {Object|null} Index, or null if missing, unreadable or built by another version
+ */
+function loadSelectorIndex(indexPath) {
+    try {
+        const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+        if (index.format !== INDEX_FORMAT || index.generatorVersion !== version) {
+            return null;
+        }
+        return index;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Narrow project files down to the ones that can match a target
+ * Files that changed, appeared or are held in memory since the index was built
+ * are always kept. Order of the input lists is preserved.
+ * @param {Object} index - Result of loadSelectorIndex()
+ * @param {Object} projectFiles - { css: [], js: [] } absolute paths
+ * @param {Object} targetInfo - Target element information
+ * @param {Function} isInMemory - Returns true for files that do not live on disk
+ * @returns {Object} { css: [], js: [] } candidate files
+ */
+function selectCandidateFiles(index, projectFiles, targetInfo, isInMemory = () => false) {
+    const indexedFiles = new Map(index.files.map((file, fileIndex) => [
+        path.resolve(index.projectDir, file.path),
+        { ...file, fileIndex }
+    ]));
+
+    const vocabulary = Object.keys(index.tokens);
+
+    const filesWithToken = (token) => new Set(index.tokens[token] || []);
+
+    // Files where every identifier-like part of the value is a substring of some token
+    const filesContaining = (value) => {
+        let result = null;
+        for (const part of tokenize(value)) {
+            const filesForPart = new Set();
+            vocabulary
+                .filter(token => token.includes(part))
+                .forEach(token => index.tokens[token].forEach(fileIndex => filesForPart.add(fileIndex)));
+
+            result = result
+                ? new Set([...result].filter(fileIndex => filesForPart.has(fileIndex)))
+                : filesForPart;
+        }
+        return result || new Set();
+    };
+
+    // Class, id and attribute matchers (CSS and JS) look for the name as a substring
+    const matchingFiles = new Set();
+    const substringValues = [
+        ...targetInfo.classes,
+        ...targetInfo.ids,
+        ...(targetInfo.dataAttributes || []),
+        ...(targetInfo.shadowParts || [])
+    ];
+    substringValues.forEach(value => filesContaining(value).forEach(fileIndex => matchingFiles.add(fileIndex)));
+
+    // Tag selectors only match whole tokens in CSS, except inside ::part() rules
+    if (targetInfo.tagName) {
+        filesWithToken(targetInfo.tagName).forEach(fileIndex => {
+            if (index.files[fileIndex].kind === 'css') matchingFiles.add(fileIndex);
+        });
+
+        const partFiles = filesWithToken('part');
+        filesContaining(targetInfo.tagName).forEach(fileIndex => {
+            if (partFiles.has(fileIndex)) matchingFiles.add(fileIndex);
+        });
+    }
+
+    // Scripts naming a custom element of the component may define it
+    (targetInfo.webComponents || []).filter(component => component.isCustomElement).forEach(component => {
+        filesWithToken(component.tagName).forEach(fileIndex => {
+            if (index.files[fileIndex].kind === 'js') matchingFiles.add(fileIndex);
+        });
+    });
+
+    const isCandidate = (filePath) => {
+        const indexed = indexedFiles.get(filePath);
+        if (!indexed || isInMemory(filePath)) {
+            return true;
+        }
+
+        try {
+            const stats = fs.statSync(filePath);
+            if (stats.size !== indexed.size || stats.mtimeMs !== indexed.mtimeMs) {
+                return true;
+            }
+        } catch (error) {
+            return true;
+        }
+
+        return matchingFiles.has(indexed.fileIndex);
+    };
+
+    return {
+        css: projectFiles.css.filter(isCandidate),
+        js: projectFiles.js.filter(isCandidate)
+    };
+}
+
+/**
+ * Turn a lookup query such as ".btn", "#header", "[data-toggle]" or "nav"
+ * into the target shape the CSS/JS matchers expect
+ * @param {string} query - Selector-like query
+ * @returns {Object} { targetInfo, hasTag }
+ */
+function parseLookupQuery(query) {
+    const classes = [...query.matchAll(/\.([\w-]+)/g)].map(m => m[1]);
+    const ids = [...query.matchAll(/#([\w-]+)/g)].map(m => m[1]);
+    const dataAttributes = [...query.matchAll(/\[([\w-]+)/g)].map(m => m[1]);
+    const tagMatch = query.match(/^[a-zA-Z][\w-]*/);
+
+    return {
+        hasTag: !!tagMatch,
+        targetInfo: {
+            classes,
+            ids,
+            dataAttributes,
+            shadowParts: [],
+            tagName: tagMatch ? tagMatch[0].toLowerCase() : 'div'
+        }
+    };
+}
+
+/**
+ * Find every CSS rule and JS reference in a project that mentions a selector
+ * The index (when given) narrows down the files; the real matchers confirm each hit.
+ * @param {Object} scan - Result of scanProject()
+ * @param {string} query - Class, id or attribute, optionally with a tag (".btn", "#nav", "a.link")
+ * @param {Object|null} index - Result of loadSelectorIndex(), or null to check every file
+ * @param {Object} options
+ * @param {boolean} options.includeJS - Also look for JS references (default: true)
+ * @returns {Promise<Array<Object>>} [{ kind, filePath, line, endLine, label, type, content }] in file order
+ */
+async function findSelectorReferences(scan, query, index = null, options = {}) {
+    const { includeJS = true } = options;
+    const { targetInfo, hasTag } = parseLookupQuery(query);
+    if (targetInfo.classes.length + targetInfo.ids.length + targetInfo.dataAttributes.length === 0) {
+        // The matchers only consider tag selectors alongside a class or id
+        throw new Error(`"${query}" needs a class, id or attribute (e.g. .btn, #header, [data-toggle], nav.menu)`);
+    }
+
+    const candidates = index ? selectCandidateFiles(index, scan.files, targetInfo, scan.isInMemory) : scan.files;
+    const keep = match => hasTag || match.matchedOn.some(on => !on.startsWith('tag: '));
+    const hits = [];
+
+    for (const cssFile of candidates.css) {
+        const result = matchCSSRules(await scan.getParsedCSS(cssFile), targetInfo);
+        result.matches.filter(keep).forEach(m => hits.push({
+            kind: 'css',
+            filePath: cssFile,
+            line: m.startLine,
+            endLine: m.endLine,
+            label: m.selector,
+            type: 'rule',
+            content: m.content
+        }));
+    }
+
+    for (const jsFile of includeJS ? candidates.js : []) {
+        const result = matchJSReferences(await scan.getParsedJS(jsFile), targetInfo);
+        result.matches
+            .sort((a, b) => a.startLine - b.startLine)
+            .forEach(m => hits.push({
+                kind: 'js',
+                filePath: jsFile,
+                line: m.startLine,
+                endLine: m.endLine,
+                label: m.selector || m.value || m.matchedOn.join(', '),
+                type: m.type,
+                content: m.content
+            }));
+    }
+
+    return hits;
+}
+
+module.exports = {
+    INDEX_FILE_NAME,
+    tokenize,
+    parseLookupQuery,
+    buildSelectorIndex,
+    loadSelectorIndex,
+    selectCandidateFiles,
+    findSelectorReferences
+};
@@ -92,7 +92,89 @@ function hasImportant(value) {
  * @returns {Object} Conflict analysis with winners/losers
  */
 function analyzeConflicts(cssResults, linkedFiles = { css: [] }) {
-    // Group rules by property
+    const propertyRules = collectDeclarations(cssResults, linkedFiles);
+
+    // Determine winner for each property
+    const conflicts = {};
+
+    for (const [prop, rules] of Object.entries(propertyRules)) {
+        if (rules.length <= 1) {
+            continue; // No conflict
+        }
+
+        const sorted = rankDeclarations(rules);
+        const winner = sorted[sorted.length - 1];
+        const losers = sorted.slice(0, -1);
+
+        conflicts[prop] = {
+            winner,
+            losers,
+            hasConflict: losers.length > 0
+        };
+    }
+
+    return conflicts;
+}
+
+/**
+ * Explain which declaration of one property renders, and why the others lose
+ * @param {Array} cssResults - CSS analysis results from the tool
+ * @param {Object} linkedFiles - Information about linked CSS files
+ * @param {string} property - CSS property name (e.g. "color")
+ * @returns {Object} { property, winner, declarations } - declarations from winner to weakest,
+ *   each losing one with a `reason`; winner is null if nothing sets the property
+ */
+function explainProperty(cssResults, linkedFiles, property) {
+    const name = property.trim().toLowerCase();
+    return explainDeclarations(name, collectDeclarations(cssResults, linkedFiles)[name] || []);
+}
+
+/**
+ * Explain every property set by the matched rules
+ * @param {Array} cssResults - CSS analysis results from the tool
+ * @param {Object} linkedFiles - Information about linked CSS files
+ * @returns {Array<Object>} explainProperty() results, sorted by property name
+ */
+function explainProperties(cssResults, linkedFiles) {
+    const propertyRules = collectDeclarations(cssResults, linkedFiles);
+    return Object.keys(propertyRules)
+        .sort()
+        .map(property => explainDeclarations(property, propertyRules[property]));
+}
+
+/**
+ * Rank the declarations of one property and give each loser its reason
+ */
+function explainDeclarations(property, rules) {
+    const ranked = rankDeclarations(rules).reverse();
+    const winner = ranked[0] || null;
+
+    const declarations = ranked.map((rule, index) => {
+        if (index === 0) {
+            return { ...rule, reason: null };
+        }
+
+        let reason;
+        if (winner.hasImportant && !rule.hasImportant) {
+            reason = `overridden by !important in ${winner.selector}`;
+        } else if (compareSpecificity(rule.specificity, winner.specificity) !== 0) {
+            reason = `lower specificity ${formatSpecificity(rule.specificity)} than ${winner.selector} ${formatSpecificity(winner.specificity)}`;
+        } else if (rule.fileOrder !== winner.fileOrder) {
+            reason = `same specificity, but ${winner.selector} is in a stylesheet loaded later`;
+        } else {
+            reason = `same specificity, but ${winner.selector} is declared later`;
+        }
+        return { ...rule, reason };
+    });
+
+    return { property, winner, declarations };
+}
+
+/**
+ * Group every declaration in the matched rules by property
+ * @returns {Object} property → declarations ({ selector, specificity, value, hasImportant, file, ... })
+ */
+function collectDeclarations(cssResults, linkedFiles = { css: [] }) {
     const propertyRules = {};
 
     // Track file order (later = higher priority for same specificity)
@@ -135,42 +217,29 @@ function analyzeConflicts(cssResults, linkedFiles = { css: [] }) {
         }
     }
 
-    // Determine winner for each property
-    const conflicts = {};
-
-    for (const [prop, rules] of Object.entries(propertyRules)) {
-        if (rules.length <= 1) {
-            continue; // No conflict
-        }
-
-        // Sort by priority: !important > specificity > file order > declaration order
-        const sorted = [...rules].sort((a, b) => {
-            // !important always wins
-            if (a.hasImportant && !b.hasImportant) return 1;
-            if (!a.hasImportant && b.hasImportant) return -1;
-
-            // Compare specificity
-            const specCompare = compareSpecificity(a.specificity, b.specificity);
-            if (specCompare !== 0) return specCompare;
+    return propertyRules;
+}
 
-            // Same specificity: later file wins
-            if (a.fileOrder !== b.fileOrder) return a.fileOrder - b.fileOrder;
+/**
+ * Sort declarations of one property from weakest to winner
+ * Priority: !important > specificity > file order > declaration order
+ */
+function rankDeclarations(rules) {
+    return [...rules].sort((a, b) => {
+        // !important always wins
+        if (a.hasImportant && !b.hasImportant) return 1;
+        if (!a.hasImportant && b.hasImportant) return -1;
 
-            // Same file: later declaration wins
-            return a.globalOrder - b.globalOrder;
-        });
+        // Compare specificity
+        const specCompare = compareSpecificity(a.specificity, b.specificity);
+        if (specCompare !== 0) return specCompare;
 
-        const winner = sorted[sorted.length - 1];
-        const losers = sorted.slice(0, -1);
+        // Same specificity: later file wins
+        if (a.fileOrder !== b.fileOrder) return a.fileOrder - b.fileOrder;
 
-        conflicts[prop] = {
-            winner,
-            losers,
-            hasConflict: losers.length > 0
-        };
-    }
-
-    return conflicts;
+        // Same file: later declaration wins
+        return a.globalOrder - b.globalOrder;
+    });
 }
 
 /**
@@ -231,7 +300,7 @@ function formatConflictsMarkdown(conflicts) {
         md += `| ✅ **Winner** | \`${getFileName(winner.file)}\` | \`${winner.selector}\` | \`${truncateValue(winner.value)}\` | ${formatSpecificity(winner.specificity)}${winner.hasImportant ? ' **!important**' : ''} |\n`;
 
         // Show losers
-        for (const loser of losers.reverse()) {
+        for (const loser of [...losers].reverse()) {
             md += `| ❌ Overridden | \`${getFileName(loser.file)}\` | \`${loser.selector}\` | \`${truncateValue(loser.value)}\` | ${formatSpecificity(loser.specificity)}${loser.hasImportant ? ' !important' : ''} |\n`;
         }
 
@@ -268,5 +337,7 @@ module.exports = {
     compareSpecificity,
     formatSpecificity,
     analyzeConflicts,
+    explainProperty,
+    explainProperties,
     formatConflictsMarkdown
 };
@@ -0,0 +1,251 @@
+/**
+ * Target Locator
+ * Finds the component someone describes by its visible text, an XPath or an
+ * ARIA role instead of a CSS selector. Matches on text-level elements are
+ * widened to their closest container: "the box that says Free Shipping" is
+ * the card around the words, not the <p> holding them.
+ */
+
+const { evaluateXPath } = require('./xpath');
+const { ARIA_ROLES } = require('./a11y-auditor');
+
+// Text-level elements that are not a component on their own
+const FRAGMENT_TAGS = new Set([
+    'abbr', 'b', 'bdi', 'bdo', 'br', 'caption', 'cite', 'code', 'data', 'dd', 'del', 'dfn', 'dt',
+    'em', 'figcaption', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'i', 'img', 'ins', 'kbd', 'label',
+    'legend', 'mark', 'p', 'picture', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup',
+    'svg', 'time', 'u', 'var', 'wbr'
+]);
+
+// Elements that are a component on their own, even without a class or id
+const CONTAINER_TAGS = new Set([
+    'a', 'article', 'aside', 'button', 'details', 'dialog', 'fieldset', 'figure', 'footer', 'form',
+    'header', 'li', 'main', 'nav', 'ol', 'section', 'select', 'table', 'ul'
+]);
+
+// Elements whose text is never shown
+const HIDDEN_TEXT_TAGS = new Set(['script', 'style', 'template', 'noscript', 'head']);
+
+// Landmarks that header/footer only are outside of sectioning content
+const SECTIONING_TAGS = new Set(['article', 'aside', 'main', 'nav', 'section']);
+
+/**
+ * Label of a target for reports and messages
+ * @param {Object} target - { selector, text, xpath, role, lineRange }
+ * @returns {string} e.g. ".navbar", 'text "Free Shipping"', "role navigation", "lines 4-20"
+ */
+function describeTarget({ selector, text, xpath, role, lineRange }) {
+    if (selector) return selector;
+    if (text) return `text "${text}"`;
+    if (xpath) return `xpath ${xpath}`;
+    if (role) return `role ${role}`;
+    return `lines ${lineRange}`;
+}
+
+/**
+ * Find the elements a text, XPath or role query points to
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {Object} query - One of { text }, { xpath } or { role }
+ * @returns {Array<Object>} [{ element, matched }] in document order: element is the
+ *   closest container of matched, the node the query itself found
+ * @throws {Error} When the query is invalid or nothing matches
+ */
+function locateTargets($, { text, xpath, role }) {
+    let matched;
+    if (text !== undefined && text !== null) {
+        matched = findByText($, text);
+    } else if (xpath) {
+        matched = findByXPath($, xpath);
+    } else if (role) {
+        matched = findByRole($, role);
+    } else {
+        throw new Error('A text, xpath or role query is required');
+    }
+
+    const seen = new Set();
+    const targets = [];
+    matched.forEach(node => {
+        const element = closestContainer(node);
+        if (seen.has(element)) return;
+        seen.add(element);
+        targets.push({ element, matched: node });
+    });
+    return targets;
+}
+
+/**
+ * Deepest elements whose visible text contains the query (case and
+ * whitespace insensitive), so text split across inline tags still matches
+ */
+function findByText($, text) {
+    const query = normalizeText(text).toLowerCase();
+    if (!query) {
+        throw new Error('Text to search for must not be empty');
+    }
+
+    const body = $('body').get(0);
+    const texts = new Map();
+    const textOf = (node) => {
+        if (node.type === 'text') return node.data;
+        if (!isElement(node) || HIDDEN_TEXT_TAGS.has(node.name)) return '';
+        if (!texts.has(node)) {
+            texts.set(node, (node.children || []).map(textOf).join(''));
+        }
+        return texts.get(node);
+    };
+    const contains = (node) => normalizeText(textOf(node)).toLowerCase().includes(query);
+
+    const matches = [];
+    const visit = (node) => {
+        const children = (node.children || []).filter(child => isElement(child) && !HIDDEN_TEXT_TAGS.has(child.name));
+        const matchingChildren = children.filter(contains);
+        if (matchingChildren.length > 0) {
+            matchingChildren.forEach(visit);
+        } else if (node !== body) {
+            matches.push(node);
+        }
+    };
+
+    if (body && contains(body)) {
+        visit(body);
+    }
+    if (matches.length === 0) {
+        throw new Error(`No element found containing the text "${text}"`);
+    }
+    return matches;
+}
+
+/**
+ * Elements an XPath selects; text and attribute nodes stand for their element
+ */
+function findByXPath($, expression) {
+    const nodes = evaluateXPath($, expression)
+        .map(node => (node.type === 'text' || node.type === 'attribute' ? node.parent : node))
+        .filter(node => node && isElement(node) && !['html', 'head', 'body'].includes(node.name));
+
+    const unique = [...new Set(nodes)];
+    if (unique.length === 0) {
+        throw new Error(`No element found matching XPath: ${expression}`);
+    }
+    return unique;
+}
+
+/**
+ * Elements with an explicit role attribute or the implicit role of their tag
+ */
+function findByRole($, role) {
+    const wanted = role.trim().toLowerCase();
+    const matches = $('body *').toArray().filter(node => {
+        const explicit = (node.attribs.role || '').trim().split(/\s+/)[0].toLowerCase();
+        return explicit ? explicit === wanted : implicitRole(node) === wanted;
+    });
+
+    if (matches.length === 0) {
+        let message = `No element found with role "${role}"`;
+        if (!ARIA_ROLES.has(wanted)) {
+            message += `\n\n"${role}" is not an ARIA role. Common ones: navigation, banner, main, contentinfo, region, dialog, form, list, button.`;
+        }
+        throw new Error(message);
+    }
+    return matches;
+}
+
+/**
+ * The role an element has without a role attribute (HTML-AAM)
+ * @param {Object} node - Element
+ * @returns {string|null}
+ */
+function implicitRole(node) {
+    const tagName = node.name.toLowerCase();
+    const attribs = node.attribs || {};
+    const hasName = () => !!(attribs['aria-label'] || attribs['aria-labelledby'] || attribs.title);
+    const inSectioning = () => {
+        for (let parent = node.parent; parent && isElement(parent); parent = parent.parent) {
+            if (SECTIONING_TAGS.has(parent.name)) return true;
+        }
+        return false;
+    };
+
+    switch (tagName) {
+        case 'a':
+        case 'area':
+            return attribs.href !== undefined ? 'link' : null;
+        case 'header':
+            return inSectioning() ? null : 'banner';
+        case 'footer':
+            return inSectioning() ? null : 'contentinfo';
+        case 'section':
+            return hasName() ? 'region' : null;
+        case 'img':
+            return attribs.alt === '' ? 'presentation' : 'img';
+        case 'select':
+            return attribs.multiple !== undefined || parseInt(attribs.size, 10) > 1 ? 'listbox' : 'combobox';
+        case 'input':
+            return inputRole((attribs.type || 'text').toLowerCase());
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+            return 'heading';
+        case 'ul': case 'ol': case 'menu':
+            return 'list';
+        case 'tbody': case 'thead': case 'tfoot':
+            return 'rowgroup';
+        default:
+            return {
+                article: 'article', aside: 'complementary', button: 'button', datalist: 'listbox',
+                details: 'group', dialog: 'dialog', fieldset: 'group', figure: 'figure', form: 'form',
+                hr: 'separator', li: 'listitem', main: 'main', math: 'math', meter: 'meter',
+                nav: 'navigation', option: 'option', output: 'status', p: 'paragraph',
+                progress: 'progressbar', search: 'search', table: 'table', td: 'cell',
+                textarea: 'textbox', th: 'columnheader', tr: 'row'
+            }[tagName] || null;
+    }
+}
+
+function inputRole(type) {
+    if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+    if (['checkbox', 'radio'].includes(type)) return type;
+    if (type === 'range') return 'slider';
+    if (type === 'number') return 'spinbutton';
+    if (type === 'search') return 'searchbox';
+    if (['text', 'email', 'tel', 'url'].includes(type)) return 'textbox';
+    return null;
+}
+
+/**
+ * Closest element around a match that can stand as a component: text-level
+ * elements (<p>, <span>, headings) and anonymous wrappers without a class,
+ * id or role are skipped, stopping below <body>
+ * @param {Object} node - Matched element
+ * @returns {Object} The container element (node itself when it qualifies)
+ */
+function closestContainer(node) {
+    let current = node;
+    while (!isContainer(current) && current.parent && isElement(current.parent)
+        && !['body', 'html'].includes(current.parent.name)) {
+        current = current.parent;
+    }
+    return current;
+}
+
+function isContainer(node) {
+    const tagName = node.name.toLowerCase();
+    if (FRAGMENT_TAGS.has(tagName)) return false;
+    if (CONTAINER_TAGS.has(tagName) || tagName.includes('-')) return true;
+
+    const attribs = node.attribs || {};
+    return !!((attribs.class || '').trim() || attribs.id || attribs.role);
+}
+
+function isElement(node) {
+    return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+function normalizeText(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+    describeTarget,
+    locateTargets,
+    implicitRole,
+    closestContainer
+};
@@ -5,6 +5,11 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_CI_THRESHOLDS } = require('./ci-checks');
+const { parseXPath } = require('./xpath');
+
+// Targeting modes besides selectors and line ranges
+const TARGET_QUERY_TYPES = ['text', 'xpath', 'role'];
 
 /**
  * Validate HTML file
@@ -227,6 +232,295 @@ function sanitizeSelector(selector) {
     return { valid: true, selector: trimmed };
 }
 
+/**
+ * Validate a --text, --xpath or --role target
+ * @param {string} type - "text", "xpath" or "role"
+ * @param {string} value - User-provided value
+ * @returns {Object} { valid, value, error }
+ */
+function sanitizeTargetQuery(type, value) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return { valid: false, value: null, error: `${type} must be a non-empty string` };
+    }
+
+    const trimmed = value.trim();
+    if (trimmed.length > 1000) {
+        return { valid: false, value: null, error: `${type} is too long (max 1000 characters)` };
+    }
+
+    if (type === 'xpath') {
+        try {
+            parseXPath(trimmed);
+        } catch (error) {
+            return { valid: false, value: null, error: error.message };
+        }
+    } else if (type === 'role' && !/^[a-zA-Z-]+$/.test(trimmed)) {
+        return { valid: false, value: null, error: `"${trimmed}" is not a role name (e.g. navigation, banner, dialog)` };
+    }
+
+    return { valid: true, value: trimmed, error: null };
+}
+
+/**
+ * Parse a file size: bytes, or a number with a KB/MB/GB unit ("500kb", "2 MB")
+ * @param {string|number} value - User-provided size
+ * @returns {Object} { valid, bytes, error }
+ */
+function parseFileSize(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    if (!match) {
+        return { valid: false, bytes: null, error: `"${value}" is not a file size (e.g. 500kb, 2mb, or 0 for no limit)` };
+    }
+
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+    return {
+        valid: true,
+        bytes: Math.round(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]),
+        error: null
+    };
+}
+
+/**
+ * Validate a batch targets manifest
+ * Accepts a JSON file containing either an array of targets or { "targets": [...] }.
+ * Each target is a selector string or { selector | text | xpath | role | lines, name?, matchIndex?, output? }.
+ * @param {string} filePath - Path to manifest file
+ * @returns {Object} Validation result with normalized targets
+ */
+function validateTargetsManifest(filePath) {
+    const errors = [];
+    const warnings = [];
+
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            errors.push(`Targets file not found: ${filePath}`);
+        } else {
+            errors.push(`Cannot read targets file: ${error.message}`);
+        }
+        return { valid: false, errors, warnings, targets: [] };
+    }
+
+    const entries = Array.isArray(data) ? data : data?.targets;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        errors.push('Targets file must contain a non-empty array of targets (or { "targets": [...] })');
+        return { valid: false, errors, warnings, targets: [] };
+    }
+
+    const manifestDir = path.dirname(path.resolve(filePath));
+    const targets = [];
+
+    entries.forEach((entry, index) => {
+        const label = `Target #${index + 1}`;
+        const target = typeof entry === 'string' ? { selector: entry } : entry;
+
+        if (!target || typeof target !== 'object') {
+            errors.push(`${label}: must be a selector string or an object`);
+            return;
+        }
+
+        const queryType = TARGET_QUERY_TYPES.find(type => target[type] !== undefined);
+        if (!target.selector && !queryType && !target.lines) {
+            errors.push(`${label}: needs a "selector", "text", "xpath", "role" or "lines"`);
+            return;
+        }
+
+        const normalized = { name: target.name };
+
+        if (target.selector) {
+            const selectorValidation = sanitizeSelector(target.selector);
+            if (!selectorValidation.valid) {
+                errors.push(`${label}: ${selectorValidation.error}`);
+                return;
+            }
+            normalized.selector = selectorValidation.selector;
+        } else if (queryType) {
+            const queryValidation = sanitizeTargetQuery(queryType, target[queryType]);
+            if (!queryValidation.valid) {
+                errors.push(`${label}: ${queryValidation.error}`);
+                return;
+            }
+            normalized[queryType] = queryValidation.value;
+        } else if (!/^\d+-\d+$/.test(String(target.lines))) {
+            errors.push(`${label}: invalid "lines" value "${target.lines}". Use format like "45-80".`);
+            return;
+        } else {
+            normalized.lineRange = String(target.lines);
+        }
+
+        if (target.matchIndex !== undefined) {
+            const matchIndex = parseInt(target.matchIndex, 10);
+            if (isNaN(matchIndex) || matchIndex < 0) {
+                errors.push(`${label}: matchIndex must be a non-negative number`);
+                return;
+            }
+            normalized.matchIndex = matchIndex;
+        }
+
+        if (target.output) {
+            // Output paths in the manifest are relative to the manifest itself
+            normalized.outputPath = path.resolve(manifestDir, target.output);
+        }
+
+        targets.push(normalized);
+    });
+
+    return { valid: errors.length === 0, errors, warnings, targets };
+}
+
+/**
+ * Validate a project config file (.codescooprc / codescoop.config.js)
+ * Paths (dir, outputDir, cacheDir) are resolved relative to the config file.
+ * @param {Object} config - Raw config object
+ * @param {string} configPath - Path the config was loaded from
+ * @returns {Object} Validation result with the normalized config
+ */
+function validateConfig(config, configPath) {
+    const errors = [];
+    const warnings = [];
+    const normalized = {};
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        errors.push(`Config file must contain an object: ${configPath}`);
+        return { valid: false, errors, warnings, config: normalized };
+    }
+
+    const configDir = path.dirname(path.resolve(configPath));
+    const booleanKeys = ['skipMinified', 'compact', 'summaryOnly', 'forConversion', 'perElement', 'includeInline', 'verbose', 'cache', 'ignoreFiles'];
+    const numberKeys = ['maxRules', 'maxJs', 'concurrency'];
+    const knownKeys = [...booleanKeys, ...numberKeys, 'dir', 'outputDir', 'cacheDir', 'format', 'ignore', 'include', 'maxFileSize', 'libraries', 'thresholds'];
+
+    Object.keys(config).forEach(key => {
+        if (!knownKeys.includes(key)) {
+            warnings.push(`Unknown config option "${key}" in ${path.basename(configPath)}`);
+        }
+    });
+
+    booleanKeys.forEach(key => {
+        if (config[key] === undefined) return;
+        if (typeof config[key] !== 'boolean') {
+            errors.push(`"${key}" must be true or false`);
+        } else {
+            normalized[key] = config[key];
+        }
+    });
+
+    numberKeys.forEach(key => {
+        if (config[key] === undefined) return;
+        if (!Number.isInteger(config[key]) || config[key] < 1) {
+            errors.push(`"${key}" must be a positive integer`);
+        } else {
+            normalized[key] = config[key];
+        }
+    });
+
+    ['dir', 'outputDir', 'cacheDir'].forEach(key => {
+        if (config[key] === undefined) return;
+        if (typeof config[key] !== 'string' || config[key].trim() === '') {
+            errors.push(`"${key}" must be a non-empty path`);
+        } else {
+            normalized[key] = path.resolve(configDir, config[key]);
+        }
+    });
+
+    if (config.format !== undefined) {
+        if (!['markdown', 'json'].includes(config.format)) {
+            errors.push(`"format" must be "markdown" or "json" (got "${config.format}")`);
+        } else {
+            normalized.format = config.format;
+        }
+    }
+
+    ['ignore', 'include'].forEach(key => {
+        if (config[key] === undefined) return;
+        if (!Array.isArray(config[key]) || !config[key].every(p => typeof p === 'string')) {
+            errors.push(`"${key}" must be an array of glob patterns`);
+        } else {
+            normalized[key] = config[key];
+        }
+    });
+
+    if (config.maxFileSize !== undefined) {
+        const size = parseFileSize(config.maxFileSize);
+        if (!size.valid) {
+            errors.push(`"maxFileSize": ${size.error}`);
+        } else {
+            normalized.maxFileSize = size.bytes;
+        }
+    }
+
+    if (config.thresholds !== undefined) {
+        if (!config.thresholds || typeof config.thresholds !== 'object' || Array.isArray(config.thresholds)) {
+            errors.push('"thresholds" must be an object of CI limits');
+        } else {
+            const thresholds = {};
+
+            Object.entries(config.thresholds).forEach(([key, limit]) => {
+                if (!(key in DEFAULT_CI_THRESHOLDS)) {
+                    warnings.push(`Unknown threshold "${key}" (expected one of ${Object.keys(DEFAULT_CI_THRESHOLDS).join(', ')})`);
+                } else if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+                    errors.push(`Threshold "${key}" must be a non-negative integer or null`);
+                } else {
+                    thresholds[key] = limit;
+                }
+            });
+
+            normalized.thresholds = thresholds;
+        }
+    }
+
+    if (config.libraries !== undefined) {
+        if (!config.libraries || typeof config.libraries !== 'object' || Array.isArray(config.libraries)) {
+            errors.push('"libraries" must be an object keyed by library name');
+        } else {
+            const libraries = {};
+
+            Object.entries(config.libraries).forEach(([name, lib]) => {
+                const label = `Library "${name}"`;
+
+                if (!lib || typeof lib !== 'object') {
+                    errors.push(`${label}: must be an object`);
+                    return;
+                }
+
+                const patternKeys = ['patterns', 'cdnPatterns', 'classPatterns', 'codePatterns'];
+                if (!patternKeys.some(key => lib[key])) {
+                    errors.push(`${label}: needs at least one of ${patternKeys.join(', ')}`);
+                    return;
+                }
+
+                for (const key of patternKeys) {
+                    if (lib[key] === undefined) continue;
+                    if (!Array.isArray(lib[key])) {
+                        errors.push(`${label}: "${key}" must be an array of regular expressions`);
+                        return;
+                    }
+                    for (const pattern of lib[key]) {
+                        try {
+                            new RegExp(pattern);
+                        } catch (error) {
+                            errors.push(`${label}: invalid pattern "${pattern}" (${error.message})`);
+                            return;
+                        }
+                    }
+                }
+
+                if (lib.type && !['css-framework', 'css-library', 'icon-library', 'js-library', 'plugin'].includes(lib.type)) {
+                    warnings.push(`${label}: unknown type "${lib.type}"`);
+                }
+
+                libraries[name] = lib;
+            });
+
+            normalized.libraries = libraries;
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings, config: normalized };
+}
+
 /**
  * Check if a path is safe (no directory traversal attacks)
  * @param {string} basePath - Base directory
@@ -273,6 +567,10 @@ module.exports = {
     validateProjectDir,
     safeReadFile,
     sanitizeSelector,
+    sanitizeTargetQuery,
+    parseFileSize,
+    validateTargetsManifest,
+    validateConfig,
     isPathSafe,
     formatError
 };
@@ -122,9 +122,13 @@ function findSCSSVariableDefinitions(content, variableNames) {
  * @param {Array} cssMatches - Array of CSS match objects with content
  * @param {Array} projectFiles - Array of CSS/SCSS file paths
  * @param {string} projectDir - Project directory
+ * @param {Object} options - Options
+ * @param {Function} options.readFile - Reads a file's content (default: fs.readFileSync)
  * @returns {Object} Variable definitions found
  */
-async function extractVariablesFromMatches(cssMatches, projectFiles, projectDir) {
+async function extractVariablesFromMatches(cssMatches, projectFiles, projectDir, options = {}) {
+    const { readFile = (filePath) => fs.readFileSync(filePath, 'utf-8') } = options;
+
     // Collect all variable usages from matched rules
     const cssVarsUsed = new Set();
     const scssVarsUsed = new Set();
@@ -155,7 +159,7 @@ async function extractVariablesFromMatches(cssMatches, projectFiles, projectDir)
 
     for (const filePath of cssFiles) {
         try {
-            const content = fs.readFileSync(filePath, 'utf-8');
+            const content = readFile(filePath);
             const relPath = path.relative(projectDir, filePath);
 
             // Find CSS variable definitions
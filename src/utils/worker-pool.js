@@ -0,0 +1,129 @@
+/**
+ * Worker Pool
+ * Runs tasks on a fixed number of worker_threads. Workers are started on demand
+ * and only keep the process alive while they have work.
+ */
+
+const os = require('os');
+const { Worker } = require('worker_threads');
+
+/**
+ * Default number of workers: one per core, leaving one for the main thread
+ * @returns {number}
+ */
+function defaultConcurrency() {
+    const cores = typeof os.availableParallelism === 'function'
+        ? os.availableParallelism()
+        : os.cpus().length;
+    return Math.max(1, cores - 1);
+}
+
+/**
+ * Create a worker pool
+ * The worker script receives { id, task } messages and must reply with
+ * { id, result } or { id, error }.
+ * @param {string} workerScript - Absolute path to the worker script
+ * @param {number} size - Maximum number of workers
+ * @returns {Object} Pool with run() and close()
+ */
+function createWorkerPool(workerScript, size) {
+    const workers = [];
+    const idle = [];
+    const queue = [];
+    const pending = new Map();
+    let nextId = 0;
+
+    const dispatch = () => {
+        while (queue.length > 0) {
+            let worker = idle.pop();
+            if (!worker && workers.length < size) {
+                worker = spawn();
+            }
+            if (!worker) return;
+
+            const job = queue.shift();
+            pending.set(job.id, { ...job, worker });
+            worker.ref();
+            worker.postMessage({ id: job.id, task: job.task });
+        }
+    };
+
+    const release = (worker) => {
+        worker.unref();
+        idle.push(worker);
+        dispatch();
+    };
+
+    // Fail whatever a dead worker was running and replace it
+    const retire = (worker, error) => {
+        const index = workers.indexOf(worker);
+        if (index === -1) return; // 'error' is followed by 'exit'
+        workers.splice(index, 1);
+        if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+
+        for (const [id, job] of pending) {
+            if (job.worker === worker) {
+                pending.delete(id);
+                job.reject(error);
+            }
+        }
+        dispatch();
+    };
+
+    const spawn = () => {
+        const worker = new Worker(workerScript);
+
+        worker.on('message', ({ id, result, error }) => {
+            const job = pending.get(id);
+            if (!job) return;
+            pending.delete(id);
+
+            if (error) {
+                job.reject(new Error(error));
+            } else {
+                job.resolve(result);
+            }
+            release(worker);
+        });
+
+        worker.on('error', (error) => retire(worker, error));
+
+        // A worker can also stop without an 'error' (process.exit(), killed)
+        worker.on('exit', (code) => retire(worker, new Error(`Worker stopped with exit code ${code}`)));
+
+        workers.push(worker);
+        return worker;
+    };
+
+    return {
+        size,
+
+        /**
+         * Queue a task
+         * @param {*} task - Structured-cloneable task payload
+         * @returns {Promise<*>} Worker result
+         */
+        run(task) {
+            return new Promise((resolve, reject) => {
+                queue.push({ id: nextId++, task, resolve, reject });
+                dispatch();
+            });
+        },
+
+        /**
+         * Terminate all workers
+         * @returns {Promise<void>}
+         */
+        async close() {
+            queue.length = 0;
+            await Promise.all(workers.map(worker => worker.terminate()));
+            workers.length = 0;
+            idle.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    createWorkerPool,
+    defaultConcurrency
+};
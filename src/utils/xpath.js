@@ -0,0 +1,494 @@
+/**
+ * XPath Evaluator
+ * Evaluates XPath 1.0 location paths against a Cheerio document, enough for
+ * the expressions browsers copy from DevTools and people write by hand:
+ * child and descendant steps, the common axes, name/text()/node() tests and
+ * predicates with positions, comparisons, and/or and the usual string functions
+ */
+
+// Axes written as name::
+const AXES = new Set([
+    'child', 'descendant', 'descendant-or-self', 'self', 'parent', 'ancestor', 'ancestor-or-self',
+    'following-sibling', 'preceding-sibling', 'following', 'preceding', 'attribute'
+]);
+
+const TOKEN_PATTERN = /\s*(\/\/|\/|::|\.\.|\.|@|\[|\]|\(|\)|,|\||!=|<=|>=|=|<|>|\*|"[^"]*"|'[^']*'|\d+(?:\.\d+)?|[A-Za-z_][\w.-]*(?::[A-Za-z_][\w.-]*)?)/y;
+
+/**
+ * Evaluate an XPath expression against a document
+ * @param {CheerioAPI} $ - Cheerio instance
+ * @param {string} expression - XPath expression
+ * @returns {Array<Object>} Matched nodes in document order: elements, text nodes,
+ *   or attribute nodes ({ type: 'attribute', name, value, parent })
+ * @throws {Error} When the expression is invalid or does not select nodes
+ */
+function evaluateXPath($, expression) {
+    const ast = parseXPath(expression);
+    const root = $.root().get(0);
+    const result = evaluate(ast, { node: root, position: 1, size: 1, root });
+
+    if (!Array.isArray(result)) {
+        throw new Error(`XPath "${expression}" does not select nodes`);
+    }
+    return result;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ */
+function parseXPath(expression) {
+    const tokens = tokenize(expression);
+    let index = 0;
+
+    const peek = (offset = 0) => tokens[index + offset];
+    const next = () => tokens[index++];
+    const fail = (message) => {
+        throw new Error(`Invalid XPath "${expression}": ${message}`);
+    };
+    const expect = (token) => {
+        if (peek() !== token) fail(`expected "${token}"${peek() ? ` but found "${peek()}"` : ' at the end'}`);
+        next();
+    };
+
+    const parseOr = () => {
+        let left = parseAnd();
+        while (peek() === 'or') {
+            next();
+            left = { type: 'or', left, right: parseAnd() };
+        }
+        return left;
+    };
+
+    const parseAnd = () => {
+        let left = parseComparison();
+        while (peek() === 'and') {
+            next();
+            left = { type: 'and', left, right: parseComparison() };
+        }
+        return left;
+    };
+
+    const parseComparison = () => {
+        let left = parseUnion();
+        while (['=', '!=', '<', '>', '<=', '>='].includes(peek())) {
+            const op = next();
+            left = { type: 'compare', op, left, right: parseUnion() };
+        }
+        return left;
+    };
+
+    const parseUnion = () => {
+        let left = parsePrimary();
+        while (peek() === '|') {
+            next();
+            left = { type: 'union', left, right: parsePrimary() };
+        }
+        return left;
+    };
+
+    const parsePrimary = () => {
+        const token = peek();
+        if (token === undefined) fail('unexpected end');
+
+        if (token === '(') {
+            next();
+            const expr = parseOr();
+            expect(')');
+
+            // Filter expression: (//h2)[2]/span
+            if (peek() !== '[' && peek() !== '/' && peek() !== '//') return expr;
+            const predicates = parsePredicates();
+            const path = { type: 'path', absolute: false, steps: [] };
+            parseRelativeSteps(path);
+            return { type: 'filter', expr, predicates, steps: path.steps };
+        }
+        if (/^["']/.test(token)) {
+            next();
+            return { type: 'literal', value: token.slice(1, -1) };
+        }
+        if (/^\d/.test(token)) {
+            next();
+            return { type: 'number', value: Number(token) };
+        }
+        // Function calls (text() and node() are node tests, parsed as steps)
+        if (/^[A-Za-z_]/.test(token) && peek(1) === '(' && !['text', 'node'].includes(token) && !AXES.has(token)) {
+            next();
+            next();
+            const args = [];
+            while (peek() !== ')') {
+                args.push(parseOr());
+                if (peek() === ',') next();
+                else if (peek() !== ')') fail(`expected "," or ")" in ${token}()`);
+            }
+            next();
+            return { type: 'call', name: token, args };
+        }
+        return parsePath();
+    };
+
+    const parsePath = () => {
+        const path = { type: 'path', absolute: false, steps: [] };
+        const descendantStep = { axis: 'descendant-or-self', test: { kind: 'node' }, predicates: [] };
+
+        if (peek() === '/' || peek() === '//') {
+            path.absolute = true;
+            const slash = next();
+            if (slash === '//') path.steps.push(descendantStep);
+            // A lone "/" selects the document
+            if (slash === '/' && !isStepStart(peek())) return path;
+        }
+
+        path.steps.push(parseStep());
+        parseRelativeSteps(path);
+        return path;
+    };
+
+    const parseRelativeSteps = (path) => {
+        while (peek() === '/' || peek() === '//') {
+            if (next() === '//') path.steps.push({ axis: 'descendant-or-self', test: { kind: 'node' }, predicates: [] });
+            path.steps.push(parseStep());
+        }
+    };
+
+    const parsePredicates = () => {
+        const predicates = [];
+        while (peek() === '[') {
+            next();
+            predicates.push(parseOr());
+            expect(']');
+        }
+        return predicates;
+    };
+
+    const parseStep = () => {
+        const token = peek();
+        if (token === '.') {
+            next();
+            return { axis: 'self', test: { kind: 'node' }, predicates: [] };
+        }
+        if (token === '..') {
+            next();
+            return { axis: 'parent', test: { kind: 'node' }, predicates: [] };
+        }
+
+        let axis = 'child';
+        if (token === '@') {
+            next();
+            axis = 'attribute';
+        } else if (AXES.has(token) && peek(1) === '::') {
+            axis = next();
+            next();
+        }
+
+        let test;
+        const name = next();
+        if (name === '*') {
+            test = { kind: 'any' };
+        } else if ((name === 'text' || name === 'node') && peek() === '(') {
+            next();
+            expect(')');
+            test = { kind: name };
+        } else if (name && /^[A-Za-z_]/.test(name)) {
+            test = { kind: 'name', name: name.toLowerCase() };
+        } else {
+            fail(`expected a step${name ? ` but found "${name}"` : ' at the end'}`);
+        }
+
+        return { axis, test, predicates: parsePredicates() };
+    };
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+        fail(`unexpected "${peek()}"`);
+    }
+    return ast;
+}
+
+function isStepStart(token) {
+    return token !== undefined && (token === '.' || token === '..' || token === '@' || token === '*' || /^[A-Za-z_]/.test(token));
+}
+
+function tokenize(expression) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    let position = 0;
+
+    while (position < expression.length) {
+        if (/^\s*$/.test(expression.slice(position))) break;
+
+        TOKEN_PATTERN.lastIndex = position;
+        const match = TOKEN_PATTERN.exec(expression);
+        if (!match) {
+            throw new Error(`Invalid XPath "${expression}": unexpected "${expression.slice(position).trim()[0]}"`);
+        }
+        tokens.push(match[1]);
+        position = TOKEN_PATTERN.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * Evaluate a syntax tree node in a context
+ * @returns {Array|string|number|boolean} Node-set (array), string, number or boolean
+ */
+function evaluate(expr, context) {
+    switch (expr.type) {
+        case 'literal':
+        case 'number':
+            return expr.value;
+        case 'or':
+            return toBoolean(evaluate(expr.left, context)) || toBoolean(evaluate(expr.right, context));
+        case 'and':
+            return toBoolean(evaluate(expr.left, context)) && toBoolean(evaluate(expr.right, context));
+        case 'compare':
+            return compare(expr.op, evaluate(expr.left, context), evaluate(expr.right, context));
+        case 'union': {
+            const left = evaluate(expr.left, context);
+            const right = evaluate(expr.right, context);
+            if (!Array.isArray(left) || !Array.isArray(right)) {
+                throw new Error('"|" needs node-sets on both sides');
+            }
+            return documentOrder([...left, ...right], context.root);
+        }
+        case 'call':
+            return callFunction(expr, context);
+        case 'path':
+            return evaluatePath(expr, context);
+        case 'filter': {
+            const nodes = evaluate(expr.expr, context);
+            if (!Array.isArray(nodes)) {
+                throw new Error('Predicates need a node-set');
+            }
+            const filtered = applyPredicates(nodes, expr.predicates, context.root);
+            return evaluateSteps(filtered, expr.steps, context.root);
+        }
+        default:
+            throw new Error(`Unknown XPath expression "${expr.type}"`);
+    }
+}
+
+function evaluatePath(path, context) {
+    return evaluateSteps([path.absolute ? context.root : context.node], path.steps, context.root);
+}
+
+function evaluateSteps(nodes, steps, root) {
+    for (const step of steps) {
+        const selected = [];
+        for (const node of nodes) {
+            const candidates = axisNodes(step.axis, node, root).filter(candidate => nodeTest(step, candidate));
+            selected.push(...applyPredicates(candidates, step.predicates, root));
+        }
+        nodes = documentOrder(selected, root);
+    }
+    return nodes;
+}
+
+/**
+ * Filter nodes by predicates; a number predicate selects that position
+ */
+function applyPredicates(nodes, predicates, root) {
+    for (const predicate of predicates) {
+        const candidates = nodes;
+        nodes = candidates.filter((candidate, i) => {
+            const value = evaluate(predicate, { node: candidate, position: i + 1, size: candidates.length, root });
+            return typeof value === 'number' ? value === i + 1 : toBoolean(value);
+        });
+    }
+    return nodes;
+}
+
+/**
+ * Nodes along an axis, in axis order (reverse axes nearest first)
+ */
+function axisNodes(axis, node, root) {
+    const children = (n) => (n.type === 'attribute' ? [] : (n.children || []));
+    const descendants = (n) => children(n).flatMap(child => [child, ...descendants(child)]);
+    const ancestors = (n) => {
+        const list = [];
+        for (let current = n.parent; current; current = current.parent) list.push(current);
+        return list;
+    };
+    const siblings = (n) => (n.parent && n.type !== 'attribute' ? children(n.parent) : []);
+
+    switch (axis) {
+        case 'child': return children(node);
+        case 'descendant': return descendants(node);
+        case 'descendant-or-self': return [node, ...descendants(node)];
+        case 'self': return [node];
+        case 'parent': return node.parent ? [node.parent] : [];
+        case 'ancestor': return ancestors(node);
+        case 'ancestor-or-self': return [node, ...ancestors(node)];
+        case 'following-sibling': {
+            const list = siblings(node);
+            return list.slice(list.indexOf(node) + 1);
+        }
+        case 'preceding-sibling': {
+            const list = siblings(node);
+            return list.slice(0, list.indexOf(node)).reverse();
+        }
+        case 'following':
+        case 'preceding': {
+            const all = descendants(root);
+            const position = all.indexOf(node);
+            const excluded = new Set(axis === 'following' ? descendants(node) : ancestors(node));
+            const list = axis === 'following' ? all.slice(position + 1) : all.slice(0, position).reverse();
+            return list.filter(n => !excluded.has(n));
+        }
+        case 'attribute':
+            return Object.entries(node.attribs || {}).map(([name, value]) => ({ type: 'attribute', name, value, parent: node }));
+        default:
+            return [];
+    }
+}
+
+function nodeTest(step, node) {
+    const { test } = step;
+    if (test.kind === 'node') return true;
+    if (test.kind === 'text') return node.type === 'text';
+
+    // Name tests select the principal node type of the axis
+    const principal = step.axis === 'attribute' ? node.type === 'attribute' : isElement(node);
+    if (!principal) return false;
+    if (test.kind === 'any') return true;
+    return nodeName(node) === test.name;
+}
+
+function callFunction(expr, context) {
+    const args = expr.args.map(arg => evaluate(arg, context));
+    const stringArg = (i) => (args.length > i ? toString(args[i]) : stringValue(context.node));
+
+    switch (expr.name) {
+        case 'last': return context.size;
+        case 'position': return context.position;
+        case 'count': return Array.isArray(args[0]) ? args[0].length : 0;
+        case 'not': return !toBoolean(args[0]);
+        case 'true': return true;
+        case 'false': return false;
+        case 'boolean': return toBoolean(args[0]);
+        case 'number': return toNumber(args.length > 0 ? args[0] : stringValue(context.node));
+        case 'string': return stringArg(0);
+        case 'concat': return args.map(toString).join('');
+        case 'contains': return toString(args[0]).includes(toString(args[1]));
+        case 'starts-with': return toString(args[0]).startsWith(toString(args[1]));
+        case 'string-length': return stringArg(0).length;
+        case 'normalize-space': return stringArg(0).replace(/\s+/g, ' ').trim();
+        case 'translate': {
+            const [value, from, to] = args.map(toString);
+            return [...value].map(char => {
+                const i = from.indexOf(char);
+                return i === -1 ? char : (to[i] || '');
+            }).join('');
+        }
+        case 'name':
+        case 'local-name': {
+            const nodes = args.length > 0 ? args[0] : [context.node];
+            return Array.isArray(nodes) && nodes.length > 0 ? nodeName(nodes[0]) : '';
+        }
+        default:
+            throw new Error(`Unsupported XPath function ${expr.name}()`);
+    }
+}
+
+function compare(op, left, right) {
+    // Node-sets compare true when any of their nodes does
+    if (Array.isArray(left)) {
+        return left.some(node => compare(op, stringValue(node), right));
+    }
+    if (Array.isArray(right)) {
+        return right.some(node => compare(op, left, stringValue(node)));
+    }
+
+    if (op === '=' || op === '!=') {
+        let equal;
+        if (typeof left === 'boolean' || typeof right === 'boolean') equal = toBoolean(left) === toBoolean(right);
+        else if (typeof left === 'number' || typeof right === 'number') equal = toNumber(left) === toNumber(right);
+        else equal = toString(left) === toString(right);
+        return op === '=' ? equal : !equal;
+    }
+
+    const a = toNumber(left);
+    const b = toNumber(right);
+    switch (op) {
+        case '<': return a < b;
+        case '>': return a > b;
+        case '<=': return a <= b;
+        default: return a >= b;
+    }
+}
+
+function toBoolean(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'number') return value !== 0 && !Number.isNaN(value);
+    if (typeof value === 'string') return value.length > 0;
+    return !!value;
+}
+
+function toString(value) {
+    if (Array.isArray(value)) return value.length > 0 ? stringValue(value[0]) : '';
+    return String(value);
+}
+
+function toNumber(value) {
+    const string = toString(value).trim();
+    return string === '' ? NaN : Number(string);
+}
+
+/**
+ * XPath string-value: text content for elements and documents, data for text, value for attributes
+ */
+function stringValue(node) {
+    if (node.type === 'attribute') return node.value;
+    if (node.type === 'text') return node.data;
+    if (node.type === 'comment') return node.data;
+    return (node.children || []).map(child => (child.type === 'comment' ? '' : stringValue(child))).join('');
+}
+
+function isElement(node) {
+    return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+function nodeName(node) {
+    if (node.type === 'attribute') return node.name.toLowerCase();
+    return isElement(node) ? node.name.toLowerCase() : '';
+}
+
+/**
+ * Deduplicate nodes and sort them in document order
+ */
+function documentOrder(nodes, root) {
+    const unique = [...new Set(nodes)];
+    if (unique.length < 2) return unique;
+
+    const order = new Map();
+    let counter = 0;
+    const visit = (node) => {
+        order.set(node, counter++);
+        Object.keys(node.attribs || {}).forEach(() => counter++);
+        (node.children || []).forEach(visit);
+    };
+    visit(root);
+
+    const position = (node) => {
+        if (node.type === 'attribute') {
+            return (order.get(node.parent) ?? 0) + 1 + Object.keys(node.parent.attribs).indexOf(node.name);
+        }
+        return order.get(node) ?? 0;
+    };
+
+    // Attribute nodes are new objects each time; dedupe them by owner and name
+    const seen = new Set();
+    return unique
+        .filter(node => {
+            if (node.type !== 'attribute') return true;
+            const key = `${position(node)}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => position(a) - position(b));
+}
+
+module.exports = {
+    evaluateXPath,
+    parseXPath
+};
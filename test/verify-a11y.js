@@ -0,0 +1,123 @@
+/**
+ * Accessibility Audit Verification
+ * Checks the static accessibility checks run on the extracted component and
+ * their place in the markdown, conversion and JSON reports
+ */
+
+const { parseHTML } = require('../src/parsers/html-parser');
+const { auditAccessibility } = require('../src/utils/a11y-auditor');
+const { scoop } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const PAGE = `<html><head><link rel="stylesheet" href="site.css"></head><body>
+<label for="email">Email</label>
+<form class="signup">
+  <h2>Sign up</h2>
+  <img src="logo.png">
+  <img src="divider.png" alt="">
+  <input id="email" type="email">
+  <input type="text" placeholder="Name">
+  <label>Age <input type="number"></label>
+  <div class="submit">Send</div>
+  <span class="close" role="button" tabindex="0">×</span>
+  <h4 role="tab" aria-expandd="true" aria-controls="missing-panel">Details</h4>
+  <div role="fancy" onclick="go()">More</div>
+  <button type="submit">Go</button>
+</form>
+<script src="form.js"></script>
+</body></html>`;
+
+const FILES = {
+    'site.css': '.signup { padding: 1rem; }\n.submit { cursor: pointer; }\n',
+    'form.js': [
+        "document.querySelector('.submit').addEventListener('click', send);",
+        '', '', '', '', '', '',
+        "document.querySelector('.close').addEventListener('click', close);"
+    ].join('\n')
+};
+
+function issuesOf(audit, check) {
+    return audit.issues.filter(issue => issue.check === check);
+}
+
+async function testChecks() {
+    const { analysis } = await scoop({ html: PAGE, selector: '.signup', files: FILES });
+    const audit = analysis.accessibility;
+
+    const alt = issuesOf(audit, 'img-alt');
+    assert(alt.length === 1 && alt[0].element === 'img' && alt[0].line === 5 && alt[0].severity === 'error', 'Images without alt are flagged, decorative ones are not', JSON.stringify(alt));
+
+    const labels = issuesOf(audit, 'form-label');
+    assert(labels.length === 1 && labels[0].line === 8 && labels[0].message.includes('placeholder is not a label'), 'Unlabelled controls are flagged; <label for> outside the component and wrapping labels count', JSON.stringify(labels));
+
+    const clickable = issuesOf(audit, 'clickable-element');
+    assert(clickable.map(issue => issue.element).join() === 'div.submit,div', 'Clickable divs from JS listeners and onclick are flagged', clickable.map(issue => issue.element).join());
+    assert(clickable[0].message.includes('form.js:') && clickable[0].message.includes('role') && clickable[0].message.includes('tabindex'), 'Clickable issues say where the handler is and what is missing', clickable[0].message);
+
+    const roles = issuesOf(audit, 'aria-role').map(issue => issue.message);
+    assert(roles.length === 1 && roles[0].includes('role="fancy"'), 'Invalid roles are flagged', roles.join());
+    const attributes = issuesOf(audit, 'aria-attribute').map(issue => `${issue.severity}:${issue.message}`);
+    assert(attributes.length === 2 && attributes[0].startsWith('error:`aria-expandd`') && attributes[1].startsWith('warning:`aria-controls` points to missing id(s): `missing-panel`'), 'Invalid and dangling ARIA attributes are flagged', attributes.join(' / '));
+
+    const headings = issuesOf(audit, 'heading-order');
+    assert(headings.length === 1 && headings[0].message === 'Heading level jumps from 2 to 4' && headings[0].line === 12, 'Heading jumps are flagged');
+
+    const focus = issuesOf(audit, 'focus-styles');
+    assert(focus.length === 1 && focus[0].severity === 'warning' && focus[0].message.includes('5 focusable element(s)'), 'Missing focus styles are flagged', focus[0] && focus[0].message);
+
+    assert(audit.errors === 6 && audit.warnings === 3, 'Counts errors and warnings', `${audit.errors}/${audit.warnings}`);
+}
+
+function testFocusStyles() {
+    const html = '<nav class="menu"><a href="/">Home</a></nav>';
+    const $ = parseHTML(html);
+    const root = $('.menu').get(0);
+
+    const without = auditAccessibility($, root, { cssResults: [{ matches: [{ selector: '.menu a' }] }] });
+    assert(issuesOf(without, 'focus-styles').length === 1, 'Flags focusable content without :focus rules');
+
+    const withFocus = auditAccessibility($, root, { cssLibraryResults: [{ matches: [{ selector: '.menu a:focus-visible' }] }] });
+    assert(withFocus.issues.length === 0, 'Any matched :focus rule is enough');
+
+    const text = parseHTML('<p class="intro">Hi</p>');
+    assert(auditAccessibility(text, text('.intro').get(0)).issues.length === 0, 'Components without focusable elements need no focus styles');
+}
+
+async function testReports() {
+    const { outputs } = await scoop({ html: PAGE, selector: '.signup', files: FILES });
+    const md = outputs.markdown;
+    assert(md.includes('## ♿ Accessibility Audit') && md.includes('> 6 error(s), 3 warning(s)'), 'Markdown has the audit section');
+    assert(md.includes('| ❌ error | img-alt | `img` | 5 |') && md.includes('| **♿ Accessibility Issues** | 9 |'), 'Markdown lists issues and counts them in the summary');
+
+    const json = JSON.parse(outputs.json);
+    assert(json.accessibility.errors === 6 && json.accessibility.issues[0].check === 'img-alt', 'JSON report has the audit');
+
+    const conversion = await scoop({ html: PAGE, selector: '.signup', forConversion: true, files: FILES });
+    assert(conversion.outputs.markdown.includes('## ♿ Accessibility Fixes') && conversion.outputs.markdown.includes('- [ ] Fix the accessibility issues (9)'), 'Conversion output lists the fixes');
+
+    const lines = await scoop({ html: PAGE, lineRange: '3-16', files: FILES });
+    const alt = lines.analysis.accessibility.issues.find(issue => issue.check === 'img-alt');
+    assert(alt && alt.line === 5, 'Line ranges are audited with page line numbers', JSON.stringify(alt));
+
+    const clean = await scoop({ html: '<p class="intro">Hello</p>', selector: '.intro', files: {} });
+    assert(!clean.outputs.markdown.includes('Accessibility') && JSON.parse(clean.outputs.json).accessibility.issues.length === 0, 'Clean components have no audit section');
+}
+
+async function run() {
+    await testChecks();
+    testFocusStyles();
+    await testReports();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,84 @@
+/**
+ * Programmatic API Verification
+ * Runs scoop() on in-memory HTML and files and checks nothing touches the console or disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scoop } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+async function run() {
+    const events = [];
+    const originalConsole = { log: console.log, warn: console.warn };
+    let consoleCalls = 0;
+
+    let result;
+    try {
+        console.log = console.warn = () => consoleCalls++;
+
+        result = await scoop({
+            html: '<link rel="stylesheet" href="css/app.css"><div class="menu"><a class="menu__link">Home</a></div><div class="menu"></div>',
+            files: {
+                'css/app.css': '.menu { display: flex; }\n.menu__link { color: red; }',
+                'js/menu.js': "document.querySelector('.menu').classList.add('is-open');"
+            },
+            selector: '.menu',
+            onProgress: event => events.push(event)
+        });
+    } catch (e) {
+        result = null;
+        originalConsole.log(e.stack);
+    } finally {
+        Object.assign(console, originalConsole);
+    }
+
+    assert(result, 'scoop() resolves');
+    if (result) {
+        assert(consoleCalls === 0, 'Library code does not write to the console', `${consoleCalls} calls`);
+        assert(result.summary.cssMatches === 2, 'Matches rules from in-memory CSS', result.summary.cssMatches);
+        assert(result.summary.jsMatches === 1, 'Matches references from in-memory JS', result.summary.jsMatches);
+        assert(result.report.cssResults[0].isLinked, 'In-memory files count as linked');
+        assert(result.summary.missingImports.some(f => f.endsWith(path.join('js', 'menu.js'))), 'Unlinked in-memory files are reported as missing imports');
+        assert(result.outputs.markdown.includes('.menu__link') && JSON.parse(result.outputs.json).schemaVersion, 'Renders markdown and JSON in memory');
+        assert(events.some(e => e.level === 'warning' && e.message.includes('Found 2 elements')), 'Warnings are emitted as progress events');
+        assert(events.some(e => e.stage === 'css'), 'Progress events carry a stage');
+        assert(!fs.existsSync(path.join(process.cwd(), 'menu-analysis.md')), 'No report is written to disk');
+    }
+
+    try {
+        const options = {
+            html: '<div class="menu"></div>',
+            files: Object.fromEntries(Array.from({ length: 6 }, (_, i) => [`css/part-${i}.css`, `.menu { order: ${i}; }`])),
+            selector: '.menu',
+            formats: ['json']
+        };
+        const serial = await scoop({ ...options, concurrency: 1 });
+        const parallel = await scoop({ ...options, concurrency: 3 });
+        assert(JSON.stringify(parallel.report.cssResults) === JSON.stringify(serial.report.cssResults),
+            'Worker pool results match serial results in the same order');
+    } catch (e) {
+        assert(false, 'Worker pool results match serial results in the same order', e.message);
+    }
+
+    try {
+        await scoop({ html: '<div></div>' });
+        assert(false, 'Rejects calls without a target');
+    } catch (e) {
+        assert(/selector/.test(e.message), 'Rejects calls without a target');
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
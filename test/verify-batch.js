@@ -0,0 +1,127 @@
+/**
+ * Batch Verification
+ * Checks batch runs: targets manifests, one shared project scan, one report
+ * per target without overwriting each other, and the index file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateTargetsManifest } = require('../src/utils/validation');
+const { scanProject } = require('../src/utils/project-scanner');
+const { runBatchAnalysis } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const PAGE = `<html><head><link rel="stylesheet" href="site.css"></head><body>
+<div class="a"><span>One</span></div>
+<div class="a"><span>Two</span></div>
+<section class="b"><p>Three</p></section>
+</body></html>`;
+
+function testManifest(testDir) {
+    const manifestPath = path.join(testDir, 'manifests', 'targets.json');
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+
+    fs.writeFileSync(manifestPath, JSON.stringify({
+        targets: ['.a', { selector: '.a', matchIndex: 1, name: 'second' }, { lines: '4-4', output: '../out/b.md' }]
+    }));
+    const manifest = validateTargetsManifest(manifestPath);
+    assert(manifest.valid && manifest.targets.length === 3, 'Accepts selector strings and target objects', JSON.stringify(manifest.errors));
+    assert(manifest.targets[0].selector === '.a' && manifest.targets[1].matchIndex === 1 && manifest.targets[1].name === 'second', 'Keeps names and match indexes');
+    assert(manifest.targets[2].lineRange === '4-4' && manifest.targets[2].outputPath === path.join(testDir, 'out', 'b.md'), 'Resolves outputs relative to the manifest', manifest.targets[2].outputPath);
+
+    fs.writeFileSync(manifestPath, JSON.stringify([{ name: 'nothing' }, { selector: '.a', matchIndex: -1 }, { lines: 'top' }]));
+    const invalid = validateTargetsManifest(manifestPath);
+    assert(!invalid.valid && invalid.errors.length === 3 && invalid.errors[0].startsWith('Target #1'), 'Reports every invalid target', JSON.stringify(invalid.errors));
+
+    fs.writeFileSync(manifestPath, '[]');
+    assert(!validateTargetsManifest(manifestPath).valid, 'Rejects an empty manifest');
+    assert(/not found/.test(validateTargetsManifest(path.join(testDir, 'missing.json')).errors[0]), 'Reports a missing manifest');
+}
+
+async function testBatch(testDir) {
+    const htmlPath = path.join(testDir, 'page.html');
+    fs.writeFileSync(htmlPath, PAGE);
+    fs.writeFileSync(path.join(testDir, 'site.css'), '.a { color: red; }\n.b { margin: 0; }\n');
+
+    const projectScan = await scanProject(testDir, { cacheDir: null });
+    let closed = false;
+    const close = projectScan.close;
+    projectScan.close = async () => {
+        closed = true;
+        await close();
+    };
+
+    // Added after the scan: only a fresh scan would see it
+    fs.writeFileSync(path.join(testDir, 'late.css'), '.a span { color: blue; }\n');
+
+    const outputDir = path.join(testDir, 'reports');
+    fs.mkdirSync(outputDir);
+    const batch = await runBatchAnalysis({
+        htmlPath,
+        projectDir: testDir,
+        projectScan,
+        cacheDir: null,
+        indexPath: path.join(outputDir, 'codescoop-index.md'),
+        targets: [
+            { selector: '.a' },
+            { selector: '.a', matchIndex: 1 },
+            { selector: '.b', name: 'a-2' },
+            { selector: '.b', outputPath: path.join(outputDir, 'a-analysis.md') },
+            { selector: '.missing' }
+        ]
+    });
+
+    const reports = batch.results.map(result => path.basename(result.outputPath));
+    assert(reports.join() === 'a-analysis.md,a-2-analysis.md,a-2-2-analysis.md,a-3-analysis.md', 'Named and explicit report paths never overwrite another report', reports.join());
+    assert(reports.every(report => fs.existsSync(path.join(outputDir, report))), 'Writes one report per target');
+    assert(fs.readFileSync(path.join(outputDir, 'a-2-2-analysis.md'), 'utf-8').includes('.b { margin: 0; }'), 'Each report holds its own target');
+
+    assert(!closed && !fs.readFileSync(path.join(outputDir, 'a-analysis.md'), 'utf-8').includes('late.css'), 'Uses the shared scan and leaves it open');
+    await projectScan.close();
+
+    assert(batch.failures.length === 1 && batch.failures[0].name === '.missing', 'Failing targets are reported, not fatal', JSON.stringify(batch.failures));
+
+    const index = fs.readFileSync(batch.indexPath, 'utf-8');
+    assert(index.includes('[a-2-2-analysis.md](a-2-2-analysis.md)') && index.includes('**a-2**'), 'The index links every report', index);
+    assert(index.includes('.missing'), 'The index lists failures');
+
+    const json = await runBatchAnalysis({
+        htmlPath,
+        projectDir: testDir,
+        cacheDir: null,
+        format: 'json',
+        outputDir: path.join(testDir, 'json'),
+        targets: [{ selector: '.a' }, { selector: '.b' }]
+    });
+    const jsonIndex = JSON.parse(fs.readFileSync(json.indexPath, 'utf-8'));
+    assert(path.basename(json.indexPath) === 'codescoop-index.json' && jsonIndex.components.length === 2 && jsonIndex.components[1].report === 'b-analysis.json', 'JSON batches write a JSON index', JSON.stringify(jsonIndex));
+    assert(fs.readFileSync(path.join(path.dirname(json.indexPath), 'a-analysis.json'), 'utf-8').includes('late.css'), 'Without a shared scan the project is scanned for the batch');
+}
+
+async function run() {
+    const testDir = path.join(__dirname, 'batch-test');
+    fs.rmSync(testDir, { recursive: true, force: true });
+    fs.mkdirSync(testDir, { recursive: true });
+
+    try {
+        testManifest(testDir);
+        await testBatch(testDir);
+    } catch (e) {
+        assert(false, 'Batch analysis', e.stack);
+    } finally {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
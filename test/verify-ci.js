@@ -0,0 +1,56 @@
+/**
+ * CI Threshold Verification
+ * Ghost classes, missing assets, unlinked files and !important winners must be
+ * reported as violations only when they exceed the configured limits
+ */
+
+const { scoop } = require('../src/index');
+const { evaluateCIThresholds } = require('../src/utils/ci-checks');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+async function run() {
+    const { analysis } = await scoop({
+        html: '<link rel="stylesheet" href="css/app.css"><div class="card promo-banner"><img src="img/missing.png"></div>',
+        files: {
+            'css/app.css': '.card { color: red !important; }',
+            'css/theme.css': 'div.card { color: blue; }'
+        },
+        selector: '.card',
+        formats: []
+    });
+
+    const strict = evaluateCIThresholds(analysis, { maxImportantWinners: 0 });
+    const checks = strict.violations.map(v => v.check).sort().join(',');
+
+    assert(!strict.passed, 'Fails when thresholds are exceeded');
+    assert(checks === 'maxGhostClasses,maxImportantWinners,maxMissingAssets,maxUnlinkedFiles',
+        'Reports every broken threshold', checks);
+
+    const ghost = strict.violations.find(v => v.check === 'maxGhostClasses');
+    assert(ghost && ghost.items.includes('promo-banner') && ghost.message === '1 ghost class (max 0)',
+        'Violations list the offending items', ghost && ghost.message);
+
+    const important = strict.violations.find(v => v.check === 'maxImportantWinners');
+    assert(important && important.items[0].startsWith('color → .card'), 'Names the !important winner', important && important.items[0]);
+
+    const relaxed = evaluateCIThresholds(analysis, { maxGhostClasses: 1, maxMissingAssets: 1, maxUnlinkedFiles: 1 });
+    assert(relaxed.passed, 'Passes within the limits; !important winners are unchecked by default',
+        JSON.stringify(relaxed.violations.map(v => v.message)));
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run().catch(e => {
+    console.log(`[✗ FAIL] CI checks - ${e.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,126 @@
+/**
+ * Component Diff Verification
+ * Builds a throwaway git repository with two commits and checks that
+ * runComponentDiff() reads both revisions from git (not the working tree),
+ * including which linked files and assets exist at each revision
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { runComponentDiff } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+function commit(repoDir, files, message) {
+    for (const [filePath, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(repoDir, filePath)), { recursive: true });
+        fs.writeFileSync(path.join(repoDir, filePath), content);
+    }
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: repoDir, stdio: 'pipe' });
+    git('add', '-A');
+    git('commit', '-q', '-m', message);
+}
+
+async function testDeletedFiles() {
+    const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codescoop-diff-'));
+
+    try {
+        execFileSync('git', ['init', '-q'], { cwd: repoDir });
+        commit(repoDir, {
+            'index.html': '<link rel="stylesheet" href="css/extra.css"><header class="site-header"><img src="img/logo.png"></header>',
+            'css/extra.css': '.site-header { margin: 0; }\n',
+            'img/logo.png': 'png'
+        }, 'before');
+        execFileSync('git', ['rm', '-q', 'css/extra.css', 'img/logo.png'], { cwd: repoDir });
+        commit(repoDir, {}, 'after');
+
+        // The working tree has the logo back but not the stylesheet
+        fs.mkdirSync(path.join(repoDir, 'img'), { recursive: true });
+        fs.writeFileSync(path.join(repoDir, 'img/logo.png'), 'png');
+
+        const { before, after } = await runComponentDiff({
+            fromRef: 'HEAD~1',
+            toRef: 'HEAD',
+            htmlPath: path.join(repoDir, 'index.html'),
+            projectDir: repoDir,
+            selector: '.site-header',
+            outputPath: path.join(repoDir, 'diff.json'),
+            format: 'json'
+        });
+        const extra = before.report.cssResults.find(r => r.filePath.endsWith('extra.css'));
+
+        assert(extra && extra.isLinked, 'Linked files are checked against the older revision', JSON.stringify(extra && extra.isLinked));
+        assert(before.report.assetStatus.missing === 0 && after.report.assetStatus.missing === 1, 'Assets are checked against each revision',
+            `${before.report.assetStatus.missing} -> ${after.report.assetStatus.missing}`);
+    } catch (e) {
+        assert(false, 'Component diff with deleted files', e.message);
+    } finally {
+        fs.rmSync(repoDir, { recursive: true, force: true });
+    }
+}
+
+async function run() {
+    const repoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codescoop-diff-'));
+
+    try {
+        execFileSync('git', ['init', '-q'], { cwd: repoDir });
+        commit(repoDir, {
+            'index.html': '<link rel="stylesheet" href="css/site.css"><header class="site-header promo">Hi</header>',
+            'css/site.css': '.site-header { color: red; }\n.promo { padding: 1px; }\n',
+            'js/app.js': "document.querySelector('.site-header').hidden = false;"
+        }, 'before');
+        commit(repoDir, {
+            'css/site.css': '.site-header { color: blue; }\nheader.site-header { color: green !important; }\n',
+            'js/app.js': 'console.log(1);'
+        }, 'after');
+
+        // Uncommitted changes must not leak into either revision
+        fs.writeFileSync(path.join(repoDir, 'css/site.css'), '.site-header { color: purple; }');
+
+        const result = await runComponentDiff({
+            fromRef: 'HEAD~1',
+            toRef: 'HEAD',
+            htmlPath: path.join(repoDir, 'index.html'),
+            projectDir: repoDir,
+            selector: '.site-header',
+            outputPath: path.join(repoDir, 'diff.json'),
+            format: 'json'
+        });
+        const { css, js, winners, ghostClasses } = result.diff;
+
+        assert(css.added.map(e => e.match.selector).join() === 'header.site-header', 'Reports added CSS rules', JSON.stringify(css.added.map(e => e.match.selector)));
+        assert(css.removed.map(e => e.match.selector).join() === '.promo', 'Reports removed CSS rules');
+        assert(css.modified.length === 1 && css.modified[0].after.content.includes('blue'), 'Reports modified CSS rules from the committed tree');
+        assert(js.removed.length > 0 && js.added.length === 0, 'Reports removed JS references');
+        assert(winners.length === 1 && winners[0].property === 'color' && winners[0].after.hasImportant, 'Reports changed specificity winners');
+        assert(ghostClasses.added.includes('promo'), 'Reports new ghost classes');
+        assert(JSON.parse(fs.readFileSync(result.outputPath, 'utf-8')).after.commit.length === 40, 'Writes the JSON diff report');
+
+        try {
+            await runComponentDiff({ fromRef: 'no-such-branch', toRef: 'HEAD', htmlPath: path.join(repoDir, 'index.html'), projectDir: repoDir, selector: 'header' });
+            assert(false, 'Rejects unknown revisions');
+        } catch (e) {
+            assert(/no-such-branch/.test(e.message), 'Rejects unknown revisions', e.message);
+        }
+    } catch (e) {
+        assert(false, 'Component diff', e.message);
+    } finally {
+        fs.rmSync(repoDir, { recursive: true, force: true });
+    }
+
+    await testDeletedFiles();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,63 @@
+/**
+ * Project Config Verification
+ * Checks config discovery, validation and merging under CLI flags
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findConfigFile, loadConfigFile, mergeConfigIntoOptions } = require('../src/utils/config-loader');
+const { validateConfig } = require('../src/utils/validation');
+const { isLibraryFile, buildLibraryDefinitions } = require('../src/utils/library-detector');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const testDir = path.join(__dirname, 'config-test');
+const nestedDir = path.join(testDir, 'pages', 'blog');
+
+try {
+    fs.mkdirSync(nestedDir, { recursive: true });
+    fs.writeFileSync(path.join(testDir, '.codescooprc'), JSON.stringify({
+        dir: './theme',
+        format: 'json',
+        maxRules: 5,
+        ignore: ['**/legacy/**'],
+        libraries: { 'Acme UI': { type: 'css-framework', patterns: ['acme-ui'] } }
+    }));
+
+    const configPath = findConfigFile(nestedDir);
+    assert(configPath === path.join(testDir, '.codescooprc'), 'Finds config by walking up', configPath);
+
+    const { config } = loadConfigFile(configPath);
+    const validation = validateConfig(config, configPath);
+    assert(validation.valid, 'Valid config passes', validation.errors.join('; '));
+    assert(validation.config.dir === path.join(testDir, 'theme'), 'dir is resolved relative to the config file');
+
+    const options = { format: 'markdown', maxRules: '20' };
+    const sources = { format: 'cli', maxRules: 'default' };
+    mergeConfigIntoOptions(options, validation.config, key => sources[key]);
+    assert(options.format === 'markdown', 'CLI flags win over config');
+    assert(options.maxRules === 5, 'Config overrides defaults');
+    assert(options.ignore[0] === '**/legacy/**', 'Config-only keys are merged');
+
+    const libraries = buildLibraryDefinitions(validation.config.libraries);
+    assert(isLibraryFile('/site/css/acme-ui.css', libraries)?.name === 'Acme UI', 'Custom libraries are detected');
+    assert(isLibraryFile('/site/js/jquery.js', libraries)?.name === 'jQuery', 'Built-in libraries still detected');
+
+    const invalid = validateConfig({ format: 'xml', maxRules: -1, ignore: 'dist', libraries: { Bad: { patterns: ['('] } } }, configPath);
+    assert(!invalid.valid && invalid.errors.length === 4, 'Invalid values are reported', invalid.errors.join('; '));
+} catch (e) {
+    assert(false, 'Project config', e.message);
+} finally {
+    fs.rmSync(testDir, { recursive: true, force: true });
+}
+
+process.exit(failed > 0 ? 1 : 0);
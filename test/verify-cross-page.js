@@ -0,0 +1,132 @@
+/**
+ * Cross-Page Verification
+ * Checks the per-page variance of a component, the consolidated analysis
+ * and glob expansion on the command line
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { describeComponent, compareComponentVariants, mergeTargetInfos } = require('../src/utils/component-variance');
+const { runCrossPageAnalysis } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+function header(extraClass = '', currentAttr = '', links = 2) {
+    const items = Array.from({ length: links }, (_, i) => `<li class="item"><a href="/p${i}"${i === 0 ? currentAttr : ''}>P${i}</a></li>`).join('');
+    return `<header class="site-header${extraClass}"><ul class="menu">${items}</ul></header>`;
+}
+
+function testVariance() {
+    const features = describeComponent(header(' is-dark', ' aria-current="page"'));
+    assert(features.classes.join() === 'site-header,is-dark,menu,item', 'Collects classes of the whole component', features.classes.join());
+    assert(features.attributes.includes('a[aria-current="page"]') && features.attributes.includes('a[href="/p1"]'), 'Collects attributes with their element', features.attributes.join());
+    assert(features.children.join() === 'ul.menu ×1,li.item ×2,a ×2', 'Counts child elements', features.children.join());
+
+    const variance = compareComponentVariants([
+        { page: 'a.html', html: header() },
+        { page: 'b.html', html: header(' is-dark') },
+        { page: 'c.html', html: header('', '', 3) },
+        { page: 'd.html', html: null, error: 'No element found' }
+    ]);
+
+    assert(variance.pageCount === 4 && variance.foundCount === 3 && !variance.identical, 'Counts pages with the component');
+    const [a, b, c, d] = variance.pages;
+    assert(Object.values(a.extra).flat().length === 0 && Object.values(a.missing).flat().length === 0, 'A page matching the common structure has no differences');
+    assert(b.extra.classes.join() === 'is-dark' && b.missing.classes.length === 0, 'Reports extra classes', JSON.stringify(b));
+    assert(c.extra.children.join() === 'li.item ×3,a ×3' && c.missing.children.join() === 'li.item ×2,a ×2', 'Reports changed child element counts', JSON.stringify(c.extra));
+    assert(c.extra.attributes.join() === 'a[href="/p2"]', 'Reports extra attributes', c.extra.attributes.join());
+    assert(!d.found && d.error === 'No element found', 'Records pages without the component');
+
+    const dark = variance.varying.find(v => v.value === 'is-dark');
+    assert(dark && dark.kind === 'classes' && dark.pages.join() === 'b.html', 'Lists which pages have a varying feature');
+
+    const same = compareComponentVariants([{ page: 'a.html', html: header() }, { page: 'b.html', html: header() }]);
+    assert(same.identical && same.varying.length === 0, 'Identical components have no variance');
+
+    const merged = mergeTargetInfos([
+        { classes: ['a'], ids: ['x'], dataAttributes: [], shadowParts: [], summary: '<header>', html: '<header></header>', assets: { images: [{ src: '1.png' }] } },
+        { classes: ['a', 'b'], ids: [], dataAttributes: ['data-open'], shadowParts: [], summary: '<header>', html: '<header class="b"></header>', assets: { images: [{ src: '1.png' }, { src: '2.png' }] } }
+    ]);
+    assert(merged.classes.join() === 'a,b' && merged.ids.join() === 'x' && merged.dataAttributes.join() === 'data-open', 'Merges classes, IDs and attributes of every page');
+    assert(merged.assets.images.length === 2 && merged.html === '<header></header>' && merged.summary === '<header> (2 pages)', 'Merges assets and keeps the first page HTML');
+}
+
+async function testAnalysis() {
+    const testDir = path.join(__dirname, 'cross-page-test');
+    fs.rmSync(testDir, { recursive: true, force: true });
+    fs.mkdirSync(path.join(testDir, 'pages'), { recursive: true });
+
+    try {
+        fs.writeFileSync(path.join(testDir, 'site.css'), '.site-header { color: red; }\n.is-dark { background: black; }\n.unrelated { margin: 0; }\n');
+        const page = (body) => `<html><head><link rel="stylesheet" href="../site.css"></head><body>${body}</body></html>`;
+        fs.writeFileSync(path.join(testDir, 'pages', 'home.html'), page(header()));
+        fs.writeFileSync(path.join(testDir, 'pages', 'about.html'), page(header(' is-dark')));
+        fs.writeFileSync(path.join(testDir, 'pages', 'blank.html'), page('<main></main>'));
+
+        const pages = ['home.html', 'about.html', 'blank.html'].map(name => path.join(testDir, 'pages', name));
+        const result = await runCrossPageAnalysis({
+            pages,
+            projectDir: testDir,
+            selector: 'header',
+            format: 'json',
+            cacheDir: null,
+            outputPath: path.join(testDir, 'report.json')
+        });
+
+        const report = JSON.parse(fs.readFileSync(result.outputPath, 'utf-8'));
+        assert(report.pageCount === 3 && report.foundCount === 2 && report.representative === 'pages/home.html', 'Reports page counts and the representative page', JSON.stringify(report.pages));
+        assert(report.varying.some(v => v.value === 'is-dark' && v.pages.join() === 'pages/about.html'), 'JSON report lists the variance');
+
+        const selectors = report.report.cssResults.flatMap(r => r.matches.map(m => m.selector));
+        assert(selectors.includes('.site-header') && selectors.includes('.is-dark') && !selectors.includes('.unrelated'), 'Consolidated report covers classes from every page', selectors.join());
+        assert(result.cssMatches === 2 && result.variance.foundCount === 2, 'Returns the consolidated summary');
+
+        let missing = null;
+        try {
+            await runCrossPageAnalysis({ pages: [pages[2]], projectDir: testDir, selector: 'header', cacheDir: null });
+        } catch (error) {
+            missing = error;
+        }
+        assert(missing && /in any of the 1 pages/.test(missing.message), 'Fails when no page has the component');
+
+        const cli = spawnSync(process.execPath, [
+            path.join(__dirname, '..', 'bin', 'codescoop.js'),
+            path.join(testDir, 'pages', '*.html'),
+            '-s', 'header', '--no-cache', '--concurrency', '1', '--no-config'
+        ], { encoding: 'utf-8', timeout: 60000 });
+        const markdownPath = path.join(testDir, 'pages', 'site-header-pages.md');
+        assert(cli.status === 0 && /found on 2\/3 pages/.test(cli.stdout) && fs.existsSync(markdownPath), 'CLI expands globs into a cross-page run', cli.stdout + cli.stderr);
+
+        const markdown = fs.existsSync(markdownPath) ? fs.readFileSync(markdownPath, 'utf-8') : '';
+        assert(/\| `about\.html` \| \+`is-dark` \| — \| — \|/.test(markdown) && /`blank\.html` \| ❌ _not found_/.test(markdown), 'Markdown report has the per-page variance table');
+        assert(markdown.includes('# Component Analysis'), 'Markdown report includes the consolidated analysis');
+
+        const noSelector = spawnSync(process.execPath, [
+            path.join(__dirname, '..', 'bin', 'codescoop.js'),
+            pages[0], pages[1], '-l', '1-2', '--no-cache', '--no-config'
+        ], { encoding: 'utf-8', timeout: 60000 });
+        assert(noSelector.status === 1 && /single --selector/.test(noSelector.stderr), 'Rejects line ranges across pages', noSelector.stderr);
+    } catch (e) {
+        assert(false, 'Cross-page analysis', e.stack);
+    } finally {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+}
+
+async function run() {
+    testVariance();
+    await testAnalysis();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
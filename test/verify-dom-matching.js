@@ -0,0 +1,93 @@
+/**
+ * DOM Matching Verification
+ * Checks that CSS rules are evaluated against the parsed page: combinators
+ * and ancestors count, states are reported as conditions, and rules that only
+ * name a token of the component are listed separately
+ */
+
+const { parseHTML } = require('../src/parsers/html-parser');
+const { createSelectorEvaluator, evaluateMatches } = require('../src/utils/selector-evaluator');
+const { buildJSONReport } = require('../src/output/json');
+const { scoop } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const PAGE = `<html><head><link rel="stylesheet" href="site.css"></head><body>
+<header class="top">
+  <nav class="menu">
+    <a class="btn menu__link">Home</a>
+  </nav>
+</header>
+<aside class="sidebar"><a class="btn">Other</a></aside>
+</body></html>`;
+
+function testEvaluator() {
+    const $ = parseHTML(PAGE);
+    const { evaluate, nodesFor } = createSelectorEvaluator($, $('.menu').get(0));
+
+    assert(!evaluate('.sidebar .btn').applies, 'Descendant combinators must hold');
+    assert(!evaluate('.btn + .btn').applies && evaluate('nav > a').applies, 'Sibling and child combinators are evaluated');
+
+    const ancestor = evaluate('.top .btn');
+    assert(ancestor.applies && ancestor.elements.length === 1 && ancestor.elements[0].element === 'a.btn.menu__link' && ancestor.elements[0].line === 4, 'Ancestors outside the component count and matched elements are listed', JSON.stringify(ancestor));
+
+    assert(nodesFor('.top .btn').length === 1 && nodesFor('.top .btn')[0] === $('.menu .btn').get(0), 'Matched DOM nodes are available apart from the report result');
+
+    const hover = evaluate('.menu .btn:hover::after');
+    assert(hover.applies && hover.conditions.join() === ':hover', 'States and pseudo-elements become conditions', JSON.stringify(hover));
+
+    const stateClass = evaluate('.menu.is-open .btn');
+    assert(stateClass.applies && stateClass.conditions.join() === '.is-open', 'Classes missing from the page become conditions', JSON.stringify(stateClass));
+    assert(!evaluate('.is-open .btn').applies, 'A missing class on its own is not relaxed');
+
+    assert(evaluate('.btn:not(:hover)').conditions.length === 0, 'States inside :not() are not conditions');
+    assert(evaluate('.menu:has(> .btn)').applies, 'Relative selectors inside :has() work');
+
+    const unsupported = evaluate(':host .btn');
+    assert(!unsupported.evaluated && unsupported.applies, 'Unsupported selectors keep the token match');
+
+    const { matches, mentions } = evaluateMatches([
+        { selector: '.btn', matchedOn: ['class: btn'] },
+        { selector: '.sidebar .btn', matchedOn: ['class: btn'] },
+        { selector: '@keyframes spin', isKeyframes: true, matchedOn: ['animation: spin'] }
+    ], { evaluate });
+    assert(matches.map(m => m.selector).join() === '.btn,@keyframes spin' && mentions.map(m => m.selector).join() === '.sidebar .btn', 'Splits matches from mentions and keeps keyframes');
+}
+
+async function testReports() {
+    const css = '.btn { color: red; }\n.sidebar .btn { color: blue; }\n.top .btn:hover { color: green; }\n';
+    const result = await scoop({ html: PAGE, selector: '.menu', files: { 'site.css': css } });
+    const { analysis, outputs } = result;
+
+    const selectors = analysis.cssResults[0].matches.map(m => m.selector);
+    assert(selectors.join() === '.btn,.top .btn:hover', 'Only applying rules are reported', selectors.join());
+    assert(analysis.cssMentions.length === 1 && analysis.cssMentions[0].mentions[0].selector === '.sidebar .btn', 'Rules that do not apply are kept as mentions');
+    assert(!Object.values(analysis.conflicts).some(c => c.losers.concat(c.winner).some(r => r.selector === '.sidebar .btn')), 'Mentions are left out of conflicts');
+
+    assert(outputs.markdown.includes('**Applies to:** `a.btn.menu__link` (line 4)') && outputs.markdown.includes('**Only when:** `:hover`'), 'Markdown lists matched elements and conditions');
+    assert(/## 🚫 Mentions But Does Not Apply[\s\S]*\| `\.sidebar \.btn` \| `site\.css:2` \| class: btn \|/.test(outputs.markdown), 'Markdown has the mentions section');
+
+    const report = buildJSONReport(analysis);
+    assert(report.cssResults[0].matches[0].appliesTo[0].element === 'a.btn.menu__link' && report.cssMentions[0].filePath === 'site.css', 'JSON report has appliesTo and cssMentions');
+
+    // Line ranges have no single element to evaluate against
+    const lines = await scoop({ html: PAGE, lineRange: '3-5', files: { 'site.css': css } });
+    assert(lines.analysis.cssMentions.length === 0 && lines.analysis.cssResults[0].matches.length === 3, 'Line ranges keep token matching');
+}
+
+async function run() {
+    testEvaluator();
+    await testReports();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,103 @@
+/**
+ * Per-Element Breakdown Verification
+ * Checks the component tree built with --per-element: rules, winning
+ * declarations and JS references attached to the element they target
+ */
+
+const { scoop } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const PAGE = `<html><head><link rel="stylesheet" href="site.css"></head><body>
+<nav class="menu">
+  <ul class="menu__list">
+    <li class="menu__item"><a class="btn" href="#">A</a></li>
+    <li class="menu__item"><a class="btn" id="cta" href="#">B</a></li>
+  </ul>
+</nav>
+<script src="site.js"></script>
+</body></html>`;
+
+const FILES = {
+    'site.css': '.menu { display: flex; }\n.btn { color: red; }\n.menu .btn { color: blue; }\n.btn:hover { color: green; }\n#cta { font-weight: bold; }\n',
+    'site.js': [
+        "document.getElementById('cta').addEventListener('click', () => {});",
+        '', '', '', '', '', '',
+        "document.querySelectorAll('.menu__item').forEach(item => item.remove());",
+        '', '', '', '', '', '',
+        "el.classList.toggle('btn');"
+    ].join('\n')
+};
+
+async function testTree() {
+    const { analysis, outputs } = await scoop({ html: PAGE, selector: '.menu', perElement: true, files: FILES });
+    const tree = analysis.elementTree;
+
+    assert(tree && tree.element === 'nav.menu' && tree.line === 2, 'Root is the component', tree && tree.element);
+    const [list] = tree.children;
+    const [first, second] = list.children;
+    const cta = second.children[0];
+    assert(list.element === 'ul.menu__list' && first.element === 'li.menu__item' && cta.element === 'a#cta.btn' && cta.line === 5, 'Tree follows the markup');
+
+    assert(cta.rules.map(r => r.selector).join() === '.btn,.menu .btn,.btn:hover,#cta', 'Each element lists the rules that apply to it', cta.rules.map(r => r.selector).join());
+    assert(cta.rules[2].conditions.join() === ':hover' && tree.rules.map(r => r.selector).join() === '.menu', 'Rules keep their conditions and stay on their own element');
+
+    const wins = Object.fromEntries(cta.declarations.map(d => [d.property, d]));
+    assert(wins.color.value === 'blue' && wins.color.selector === '.menu .btn' && wins['font-weight'].selector === '#cta', 'Winning declarations come from the specificity ranking', JSON.stringify(cta.declarations));
+    assert(first.declarations.length === 0 && list.rules.length === 0, 'Unstyled elements have no rules');
+
+    const refs = (node) => node.jsReferences.map(ref => ref.selector || ref.value).join();
+    assert(refs(cta) === '#cta,btn' && refs(first) === '.menu__item' && refs(first.children[0]) === 'btn', 'JS references attach to the elements they target', `${refs(cta)} | ${refs(first)}`);
+    assert(refs(tree) === '' && refs(list) === '', 'Selector calls are not repeated as string literals');
+
+    const md = outputs.markdown;
+    assert(md.includes('## 🌳 Per-Element Breakdown') && md.includes('6 element(s)'), 'Markdown has the breakdown section');
+    assert(md.includes('      - **`a#cta.btn`** (line 5)\n        - CSS `.btn` — `site.css:2`'), 'Markdown outline is nested by depth');
+    assert(md.includes('- Wins: `color: blue` (`.menu .btn`), `font-weight: bold` (`#cta`)') && md.includes("- JS `#cta` via getElementById()") && md.includes("- JS string `'btn'`"), 'Markdown lists winners and JS references');
+
+    const json = JSON.parse(outputs.json).elementTree;
+    assert(json.children[0].children[1].children[0].rules[0].filePath === 'site.css' && json.children[0].children[1].children[0].declarations.length === 2, 'JSON report has the element tree');
+}
+
+async function testOptional() {
+    const plain = await scoop({ html: PAGE, selector: '.menu', files: FILES });
+    assert(plain.analysis.elementTree === null && !plain.outputs.markdown.includes('Per-Element') && JSON.parse(plain.outputs.json).elementTree === null, 'Breakdown is off by default');
+
+    const warnings = [];
+    const lines = await scoop({
+        html: PAGE, lineRange: '2-7', perElement: true, files: FILES,
+        onProgress: (event) => { if (event.level === 'warning') warnings.push(event.message); }
+    });
+    assert(lines.analysis.elementTree === null && warnings.some(w => w.includes('per-element breakdown needs a selector')), 'Line ranges skip the breakdown with a warning');
+}
+
+async function testLinkOrder() {
+    // Linked in the opposite of scan (alphabetical) order: the last link wins a tie
+    const { analysis, outputs } = await scoop({
+        html: '<link rel="stylesheet" href="b.css"><link rel="stylesheet" href="a.css"><div class="card">Hi</div>',
+        selector: '.card',
+        perElement: true,
+        files: { 'a.css': '.card { color: red; }\n', 'b.css': '.card { color: blue; }\n' }
+    });
+    const [color] = analysis.elementTree.declarations;
+    assert(color && color.value === 'red' && color.filePath.endsWith('a.css'), 'Ties across stylesheets go to the one linked last', JSON.stringify(color));
+    assert(outputs.markdown.includes('- Wins: `color: red` (`.card`)'), 'Markdown shows the winner of a cross-file tie');
+}
+
+async function run() {
+    await testTree();
+    await testOptional();
+    await testLinkOrder();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
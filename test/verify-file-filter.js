@@ -0,0 +1,115 @@
+/**
+ * File Filter Verification
+ * Checks --include / --exclude globs, .gitignore / .codescoopignore support,
+ * the max file size and the reported skip reasons
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findProjectFiles, classifyProjectFiles } = require('../src/utils/file-scanner');
+const { parseIgnoreFile, createIgnoreMatcher } = require('../src/utils/ignore-files');
+const { parseFileSize, validateConfig } = require('../src/utils/validation');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+function write(root, files) {
+    for (const [filePath, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, filePath)), { recursive: true });
+        fs.writeFileSync(path.join(root, filePath), content);
+    }
+}
+
+function testIgnoreRules() {
+    const rules = [
+        ...parseIgnoreFile('# comment\n*.log\n/generated/\ntmp\n!tmp/keep.css\n', '.gitignore'),
+        ...parseIgnoreFile('legacy.css\n', 'themes/.gitignore')
+    ];
+    const isIgnored = createIgnoreMatcher(rules);
+
+    assert(isIgnored('a/b/debug.log') === '.gitignore', 'Unanchored patterns match at any depth');
+    assert(isIgnored('generated/x.css') === '.gitignore' && isIgnored('src/generated/x.css') === null, 'Leading slash anchors to the ignore file directory');
+    assert(isIgnored('tmp/keep.css') === '.gitignore', 'Files inside an ignored directory cannot be re-included');
+    assert(isIgnored('themes/legacy.css') === 'themes/.gitignore' && isIgnored('legacy.css') === null, 'Nested ignore files apply to their own directory');
+
+    const negated = createIgnoreMatcher(parseIgnoreFile('*.css\n!keep.css\n', '.codescoopignore'));
+    assert(negated('drop.css') === '.codescoopignore' && negated('keep.css') === null, 'Negated patterns re-include files');
+}
+
+async function testScanner() {
+    const testDir = path.join(__dirname, 'file-filter-test');
+    fs.rmSync(testDir, { recursive: true, force: true });
+
+    try {
+        write(testDir, {
+            '.gitignore': 'generated/\n',
+            '.codescoopignore': 'legacy/**\n',
+            'src/app.css': '.a {}',
+            'src/app.js': 'let a;',
+            'dist/theme.css': '.b {}',
+            'node_modules/lib/lib.css': '.c {}',
+            'generated/out.css': '.d {}',
+            'legacy/old.css': '.e {}',
+            'src/big.css': `.f { content: "${'x'.repeat(4096)}"; }`
+        });
+
+        const rel = (files) => files.map(f => path.relative(testDir, f).split(path.sep).join('/'));
+
+        const defaults = await findProjectFiles(testDir);
+        assert(rel(defaults.css).join() === 'src/app.css,src/big.css' && rel(defaults.js).join() === 'src/app.js', 'Default scan skips built-in and ignore-file paths', rel(defaults.css).join());
+
+        const reasons = Object.fromEntries(defaults.skipped.map(s => [s.path, s.reason]));
+        assert(/built-in ignore/.test(reasons['dist/']) && /built-in ignore/.test(reasons['node_modules/']), 'Reports built-in ignores', JSON.stringify(reasons));
+        assert(reasons['generated/'] === 'ignored by .gitignore' && reasons['legacy/old.css'] === 'ignored by .codescoopignore', 'Reports ignore-file skips', JSON.stringify(reasons));
+
+        const withDist = await findProjectFiles(testDir, { include: ['dist/**', 'src/**'] });
+        assert(rel(withDist.css).join() === 'dist/theme.css,src/app.css,src/big.css', 'Rooted --include overrides the built-in ignores', rel(withDist.css).join());
+
+        const onlyCSS = await findProjectFiles(testDir, { include: ['**/*.css'] });
+        assert(!rel(onlyCSS.css).some(f => f.startsWith('dist/') || f.startsWith('node_modules/')) && onlyCSS.js.length === 0, 'Catch-all --include keeps the built-in ignores');
+        assert(onlyCSS.skipped.some(s => s.path === 'src/app.js' && s.reason === 'not matched by --include'), 'Reports files outside --include');
+
+        const excluded = await findProjectFiles(testDir, { ignore: ['src/big.css'] });
+        assert(rel(excluded.css).join() === 'src/app.css' && excluded.skipped.some(s => s.reason === 'excluded by "src/big.css"'), 'Applies --exclude globs');
+
+        const noIgnoreFiles = await findProjectFiles(testDir, { ignoreFiles: false });
+        assert(rel(noIgnoreFiles.css).includes('generated/out.css') && rel(noIgnoreFiles.css).includes('legacy/old.css'), '--no-ignore-files scans ignored paths');
+
+        const small = await findProjectFiles(testDir, { maxFileSize: 1024 });
+        const sizeSkip = small.skipped.find(s => s.path === 'src/big.css');
+        assert(!rel(small.css).includes('src/big.css') && sizeSkip && /larger than 1 KB/.test(sizeSkip.reason), 'Skips files over the max size', JSON.stringify(sizeSkip));
+
+        const classified = classifyProjectFiles(['src/app.css', 'dist/theme.css', 'src/app.js'], { include: ['dist/**'] });
+        assert(classified.css.join() === 'dist/theme.css' && classified.js.length === 0, 'classifyProjectFiles applies --include');
+    } catch (e) {
+        assert(false, 'File scanner', e.stack);
+    } finally {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+}
+
+function testOptions() {
+    assert(parseFileSize('500kb').bytes === 512000 && parseFileSize('2 MB').bytes === 2097152 && parseFileSize(0).bytes === 0, 'Parses file sizes');
+    assert(!parseFileSize('big').valid && !parseFileSize('-1').valid, 'Rejects invalid file sizes');
+
+    const config = validateConfig({ include: ['dist/**'], ignore: ['tmp/**'], maxFileSize: '1mb', ignoreFiles: false }, '/project/.codescooprc');
+    assert(config.valid && config.config.maxFileSize === 1048576 && config.config.include[0] === 'dist/**' && config.config.ignoreFiles === false, 'Accepts file filter config keys', JSON.stringify(config));
+    assert(!validateConfig({ include: 'dist/**' }, '/project/.codescooprc').valid, 'Rejects a non-array include');
+}
+
+async function run() {
+    testIgnoreRules();
+    await testScanner();
+    testOptions();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
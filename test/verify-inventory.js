@@ -0,0 +1,110 @@
+/**
+ * Inventory Verification
+ * Checks component detection across the DOM tree and the inventory run:
+ * one report per component plus the summary table
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseHTML, detectRepeatedStructures } = require('../src/parsers/html-parser');
+const { detectComponents } = require('../src/utils/component-detector');
+const { runInventory } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const PAGE = `<html><head><link rel="stylesheet" href="site.css"></head><body>
+<header class="site-header"><nav id="main-nav"><a href="/">Home</a></nav></header>
+<div class="wrapper">
+  <div class="layout">
+    <div class="promo"><p class="promo__text">Sale</p></div>
+    <ul class="products">
+      <li class="product"><span>A</span></li>
+      <li class="product product--new"><span>B</span></li>
+      <li class="product"><span id="deep">C</span></li>
+    </ul>
+  </div>
+  <div class="promo"><p class="promo__text">Again</p></div>
+</div>
+<input id="search">
+<footer><p>Footer</p></footer>
+<script src="site.js"></script>
+</body></html>`;
+
+function testDetection() {
+    const components = detectComponents(parseHTML(PAGE));
+    const byName = Object.fromEntries(components.map(c => [c.name, c]));
+
+    assert(components.map(c => c.name).join() === 'site-header,main-nav,promo,product,promo-2,footer', 'Detects components in document order', components.map(c => c.name).join());
+    assert(byName['main-nav'].parent === 'site-header' && byName['main-nav'].depth === 1 && byName['main-nav'].selector === '#main-nav', 'Nested components keep their parent');
+    assert(byName.promo.reasons.includes('BEM block .promo') && byName.promo.depth === 0, 'Finds BEM blocks deep inside plain wrappers', JSON.stringify(byName.promo));
+    assert(byName['promo-2'].selector === 'div.promo' && byName['promo-2'].matchIndex === 1, 'Repeated selectors use a match index');
+    assert(byName.product.repeated === 3 && byName.product.reasons.includes('repeated ×3'), 'Detects repeated sibling structures, modifiers included');
+    assert(!components.some(c => c.name === 'deep' || c.name === 'search'), 'Skips other repeats and ids on leaf elements');
+
+    // Same classes, but the third card has another structure
+    const $grid = parseHTML('<body><div class="grid"><div class="card"><h3>A</h3></div><div class="card"><h3>B</h3></div><div class="card"><p>Ad</p></div></div></body>');
+    const [card] = detectComponents($grid).filter(c => c.repeated);
+    const [items] = detectRepeatedStructures($grid('.grid'), $grid);
+    assert(card && items && card.repeated === 2 && items.count === 2, 'Agrees with the item templates on what repeats', JSON.stringify({ inventory: card && card.repeated, template: items && items.count }));
+}
+
+async function testInventory() {
+    const testDir = path.join(__dirname, 'inventory-test');
+    fs.rmSync(testDir, { recursive: true, force: true });
+    fs.mkdirSync(testDir, { recursive: true });
+
+    try {
+        fs.writeFileSync(path.join(testDir, 'page.html'), PAGE);
+        fs.writeFileSync(path.join(testDir, 'site.css'), '.site-header { color: red; }\n.promo__text { font-weight: bold; }\n.product { display: flex; }\n');
+        fs.writeFileSync(path.join(testDir, 'site.js'), "document.querySelectorAll('.product').forEach(el => el.classList.add('ready'));\n");
+
+        const inventory = await runInventory({
+            htmlPath: path.join(testDir, 'page.html'),
+            projectDir: testDir,
+            format: 'json',
+            cacheDir: null
+        });
+
+        assert(inventory.outputDir === path.join(testDir, 'page-inventory') && inventory.failures.length === 0, 'Writes into <page>-inventory/', inventory.outputDir);
+        const reports = fs.readdirSync(inventory.outputDir).sort();
+        assert(reports.length === 7 && reports.includes('inventory.json') && reports.includes('promo-2-analysis.json'), 'Writes one report per component plus the summary', reports.join());
+
+        const summary = JSON.parse(fs.readFileSync(inventory.summaryPath, 'utf-8'));
+        const product = summary.components.find(c => c.name === 'product');
+        assert(product && product.cssMatches === 1 && product.jsMatches === 1 && product.repeated === 3, 'Summary has dependency counts', JSON.stringify(product));
+        assert(product && product.startLine === 7 && product.lines === 1 && product.bytes > 0 && product.report === 'product-analysis.json', 'Summary has location, size and report link');
+
+        const header = summary.components.find(c => c.name === 'site-header');
+        assert(header && header.ghostClasses.length === 0 && summary.components.find(c => c.name === 'main-nav').parent === 'site-header', 'Summary has ghost classes and nesting');
+
+        const markdown = await runInventory({
+            htmlPath: path.join(testDir, 'page.html'),
+            projectDir: testDir,
+            outputPath: path.join(testDir, 'md'),
+            cacheDir: null
+        });
+        const table = fs.readFileSync(markdown.summaryPath, 'utf-8');
+        assert(table.includes('6 component(s) detected, 6 analyzed') && /\| &nbsp;&nbsp;↳ \*\*main-nav\*\* \|/.test(table) && table.includes('[product-analysis.md](product-analysis.md)'), 'Markdown summary table', table);
+    } catch (e) {
+        assert(false, 'Inventory', e.stack);
+    } finally {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+}
+
+async function run() {
+    testDetection();
+    await testInventory();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
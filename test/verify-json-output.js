@@ -0,0 +1,79 @@
+/**
+ * JSON Output Verification
+ * Runs an analysis with --format json semantics and checks the documented schema fields
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runAnalysis } = require('../src/index');
+const { JSON_SCHEMA_VERSION } = require('../src/output/json');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+async function run() {
+    const testDir = path.join(__dirname, 'json-output-test');
+    fs.mkdirSync(testDir, { recursive: true });
+
+    try {
+        fs.writeFileSync(path.join(testDir, 'page.html'),
+            '<link rel="stylesheet" href="style.css"><div class="card"><span class="card__title missing-style">Hi</span></div>');
+        fs.writeFileSync(path.join(testDir, 'style.css'),
+            '.card { color: red; }\n.card .card__title { color: blue !important; }\n.card__title { color: green; }');
+
+        const result = await runAnalysis({
+            htmlPath: path.join(testDir, 'page.html'),
+            projectDir: testDir,
+            selector: '.card',
+            format: 'json',
+            includeInline: false
+        });
+
+        assert(result.outputPath.endsWith('card-analysis.json'), 'Default output path uses .json extension', result.outputPath);
+
+        const report = JSON.parse(fs.readFileSync(result.outputPath, 'utf-8'));
+
+        assert(report.schemaVersion === JSON_SCHEMA_VERSION, 'Has schemaVersion', report.schemaVersion);
+        assert(report.targetInfo.classes.includes('card__title'), 'targetInfo lists descendant classes');
+        assert(report.cssResults.length === 1 && report.cssResults[0].filePath === 'style.css',
+            'cssResults paths are project-relative', JSON.stringify(report.cssResults.map(r => r.filePath)));
+        assert(report.cssResults[0].isLinked === true, 'cssResults carry link status');
+
+        const colorConflict = report.conflicts.find(c => c.property === 'color');
+        assert(colorConflict && colorConflict.winner.hasImportant, 'conflicts report the !important winner');
+        assert(report.ghostData.ghostClasses.includes('missing-style'), 'ghostData lists ghost classes');
+        assert(typeof report.assetStatus.total === 'number', 'assetStatus is included');
+
+        // Linked in the opposite of scan (alphabetical) order: the last link wins a tie
+        fs.writeFileSync(path.join(testDir, 'linked.html'),
+            '<link rel="stylesheet" href="b.css"><link rel="stylesheet" href="a.css"><div class="box">Hi</div>');
+        fs.writeFileSync(path.join(testDir, 'a.css'), '.box { color: red; }');
+        fs.writeFileSync(path.join(testDir, 'b.css'), '.box { color: blue; }');
+
+        const linked = await runAnalysis({
+            htmlPath: path.join(testDir, 'linked.html'),
+            projectDir: testDir,
+            selector: '.box',
+            format: 'json',
+            includeInline: false
+        });
+        const tie = JSON.parse(fs.readFileSync(linked.outputPath, 'utf-8')).conflicts.find(c => c.property === 'color');
+        assert(tie && tie.winner.file === 'a.css' && tie.winner.value === 'red', 'conflicts across stylesheets follow link order', JSON.stringify(tie));
+    } catch (e) {
+        assert(false, 'JSON output', e.message);
+    } finally {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
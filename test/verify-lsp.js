@@ -0,0 +1,144 @@
+/**
+ * Language Server Verification
+ * Spawns `codescoop lsp` and exercises hover and go-to-definition over stdio
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { pathToFileURL } = require('url');
+const { findClassAtPosition, targetsClass } = require('../src/cli/lsp');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+function testClassDetection() {
+    const html = '<div class="card  card--wide">\n  <p class="title <?php echo $extra; ?>">Hi</p>\n</div>';
+
+    assert(findClassAtPosition(html, { line: 0, character: 14 })?.className === 'card', 'Finds the class under the cursor');
+    assert(findClassAtPosition(html, { line: 0, character: 22 })?.className === 'card--wide', 'Finds the second class of an attribute');
+    assert(findClassAtPosition(html, { line: 0, character: 2 }) === null, 'Ignores positions outside class attributes');
+    assert(findClassAtPosition(html, { line: 1, character: 30 }) === null, 'Ignores template expressions inside class attributes');
+
+    const range = findClassAtPosition(html, { line: 1, character: 14 })?.range;
+    assert(JSON.stringify(range) === JSON.stringify({ start: { line: 1, character: 12 }, end: { line: 1, character: 17 } }), 'Returns the range of the class', JSON.stringify(range));
+
+    assert(targetsClass('.card:hover', 'card') && targetsClass('main > .card.is-open', 'card'), 'Rules on the class apply to it');
+    assert(!targetsClass('.card .title', 'card') && !targetsClass('.card-body', 'card'), 'Descendant and prefixed selectors do not');
+}
+
+async function testServer() {
+    const testDir = path.join(__dirname, 'lsp-test');
+    fs.mkdirSync(path.join(testDir, 'css'), { recursive: true });
+    let child;
+
+    try {
+        fs.writeFileSync(path.join(testDir, 'css', 'base.css'), '.btn { color: red; padding: 4px; }\n');
+        fs.writeFileSync(path.join(testDir, 'css', 'theme.css'), '.btn { color: blue; }\n\n.btn .icon { margin: 0; }\n');
+        const templatePath = path.join(testDir, 'page.blade.php');
+        const template = '<link rel="stylesheet" href="css/base.css">\n<link rel="stylesheet" href="css/theme.css">\n<a class="btn {{ $active }}">Go</a>\n';
+        fs.writeFileSync(templatePath, template);
+
+        child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'codescoop.js'), 'lsp', '--stdio', '--no-cache', '--concurrency', '1'], {
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        let stderr = '';
+        child.stderr.on('data', chunk => { stderr += chunk; });
+
+        let buffer = Buffer.alloc(0);
+        const waiting = new Map();
+        child.stdout.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            for (; ;) {
+                const headerEnd = buffer.indexOf('\r\n\r\n');
+                if (headerEnd === -1) return;
+                const length = parseInt(buffer.slice(0, headerEnd).toString().match(/Content-Length: (\d+)/)[1], 10);
+                if (buffer.length < headerEnd + 4 + length) return;
+                const message = JSON.parse(buffer.slice(headerEnd + 4, headerEnd + 4 + length).toString());
+                buffer = buffer.slice(headerEnd + 4 + length);
+                const resolve = waiting.get(message.id);
+                if (resolve) {
+                    waiting.delete(message.id);
+                    resolve(message);
+                }
+            }
+        });
+
+        const write = (message) => {
+            const body = JSON.stringify({ jsonrpc: '2.0', ...message });
+            child.stdin.write(`Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+        };
+
+        let nextId = 1;
+        const call = (method, params) => new Promise((resolve, reject) => {
+            const id = nextId++;
+            const timer = setTimeout(() => reject(new Error(`No response to ${method}`)), 20000);
+            waiting.set(id, message => {
+                clearTimeout(timer);
+                resolve(message);
+            });
+            write({ id, method, params });
+        });
+
+        const early = await call('textDocument/hover', { textDocument: { uri: pathToFileURL(templatePath).href }, position: { line: 2, character: 10 } });
+        assert(early.error && early.error.code === -32002, 'Rejects requests before initialize', JSON.stringify(early));
+
+        const init = await call('initialize', { processId: null, rootUri: pathToFileURL(testDir).href, capabilities: {} });
+        assert(init.result.capabilities.hoverProvider && init.result.capabilities.definitionProvider, 'Advertises hover and definition', JSON.stringify(init));
+        write({ method: 'initialized', params: {} });
+
+        const uri = pathToFileURL(templatePath).href;
+        write({ method: 'textDocument/didOpen', params: { textDocument: { uri, languageId: 'blade', version: 1, text: template } } });
+
+        const hover = await call('textDocument/hover', { textDocument: { uri }, position: { line: 2, character: 10 } });
+        const markdown = hover.result && hover.result.contents.value;
+        assert(/\| `color` \| `blue` \(overrides 1\) \| `\.btn` css\/theme\.css:1 \|/.test(markdown), 'Hover shows the winning declaration', markdown);
+        assert(markdown && markdown.includes('(0,0,1,0)') && markdown.includes('padding: 4px'), 'Hover shows matching rules with specificity');
+        assert(markdown && /\.btn \.icon.*context only/.test(markdown) && !/`margin`/.test(markdown), 'Context-only rules do not take part in the cascade');
+
+        const definition = await call('textDocument/definition', { textDocument: { uri }, position: { line: 2, character: 10 } });
+        const targets = (definition.result || []).map(l => `${path.basename(new URL(l.uri).pathname)}:${l.range.start.line}`);
+        assert(targets.join() === 'base.css:0,theme.css:0', 'Go-to-definition jumps to the rules', targets.join());
+
+        write({ method: 'textDocument/didChange', params: { textDocument: { uri, version: 2 }, contentChanges: [{ text: '<a class="icon btn">Go</a>' }] } });
+        const changed = await call('textDocument/hover', { textDocument: { uri }, position: { line: 0, character: 11 } });
+        assert(changed.result && changed.result.contents.value.includes('`.icon`'), 'Uses the unsaved document text', JSON.stringify(changed.result));
+
+        write({ method: 'textDocument/didChange', params: { textDocument: { uri, version: 3 } } });
+        const afterBadNotification = await call('textDocument/hover', { textDocument: { uri }, position: { line: 0, character: 11 } });
+        assert(afterBadNotification.result && afterBadNotification.result.contents.value.includes('`.icon`'), 'A failing notification does not stop later requests', JSON.stringify(afterBadNotification));
+        assert(stderr.includes('codescoop lsp: textDocument/didChange failed'), 'Failing notifications are logged to stderr', stderr);
+
+        const outside = await call('textDocument/hover', { textDocument: { uri }, position: { line: 0, character: 1 } });
+        assert(outside.result === null, 'Returns nothing outside class attributes');
+
+        const shutdown = await call('shutdown', null);
+        assert(shutdown.result === null, 'Handles shutdown');
+        write({ method: 'exit' });
+        const exitCode = await new Promise(resolve => child.once('exit', resolve));
+        assert(exitCode === 0, 'Exits cleanly after shutdown', exitCode);
+        child = null;
+    } catch (e) {
+        assert(false, 'Language server', e.stack);
+    } finally {
+        if (child) child.kill();
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+}
+
+async function run() {
+    testClassDetection();
+    await testServer();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
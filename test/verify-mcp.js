@@ -0,0 +1,119 @@
+/**
+ * MCP Server Verification
+ * Spawns `codescoop mcp` and talks JSON-RPC to it over stdio
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+async function run() {
+    const testDir = path.join(__dirname, 'mcp-test');
+    fs.mkdirSync(testDir, { recursive: true });
+    let child;
+
+    try {
+        fs.writeFileSync(path.join(testDir, 'index.html'), '<link rel="stylesheet" href="app.css"><header class="top"><nav class="menu ghost"></nav></header>');
+        fs.writeFileSync(path.join(testDir, 'app.css'), '.top { color: red; }\n.menu { margin: 0; }\nheader.top { color: blue; }\n');
+        // Linked in the opposite of scan (alphabetical) order
+        fs.writeFileSync(path.join(testDir, 'linked.html'), '<link rel="stylesheet" href="b.css"><link rel="stylesheet" href="a.css"><div class="card">Hi</div>');
+        fs.writeFileSync(path.join(testDir, 'a.css'), '.card { color: red; }\n');
+        fs.writeFileSync(path.join(testDir, 'b.css'), '.card { color: blue; }\n');
+        fs.writeFileSync(path.join(testDir, 'app.js'), "document.querySelector('.menu').hidden = true;");
+
+        child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'codescoop.js'), 'mcp', testDir, '--no-cache', '--concurrency', '1'], {
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        const stdout = [];
+        const waiting = new Map();
+        readline.createInterface({ input: child.stdout }).on('line', line => {
+            stdout.push(line);
+            const message = JSON.parse(line);
+            const resolve = waiting.get(message.id);
+            if (resolve) {
+                waiting.delete(message.id);
+                resolve(message);
+            }
+        });
+
+        let nextId = 1;
+        const call = (method, params) => new Promise((resolve, reject) => {
+            const id = nextId++;
+            const timer = setTimeout(() => reject(new Error(`No response to ${method}`)), 20000);
+            waiting.set(id, message => {
+                clearTimeout(timer);
+                resolve(message);
+            });
+            child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+        });
+        const callTool = async (name, args) => (await call('tools/call', { name, arguments: args })).result;
+
+        const init = await call('initialize', { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '0' } });
+        assert(init.result.protocolVersion === '2025-03-26' && init.result.capabilities.tools && init.result.serverInfo.name === 'codescoop', 'Negotiates initialize', JSON.stringify(init));
+        child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+
+        const list = await call('tools/list', {});
+        const names = list.result.tools.map(t => t.name).sort().join();
+        assert(names === 'analyze_component,explain_property,find_rules_for_class,list_components,list_ghost_classes', 'Lists the tools', names);
+
+        const components = await callTool('list_components', { page: 'index.html' });
+        assert(components.content[0].text.includes('`.top`') && components.content[0].text.includes('`.menu`'), 'list_components returns selectors', components.content[0].text);
+
+        const analysis = await callTool('analyze_component', { page: 'index.html', selector: '.top' });
+        assert(!analysis.isError && analysis.content[0].text.includes('.menu { margin: 0; }'), 'analyze_component returns the markdown report');
+
+        const json = await callTool('analyze_component', { page: 'index.html', selector: '.top', format: 'json' });
+        assert(JSON.parse(json.content[0].text).schemaVersion, 'analyze_component returns the JSON report');
+
+        const rules = await callTool('find_rules_for_class', { className: 'menu' });
+        assert(/app\.css:2/.test(rules.content[0].text) && /app\.js:1/.test(rules.content[0].text), 'find_rules_for_class finds CSS and JS references', rules.content[0].text);
+
+        const explained = await callTool('explain_property', { page: 'index.html', selector: '.top', property: 'color' });
+        assert(/renders from `header\.top`/.test(explained.content[0].text) && /lower specificity/.test(explained.content[0].text), 'explain_property names the winner and why the others lose', explained.content[0].text);
+
+        const tie = (await callTool('explain_property', { page: 'linked.html', selector: '.card', property: 'color' })).content[0].text;
+        assert(/renders from `\.card` \S+ → `red` \(a\.css:1\)/.test(tie) && /`blue` \(b\.css:1\): same specificity, but \.card is in a stylesheet loaded later/.test(tie),
+            'explain_property ranks stylesheets by link order', tie);
+
+        const ghosts = await callTool('list_ghost_classes', { page: 'index.html', selector: '.menu' });
+        assert(ghosts.content[0].text.includes('`ghost`'), 'list_ghost_classes lists unstyled classes', ghosts.content[0].text);
+
+        const outside = await callTool('list_components', { page: '../package.json' });
+        assert(outside.isError && /inside the project/.test(outside.content[0].text), 'Rejects pages outside the project');
+
+        const missing = await callTool('analyze_component', { page: 'index.html', selector: '.nope' });
+        assert(missing.isError && /\.nope/.test(missing.content[0].text), 'Reports analysis errors as tool errors', missing.content[0].text);
+
+        const unknown = await call('resources/list', {});
+        assert(unknown.error && unknown.error.code === -32601, 'Rejects unknown methods', JSON.stringify(unknown));
+
+        assert(stdout.every(line => JSON.parse(line).jsonrpc === '2.0'), 'Writes nothing but JSON-RPC to stdout');
+
+        child.stdin.end();
+        const exitCode = await new Promise(resolve => child.once('exit', resolve));
+        assert(exitCode === 0, 'Exits when stdin closes', exitCode);
+        child = null;
+    } catch (e) {
+        assert(false, 'MCP server', e.stack);
+    } finally {
+        if (child) child.kill();
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
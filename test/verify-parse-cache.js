@@ -0,0 +1,62 @@
+/**
+ * Parse Cache Verification
+ * A second scan of an unchanged project must be served from .codescoop-cache
+ * and produce the same matches; changed content must miss
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { scanProject } = require('../src/utils/project-scanner');
+const { matchCSSRules } = require('../src/parsers/css-analyzer');
+const { matchJSReferences } = require('../src/parsers/js-analyzer');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const targetInfo = { classes: ['card'], ids: [], tagName: 'div', dataAttributes: [], shadowParts: [] };
+
+async function matchAll(projectDir, cacheDir) {
+    const scan = await scanProject(projectDir, { cacheDir });
+    const css = await Promise.all(scan.files.css.map(async f => matchCSSRules(await scan.getParsedCSS(f), targetInfo)));
+    const js = await Promise.all(scan.files.js.map(async f => matchJSReferences(await scan.getParsedJS(f), targetInfo)));
+    return { scan, matches: JSON.stringify([...css, ...js].map(r => r.matches)) };
+}
+
+async function run() {
+    const testDir = path.join(__dirname, 'parse-cache-test');
+    const cacheDir = path.join(testDir, '.codescoop-cache');
+    fs.mkdirSync(testDir, { recursive: true });
+
+    try {
+        fs.writeFileSync(path.join(testDir, 'style.scss'), '.card { color: red; &:hover { color: blue; } }');
+        fs.writeFileSync(path.join(testDir, 'app.js'), "document.querySelectorAll('.card').forEach(el => el.remove());");
+
+        const first = await matchAll(testDir, cacheDir);
+        assert(first.scan.parseCache.stats().writes === 2, 'First run writes both files to the cache', JSON.stringify(first.scan.parseCache.stats()));
+
+        const second = await matchAll(testDir, cacheDir);
+        assert(second.scan.parseCache.stats().hits === 2, 'Second run is served from the cache', JSON.stringify(second.scan.parseCache.stats()));
+        assert(second.matches === first.matches, 'Cached parses produce identical matches');
+
+        fs.writeFileSync(path.join(testDir, 'style.scss'), '.card { color: green; }');
+        const third = await matchAll(testDir, cacheDir);
+        assert(third.scan.parseCache.stats().misses === 1, 'Changed content misses the cache', JSON.stringify(third.scan.parseCache.stats()));
+        assert(third.matches.includes('green'), 'Changed content is re-parsed');
+    } catch (e) {
+        assert(false, 'Parse cache', e.message);
+    } finally {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,98 @@
+/**
+ * Repeated Structures Verification
+ * Checks that identical sibling subtrees inside the target are collapsed into
+ * an item template, and that their varying slots become inferred props
+ */
+
+const { parseHTML, extractTargetElement } = require('../src/parsers/html-parser');
+const { toJSXItemTemplate } = require('../src/output/conversion-generator');
+const { scoop } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const PAGE = `<div class="grid">
+  <h2>Products</h2>
+  <article class="card card--featured">
+    <img class="card__image" src="a.jpg" alt="A">
+    <h3 class="card__title">Alpha</h3>
+    <a class="card__link" href="/a">Buy</a>
+  </article>
+  <article class="card">
+    <img class="card__image" src="b.jpg" alt="B">
+    <h3 class="card__title">Beta</h3>
+    <a class="card__link" href="/b">Buy</a>
+  </article>
+  <article class="card">
+    <img class="card__image" src="c.jpg" alt="C">
+    <h3 class="card__title">Gamma</h3>
+    <a class="card__link" href="/c">Buy</a>
+  </article>
+  <ul class="menu">
+    <li><a href="/x">X</a></li>
+    <li><a href="/y">Y</a></li>
+  </ul>
+  <p>One</p>
+  <p>Two</p>
+</div>`;
+
+function structuresOf(html, options) {
+    return extractTargetElement(parseHTML(html), html, options).repeatedStructures;
+}
+
+function testDetection() {
+    const [cards, items, ...rest] = structuresOf(PAGE, { selector: '.grid' });
+
+    assert(cards && cards.name === 'cards' && cards.count === 3 && cards.itemSelector === 'article.card' && cards.container === 'div.grid' && cards.line === 3, 'Collapses repeated siblings into one group', JSON.stringify(cards && { ...cards, slots: undefined, template: undefined }));
+    assert(cards.signature === 'cards: { variant, imageSrc, imageAlt, title, href }[]', 'Names slots after their element and attribute', cards.signature);
+
+    const title = cards.slots.find(slot => slot.name === 'title');
+    assert(title.kind === 'text' && title.element === 'h3.card__title' && title.values.join() === 'Alpha,Beta,Gamma', 'Text slots keep each item\'s value');
+    assert(cards.slots.find(slot => slot.name === 'variant').values.join('|') === 'card--featured||', 'Modifier classes become a variant slot');
+    assert(!cards.slots.some(slot => slot.element === 'a.card__link' && slot.kind === 'text'), 'Identical content is not a slot');
+
+    assert(cards.template.includes('<article class="card {variant}">') && cards.template.includes('src="{imageSrc}"') && cards.template.includes('<h3 class="card__title">{title}</h3>') && cards.template.includes('>Buy</a>'), 'Template marks the slots', cards.template);
+
+    assert(items && items.signature === 'items: { href, label }[]' && items.itemSelector === 'li', 'Unclassed list items are detected too', items && items.signature);
+    assert(rest.length === 0, 'Bare paragraphs are not list items');
+
+    const nested = '<ul class="nav"><li class="nav__item"><a href="/1">1</a></li><li class="nav__item"><a href="/2">2</a></li></ul>';
+    assert(structuresOf(nested, { selector: '.nav' })[0].name === 'items', 'BEM element classes name the list');
+
+    assert(structuresOf('<div class="x"><b class="y">same</b><b class="y">same</b></div>', { selector: '.x' }).length === 0, 'Identical items without slots are skipped');
+
+    const lines = structuresOf(PAGE, { lineRange: '18-21' });
+    assert(lines.length === 1 && lines[0].name === 'items' && lines[0].line === null, 'Works on line ranges');
+}
+
+async function testReports() {
+    const { outputs } = await scoop({ html: PAGE, selector: '.grid', files: { 'site.css': '.card { color: red; }' } });
+    assert(outputs.markdown.includes('## 🔁 Repeated Structures') && outputs.markdown.includes('### `cards` — 3 × `article.card` in `div.grid` (line 3)'), 'Markdown has the repeated structures section');
+    assert(outputs.markdown.includes('| `imageSrc` | `img.card__image` `[src]` | `a.jpg`, `b.jpg`, `c.jpg` |'), 'Markdown lists each prop with its values');
+
+    const json = JSON.parse(outputs.json);
+    assert(json.targetInfo.repeatedStructures[0].signature.startsWith('cards:'), 'JSON report has the inferred props');
+
+    const conversion = await scoop({ html: PAGE, selector: '.grid', forConversion: true, files: { 'site.css': '.card { color: red; }' } });
+    assert(conversion.outputs.markdown.includes('  cards: { variant: string; imageSrc: string; imageAlt: string; title: string; href: string }[];'), 'Conversion output has the props interface');
+    assert(conversion.outputs.markdown.includes('{cards.map((item) => ('), 'Conversion output maps over each list');
+
+    const jsx = toJSXItemTemplate('<article class="card {variant}"><img src="{imageSrc}"><h3>{title}</h3></article>');
+    assert(jsx === '<article className={`card ${item.variant}`}><img src={item.imageSrc} /><h3>{item.title}</h3></article>', 'Slots become item props in JSX', jsx);
+}
+
+async function run() {
+    testDetection();
+    await testReports();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,67 @@
+/**
+ * Selector Index Verification
+ * The index must only drop files that cannot match, keep files changed since
+ * it was built, and leave the analysis result unchanged
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { analyzeComponent } = require('../src/index');
+const { buildSelectorIndex, loadSelectorIndex, selectCandidateFiles } = require('../src/utils/selector-index');
+const { findProjectFiles } = require('../src/utils/file-scanner');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const targetInfo = { classes: ['card'], ids: [], tagName: 'div', dataAttributes: [], shadowParts: [] };
+const names = (files) => [...files.css, ...files.js].map(f => path.basename(f)).sort().join(',');
+
+async function run() {
+    const testDir = path.join(__dirname, 'selector-index-test');
+    const indexPath = path.join(testDir, '.codescoop-cache', 'selector-index.json');
+    fs.mkdirSync(testDir, { recursive: true });
+
+    try {
+        fs.writeFileSync(path.join(testDir, 'index.html'), '<div class="card">Hi</div>');
+        fs.writeFileSync(path.join(testDir, 'card.scss'), '.card { color: red; &__title { font-weight: bold; } }');
+        fs.writeFileSync(path.join(testDir, 'cards.css'), '.cards-grid { display: grid; }');
+        fs.writeFileSync(path.join(testDir, 'other.css'), '.banner { color: blue; }');
+        fs.writeFileSync(path.join(testDir, 'app.js'), "document.querySelector('.card').classList.add('is-open');");
+        fs.writeFileSync(path.join(testDir, 'util.js'), 'export const sum = (a, b) => a + b;');
+
+        const built = await buildSelectorIndex(testDir, { indexPath });
+        assert(built.fileCount === 5, 'Indexes every CSS/JS file', built.fileCount);
+
+        const index = loadSelectorIndex(indexPath);
+        const projectFiles = await findProjectFiles(testDir);
+        assert(names(selectCandidateFiles(index, projectFiles, targetInfo)) === 'app.js,card.scss,cards.css',
+            'Keeps files that mention the class, including as a prefix', names(selectCandidateFiles(index, projectFiles, targetInfo)));
+
+        fs.writeFileSync(path.join(testDir, 'other.css'), '.banner .card { margin: 0; }');
+        assert(names(selectCandidateFiles(index, projectFiles, targetInfo)).includes('other.css'),
+            'Keeps files changed since the index was built');
+
+        const options = { htmlPath: path.join(testDir, 'index.html'), projectDir: testDir, selector: '.card' };
+        const withIndex = await analyzeComponent({ ...options, selectorIndex: index });
+        const withoutIndex = await analyzeComponent(options);
+        assert(JSON.stringify(withIndex.cssResults) === JSON.stringify(withoutIndex.cssResults) &&
+            JSON.stringify(withIndex.jsResults) === JSON.stringify(withoutIndex.jsResults),
+            'Analysis with the index matches analysis without it');
+    } catch (e) {
+        assert(false, 'Selector index', e.message);
+    } finally {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,142 @@
+/**
+ * Serve Mode Verification
+ * Starts the HTTP API on a free port and exercises its endpoints
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { runServeMode } = require('../src/cli/serve');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+function request(url, { method = 'GET', body, headers = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method, headers }, res => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve({
+                status: res.statusCode,
+                type: res.headers['content-type'],
+                headers: res.headers,
+                body: res.headers['content-type'].startsWith('application/json') ? JSON.parse(data) : data
+            }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+async function testRescan() {
+    const testDir = path.join(__dirname, 'serve-rescan-test');
+    fs.mkdirSync(testDir, { recursive: true });
+    let serving;
+
+    try {
+        // Enough CSS that parsing on the workers is still going when the rescan lands
+        const rules = Array.from({ length: 400 }, (_, i) => `.card .item-${i} > span:hover { color: #${String(i).padStart(3, '0')}; margin: ${i}px; }`).join('\n');
+        for (let i = 0; i < 30; i++) {
+            fs.writeFileSync(path.join(testDir, `part-${i}.css`), `.card { order: ${i}; }\n${rules}\n`);
+        }
+        fs.writeFileSync(path.join(testDir, 'index.html'), '<div class="card"><span>Hi</span></div>');
+
+        serving = await runServeMode({ projectDir: testDir, port: 0, analysisOptions: { concurrency: 2 } });
+        const { url } = serving;
+
+        const analysis = request(`${url}/analyze?page=index.html&selector=.card`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        fs.writeFileSync(path.join(testDir, 'late.css'), '.card { padding: 0; }\n');
+        const rescan = await request(`${url}/rescan`, { method: 'POST' });
+        const analyzed = await analysis;
+
+        assert(analyzed.status === 200 && analyzed.body.cssMatches === 30, 'Requests running during a rescan finish on the old scan', JSON.stringify(analyzed.body).slice(0, 200));
+        assert(rescan.status === 200 && rescan.body.files.css === 31, 'Rescan picks up added files', JSON.stringify(rescan.body));
+
+        const after = await request(`${url}/analyze?page=index.html&selector=.card`);
+        assert(after.status === 200 && after.body.cssMatches === 31, 'Later requests use the new scan', JSON.stringify(after.body).slice(0, 200));
+    } catch (e) {
+        assert(false, 'Rescan', e.stack);
+    } finally {
+        if (serving) await serving.close();
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+}
+
+async function run() {
+    const testDir = path.join(__dirname, 'serve-test');
+    fs.mkdirSync(testDir, { recursive: true });
+    let serving;
+
+    try {
+        fs.writeFileSync(path.join(testDir, 'index.html'), '<link rel="stylesheet" href="app.css"><header class="top"><nav class="menu ghost"></nav></header>');
+        fs.writeFileSync(path.join(testDir, 'app.css'), '.top { color: red; }\n.menu { margin: 0; }');
+
+        serving = await runServeMode({ projectDir: testDir, port: 0 });
+        const { url } = serving;
+
+        assert(url.startsWith('http://127.0.0.1:'), 'Binds to localhost only', url);
+
+        const components = await request(`${url}/components?page=index.html`);
+        assert(components.body.components.map(c => c.selector).join() === '.top,.menu', 'Lists the components of a page', JSON.stringify(components.body));
+
+        const analysis = await request(`${url}/analyze`, { method: 'POST', body: JSON.stringify({ page: 'index.html', selector: '.top' }) });
+        assert(analysis.status === 200 && analysis.body.cssMatches === 2 && analysis.body.report.schemaVersion, 'Analyzes a selector as JSON', JSON.stringify(analysis.body).slice(0, 200));
+
+        const markdown = await request(`${url}/analyze?page=index.html&selector=.top&format=markdown`);
+        assert(markdown.type.startsWith('text/markdown') && markdown.body.includes('.menu { margin: 0; }'), 'Returns markdown reports');
+
+        const ghosts = await request(`${url}/ghosts?page=index.html&selector=.top`);
+        assert(JSON.stringify(ghosts.body.ghostClasses) === '["ghost"]', 'Returns ghost classes', JSON.stringify(ghosts.body));
+
+        fs.writeFileSync(path.join(testDir, 'app.css'), '.top { color: red; }\n.menu { margin: 0; }\n.ghost { opacity: 0; }\n');
+        const refreshed = await request(`${url}/ghosts?page=index.html&selector=.top`);
+        assert(refreshed.body.ghostClasses.length === 0, 'Picks up edited files without a restart', JSON.stringify(refreshed.body));
+
+        const outside = await request(`${url}/analyze?page=../package.json&selector=.top`);
+        assert(outside.status === 400, 'Rejects pages outside the project', outside.status);
+
+        const missing = await request(`${url}/analyze?page=index.html&selector=.nope`);
+        assert(missing.status === 422 && /\.nope/.test(missing.body.error), 'Reports analysis errors', JSON.stringify(missing.body));
+
+        const rebinding = await request(`${url}/health`, { headers: { Host: 'attacker.example' } });
+        assert(rebinding.status === 403, 'Rejects foreign Host headers', rebinding.status);
+
+        // Warnings go back to the client, not to the server console
+        fs.writeFileSync(path.join(testDir, 'list.html'), '<ul><li class="item">A</li><li class="item">B</li></ul>');
+        const printed = [];
+        const { warn, log } = console;
+        console.warn = console.log = (...args) => printed.push(args.join(' '));
+        let listed;
+        let listedMarkdown;
+        try {
+            listed = await request(`${url}/analyze?page=list.html&selector=.item`);
+            listedMarkdown = await request(`${url}/analyze?page=list.html&selector=.item&format=markdown`);
+        } finally {
+            console.warn = warn;
+            console.log = log;
+        }
+        assert(listed.body.warnings && listed.body.warnings.some(w => w.includes('Found 2 elements matching ".item"')), 'Returns warnings in the response', JSON.stringify(listed.body.warnings));
+        const headerWarnings = JSON.parse(listedMarkdown.headers['x-codescoop-warnings'] || '[]');
+        assert(headerWarnings.some(w => w.startsWith('⚠️  Found 2 elements')), 'Markdown responses carry warnings in a header', JSON.stringify(headerWarnings));
+        assert(printed.length === 0, 'Warnings are not printed on the server', printed.join('\n'));
+    } catch (e) {
+        assert(false, 'Serve mode', e.stack);
+    } finally {
+        if (serving) await serving.close();
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+
+    await testRescan();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,107 @@
+/**
+ * Shadow DOM Verification
+ * Checks that declarative shadow roots are read (internal styles, parts,
+ * slots), that light DOM content is matched to its slots and that custom
+ * elements are mapped to their customElements.define() call
+ */
+
+const { parseHTML, extractTargetElement } = require('../src/parsers/html-parser');
+const { parseJSContent, findCustomElementDefinitions } = require('../src/parsers/js-analyzer');
+const { scoop } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const PAGE = `<html><head><link rel="stylesheet" href="site.css"></head><body>
+<section class="promo">
+  <product-card class="featured">
+    <template shadowrootmode="open">
+      <style>:host { display: block; } .body { padding: 1rem; }</style>
+      <div class="body" part="body">
+        <slot name="title"></slot>
+        <slot></slot>
+      </div>
+      <price-tag part="price"></price-tag>
+    </template>
+    <h2 slot="title">Alpha</h2>
+    <p class="desc">Great product</p>
+    <span slot="footer">Ships today</span>
+  </product-card>
+  <user-badge>Sam</user-badge>
+</section>
+<script src="components.js"></script>
+</body></html>`;
+
+const FILES = {
+    'site.css': '.promo { margin: 0; }\nproduct-card::part(body) { color: red; }\n',
+    'components.js': [
+        'class ProductCard extends HTMLElement {}',
+        "customElements.define('product-card', ProductCard);",
+        "window.customElements.define('price-tag', class PriceTag extends HTMLElement {});"
+    ].join('\n')
+};
+
+function testParsing() {
+    const targetInfo = extractTargetElement(parseHTML(PAGE), PAGE, { selector: '.promo' });
+    const [card, price, badge] = targetInfo.webComponents;
+
+    assert(targetInfo.webComponents.map(c => c.tagName).join() === 'product-card,price-tag,user-badge', 'Finds custom elements, including those inside shadow roots', targetInfo.webComponents.map(c => c.tagName).join());
+    assert(card.line === 3 && card.isCustomElement && card.shadowRoot.mode === 'open' && card.shadowRoot.line === 4, 'Reads the declarative shadow root');
+    assert(card.shadowRoot.styles.length === 1 && card.shadowRoot.styles[0].content.startsWith(':host { display: block; }') && card.shadowRoot.styles[0].line === 5, 'Keeps the internal styles');
+    assert(card.shadowRoot.parts.map(p => `${p.name}:${p.element}`).join() === 'body:div.body,price:price-tag', 'Lists the exposed parts', JSON.stringify(card.shadowRoot.parts));
+    assert(card.shadowRoot.slots.map(s => s.name).join() === 'title,', 'Lists named and default slots');
+
+    const slots = card.slotAssignments.map(a => `${a.slot}=${a.content}:${a.assigned}`);
+    assert(slots.join() === 'title=h2:true,null=p.desc:true,footer=span:false', 'Assigns light DOM children to slots', slots.join());
+    assert(badge.shadowRoot === null && badge.slotAssignments[0].content === '"Sam"' && badge.slotAssignments[0].assigned === null, 'Without a shadow root slots are unknown');
+    assert(price.slotAssignments.length === 0, 'Empty elements have no slot content');
+
+    assert(targetInfo.shadowParts.includes('body') && targetInfo.shadowParts.includes('price'), 'Parts inside shadow roots are matched by ::part()');
+    assert(!targetInfo.classes.includes('body'), 'Shadow root classes stay out of the page classes');
+
+    const legacy = '<x-old><template shadowroot="closed"><b part="a"></b></template></x-old>';
+    const [old] = extractTargetElement(parseHTML(legacy), legacy, { selector: 'x-old' }).webComponents;
+    assert(old.shadowRoot.mode === 'closed' && old.shadowRoot.parts[0].name === 'a', 'Supports the pre-standard shadowroot attribute');
+}
+
+function testDefinitions() {
+    const parsed = parseJSContent(FILES['components.js'], 'components.js');
+    const definitions = findCustomElementDefinitions(parsed, ['product-card', 'price-tag']);
+    assert(definitions.map(d => `${d.tagName}:${d.className}:${d.line}`).join() === 'product-card:ProductCard:2,price-tag:PriceTag:3', 'Finds customElements.define() calls', JSON.stringify(definitions));
+    assert(findCustomElementDefinitions(parsed, ['user-badge']).length === 0, 'Only the requested tags are returned');
+
+    const broken = parseJSContent("customElements.define('product-card', ProductCard);\nif (", 'broken.js');
+    const fallback = findCustomElementDefinitions({ ...broken, candidates: null }, ['product-card']);
+    assert(fallback.length === 1 && fallback[0].className === 'ProductCard' && fallback[0].line === 1, 'Regex fallback finds definitions too');
+}
+
+async function testReports() {
+    const { analysis, outputs } = await scoop({ html: PAGE, selector: '.promo', files: FILES });
+    assert(analysis.customElementDefinitions.map(d => d.tagName).join() === 'product-card,price-tag', 'Definitions are looked up in the project JS');
+    assert(analysis.cssResults[0].shadowDOMRules.some(rule => rule.selector === 'product-card::part(body)'), '::part() rules for shadow root parts are reported');
+
+    const md = outputs.markdown;
+    assert(md.includes('## 🧱 Web Components') && md.includes('### `<product-card>` (line 3)') && md.includes('**Defined in:** `components.js:2` as `ProductCard`'), 'Markdown shows each component and its definition');
+    assert(md.includes('**Exposed parts:** `body` (`div.body`), `price` (`price-tag`)') && md.includes('```css\n:host { display: block; }'), 'Markdown shows parts and internal styles');
+    assert(md.includes('| `footer` ⚠️ no such slot, not rendered | `span` | 14 |') && md.includes("no `customElements.define('user-badge', ...)` found"), 'Markdown flags unknown slots and missing definitions');
+
+    const json = JSON.parse(outputs.json);
+    assert(json.targetInfo.webComponents[0].shadowRoot.slots.length === 2 && json.customElementDefinitions[0].filePath === 'components.js', 'JSON report has web components and definitions');
+}
+
+async function run() {
+    testParsing();
+    testDefinitions();
+    await testReports();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,81 @@
+/**
+ * Source Location Verification
+ * Checks that target elements and ghost classes carry the parser's exact
+ * source positions, including for re-serialized markup and --match-index
+ */
+
+const { parseHTML, extractTargetElement, getSourceLocation } = require('../src/parsers/html-parser');
+const { detectGhostClasses, formatGhostClassesMarkdown } = require('../src/utils/ghost-detector');
+const { buildJSONReport } = require('../src/output/json');
+const { scoop } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+function extract(html, selector, matchIndex = 0) {
+    return extractTargetElement(parseHTML(html), html, { selector, matchIndex });
+}
+
+function testTargetLocations() {
+    // Attributes written in a way cheerio re-serializes differently
+    const html = "<body>\n  <div   class='card'\n       data-x=1><b class=\"title\">é</b></div>\n</body>";
+    const target = extract(html, '.card');
+    assert(target.startLine === 2 && target.endLine === 3, 'Finds lines of re-serialized markup', `${target.startLine}-${target.endLine}`);
+    assert(target.location.startColumn === 3 && target.location.endColumn === 45, 'Reports start and end columns', JSON.stringify(target.location));
+
+    const bytes = Buffer.from(html);
+    const source = bytes.slice(target.location.startOffset, target.location.endOffset).toString();
+    assert(source.startsWith("<div   class='card'") && source.endsWith('</b></div>'), 'Byte offsets slice the element out of the file', source);
+
+    // Identical markup twice: the second match must not resolve to the first
+    const twice = '<ul>\n<li class="item">Same</li>\n<li class="item">Same</li>\n</ul>';
+    assert(extract(twice, '.item', 1).startLine === 3 && extract(twice, '.item', 0).startLine === 2, 'Locates the --match-index element among identical markup');
+
+    // Elements closed implicitly stop before the next element
+    const implicit = '<ul>\n<li class="a">one\n<li class="a">two\n</ul>';
+    const first = extract(implicit, '.a');
+    assert(first.startLine === 2 && first.endLine === 2 && first.location.endColumn === 18, 'Trims elements without an end tag', JSON.stringify(first.location));
+
+    const $ = parseHTML('<table><tr><td>x</td></tr></table>');
+    assert(getSourceLocation($('tbody').get(0), '<table><tr><td>x</td></tr></table>') === null, 'Elements inserted by the parser have no location');
+
+    const lines = extractTargetElement(parseHTML(html), html, { lineRange: '2-3' });
+    assert(lines.location === null && lines.startLine === 2 && lines.classLocations === null, 'Line ranges keep their lines without a location');
+}
+
+function testGhostLocations() {
+    const html = '<div class="box">\n  <span class="ghost">a</span>\n  <span class="ghost">b</span>\n</div>';
+    const target = extract(html, '.box');
+    assert(JSON.stringify(target.classLocations.ghost) === JSON.stringify([{ line: 2, column: 9 }, { line: 3, column: 9 }]), 'Records where each class is used', JSON.stringify(target.classLocations));
+
+    const ghostData = detectGhostClasses(target, [{ matches: [{ selector: '.box', matchedOn: ['class: box'] }] }]);
+    assert(ghostData.ghostClasses.join() === 'ghost' && ghostData.locations.ghost.length === 2 && !ghostData.locations.box, 'Ghost classes carry their locations');
+    assert(formatGhostClassesMarkdown(ghostData).includes('| `ghost` | line 2:9, line 3:9 |'), 'Markdown lists ghost class locations');
+}
+
+async function testReports() {
+    const html = '<html><body>\n<nav class="menu">\n  <a class="menu__link">Home</a>\n</nav>\n</body></html>';
+    const result = await scoop({ html, selector: '.menu', files: { 'site.css': '.menu { display: flex; }' } });
+    const report = buildJSONReport(result.analysis);
+
+    assert(report.schemaVersion === '1.6' && report.targetInfo.location && report.targetInfo.location.startLine === 2, 'JSON report has the target location', JSON.stringify(report.targetInfo.location));
+    assert(report.ghostData.locations['menu__link'][0].line === 3, 'JSON report has ghost class locations', JSON.stringify(report.ghostData));
+    assert(result.outputs.markdown.includes('**Location:** line 2:1 to line 4:7'), 'Markdown HTML section shows the exact location');
+}
+
+async function run() {
+    testTargetLocations();
+    testGhostLocations();
+    await testReports();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
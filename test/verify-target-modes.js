@@ -0,0 +1,153 @@
+/**
+ * Target Modes Verification
+ * Checks targeting a component by visible text, XPath or ARIA role: the
+ * closest-container heuristic, multiple-match reporting and the errors
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseHTML, extractTargetElement } = require('../src/parsers/html-parser');
+const { evaluateXPath } = require('../src/utils/xpath');
+const { locateTargets, implicitRole } = require('../src/utils/target-locator');
+const { sanitizeTargetQuery, validateTargetsManifest } = require('../src/utils/validation');
+const { scoop } = require('../src/index');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+function throws(fn) {
+    try {
+        fn();
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+const PAGE = `<html><head><title>Shop</title></head><body>
+<header><nav id="main-nav"><a href="/">Home</a><a href="/shop">Shop</a></nav></header>
+<main>
+  <div class="promo">
+    <div>
+      <h3>Free <strong>Shipping</strong></h3>
+      <p>On all orders</p>
+    </div>
+  </div>
+  <ul class="features">
+    <li><span>Free shipping over $50</span></li>
+    <li><span>Easy returns</span></li>
+  </ul>
+  <div role="navigation" class="pager"><a href="?p=2">Next</a></div>
+  <button>Subscribe</button>
+</main>
+<footer><p>© Shop</p></footer>
+<script>var text = "Free shipping";</script>
+</body></html>`;
+
+function testText() {
+    const $ = parseHTML(PAGE);
+    const info = extractTargetElement($, PAGE, { text: 'free   SHIPPING' });
+    assert(info.classes.includes('promo') && info.startLine === 4, 'Text matches across inline tags, case and whitespace insensitive', `${info.classes} @${info.startLine}`);
+    assert(info.notices.some(n => n.includes('<h3> (line 6)') && n.includes('closest container <div.promo> (line 4)')), 'Notes the container the text match was widened to', info.notices.join());
+    assert(info.selector === 'text "free   SHIPPING"' && info.matchCount === 2, 'Labels the target and counts the matches', `${info.selector} / ${info.matchCount}`);
+
+    const warning = info.warnings.find(w => w.startsWith('⚠️  Found 2 elements matching text'));
+    assert(warning && warning.includes('--match-index N') && warning.includes('[0] <div.promo> (line 4)') && warning.includes('[1] <li> (line 11)'), 'Multiple text matches are reported and listed', warning);
+
+    const second = extractTargetElement($, PAGE, { text: 'free shipping', matchIndex: 1 });
+    assert(second.tagName === 'li' && second.startLine === 11, '--match-index picks another text match', `${second.tagName} @${second.startLine}`);
+
+    assert(/No element found containing the text "Checkout"/.test(throws(() => extractTargetElement($, PAGE, { text: 'Checkout' }))), 'Unknown text is an error');
+    assert(throws(() => locateTargets($, { text: 'var text' })) !== null, 'Script contents are not visible text');
+}
+
+function testXPath() {
+    const $ = parseHTML(PAGE);
+    const names = (expression) => evaluateXPath($, expression).map(node => node.name || node.type).join(',');
+
+    assert(names('/html/body/main/ul/li[2]/span') === 'span', 'Absolute paths with positions (DevTools "Copy XPath")');
+    assert(names('//*[@id="main-nav"]/a') === 'a,a', 'Attribute predicates');
+    assert(names('//li[contains(normalize-space(.), "returns")]') === 'li', 'String functions in predicates');
+    assert(names('(//a)[last()]/..') === 'div', 'Filter expressions with last() and the parent step');
+    assert(names('//h3/following-sibling::p | //h3') === 'h3,p', 'Axes and unions come back in document order');
+    assert(evaluateXPath($, '//a/@href')[1].value === '/shop', 'Attribute nodes');
+    assert(/Invalid XPath/.test(throws(() => evaluateXPath($, '//div['))), 'Syntax errors are reported');
+
+    const info = extractTargetElement($, PAGE, { xpath: '//h3/strong/text()' });
+    assert(info.classes.includes('promo') && info.selector === 'xpath //h3/strong/text()', 'Text nodes stand for their element, then the closest container applies');
+
+    const direct = extractTargetElement($, PAGE, { xpath: '/html/body/main/ul' });
+    assert(direct.classes.includes('features') && direct.notices.length === 0, 'Elements that are components are used as they are');
+
+    assert(/No element found matching XPath: \/\/table/.test(throws(() => extractTargetElement($, PAGE, { xpath: '//table' }))), 'XPaths that select nothing are an error');
+}
+
+function testRole() {
+    const $ = parseHTML(PAGE);
+    const info = extractTargetElement($, PAGE, { role: 'navigation' });
+    assert(info.ids.includes('main-nav') && info.matchCount === 2, 'Implicit roles match (<nav> is navigation)', `${info.ids} / ${info.matchCount}`);
+
+    const explicit = extractTargetElement($, PAGE, { role: 'navigation', matchIndex: 1 });
+    assert(explicit.classes.includes('pager'), 'Explicit role attributes match');
+
+    assert(extractTargetElement($, PAGE, { role: 'banner' }).tagName === 'header', 'Top-level <header> is the banner');
+    assert(implicitRole($('footer p').get(0)) === 'paragraph' && implicitRole($('main').get(0)) === 'main', 'Maps tags to implicit roles');
+
+    const header = parseHTML('<article><header>Title</header></article>');
+    assert(implicitRole(header('header').get(0)) === null, '<header> inside sectioning content is not a banner');
+
+    const error = throws(() => extractTargetElement($, PAGE, { role: 'navbar' }));
+    assert(/No element found with role "navbar"/.test(error) && error.includes('is not an ARIA role'), 'Unknown roles get a hint', error);
+    assert(!/is not an ARIA role/.test(throws(() => extractTargetElement($, PAGE, { role: 'dialog' }))), 'Valid but absent roles get no hint');
+}
+
+function testValidation() {
+    assert(sanitizeTargetQuery('text', '  Free Shipping ').value === 'Free Shipping', 'Text is trimmed');
+    assert(!sanitizeTargetQuery('text', '   ').valid, 'Empty text is rejected');
+    assert(!sanitizeTargetQuery('xpath', '//div[').valid, 'Broken XPaths are rejected up front');
+    assert(!sanitizeTargetQuery('role', 'nav bar').valid, 'Roles are single words');
+
+    const manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'codescoop-targets-')), 'targets.json');
+    fs.writeFileSync(manifestPath, JSON.stringify([{ text: 'Free Shipping' }, { role: 'navigation', name: 'nav' }, { xpath: '//main/ul' }]));
+    const manifest = validateTargetsManifest(manifestPath);
+    assert(manifest.valid && manifest.targets[0].text === 'Free Shipping' && manifest.targets[1].role === 'navigation' && manifest.targets[2].xpath === '//main/ul', 'Targets manifests accept text, xpath and role', JSON.stringify(manifest));
+}
+
+async function testAnalysis() {
+    const files = { 'site.css': '.promo { padding: 1rem; }\n.promo h3 { margin: 0; }\n.features li { color: gray; }\n' };
+    const { analysis, outputs } = await scoop({ html: PAGE, text: 'Free Shipping', files });
+
+    assert(analysis.cssResults.reduce((sum, r) => sum + r.matches.length, 0) === 2, 'Analyzes the located component', JSON.stringify(analysis.cssResults.map(r => r.matches.map(m => m.selector))));
+    assert(outputs.markdown.includes('# Component Analysis: text "Free Shipping"'), 'Reports name the target');
+
+    const perElement = await scoop({ html: PAGE, role: 'list', files, perElement: true });
+    assert(perElement.analysis.elementTree && perElement.analysis.elementTree.element === 'ul.features', 'The per-element breakdown works with role targets', perElement.analysis.elementTree && perElement.analysis.elementTree.element);
+
+    let error = null;
+    try {
+        await scoop({ html: PAGE, files });
+    } catch (e) {
+        error = e.message;
+    }
+    assert(error && error.includes('`text`, `xpath`, `role`'), 'scoop() lists the target options', error);
+}
+
+async function run() {
+    testText();
+    testXPath();
+    testRole();
+    testValidation();
+    await testAnalysis();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,312 @@
+/**
+ * Tree Navigator Verification
+ * Checks the interactive component tree: selectors for every depth,
+ * expand/collapse, fuzzy search, marking several components and the
+ * keyboard-driven picker with its stats panel and preview, on files, fetched
+ * pages and templates; outside a terminal, the checklist fallback and the
+ * batch run of several picked components
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { PassThrough, Writable } = require('stream');
+const { parseHTML, findTargetElement } = require('../src/parsers/html-parser');
+const { buildComponentTree, createTreeNavigator, fuzzyScore } = require('../src/utils/component-tree');
+const { runTreeNavigator } = require('../src/cli/tree-navigator');
+const { runInteractiveMode } = require('../src/cli/interactive');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const PAGE = `<html><body>
+<header id="top">
+  <nav class="menu">
+    <ul>
+      <li><a class="menu__link" href="/">Home</a></li>
+      <li><a class="menu__link is-active" href="/shop">Shop</a></li>
+    </ul>
+  </nav>
+</header>
+<main>
+  <div class="card"><h3>Free Shipping</h3><p>On all orders</p></div>
+  <div class="card"><h3>Easy Returns</h3></div>
+</main>
+<script>init();</script>
+</body></html>`;
+
+function flatten(nodes) {
+    return nodes.flatMap(node => [node, ...flatten(node.children)]);
+}
+
+function testTree() {
+    const $ = parseHTML(PAGE);
+    const tree = buildComponentTree($);
+    const all = flatten(tree);
+
+    assert(tree.map(node => node.label).join() === '<header#top>,<main>', 'Top level is the body children, without scripts');
+    const link = all.find(node => node.classes.includes('is-active'));
+    assert(link && link.depth === 4 && link.line === 6, 'Elements at any depth are in the tree', link && `${link.depth} @${link.line}`);
+    assert(link.selector === 'a.menu__link' && link.matchIndex === 1, 'Each node has a selector and match index', `${link.selector} ${link.matchIndex}`);
+    assert(all.every(node => findTargetElement($, node.selector, node.matchIndex) === node.element), 'Every selector finds exactly its element');
+    assert(all.find(node => node.tagName === 'ul').text === 'Home Shop', 'Text snippets keep words apart');
+}
+
+function testNavigator() {
+    const tree = buildComponentTree(parseHTML(PAGE));
+    const navigator = createTreeNavigator(tree);
+    const labels = () => navigator.rows.map(row => row.node.label).join();
+
+    assert(labels() === '<header#top>,<nav.menu>,<main>,<div.card>,<div.card>', 'Top-level nodes start expanded', labels());
+
+    navigator.move(1);
+    navigator.expand();
+    assert(labels().includes('<nav.menu>,<ul>,<main>'), 'Right expands a node');
+    navigator.expand();
+    assert(navigator.current().label === '<ul>', 'Right on an open node steps into its first child');
+    navigator.expand();
+    navigator.expand();
+    navigator.expand();
+    navigator.expand();
+    assert(navigator.current().label === '<a.menu__link>', 'Nodes can be expanded to any depth', navigator.current().label);
+
+    navigator.collapse();
+    assert(navigator.current().label === '<li>', 'Left on a leaf steps out to the parent');
+    navigator.collapse();
+    assert(navigator.current().label === '<li>' && !navigator.rows[navigator.cursor].expanded, 'Left collapses an open node');
+
+    navigator.moveTo(0);
+    navigator.toggle();
+    assert(labels() === '<header#top>,<main>,<div.card>,<div.card>', 'Space toggles a node', labels());
+
+    navigator.setQuery('activ');
+    assert(navigator.current().classes.includes('is-active'), 'Search jumps to the best match, inside collapsed nodes', navigator.current().label);
+    assert(navigator.rows.filter(row => row.match !== null).length === 1 && labels().startsWith('<header#top>,<nav.menu>,<ul>,<li>,<a.menu__link.is-active>'), 'Search lists matches with their ancestors', labels());
+
+    navigator.setQuery('returns');
+    assert(navigator.current().text === 'Easy Returns', 'Search matches text');
+    navigator.setQuery('top');
+    assert(navigator.current().id === 'top', 'Search matches ids');
+    navigator.setQuery('mnlnk');
+    assert(navigator.current().classes.includes('menu__link'), 'Search is fuzzy', navigator.current().label);
+
+    navigator.setQuery('');
+    assert(labels() === '<header#top>,<main>,<div.card>,<div.card>', 'Clearing the search restores the expanded state', labels());
+
+    assert(fuzzyScore('card', 'card') > fuzzyScore('card', 'discard') && fuzzyScore('crd', 'card') !== null && fuzzyScore('dc', 'card') === null, 'Fuzzy scores prefer exact and word-start matches');
+}
+
+// Fake terminal: keys are written to input, every render is one frame
+function createScreen() {
+    const input = new PassThrough();
+    const frames = [];
+    const output = new Writable({ write(chunk, encoding, callback) { frames.push(String(chunk)); callback(); } });
+    output.columns = 120;
+    output.rows = 24;
+    return { input, output, frames, lastFrame: () => frames[frames.length - 1] };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testKeyboard() {
+    const $ = parseHTML(PAGE);
+    const tree = buildComponentTree($);
+
+    let screen = createScreen();
+    const requested = [];
+    let picked = runTreeNavigator({
+        $, tree, input: screen.input, output: screen.output,
+        getStats: async (node) => {
+            requested.push(node.label);
+            return { cssMatches: 7, jsMatches: 2, ghostClasses: ['is-active'] };
+        }
+    });
+    screen.input.write('/');
+    screen.input.write('free');
+    await wait(400);
+    const frame = screen.lastFrame();
+    assert(frame.includes('CSS rules: 7   JS refs: 2   Ghost classes: 1') && frame.includes('.is-active'), 'Side panel shows quick stats', frame);
+    assert(frame.includes('<h3>Free Shipping</h3>') && frame.includes('h3  ·  line 11'), 'Side panel previews the HTML and the selector');
+    assert(requested.join() === '<h3>', 'Stats are computed once the cursor rests on a node', requested.join());
+    screen.input.write('\r');
+    screen.input.write('\r');
+    const result = await picked;
+    assert(result && result.node.selector === 'h3' && result.node.matchIndex === 0, 'Enter picks the highlighted element, the innermost match first');
+
+    screen = createScreen();
+    picked = runTreeNavigator({ $, tree, input: screen.input, output: screen.output });
+    screen.input.write('\x1b[B\x1b[B\x1b[B\x1b[B');
+    screen.input.write('\r');
+    const second = await picked;
+    assert(second.node.selector === 'div.card' && second.node.matchIndex === 1, 'Arrow keys move the cursor', `${second.node.selector} ${second.node.matchIndex}`);
+    assert(screen.lastFrame().includes('No project directory: stats unavailable'), 'Without a project the panel says so');
+
+    screen = createScreen();
+    picked = runTreeNavigator({ $, tree, input: screen.input, output: screen.output });
+    screen.input.write('q');
+    assert(await picked === null, 'q cancels');
+
+    screen = createScreen();
+    picked = runTreeNavigator({ $, tree, input: screen.input, output: screen.output });
+    screen.input.write('c');
+    assert((await picked).custom === true, 'c switches to typing a selector');
+}
+
+async function testMultiSelect() {
+    const $ = parseHTML(PAGE);
+    const navigator = createTreeNavigator(buildComponentTree($));
+
+    navigator.moveTo(3);
+    navigator.toggleMark();
+    navigator.moveTo(0);
+    navigator.toggleMark();
+    navigator.setQuery('returns');
+    navigator.toggleMark();
+    navigator.setQuery('');
+    assert(navigator.marked().map(node => node.label).join() === '<header#top>,<div.card>,<div.card>', 'Marks survive searches and come back in document order');
+    assert(navigator.rows.filter(row => row.marked).length === 3, 'Rows show their mark');
+    navigator.moveTo(0);
+    navigator.toggleMark();
+    assert(navigator.marked().length === 2, 'Marking again unmarks');
+
+    const screen = createScreen();
+    const picked = runTreeNavigator({ $, tree: buildComponentTree($), input: screen.input, output: screen.output });
+    screen.input.write(' ');
+    screen.input.write('\x1b[B\x1b[B\x1b[B\x1b[B');
+    screen.input.write(' ');
+    assert(screen.lastFrame().includes('2 marked') && screen.lastFrame().includes('✔'), 'Marked elements are shown and counted');
+    screen.input.write('\r');
+    const result = await picked;
+    assert(result.nodes.map(node => `${node.selector}:${node.matchIndex}`).join() === '#top:0,div.card:1' && result.node === result.nodes[0], 'Enter picks every marked element', result.nodes.map(node => node.selector).join());
+}
+
+async function testInteractiveMode() {
+    const testDir = path.join(__dirname, 'tree-navigator-test');
+    fs.mkdirSync(testDir, { recursive: true });
+
+    try {
+        fs.writeFileSync(path.join(testDir, 'page.html'), '<link rel="stylesheet" href="app.css"><nav><a class="nav-link" href="/">Home</a><a class="nav-link ghosty" href="/shop">Shop</a></nav>');
+        fs.writeFileSync(path.join(testDir, 'app.css'), '.nav-link { color: red; }');
+
+        const { input, output, frames } = createScreen();
+        input.isTTY = true;
+        input.setRawMode = () => { };
+
+        const selection = runInteractiveMode(path.join(testDir, 'page.html'), { projectDir: testDir, analysisOptions: { cacheDir: null }, input, output });
+        await wait(300);
+        input.write('/');
+        input.write('ghost');
+        await wait(1500);
+        input.write('\r\r');
+
+        const result = await selection;
+        assert(result && result.selector === 'a.nav-link' && result.matchIndex === 1 && result.mode === 'selected', 'Interactive mode returns the picked selector and match index', JSON.stringify(result));
+        assert(frames.some(frame => /CSS rules: 1 {3}JS refs: 0 {3}Ghost classes: 1/.test(frame)), 'Quick stats come from a real analysis of the project');
+    } finally {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+}
+
+async function testResolvedSources() {
+    // A fetched page: nothing to read from disk, no project to compute stats against
+    let screen = createScreen();
+    screen.input.isTTY = true;
+    screen.input.setRawMode = () => { };
+    let selection = runInteractiveMode('https://example.com/shop', { htmlContent: PAGE, input: screen.input, output: screen.output });
+    await wait(100);
+    screen.input.write('/');
+    screen.input.write('card');
+    screen.input.write('\r');
+    screen.input.write(' ');
+    screen.input.write('\x1b[B ');
+    screen.input.write('\r');
+    let result = await selection;
+    assert(result && result.targets.length === 2 && result.targets[1].name === 'div.card-2' && !result.targets[0].name, 'URLs are picked from the fetched HTML, several at once, with names for shared selectors', JSON.stringify(result));
+
+    // A template: the stripped HTML is shown, not the template source
+    const templatePath = path.join(__dirname, 'sample-wordpress.php');
+    const { parseTemplateFile } = require('../src/utils/template-parser');
+    const { html } = parseTemplateFile(templatePath);
+    screen = createScreen();
+    screen.input.isTTY = true;
+    screen.input.setRawMode = () => { };
+    selection = runInteractiveMode(templatePath, { htmlContent: html, input: screen.input, output: screen.output });
+    await wait(100);
+    assert(!screen.frames.some(frame => frame.includes('<?php')), 'Templates are shown as their stripped HTML');
+    screen.input.write('q');
+    assert(await selection === null, 'Quitting a template pick returns nothing');
+}
+
+/**
+ * Run the CLI without a target and without a terminal, typing keys once the checklist is shown
+ * @returns {Promise<Object>} { code, output }
+ */
+function runPickerCLI(args, keys) {
+    return new Promise(resolve => {
+        const child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'codescoop.js'), ...args, '--no-cache'], { stdio: ['pipe', 'pipe', 'pipe'] });
+        let output = '';
+        let typed = false;
+        const onData = (chunk) => {
+            output += chunk;
+            if (!typed && output.includes('Select components to analyze')) {
+                typed = true;
+                keys.forEach((key, index) => setTimeout(() => child.stdin.write(key), 100 * (index + 1)));
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+
+        const timer = setTimeout(() => child.kill(), 30000);
+        child.on('exit', code => {
+            clearTimeout(timer);
+            resolve({ code, output });
+        });
+    });
+}
+
+async function testChecklistFallback() {
+    const testDir = path.join(__dirname, 'picker-cli-test');
+    fs.rmSync(testDir, { recursive: true, force: true });
+    fs.mkdirSync(testDir, { recursive: true });
+
+    try {
+        fs.writeFileSync(path.join(testDir, 'page.html'), '<html><body>\n<header class="top"><a>Home</a></header>\n<div class="card"><p>A</p></div>\n<footer class="bottom">F</footer>\n</body></html>');
+        fs.writeFileSync(path.join(testDir, 'site.css'), '.top { color: red; }\n.bottom { color: blue; }\n');
+        const args = [path.join(testDir, 'page.html'), '--dir', testDir];
+
+        const batch = await runPickerCLI(args, [' ', '\x1b[B', '\x1b[B', ' ', '\r']);
+        assert(batch.code === 0 && batch.output.includes('Analyzing 2 components') && batch.output.includes('2/2 components analyzed'), 'Several picked components are analyzed as a batch', batch.output.slice(-500));
+        const index = path.join(testDir, 'codescoop-index.md');
+        assert(fs.existsSync(index) && fs.existsSync(path.join(testDir, 'top-analysis.md')) && fs.existsSync(path.join(testDir, 'bottom-analysis.md')), 'The batch writes a report per pick and an index');
+        assert(fs.existsSync(index) && fs.readFileSync(index, 'utf-8').includes('**.bottom**'), 'The index lists the picks');
+
+        const single = await runPickerCLI(args, ['\x1b[B', ' ', '\r']);
+        assert(single.code === 0 && !single.output.includes('Analyzing 2') && fs.existsSync(path.join(testDir, 'card-analysis.md')), 'One pick runs a normal analysis', single.output.slice(-500));
+
+        const none = await runPickerCLI(args, ['\r']);
+        assert(none.code === 0 && none.output.includes('No selection made'), 'Confirming without a pick cancels', none.output.slice(-300));
+    } finally {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+}
+
+async function run() {
+    testTree();
+    testNavigator();
+    await testKeyboard();
+    await testMultiSelect();
+    await testInteractiveMode();
+    await testResolvedSources();
+    await testChecklistFallback();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,156 @@
+/**
+ * Watch Mode Verification
+ * Checks that editing a watched CSS file or the source re-runs the analysis
+ * once per burst of saves, that there must be something to watch, and that
+ * close() leaves nothing running
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { runWatchMode } = require('../src/cli/watch');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll until the condition holds or the time is up
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition() && Date.now() < deadline) {
+        await wait(50);
+    }
+    return condition();
+}
+
+async function testRerun(testDir) {
+    const htmlPath = path.join(testDir, 'page.html');
+    const cssPath = path.join(testDir, 'style.css');
+    const reportPath = path.join(testDir, 'report.md');
+    fs.writeFileSync(htmlPath, '<link rel="stylesheet" href="style.css"><div class="card"><p>Hi</p></div>');
+    fs.writeFileSync(cssPath, '.card { color: red; }\n');
+
+    // Count the runs by their console line
+    let runs = 0;
+    const log = console.log;
+    console.log = (...args) => {
+        if (String(args[0]).includes('Report updated')) runs++;
+    };
+
+    let watcher;
+    try {
+        watcher = await runWatchMode({
+            analysisOptions: { htmlPath, projectDir: testDir, selector: '.card', outputPath: reportPath, format: 'markdown', cacheDir: null },
+            sourcePath: htmlPath
+        });
+        const report = () => fs.readFileSync(reportPath, 'utf-8');
+
+        const initial = runs === 1 && report().includes('color: red');
+        const watched = watcher.watchedFiles.map(file => path.basename(file)).sort().join();
+
+        await wait(100);
+        fs.writeFileSync(cssPath, '.card { color: green; }\n');
+        fs.writeFileSync(cssPath, '.card { color: blue; }\n');
+        const rerun = await waitFor(() => report().includes('color: blue'));
+        await wait(500);
+        const runsAfterCss = runs;
+
+        fs.writeFileSync(htmlPath, '<link rel="stylesheet" href="style.css"><div class="card card--wide"><p>Hi</p></div>');
+        const sourceRerun = await waitFor(() => report().includes('card--wide'));
+
+        console.log = log;
+        assert(initial, 'Analyzes once at startup');
+        assert(watched === 'page.html,style.css', 'Watches the source and the project CSS/JS', watched);
+        assert(rerun, 'Editing a watched CSS file re-runs the analysis');
+        assert(runsAfterCss === 2, 'A burst of saves is debounced into one run', runsAfterCss);
+        assert(sourceRerun, 'Editing the source re-runs the analysis');
+    } finally {
+        console.log = log;
+        if (watcher) await watcher.close();
+    }
+}
+
+async function testNothingToWatch(testDir) {
+    const emptyDir = path.join(testDir, 'empty');
+    fs.mkdirSync(emptyDir);
+
+    let error = null;
+    try {
+        await runWatchMode({
+            analysisOptions: {
+                htmlPath: 'https://example.com/',
+                htmlContent: '<div class="card"></div>',
+                projectDir: emptyDir,
+                selector: '.card',
+                outputPath: path.join(testDir, 'url-report.md'),
+                cacheDir: null
+            },
+            sourcePath: null
+        });
+    } catch (e) {
+        error = e.message;
+    }
+    assert(error && error.startsWith('Nothing to watch'), 'A URL without project files is rejected instead of exiting silently', error);
+}
+
+async function testCloseAfterRename(testDir) {
+    const htmlPath = path.join(testDir, 'rename.html');
+    const cssPath = path.join(testDir, 'style.css');
+    fs.writeFileSync(htmlPath, '<link rel="stylesheet" href="style.css"><div class="card"></div>');
+
+    const log = console.log;
+    console.log = () => { };
+    let watcher;
+    let watching, closing, left;
+    try {
+        watcher = await runWatchMode({
+            analysisOptions: { htmlPath, projectDir: testDir, selector: '.card', outputPath: path.join(testDir, 'rename.md'), cacheDir: null },
+            sourcePath: htmlPath
+        });
+        watching = process.getActiveResourcesInfo().filter(type => type === 'FSEventWrap').length;
+
+        // Editors that save by replacing the file trigger the re-attach
+        fs.writeFileSync(`${cssPath}.tmp`, '.card { color: teal; }\n');
+        fs.renameSync(`${cssPath}.tmp`, cssPath);
+        await wait(50);
+
+        closing = watcher.close();
+        watcher = null;
+        await closing;
+        await wait(300);
+        left = process.getActiveResourcesInfo().filter(type => type === 'FSEventWrap' || type === 'Timeout');
+    } finally {
+        console.log = log;
+        if (watcher) await watcher.close();
+    }
+
+    assert(closing instanceof Promise, 'close() returns the promise of closing the project scan');
+    assert(watching > 0 && left.length === 0, 'Closing during a re-attach leaves no watcher or timer behind', left.join());
+}
+
+async function run() {
+    const testDir = path.join(__dirname, 'watch-test');
+    fs.rmSync(testDir, { recursive: true, force: true });
+    fs.mkdirSync(testDir, { recursive: true });
+
+    try {
+        await testRerun(testDir);
+        await testNothingToWatch(testDir);
+        await testCloseAfterRename(testDir);
+    } catch (e) {
+        assert(false, 'Watch mode', e.stack);
+    } finally {
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,75 @@
+/**
+ * Worker Pool Verification
+ * Checks that tasks run on workers and that a worker dying, with or without
+ * an 'error' event, fails its own task and is replaced instead of hanging
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createWorkerPool } = require('../src/utils/worker-pool');
+
+let failed = 0;
+
+function assert(condition, testName, details = '') {
+    if (condition) {
+        console.log(`[✓ PASS] ${testName}`);
+    } else {
+        failed++;
+        console.log(`[✗ FAIL] ${testName}${details ? ` - ${details}` : ''}`);
+    }
+}
+
+const WORKER = `
+const { parentPort } = require('worker_threads');
+parentPort.on('message', ({ id, task }) => {
+    if (task === 'exit') process.exit(3);
+    if (task === 'exit-clean') process.exit(0);
+    if (task === 'throw') setTimeout(() => { throw new Error('boom'); });
+    else if (task === 'fail') parentPort.postMessage({ id, error: 'bad task' });
+    else parentPort.postMessage({ id, result: task * 2 });
+});
+`;
+
+// Settle within a deadline, so a hanging task fails the test instead of the run
+function settle(promise, timeoutMs = 5000) {
+    return Promise.race([
+        promise.then(value => ({ value }), error => ({ error: error.message })),
+        new Promise(resolve => setTimeout(() => resolve({ hung: true }), timeoutMs))
+    ]);
+}
+
+async function run() {
+    const testDir = path.join(__dirname, 'worker-pool-test');
+    fs.mkdirSync(testDir, { recursive: true });
+    const workerScript = path.join(testDir, 'worker.js');
+    fs.writeFileSync(workerScript, WORKER);
+
+    const pool = createWorkerPool(workerScript, 2);
+
+    try {
+        const results = await Promise.all([1, 2, 3].map(n => pool.run(n)));
+        assert(results.join() === '2,4,6', 'Runs tasks on the workers', results.join());
+        assert((await settle(pool.run('fail'))).error === 'bad task', 'Task errors reject their task');
+
+        const [exited, sibling] = await Promise.all([settle(pool.run('exit')), settle(pool.run(5))]);
+        assert(/exit code 3/.test(exited.error), 'A worker exiting without an error fails its task', JSON.stringify(exited));
+        assert(sibling.value === 10, 'Tasks on other workers are unaffected', JSON.stringify(sibling));
+
+        const clean = await settle(pool.run('exit-clean'));
+        assert(/exit code 0/.test(clean.error), 'Even a clean exit fails the task it leaves behind', JSON.stringify(clean));
+
+        const thrown = await settle(pool.run('throw'));
+        assert(thrown.error === 'boom', 'Uncaught worker errors fail their task once', JSON.stringify(thrown));
+
+        const after = await settle(Promise.all([6, 7, 8].map(n => pool.run(n))));
+        assert(after.value && after.value.join() === '12,14,16', 'Dead workers are replaced', JSON.stringify(after));
+    } catch (e) {
+        assert(false, 'Worker pool', e.stack);
+    } finally {
+        await pool.close();
+        fs.rmSync(testDir, { recursive: true, force: true });
+    }
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+run();